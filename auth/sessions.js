@@ -0,0 +1,145 @@
+const crypto = require('crypto');
+const prisma = require('../prisma/client');
+
+// How long a refresh token lasts unused. Each refresh starts the clock again,
+// so someone who opens the app once a month stays signed in.
+const REFRESH_TTL_MS = 30 * 24 * 60 * 60 * 1000;
+
+// last_used_at is for the sessions list ("active 2 minutes ago"), not for
+// security, so it is written at most this often rather than on every request.
+const TOUCH_INTERVAL_MS = 5 * 60 * 1000;
+
+// The secret is 256 random bits, so a fast hash is enough — there is nothing
+// to brute-force that bcrypt would slow down.
+function hashSecret(secret) {
+  return crypto.createHash('sha256').update(secret).digest('hex');
+}
+
+// A refresh token is "<session id>.<secret>": the id finds the row, the secret
+// proves possession. Only the secret's hash is stored.
+function parseRefreshToken(token) {
+  if (typeof token !== 'string') return null;
+  const dot = token.indexOf('.');
+  if (dot <= 0 || dot === token.length - 1) return null;
+  return { sessionId: token.slice(0, dot), secret: token.slice(dot + 1) };
+}
+
+function newSecret() {
+  return crypto.randomBytes(32).toString('base64url');
+}
+
+/**
+ * Open a session. A USER session comes back with its first refresh token; a
+ * SERVICE session has none.
+ */
+async function createSession(userId, { kind = 'USER', name = null } = {}) {
+  const secret = kind === 'USER' ? newSecret() : null;
+  const session = await prisma.session.create({
+    data: {
+      user_id: userId,
+      kind,
+      name: name ? String(name).slice(0, 200) : null,
+      refresh_token_hash: secret && hashSecret(secret),
+      expires_at: secret && new Date(Date.now() + REFRESH_TTL_MS),
+    },
+  });
+  return { session, refreshToken: secret && `${session.id}.${secret}` };
+}
+
+/**
+ * Trade a refresh token for a new one. Returns { session, user, refreshToken }
+ * or { error } with one of:
+ *   'invalid' — unknown, expired or revoked; sign in again
+ *   'reused'  — an already-spent token: the session is revoked, because either
+ *               the client or someone who copied its token is replaying it
+ */
+async function rotateRefreshToken(token) {
+  const parsed = parseRefreshToken(token);
+  if (!parsed) return { error: 'invalid' };
+
+  const session = await prisma.session.findUnique({
+    where: { id: parsed.sessionId },
+    include: { user_rel: { select: { id: true, email: true, role: true, disabled_at: true } } },
+  });
+  if (!session || session.kind !== 'USER' || session.revoked_at) return { error: 'invalid' };
+
+  const presented = hashSecret(parsed.secret);
+  if (presented === session.previous_refresh_token_hash) {
+    await revokeSession(session.id);
+    return { error: 'reused' };
+  }
+  if (presented !== session.refresh_token_hash || session.expires_at < new Date()) {
+    return { error: 'invalid' };
+  }
+
+  // Conditional on the hash still being the one presented, so two refreshes
+  // racing with the same token cannot both win.
+  const secret = newSecret();
+  const { count } = await prisma.session.updateMany({
+    where: { id: session.id, refresh_token_hash: presented, revoked_at: null },
+    data: {
+      refresh_token_hash: hashSecret(secret),
+      previous_refresh_token_hash: presented,
+      expires_at: new Date(Date.now() + REFRESH_TTL_MS),
+      last_used_at: new Date(),
+    },
+  });
+  if (count === 0) return { error: 'invalid' };
+
+  return { session, user: session.user_rel, refreshToken: `${session.id}.${secret}` };
+}
+
+// The session an access token names, if it still stands. Called on every
+// authenticated request, so it also brings the user's current role and
+// disabled_at: verifyJWT trusts those over what the token was signed with.
+async function findActiveSession(sessionId) {
+  const session = await prisma.session.findUnique({
+    where: { id: sessionId },
+    select: {
+      id: true,
+      user_id: true,
+      kind: true,
+      revoked_at: true,
+      last_used_at: true,
+      user_rel: { select: { role: true, disabled_at: true } },
+    },
+  });
+  if (!session || session.revoked_at) return null;
+
+  if (!session.last_used_at || Date.now() - session.last_used_at.getTime() > TOUCH_INTERVAL_MS) {
+    prisma.session
+      .update({ where: { id: session.id }, data: { last_used_at: new Date() } })
+      .catch((err) => console.error('Failed to touch session:', err.message));
+  }
+  return session;
+}
+
+// Revoke one session. With userId, only if it is that user's; returns whether
+// anything was revoked.
+async function revokeSession(sessionId, userId) {
+  const { count } = await prisma.session.updateMany({
+    where: { id: sessionId, revoked_at: null, ...(userId && { user_id: userId }) },
+    data: { revoked_at: new Date(), refresh_token_hash: null },
+  });
+  return count > 0;
+}
+
+// Revoke every session a user has, of the given kinds. Returns how many.
+// Pass `db` to do it inside a caller's transaction.
+async function revokeAllSessions(userId, { kinds = ['USER'], db = prisma } = {}) {
+  const { count } = await db.session.updateMany({
+    where: { user_id: userId, revoked_at: null, kind: { in: kinds } },
+    data: { revoked_at: new Date(), refresh_token_hash: null },
+  });
+  return count;
+}
+
+module.exports = {
+  hashSecret,
+  parseRefreshToken,
+  createSession,
+  rotateRefreshToken,
+  findActiveSession,
+  revokeSession,
+  revokeAllSessions,
+};
@@ -0,0 +1,30 @@
+import { describe, it, expect, vi } from 'vitest';
+import { createRequire } from 'node:module';
+
+// Only the pure helpers are tested here; the Prisma client is constructed on
+// load but never connects.
+vi.hoisted(() => { process.env.DATABASE_URL ??= 'postgresql://test@localhost:5432/test'; });
+
+const require = createRequire(import.meta.url);
+const { parseRefreshToken, hashSecret } = require('./sessions.js');
+
+describe('parseRefreshToken', () => {
+  it('splits a token into its session id and secret', () => {
+    expect(parseRefreshToken('0b6e-uuid.s3cr.et')).toEqual({ sessionId: '0b6e-uuid', secret: 's3cr.et' });
+  });
+
+  it.each([undefined, 42, '', 'no-dot', '.secret', 'session.'])('refuses %j', (token) => {
+    expect(parseRefreshToken(token)).toBeNull();
+  });
+});
+
+describe('hashSecret', () => {
+  it('is stable, so a stored hash can be compared', () => {
+    expect(hashSecret('abc')).toBe(hashSecret('abc'));
+  });
+
+  it('does not store the secret itself', () => {
+    expect(hashSecret('abc')).not.toContain('abc');
+    expect(hashSecret('abc')).toHaveLength(64);
+  });
+});
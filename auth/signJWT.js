@@ -1,13 +1,19 @@
 const jwt = require("jsonwebtoken");
 
-module.exports = function ({ user }) {
+// `sid` ties the token to its row in Session, which is what lets verifyJWT
+// refuse it after a logout. A service token carries its service name and no
+// expiry: it lasts until its session is revoked.
+module.exports = function ({ user, session }) {
+  const service = session?.kind === "SERVICE";
   return jwt.sign(
     {
       id: user.id,
       email: user.email,
       role: user.role,
+      sid: session?.id,
+      ...(service && { service: session.name }),
     },
     process.env.JWT_SECRET,
-    { expiresIn: "8h" }
+    service ? undefined : { expiresIn: "8h" }
   );
 };
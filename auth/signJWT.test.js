@@ -21,4 +21,19 @@ describe('signJWT', () => {
     const token = signJWT({ user: { id: 1, email: 'a@b.com', role: 'USER' } });
     expect(() => jwt.verify(token, 'wrong-secret')).toThrow();
   });
+
+  it('names the session it belongs to', () => {
+    const token = signJWT({ user: { id: 1, email: 'a@b.com', role: 'USER' }, session: { id: 's1', kind: 'USER' } });
+    expect(jwt.verify(token, 'test-secret').sid).toBe('s1');
+  });
+
+  it('gives a service session a token that carries the service name and does not expire', () => {
+    const token = signJWT({
+      user: { id: 1, email: 'a@b.com', role: 'USER' },
+      session: { id: 's2', kind: 'SERVICE', name: 'rss-watcher' },
+    });
+    const decoded = jwt.verify(token, 'test-secret');
+    expect(decoded).toMatchObject({ sid: 's2', service: 'rss-watcher' });
+    expect(decoded.exp).toBeUndefined();
+  });
 });
@@ -1,17 +1,42 @@
 const jwt = require('jsonwebtoken');
+const sessions = require('./sessions');
 
-module.exports = function (req, res, next) {
+module.exports = async function (req, res, next) {
   const authHeader = req.headers.authorization;
   if (!authHeader || !authHeader.startsWith('Bearer ')) {
     return res.status(401).json({ error: 'No token provided' });
   }
 
   const token = authHeader.split(' ')[1];
+  let decoded;
   try {
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
-    req.user = decoded; // Attach the decoded user information to the request object
-    next();
+    decoded = jwt.verify(token, process.env.JWT_SECRET);
   } catch (err) {
     return res.status(401).json({ error: 'Invalid or expired token' });
   }
+
+  // A token without a session predates sessions. Nothing could revoke it, and
+  // the service tokens among them never expire, so none are honoured any more.
+  if (!decoded.sid) {
+    return res.status(401).json({ error: 'Token is no longer accepted, please sign in again' });
+  }
+
+  let session;
+  try {
+    session = await sessions.findActiveSession(decoded.sid);
+  } catch (err) {
+    console.error('Error checking session:', err);
+    return res.status(500).json({ error: 'Internal server error' });
+  }
+  if (!session || session.user_id !== decoded.id) {
+    return res.status(401).json({ error: 'Session has been revoked' });
+  }
+  if (session.user_rel?.disabled_at) {
+    return res.status(403).json({ error: 'This account has been disabled' });
+  }
+
+  // The role is the one the user has now, not the one they signed in with, so
+  // an admin's demotion takes effect at once rather than when the token expires.
+  req.user = { ...decoded, role: session.user_rel?.role ?? decoded.role };
+  next();
 };
@@ -1,6 +1,18 @@
-import { describe, it, expect, beforeAll } from 'vitest';
+import { describe, it, expect, beforeAll, afterEach, vi } from 'vitest';
+import { createRequire } from 'node:module';
 import jwt from 'jsonwebtoken';
-import verifyJWT from './verifyJWT.js';
+
+// verifyJWT looks sessions up through the Prisma client, which wants a URL to
+// be constructed. It never connects here: the lookup is replaced below.
+vi.hoisted(() => { process.env.DATABASE_URL ??= 'postgresql://test@localhost:5432/test'; });
+
+const require = createRequire(import.meta.url);
+const sessions = require('./sessions.js');
+const verifyJWT = require('./verifyJWT.js');
+
+function withSession(session) {
+  return vi.spyOn(sessions, 'findActiveSession').mockResolvedValue(session);
+}
 
 function mockRes() {
   const res = {};
@@ -44,13 +56,81 @@ describe('verifyJWT middleware', () => {
     expect(res.statusCode).toBe(401);
   });
 
-  it('attaches the decoded payload to req.user and calls next() for a valid token', () => {
-    const token = jwt.sign({ id: 7, role: 'USER' }, 'test-secret');
-    const req = { headers: { authorization: `Bearer ${token}` } };
+  it('rejects a token that names no session, as every pre-session token does', async () => {
+    const legacy = jwt.sign({ id: 7, role: 'USER' }, 'test-secret', { expiresIn: '1h' });
+    const req = { headers: { authorization: `Bearer ${legacy}` } };
     const res = mockRes();
-    let nextCalled = false;
-    verifyJWT(req, res, () => { nextCalled = true; });
-    expect(nextCalled).toBe(true);
-    expect(req.user).toMatchObject({ id: 7, role: 'USER' });
+    await verifyJWT(req, res, () => { throw new Error('next should not be called'); });
+    expect(res.statusCode).toBe(401);
+  });
+
+  it('rejects an old non-expiring service token', async () => {
+    const service = jwt.sign({ id: 7, role: 'USER', service: 'rss-watcher' }, 'test-secret');
+    const req = { headers: { authorization: `Bearer ${service}` } };
+    const res = mockRes();
+    await verifyJWT(req, res, () => { throw new Error('next should not be called'); });
+    expect(res.statusCode).toBe(401);
+  });
+
+  describe('with a session', () => {
+    afterEach(() => vi.restoreAllMocks());
+
+    it('attaches the decoded payload to req.user and calls next() while the session stands', async () => {
+      const lookup = withSession({ id: 's1', user_id: 7 });
+      const token = jwt.sign({ id: 7, role: 'USER', sid: 's1' }, 'test-secret', { expiresIn: '1h' });
+      const req = { headers: { authorization: `Bearer ${token}` } };
+      const res = mockRes();
+      let nextCalled = false;
+      await verifyJWT(req, res, () => { nextCalled = true; });
+      expect(nextCalled).toBe(true);
+      expect(lookup).toHaveBeenCalledWith('s1');
+      expect(req.user).toMatchObject({ id: 7, role: 'USER', sid: 's1' });
+    });
+
+    it('accepts a service token that never expires while its session stands', async () => {
+      withSession({ id: 's2', user_id: 7, kind: 'SERVICE' });
+      const token = jwt.sign({ id: 7, role: 'USER', sid: 's2', service: 'rss-watcher' }, 'test-secret');
+      const req = { headers: { authorization: `Bearer ${token}` } };
+      let nextCalled = false;
+      await verifyJWT(req, mockRes(), () => { nextCalled = true; });
+      expect(nextCalled).toBe(true);
+    });
+
+    it('rejects a token whose session has been revoked', async () => {
+      withSession(null);
+      const token = jwt.sign({ id: 7, role: 'USER', sid: 's1' }, 'test-secret', { expiresIn: '1h' });
+      const req = { headers: { authorization: `Bearer ${token}` } };
+      const res = mockRes();
+      await verifyJWT(req, res, () => { throw new Error('next should not be called'); });
+      expect(res.statusCode).toBe(401);
+      expect(res.body).toEqual({ error: 'Session has been revoked' });
+    });
+
+    it('rejects every token of a disabled account', async () => {
+      withSession({ id: 's2', user_id: 7, kind: 'SERVICE', user_rel: { role: 'USER', disabled_at: new Date() } });
+      const token = jwt.sign({ id: 7, role: 'USER', sid: 's2', service: 'rss-watcher' }, 'test-secret');
+      const req = { headers: { authorization: `Bearer ${token}` } };
+      const res = mockRes();
+      await verifyJWT(req, res, () => { throw new Error('next should not be called'); });
+      expect(res.statusCode).toBe(403);
+      expect(res.body).toEqual({ error: 'This account has been disabled' });
+    });
+
+    it('uses the role the user has now over the one in the token', async () => {
+      withSession({ id: 's1', user_id: 7, user_rel: { role: 'USER', disabled_at: null } });
+      const token = jwt.sign({ id: 7, role: 'ADMIN', sid: 's1' }, 'test-secret', { expiresIn: '1h' });
+      const req = { headers: { authorization: `Bearer ${token}` } };
+      await verifyJWT(req, mockRes(), () => {});
+      expect(req.user.role).toBe('USER');
+    });
+
+    it("rejects a token pointing at someone else's session", async () => {
+      withSession({ id: 's1', user_id: 8 });
+      const token = jwt.sign({ id: 7, role: 'USER', sid: 's1' }, 'test-secret', { expiresIn: '1h' });
+      const req = { headers: { authorization: `Bearer ${token}` } };
+      const res = mockRes();
+      await verifyJWT(req, res, () => { throw new Error('next should not be called'); });
+      expect(res.statusCode).toBe(401);
+    });
   });
 });
@@ -2,6 +2,7 @@ const express = require("express");
 const cors = require('cors');
 const dotenv = require("dotenv").config();
 const { startCronJobs } = require("./utils/cron");
+const { startJobWorker } = require("./utils/jobs/worker");
 const app = express();
 const port = process.env.PORT || 4000;
 
@@ -14,9 +15,15 @@ app.use("/users", require("./routes/users"));
 app.use("/data/steam", require("./routes/data/steam"));
 app.use("/data/concerts", require("./routes/data/ticketmaster"))
 app.use("/data/concerts", require("./routes/data/notifications"))
+app.use("/data/concerts", require("./routes/data/notificationChannels"))
+app.use("/data/concerts", require("./routes/data/inbox"))
 app.use("/data/concerts", require("./routes/data/playlists"))
+app.use("/data/concerts", require("./routes/data/calendar"))
 app.use("/data/cities", require("./routes/data/cities"))
 app.use("/data/tmdb", require("./routes/data/tmdb"));
+app.use("/data/export", require("./routes/data/export"));
+app.use("/admin/api-keys", require("./routes/admin/apiKeys"));
+app.use("/admin/audit", require("./routes/admin/audit"));
 app.use("/oauth/tmdb", require("./routes/oauth/tmdb"));
 app.use("/oauth/spotify", require("./routes/oauth/spotify"));
 // Every /travel/* route, read or write, passes the limiter first.
@@ -35,6 +42,7 @@ app.use("/travel/rates", require("./routes/travel/rates"));
 app.use("/travel/gear", require("./routes/travel/gear"));
 app.use("/travel/wishlist", require("./routes/travel/wishlist"));
 app.use("/travel/loadouts", require("./routes/travel/loadouts"));
+app.use("/travel/templates", require("./routes/travel/templates"));
 // Anything that escapes a route. A deliberate 4xx keeps its message — it was
 // written to be read — but a 500 is an internal detail (table names, constraint
 // names, sometimes values), so outside development the client just gets told it
@@ -60,4 +68,5 @@ process.on('uncaughtException', (err) => {
 app.listen(port, () => {
   console.log(`Example app listening on port ${port}`);
   startCronJobs();
+  startJobWorker();
 });
@@ -0,0 +1,55 @@
+const verifyJWT = require('../auth/verifyJWT');
+const roleCheck = require('./roleCheck');
+const prisma = require('../prisma/client');
+const { hashApiKey, hasScope } = require('../utils/apiKeys');
+
+// As with sessions, last_used_at is for the admin list, so it is written at
+// most once per interval rather than on every call of a busy bulk job.
+const TOUCH_INTERVAL_MS = 5 * 60 * 1000;
+
+/**
+ * Stands in for `auth, roleCheck(roles)` on routes a service calls.
+ *
+ * A request carrying X-API-Key is let through if the key is live and holds
+ * `scope`; it is then seen by the route as a SYSTEM caller (req.user.role), with
+ * req.apiKey saying which key. Without the header it falls back to the JWT and
+ * the role list, so an admin can still call the same route from the app.
+ *
+ *   router.post('/bulk', apiKeyOrRole('concerts:bulk', ['ADMIN', 'SYSTEM']), ...)
+ */
+module.exports = function (scope, roles = []) {
+  const checkRole = roleCheck(roles);
+
+  return async (req, res, next) => {
+    const key = req.get('x-api-key');
+    if (key === undefined) {
+      return verifyJWT(req, res, () => checkRole(req, res, next));
+    }
+
+    try {
+      const apiKey = await prisma.apiKey.findUnique({
+        where: { key_hash: hashApiKey(key) },
+        select: { id: true, name: true, scopes: true, expires_at: true, revoked_at: true, last_used_at: true },
+      });
+      if (!apiKey || apiKey.revoked_at || (apiKey.expires_at && apiKey.expires_at < new Date())) {
+        return res.status(401).json({ error: 'Invalid or revoked API key' });
+      }
+      if (!hasScope(apiKey.scopes, scope)) {
+        return res.status(403).json({ error: `Forbidden: this API key lacks the ${scope} scope` });
+      }
+
+      if (!apiKey.last_used_at || Date.now() - apiKey.last_used_at.getTime() > TOUCH_INTERVAL_MS) {
+        prisma.apiKey
+          .update({ where: { id: apiKey.id }, data: { last_used_at: new Date() } })
+          .catch((err) => console.error('Failed to touch API key:', err.message));
+      }
+
+      req.apiKey = { id: apiKey.id, name: apiKey.name, scopes: apiKey.scopes };
+      req.user = { id: null, role: 'SYSTEM', service: apiKey.name };
+      next();
+    } catch (err) {
+      console.error('Error checking API key:', err);
+      return res.status(500).json({ error: 'Internal server error' });
+    }
+  };
+};
@@ -0,0 +1,56 @@
+const prisma = require("../prisma/client");
+const { accessLevel, atLeast } = require("../utils/wishlistAccess");
+
+// Resolves :id for the /wishlists/:id routes and checks the caller may do what
+// the route needs — see utils/wishlistAccess.js for who may do what. A
+// wishlist the caller has no access to at all is a 404, not a 403, so an id
+// does not confirm that someone else's list exists.
+//
+// Handlers read req.wishlistId (a validated integer), req.wishlist (the bare
+// row) and req.wishlistAccess ('OWNER', 'EDITOR' or 'VIEWER').
+
+// The caller's access to one wishlist, for routes that take the id from the
+// body rather than the path. { wishlist: null, level: null } when there is no
+// such wishlist.
+async function wishlistAccessFor(wishlistId, userId) {
+  const wishlist = await prisma.wishlist.findUnique({
+    where: { id: wishlistId },
+    include: { members: { where: { user_id: userId }, select: { user_id: true, role: true, last_active_at: true } } },
+  });
+  return { wishlist, level: accessLevel(wishlist, userId) };
+}
+
+/**
+ * @param {'VIEWER'|'EDITOR'|'OWNER'} need
+ * @param {{ admin?: boolean }} [options] - admin: an ADMIN may read any
+ *   wishlist, as GET /wishlists/:id always allowed
+ */
+function wishlistAccess(need, { admin = false } = {}) {
+  return async function (req, res, next) {
+    const wishlistId = parseInt(req.params.id, 10);
+    if (!Number.isInteger(wishlistId)) {
+      return res.status(400).json({ error: "Wishlist ID must be an integer" });
+    }
+
+    try {
+      const { wishlist, level } = await wishlistAccessFor(wishlistId, req.user.id);
+      const granted = admin && req.user.role === "ADMIN" && wishlist ? level ?? "VIEWER" : level;
+      if (!granted) return res.status(404).json({ error: "Wishlist not found." });
+      if (!atLeast(granted, need)) {
+        const error = need === "OWNER" ? "Only the wishlist's owner can do that." : "This wishlist is shared with you read-only.";
+        return res.status(403).json({ error });
+      }
+
+      req.wishlistId = wishlistId;
+      req.wishlist = wishlist;
+      req.wishlistAccess = granted;
+      return next();
+    } catch (error) {
+      console.error(`Error checking access to wishlist ${wishlistId}:`, error);
+      return res.status(500).json({ error: "Internal server error" });
+    }
+  };
+}
+
+module.exports = wishlistAccess;
+module.exports.wishlistAccessFor = wishlistAccessFor;
@@ -0,0 +1,6 @@
+-- CreateEnum
+CREATE TYPE "VerificationPurpose" AS ENUM ('EMAIL_CHANGE', 'PASSWORD_RESET');
+
+-- AlterTable: existing rows are all email changes.
+ALTER TABLE "EmailVerification" ADD COLUMN "purpose" "VerificationPurpose" NOT NULL DEFAULT 'EMAIL_CHANGE',
+ADD COLUMN "attempts" INTEGER NOT NULL DEFAULT 0;
@@ -0,0 +1,10 @@
+-- AlterEnum
+ALTER TYPE "VerificationPurpose" ADD VALUE 'SIGNUP';
+
+-- AlterTable
+ALTER TABLE "User" ADD COLUMN "email_verified_at" TIMESTAMP(3);
+
+-- Accounts from before verification existed are taken as confirmed: they have
+-- been receiving digests all along, and stopping them silently would look like
+-- a bug. Only accounts registered from here on have to prove their address.
+UPDATE "User" SET "email_verified_at" = "created_at";
@@ -0,0 +1,30 @@
+-- AlterTable
+ALTER TABLE "User" ADD COLUMN "disabled_at" TIMESTAMP(3);
+
+-- CreateTable
+CREATE TABLE "AuditEvent" (
+    "id" SERIAL NOT NULL,
+    "actor_id" TEXT,
+    "actor_email" TEXT,
+    "actor_role" "Role",
+    "action" VARCHAR(100) NOT NULL,
+    "target_type" VARCHAR(50) NOT NULL,
+    "target_id" TEXT,
+    "before" JSONB,
+    "after" JSONB,
+    "created_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "AuditEvent_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "AuditEvent_target_type_target_id_idx" ON "AuditEvent"("target_type", "target_id");
+
+-- CreateIndex
+CREATE INDEX "AuditEvent_actor_id_idx" ON "AuditEvent"("actor_id");
+
+-- CreateIndex
+CREATE INDEX "AuditEvent_created_at_idx" ON "AuditEvent"("created_at");
+
+-- AddForeignKey
+ALTER TABLE "AuditEvent" ADD CONSTRAINT "AuditEvent_actor_id_fkey" FOREIGN KEY ("actor_id") REFERENCES "User"("id") ON DELETE SET NULL ON UPDATE CASCADE;
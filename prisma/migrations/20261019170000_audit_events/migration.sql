@@ -0,0 +1,7 @@
+-- AlterTable
+ALTER TABLE "AuditEvent" ADD COLUMN "service" VARCHAR(200),
+ADD COLUMN "route" VARCHAR(300),
+ADD COLUMN "target_ids" TEXT[] DEFAULT ARRAY[]::TEXT[];
+
+-- CreateIndex
+CREATE INDEX "AuditEvent_action_idx" ON "AuditEvent"("action");
@@ -0,0 +1,17 @@
+-- CreateTable
+CREATE TABLE "ConcertRevision" (
+    "id" SERIAL NOT NULL,
+    "concert_id" INTEGER NOT NULL,
+    "action" VARCHAR(30) NOT NULL,
+    "source" VARCHAR(50),
+    "rule" VARCHAR(30),
+    "changes" JSONB,
+    "band_ids" INTEGER[] DEFAULT ARRAY[]::INTEGER[],
+    "actor" TEXT,
+    "created_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "ConcertRevision_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "ConcertRevision_concert_id_created_at_idx" ON "ConcertRevision"("concert_id", "created_at");
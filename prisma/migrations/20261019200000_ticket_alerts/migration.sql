@@ -0,0 +1,2 @@
+-- AlterTable: the sale date a "tickets go on sale within 24h" reminder went out for
+ALTER TABLE "Concert" ADD COLUMN "sale_reminder_for" TIMESTAMP(6);
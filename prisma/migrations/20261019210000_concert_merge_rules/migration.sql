@@ -0,0 +1,23 @@
+-- CreateEnum
+CREATE TYPE "ConcertRuleKind" AS ENUM ('MERGE', 'SPLIT');
+
+-- CreateTable
+CREATE TABLE "ConcertMergeRule" (
+    "id" SERIAL NOT NULL,
+    "kind" "ConcertRuleKind" NOT NULL,
+    "concert_id" INTEGER NOT NULL,
+    "split_concert_id" INTEGER,
+    "event_id" TEXT,
+    "source" TEXT,
+    "name" TEXT,
+    "venue" TEXT,
+    "concert_date" TIMESTAMP(3),
+    "band_ids" INTEGER[] DEFAULT ARRAY[]::INTEGER[],
+    "created_by" TEXT,
+    "created_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "ConcertMergeRule_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "ConcertMergeRule_concert_id_idx" ON "ConcertMergeRule"("concert_id");
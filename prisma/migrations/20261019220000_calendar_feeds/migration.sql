@@ -0,0 +1,20 @@
+-- CreateTable
+CREATE TABLE "CalendarFeed" (
+    "id" SERIAL NOT NULL,
+    "user_id" TEXT NOT NULL,
+    "prefix" VARCHAR(20) NOT NULL,
+    "token_hash" TEXT NOT NULL,
+    "last_used_at" TIMESTAMP(3),
+    "created_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "CalendarFeed_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "CalendarFeed_user_id_key" ON "CalendarFeed"("user_id");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "CalendarFeed_token_hash_key" ON "CalendarFeed"("token_hash");
+
+-- AddForeignKey
+ALTER TABLE "CalendarFeed" ADD CONSTRAINT "CalendarFeed_user_id_fkey" FOREIGN KEY ("user_id") REFERENCES "User"("id") ON DELETE CASCADE ON UPDATE CASCADE;
@@ -0,0 +1,2 @@
+-- AlterTable: the concert a trip place was made from
+ALTER TABLE "TripPlace" ADD COLUMN "concert_id" INTEGER;
@@ -0,0 +1,58 @@
+-- CreateEnum
+CREATE TYPE "WishlistRole" AS ENUM ('VIEWER', 'EDITOR');
+
+-- DropIndex: a user may now have several wishlists
+DROP INDEX "Wishlist_user_id_key";
+
+-- AlterTable
+ALTER TABLE "Wishlist" ADD COLUMN "created_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP;
+
+-- CreateIndex
+CREATE INDEX "Wishlist_user_id_idx" ON "Wishlist"("user_id");
+
+-- CreateTable
+CREATE TABLE "WishlistMember" (
+    "id" SERIAL NOT NULL,
+    "wishlist_id" INTEGER NOT NULL,
+    "user_id" TEXT NOT NULL,
+    "role" "WishlistRole" NOT NULL DEFAULT 'VIEWER',
+    "last_active_at" TIMESTAMP(3),
+    "created_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "WishlistMember_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "WishlistInvite" (
+    "id" SERIAL NOT NULL,
+    "wishlist_id" INTEGER NOT NULL,
+    "prefix" VARCHAR(20) NOT NULL,
+    "token_hash" TEXT NOT NULL,
+    "role" "WishlistRole" NOT NULL DEFAULT 'VIEWER',
+    "expires_at" TIMESTAMP(3),
+    "uses" INTEGER NOT NULL DEFAULT 0,
+    "created_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "WishlistInvite_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "WishlistMember_wishlist_id_user_id_key" ON "WishlistMember"("wishlist_id", "user_id");
+
+-- CreateIndex
+CREATE INDEX "WishlistMember_user_id_idx" ON "WishlistMember"("user_id");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "WishlistInvite_token_hash_key" ON "WishlistInvite"("token_hash");
+
+-- CreateIndex
+CREATE INDEX "WishlistInvite_wishlist_id_idx" ON "WishlistInvite"("wishlist_id");
+
+-- AddForeignKey
+ALTER TABLE "WishlistMember" ADD CONSTRAINT "WishlistMember_wishlist_id_fkey" FOREIGN KEY ("wishlist_id") REFERENCES "Wishlist"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "WishlistMember" ADD CONSTRAINT "WishlistMember_user_id_fkey" FOREIGN KEY ("user_id") REFERENCES "User"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "WishlistInvite" ADD CONSTRAINT "WishlistInvite_wishlist_id_fkey" FOREIGN KEY ("wishlist_id") REFERENCES "Wishlist"("id") ON DELETE CASCADE ON UPDATE CASCADE;
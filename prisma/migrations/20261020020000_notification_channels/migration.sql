@@ -0,0 +1,75 @@
+-- CreateEnum
+CREATE TYPE "ChannelKind" AS ENUM ('EMAIL', 'DISCORD', 'SLACK', 'WEBHOOK', 'PUSH');
+
+-- CreateEnum
+CREATE TYPE "DeliveryStatus" AS ENUM ('PENDING', 'SENT', 'RETRYING', 'FAILED');
+
+-- AlterTable
+ALTER TABLE "TripTodo" ADD COLUMN     "remind_at" TIMESTAMP(3),
+ADD COLUMN     "reminded_at" TIMESTAMP(3);
+
+-- CreateTable
+CREATE TABLE "NotificationChannel" (
+    "id" SERIAL NOT NULL,
+    "user_id" TEXT NOT NULL,
+    "kind" "ChannelKind" NOT NULL,
+    "name" VARCHAR(100) NOT NULL,
+    "target" TEXT,
+    "secret" TEXT,
+    "config" JSONB,
+    "events" TEXT[],
+    "enabled" BOOLEAN NOT NULL DEFAULT true,
+    "created_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updated_at" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "NotificationChannel_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "NotificationDelivery" (
+    "id" SERIAL NOT NULL,
+    "user_id" TEXT NOT NULL,
+    "channel_id" INTEGER,
+    "wishlist_id" INTEGER,
+    "event" VARCHAR(40) NOT NULL,
+    "payload" JSONB NOT NULL,
+    "status" "DeliveryStatus" NOT NULL DEFAULT 'PENDING',
+    "attempts" INTEGER NOT NULL DEFAULT 0,
+    "max_attempts" INTEGER NOT NULL DEFAULT 5,
+    "next_attempt_at" TIMESTAMP(3) DEFAULT CURRENT_TIMESTAMP,
+    "last_error" TEXT,
+    "sent_at" TIMESTAMP(3),
+    "created_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "NotificationDelivery_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "TripTodo_remind_at_idx" ON "TripTodo"("remind_at");
+
+-- CreateIndex
+CREATE INDEX "NotificationChannel_user_id_idx" ON "NotificationChannel"("user_id");
+
+-- CreateIndex
+CREATE INDEX "NotificationDelivery_status_next_attempt_at_idx" ON "NotificationDelivery"("status", "next_attempt_at");
+
+-- CreateIndex
+CREATE INDEX "NotificationDelivery_user_id_created_at_idx" ON "NotificationDelivery"("user_id", "created_at");
+
+-- AddForeignKey
+ALTER TABLE "NotificationChannel" ADD CONSTRAINT "NotificationChannel_user_id_fkey" FOREIGN KEY ("user_id") REFERENCES "User"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "NotificationDelivery" ADD CONSTRAINT "NotificationDelivery_user_id_fkey" FOREIGN KEY ("user_id") REFERENCES "User"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "NotificationDelivery" ADD CONSTRAINT "NotificationDelivery_channel_id_fkey" FOREIGN KEY ("channel_id") REFERENCES "NotificationChannel"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "NotificationDelivery" ADD CONSTRAINT "NotificationDelivery_wishlist_id_fkey" FOREIGN KEY ("wishlist_id") REFERENCES "Wishlist"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- Every existing account keeps getting email for what it got email for
+-- before: LOVE-tier ticket alerts. Trip weather and to-do reminders are new.
+INSERT INTO "NotificationChannel" ("user_id", "kind", "name", "events", "updated_at")
+SELECT "id", 'EMAIL', 'Email', ARRAY['LOVE_TICKET_ALERT', 'TRIP_WEATHER', 'TODO_REMINDER'], CURRENT_TIMESTAMP
+FROM "User";
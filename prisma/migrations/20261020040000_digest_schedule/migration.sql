@@ -0,0 +1,24 @@
+-- CreateTable
+CREATE TABLE "NotificationDigestState" (
+    "user_id" TEXT NOT NULL,
+    "covered_until" TIMESTAMP(3) NOT NULL,
+    "last_run_at" TIMESTAMP(3),
+    "created_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "NotificationDigestState_pkey" PRIMARY KEY ("user_id")
+);
+
+-- AddForeignKey
+ALTER TABLE "NotificationDigestState" ADD CONSTRAINT "NotificationDigestState_user_id_fkey" FOREIGN KEY ("user_id") REFERENCES "User"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- Everyone starts where the shared cursor was, so the first per-user run
+-- neither repeats the last digest nor skips what has come in since.
+INSERT INTO "NotificationDigestState" ("user_id", "covered_until", "last_run_at")
+SELECT "User"."id", "run"."last_run_at", "run"."last_run_at"
+FROM "User"
+CROSS JOIN (
+    SELECT COALESCE((SELECT "last_run_at" FROM "NotificationDigestRun" ORDER BY "id" LIMIT 1), CURRENT_TIMESTAMP) AS "last_run_at"
+) AS "run";
+
+-- DropTable
+DROP TABLE "NotificationDigestRun";
@@ -0,0 +1,17 @@
+-- AlterTable
+ALTER TABLE "NotificationSubscription" ADD COLUMN     "country" VARCHAR(100),
+ADD COLUMN     "date_from" DATE,
+ADD COLUMN     "date_to" DATE,
+ADD COLUMN     "festival_only" BOOLEAN NOT NULL DEFAULT false,
+ADD COLUMN     "home_city_id" INTEGER,
+ADD COLUMN     "max_price" DOUBLE PRECISION,
+ADD COLUMN     "min_tier" "BandTier",
+ADD COLUMN     "mute" BOOLEAN NOT NULL DEFAULT false,
+ADD COLUMN     "price_currency" VARCHAR(3),
+ADD COLUMN     "radius_km" INTEGER;
+
+-- CreateIndex
+CREATE INDEX "NotificationSubscription_user_id_idx" ON "NotificationSubscription"("user_id");
+
+-- AddForeignKey
+ALTER TABLE "NotificationSubscription" ADD CONSTRAINT "NotificationSubscription_home_city_id_fkey" FOREIGN KEY ("home_city_id") REFERENCES "City"("id") ON DELETE CASCADE ON UPDATE CASCADE;
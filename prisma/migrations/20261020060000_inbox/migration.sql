@@ -0,0 +1,30 @@
+-- CreateTable
+CREATE TABLE "InboxItem" (
+    "id" SERIAL NOT NULL,
+    "user_id" TEXT NOT NULL,
+    "type" VARCHAR(40) NOT NULL,
+    "title" VARCHAR(300) NOT NULL,
+    "body" TEXT,
+    "url" TEXT,
+    "data" JSONB,
+    "dedupe_key" VARCHAR(100),
+    "read_at" TIMESTAMP(3),
+    "created_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "InboxItem_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "InboxItem_user_id_dedupe_key_key" ON "InboxItem"("user_id", "dedupe_key");
+
+-- CreateIndex
+CREATE INDEX "InboxItem_user_id_read_at_idx" ON "InboxItem"("user_id", "read_at");
+
+-- CreateIndex
+CREATE INDEX "InboxItem_user_id_created_at_idx" ON "InboxItem"("user_id", "created_at");
+
+-- CreateIndex
+CREATE INDEX "InboxItem_type_created_at_idx" ON "InboxItem"("type", "created_at");
+
+-- AddForeignKey
+ALTER TABLE "InboxItem" ADD CONSTRAINT "InboxItem_user_id_fkey" FOREIGN KEY ("user_id") REFERENCES "User"("id") ON DELETE CASCADE ON UPDATE CASCADE;
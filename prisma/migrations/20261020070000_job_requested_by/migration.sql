@@ -0,0 +1,5 @@
+-- AlterTable
+ALTER TABLE "Job" ADD COLUMN "requested_by" TEXT;
+
+-- AddForeignKey
+ALTER TABLE "Job" ADD CONSTRAINT "Job_requested_by_fkey" FOREIGN KEY ("requested_by") REFERENCES "User"("id") ON DELETE SET NULL ON UPDATE CASCADE;
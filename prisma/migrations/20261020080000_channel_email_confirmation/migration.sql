@@ -0,0 +1,15 @@
+-- AlterEnum
+ALTER TYPE "VerificationPurpose" ADD VALUE 'CHANNEL_EMAIL';
+
+-- AlterTable
+ALTER TABLE "NotificationChannel" ADD COLUMN "target_confirmed_at" TIMESTAMP(3);
+
+-- An EMAIL channel to the account's own address is one to the account: it
+-- follows the account's address and needs no confirming of its own.
+UPDATE "NotificationChannel" AS c SET "target" = NULL
+FROM "User" AS u
+WHERE c."user_id" = u."id" AND c."kind" = 'EMAIL' AND lower(c."target") = lower(u."email");
+
+-- Any other address was never shown to be the user's. It stays off until it is.
+UPDATE "NotificationChannel" SET "enabled" = false
+WHERE "kind" = 'EMAIL' AND "target" IS NOT NULL;
@@ -0,0 +1,151 @@
+const express = require("express");
+const router = express.Router();
+const { body, param, validationResult } = require("express-validator");
+
+const auth = require("../../auth/verifyJWT");
+const roleCheck = require("../../middlewares/roleCheck");
+const prisma = require("../../prisma/client");
+const { fail } = require("../../utils/apiResponse");
+const { SCOPES, generateApiKey, unknownScopes } = require("../../utils/apiKeys");
+const { recordAudit } = require("../../utils/audit");
+
+router.use(auth);
+router.use(roleCheck(["ADMIN"]));
+
+// Everything about a key except its hash, which never leaves the database.
+const PUBLIC = {
+  id: true,
+  name: true,
+  prefix: true,
+  scopes: true,
+  created_at: true,
+  created_by_id: true,
+  last_used_at: true,
+  expires_at: true,
+  revoked_at: true,
+};
+
+function scopesError(scopes) {
+  if (!Array.isArray(scopes) || scopes.length === 0) return "scopes must be a non-empty array";
+  if (!scopes.every((s) => typeof s === "string")) return "scopes must be strings";
+  const unknown = unknownScopes(scopes);
+  return unknown.length ? `Unknown scope(s): ${unknown.join(", ")}` : null;
+}
+
+// GET /admin/api-keys/scopes — what a key can be granted
+router.get("/scopes", (_req, res) => {
+  res.json({ data: SCOPES });
+});
+
+// GET /admin/api-keys
+router.get("/", async (_req, res) => {
+  try {
+    const keys = await prisma.apiKey.findMany({
+      orderBy: [{ revoked_at: { sort: "desc", nulls: "first" } }, { created_at: "desc" }],
+      select: PUBLIC,
+    });
+    res.json({ data: keys });
+  } catch (err) {
+    fail(res, err, { context: "GET api keys" });
+  }
+});
+
+// POST /admin/api-keys — the key is in this response and nowhere else, ever
+router.post(
+  "/",
+  [body("name").isString().trim().notEmpty().isLength({ max: 100 }), body("expires_at").optional({ values: "null" }).isISO8601()],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) return res.status(400).json({ error: "A key needs a name of at most 100 characters, and expires_at must be a date" });
+
+    const problem = scopesError(req.body.scopes);
+    if (problem) return res.status(400).json({ error: problem });
+
+    const { key, prefix, hash } = generateApiKey();
+    try {
+      const created = await prisma.$transaction(async (tx) => {
+        const key = await tx.apiKey.create({
+          data: {
+            name: req.body.name,
+            prefix,
+            key_hash: hash,
+            scopes: [...new Set(req.body.scopes)],
+            created_by_id: req.user.id,
+            expires_at: req.body.expires_at ? new Date(req.body.expires_at) : null,
+          },
+          select: PUBLIC,
+        });
+        await recordAudit(req, { action: "api_key.create", targetType: "ApiKey", targetId: key.id, after: { name: key.name, scopes: key.scopes, expires_at: key.expires_at } }, tx);
+        return key;
+      });
+      res.status(201).json({ data: { ...created, key } });
+    } catch (err) {
+      fail(res, err, { context: "POST api key" });
+    }
+  }
+);
+
+// PATCH /admin/api-keys/:id — rename, change scopes or expiry. The key itself
+// cannot change; to replace a leaked one, create a new key and revoke this one.
+router.patch("/:id", param("id").isInt(), async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) return res.status(400).json({ error: "Invalid id" });
+
+  const { name, scopes, expires_at } = req.body;
+  const data = {};
+  if (name !== undefined) {
+    if (typeof name !== "string" || !name.trim() || name.length > 100) {
+      return res.status(400).json({ error: "A key needs a name of at most 100 characters" });
+    }
+    data.name = name.trim();
+  }
+  if (scopes !== undefined) {
+    const problem = scopesError(scopes);
+    if (problem) return res.status(400).json({ error: problem });
+    data.scopes = [...new Set(scopes)];
+  }
+  if (expires_at !== undefined) {
+    if (expires_at !== null && Number.isNaN(Date.parse(expires_at))) {
+      return res.status(400).json({ error: "expires_at must be a date or null" });
+    }
+    data.expires_at = expires_at === null ? null : new Date(expires_at);
+  }
+
+  try {
+    const id = parseInt(req.params.id, 10);
+    const key = await prisma.$transaction(async (tx) => {
+      const before = await tx.apiKey.findUnique({ where: { id }, select: { name: true, scopes: true, expires_at: true } });
+      const updated = await tx.apiKey.update({ where: { id, revoked_at: null }, data, select: PUBLIC });
+      const after = { name: updated.name, scopes: updated.scopes, expires_at: updated.expires_at };
+      await recordAudit(req, { action: "api_key.update", targetType: "ApiKey", targetId: id, before, after }, tx);
+      return updated;
+    });
+    res.json({ data: key });
+  } catch (err) {
+    fail(res, err, { context: `PATCH api key ${req.params.id}`, notFound: "API key not found or revoked" });
+  }
+});
+
+// DELETE /admin/api-keys/:id — revoke. The row stays, so the list still shows
+// the key existed and when it was last used.
+router.delete("/:id", param("id").isInt(), async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) return res.status(400).json({ error: "Invalid id" });
+
+  try {
+    const key = await prisma.$transaction(async (tx) => {
+      const revoked = await tx.apiKey.update({
+        where: { id: parseInt(req.params.id, 10), revoked_at: null },
+        data: { revoked_at: new Date() },
+        select: PUBLIC,
+      });
+      await recordAudit(req, { action: "api_key.revoke", targetType: "ApiKey", targetId: revoked.id, after: { revoked_at: revoked.revoked_at } }, tx);
+      return revoked;
+    });
+    res.json({ data: key, message: "API key revoked" });
+  } catch (err) {
+    fail(res, err, { context: `DELETE api key ${req.params.id}`, notFound: "API key not found or already revoked" });
+  }
+});
+
+module.exports = router;
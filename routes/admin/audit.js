@@ -0,0 +1,60 @@
+const express = require("express");
+const router = express.Router();
+const { query, validationResult } = require("express-validator");
+
+const auth = require("../../auth/verifyJWT");
+const roleCheck = require("../../middlewares/roleCheck");
+const prisma = require("../../prisma/client");
+const { fail, paginate, sendList } = require("../../utils/apiResponse");
+
+router.use(auth);
+router.use(roleCheck(["ADMIN"]));
+
+// GET /admin/audit — newest first. Every filter is optional and they combine:
+//   ?actor_id=        the user who acted
+//   ?actor_email=     part of their email, any case
+//   ?service=         API key or service token name
+//   ?action=          exact ("concert.delete"), or a prefix ending in a dot ("concert.")
+//   ?target_type=     "Concert", "Band", "City", "User", "ApiKey"
+//   ?target_id=       the row acted on, or one the action took with it
+//   ?since= &until=   ISO dates
+//   ?limit= &offset=
+//
+// "Who deleted that festival": ?target_type=Concert&target_id=<id>.
+router.get(
+  "/",
+  [
+    query("actor_id").optional().isUUID(),
+    query("since").optional().isISO8601(),
+    query("until").optional().isISO8601(),
+  ],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) return res.status(400).json({ error: "actor_id must be a user id, since and until must be dates" });
+
+    const { actor_id, actor_email, service, action, target_type, target_id, since, until } = req.query;
+    const where = {};
+    if (actor_id) where.actor_id = actor_id;
+    if (actor_email) where.actor_email = { contains: String(actor_email), mode: "insensitive" };
+    if (service) where.service = String(service);
+    if (action) where.action = String(action).endsWith(".") ? { startsWith: String(action) } : String(action);
+    if (target_type) where.target_type = String(target_type);
+    if (target_id) where.OR = [{ target_id: String(target_id) }, { target_ids: { has: String(target_id) } }];
+    if (since || until) {
+      where.created_at = { ...(since && { gte: new Date(since) }), ...(until && { lte: new Date(until) }) };
+    }
+
+    const { take, skip } = paginate(req, { defaultLimit: 50, maxLimit: 500 });
+    try {
+      const [events, total] = await Promise.all([
+        prisma.auditEvent.findMany({ where, orderBy: { created_at: "desc" }, take, skip }),
+        prisma.auditEvent.count({ where }),
+      ]);
+      sendList(res, events, { total, take, skip });
+    } catch (err) {
+      fail(res, err, { context: "GET audit events" });
+    }
+  }
+);
+
+module.exports = router;
@@ -1,6 +1,6 @@
 const express = require('express');
 const router = express.Router();
-const { validationResult, body } = require('express-validator');
+const { validationResult, body, query } = require('express-validator');
 const axios = require('axios');
 const { handleError, checkDuplicateConcert } = require('./helpers');
 const { haversineKm, stringSimilarity, venueContains, deduplicateByCoords } = require('../../utils/concertDedup');
@@ -8,82 +8,117 @@ const { cleanLineupNames, cleanLineupJson, canonicalBandName } = require('../../
 
 const auth = require('../../auth/verifyJWT');
 const roleCheck = require('../../middlewares/roleCheck');
+const apiKeyOrRole = require('../../middlewares/apiKeyOrRole');
+const { wishlistAccessFor } = require('../../middlewares/wishlistAccess');
 const { rateLimiter } = require('../../utils/rateLimiter');
 const prisma = require('../../prisma/client');
 const { Prisma } = require('@prisma/client');
 const { setCache, getCache } = require('../../utils/cache');
+const { recordAudit } = require('../../utils/audit');
+const { logActivity } = require('../../utils/activityLog');
+const { enqueueJob } = require('../../utils/jobs/queue');
+const { fieldChanges, fieldProvenance, deletionChanges, actorOf, recordConcertRevision } = require('../../utils/concertHistory');
+const { ticketAlertsFor, deliverTicketAlerts } = require('../../utils/ticketAlerts');
+const { dispatch } = require('../../utils/notifications/dispatch');
+const { splitOutBandIds } = require('../../utils/concertMergeRules');
+const { atLeast } = require('../../utils/wishlistAccess');
 
-const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+// Defaults to 5 requests per 15 minutes per IP
+const ticketmasterURL = 'https://app.ticketmaster.com/discovery/v2/';
+const rateLimit = rateLimiter({
+  message:
+    'Too many requests to the Ticketmaster data route, please try again later.',
+});
 
-const MB_HEADERS = {
-  'User-Agent': `${process.env.APP_NAME || 'ConcertMap'}/1.0 (${process.env.APP_CONTACT || 'contact@example.com'})`,
-  'Accept': 'application/json',
-};
+// Thrown at the end of a dry run to roll its transaction back, carrying the
+// result that would have been committed.
+class DryRunRollback extends Error {
+  constructor(result) {
+    super('dry run');
+    this.result = result;
+  }
+}
+
+// After a bulk insert: SOLD_OUT activity and notifications for newly sold-out
+// concerts, then the on-sale and price-drop alerts. Run once the response is
+// sent.
+async function notifyBulkChanges({ newlySoldOut, ticketAlerts }) {
+  // Create SOLD_OUT activity logs for every wishlist that has a band at a newly sold-out concert
+  if (newlySoldOut.length > 0) {
+    for (const soldOut of newlySoldOut) {
+      try {
+        const refs = await prisma.concertBandReference.findMany({
+          where: { concert: soldOut.concertId },
+          select: {
+            band_rel: {
+              select: {
+                name: true,
+                wishlists: { select: { wishlist_id: true, wishlist_rel: { select: { user_id: true } } } },
+              },
+            },
+          },
+        });
 
-// Fetch Songkick + Bandsintown URLs from MusicBrainz URL relationships.
-// Uses MBID directly if known; otherwise searches by artist name first.
-async function findSourceUrls(bandName, mbid = null) {
-  let resolvedMbid = mbid;
+        const wishlistMap = new Map(); // wishlist_id -> Set of band names
+        const ownerMap = new Map(); // user_id -> Set of band names
+        for (const ref of refs) {
+          for (const wl of ref.band_rel.wishlists) {
+            if (!wishlistMap.has(wl.wishlist_id)) wishlistMap.set(wl.wishlist_id, new Set());
+            wishlistMap.get(wl.wishlist_id).add(ref.band_rel.name);
+            if (!ownerMap.has(wl.wishlist_rel.user_id)) ownerMap.set(wl.wishlist_rel.user_id, new Set());
+            ownerMap.get(wl.wishlist_rel.user_id).add(ref.band_rel.name);
+          }
+        }
 
-  if (!resolvedMbid) {
-    try {
-      const searchRes = await axios.get('https://musicbrainz.org/ws/2/artist/', {
-        params: { query: `artist:"${bandName}"`, limit: 1, fmt: 'json' },
-        headers: MB_HEADERS,
-        timeout: 10000,
-      });
-      resolvedMbid = searchRes.data?.artists?.[0]?.id ?? null;
-      if (resolvedMbid) {
-        console.log(`[findSourceUrls] MusicBrainz resolved "${bandName}" → ${resolvedMbid}`);
-      } else {
-        console.log(`[findSourceUrls] MusicBrainz found no artist for "${bandName}"`);
-        return [null, null];
+        await Promise.all([...wishlistMap.entries()].map(([wishlistId, bandNames]) =>
+          logActivity(wishlistId, 'SOLD_OUT', {
+            concert_name: soldOut.name,
+            city: soldOut.city,
+            country: soldOut.country,
+            concert_date: soldOut.concert_date,
+            band_names: [...bandNames],
+          })
+        ));
+
+        const where = [soldOut.city, soldOut.country].filter(Boolean).join(', ');
+        for (const [userId, bandNames] of ownerMap) {
+          await dispatch({
+            userId,
+            event: 'SOLD_OUT',
+            notification: {
+              title: `Sold out: ${soldOut.name ?? [...bandNames].join(', ')}`,
+              message: `${[...bandNames].join(', ')}${soldOut.concert_date ? ` — ${new Date(soldOut.concert_date).toDateString()}` : ''}${where ? ` in ${where}` : ''}`,
+              data: { concert_id: soldOut.concertId, band_names: [...bandNames] },
+            },
+          }).catch((e) => console.error(`[SoldOut] Failed to notify user ${userId}:`, e.message));
+        }
+      } catch (e) {
+        console.error('[SoldOut] Failed to create activity log:', e.message);
       }
-    } catch (e) {
-      console.error(`[findSourceUrls] MusicBrainz search failed for "${bandName}":`, e.message);
-      return [null, null];
     }
-    await sleep(1100); // MusicBrainz rate limit: 1 req/sec
   }
 
-  try {
-    const relRes = await axios.get(`https://musicbrainz.org/ws/2/artist/${resolvedMbid}`, {
-      params: { inc: 'url-rels', fmt: 'json' },
-      headers: MB_HEADERS,
-      timeout: 10000,
-    });
-    const relations = relRes.data?.relations ?? [];
-    let songkickUrl = null;
-    let bandsintownUrl = null;
-    for (const rel of relations) {
-      const url = rel.url?.resource;
-      if (!url) continue;
-      if (!songkickUrl && url.includes('songkick.com')) songkickUrl = url.split('?')[0].replace(/\/$/, '');
-      if (!bandsintownUrl && url.includes('bandsintown.com')) bandsintownUrl = url.split('?')[0].replace(/\/$/, '');
-    }
-    console.log(`[findSourceUrls] ${bandName} → songkick: ${songkickUrl}, bandsintown: ${bandsintownUrl}`);
-    return [songkickUrl, bandsintownUrl];
-  } catch (e) {
-    console.error(`[findSourceUrls] MusicBrainz URL relations failed for "${bandName}" (${resolvedMbid}):`, e.message);
-    return [null, null];
+  // On-sale and price-drop alerts for wishlists with a band at the concert
+  if (ticketAlerts.length > 0) {
+    await deliverTicketAlerts(ticketAlerts);
   }
 }
 
-// Defaults to 5 requests per 15 minutes per IP
-const ticketmasterURL = 'https://app.ticketmaster.com/discovery/v2/';
-const rateLimit = rateLimiter({
-  message:
-    'Too many requests to the Ticketmaster data route, please try again later.',
-});
-
-// Bulk insert concerts with deduplication
+// Bulk insert concerts with deduplication.
+//
+// ?dry_run=true runs exactly the same inserts, merges and links, then rolls
+// them back and returns what would have happened — for trying a scraper change
+// against real data. Every duplicate and update says which rule matched it:
+// 'event_id', or one of the rules in checkDuplicateConcert ('manual_merge' for
+// an admin's merge rule); entries collapsed within the request itself are
+// listed under droppedInRequest as 'coords'.
 router.post(
   '/bulk',
-  auth,
-  roleCheck(['ADMIN', 'SYSTEM']),
+  apiKeyOrRole('concerts:bulk', ['ADMIN', 'SYSTEM']),
   body('concerts')
     .isArray({ min: 1 })
     .withMessage('concerts must be a non-empty array'),
+  query('dry_run').optional().isBoolean().withMessage('dry_run must be true or false'),
   async (req, res) => {
     try {
       const errors = validationResult(req);
@@ -92,14 +127,21 @@ router.post(
       }
       
       const { concerts } = req.body;
+      const dryRun = req.query.dry_run === 'true';
 
       const deduplicatedConcerts = deduplicateByCoords(concerts);
+      const kept = new Set(deduplicatedConcerts);
+      const droppedInRequest = concerts
+        .map((concert, inputIndex) => ({ concert, inputIndex }))
+        .filter(({ concert }) => !kept.has(concert))
+        .map(({ concert, inputIndex }) => ({ inputIndex, rule: 'coords', event_id: concert.event_id ?? null, name: concert.name ?? null }));
 
-      const result = await prisma.$transaction(async (tx) => {
+      const run = async (tx) => {
         const insertedConcerts = [];
         const updatedConcerts = [];
         const duplicateConcerts = [];
         const newlySoldOut = [];
+        const ticketAlerts = [];
         const errors = [];
 
         // Every band once, keyed by canonical name, so a lineup entry is matched
@@ -125,6 +167,9 @@ router.post(
           }
         };
 
+        // Admins' manual merges and splits, which override the automatic rules.
+        const mergeRules = await tx.concertMergeRule.findMany();
+
         // Must be sequential — each insert affects subsequent duplicate checks within the tx
         for (const [i, concert] of deduplicatedConcerts.entries()) {
           if (!concert.country || !concert.venue || !concert.city) {
@@ -167,6 +212,11 @@ router.post(
                   if (!validSet.has(id)) { validSet.add(id); validIds.push(id); }
                 }
 
+                // Bands an admin split out of this concert stay out, however
+                // much of the festival's lineup the source sends again
+                const splitOut = splitOutBandIds(mergeRules, existingByEventId.id);
+                validIds = validIds.filter((id) => !splitOut.has(id));
+
                 const existingRefs = await tx.concertBandReference.findMany({
                   where: { concert: existingByEventId.id, band: { in: validIds } },
                   select: { band: true },
@@ -191,6 +241,8 @@ router.post(
                 if (concert.sold_out !== undefined) concertFieldUpdate.sold_out = concert.sold_out ?? false;
 
                 const becameSoldOut = concert.sold_out === true && !existingByEventId.sold_out;
+                // A concert that just sold out has no on-sale or price news worth sending.
+                const alerts = becameSoldOut ? [] : ticketAlertsFor(existingByEventId, concertFieldUpdate);
 
                 if (toLink.length > 0 || Object.keys(concertFieldUpdate).length > 0) {
                   await Promise.all([
@@ -202,8 +254,18 @@ router.post(
                       data: concertFieldUpdate,
                     }),
                   ].filter(Boolean));
+                  await recordConcertRevision(tx, {
+                    concertId: existingByEventId.id,
+                    action: 'update',
+                    source: concert.source,
+                    rule: 'event_id',
+                    changes: fieldChanges(existingByEventId, concertFieldUpdate),
+                    bandIds: toLink,
+                    actor: actorOf(req),
+                  });
                   updatedConcerts.push({
                     index: i,
+                    rule: 'event_id',
                     concertId: existingByEventId.id,
                     event_id: concert.event_id,
                     bandsAdded: toLink.length,
@@ -219,9 +281,13 @@ router.post(
                       concert_date: existingByEventId.concert_date,
                     });
                   }
+                  for (const alert of alerts) {
+                    ticketAlerts.push({ ...alert, concertId: existingByEventId.id });
+                  }
                 } else {
                   duplicateConcerts.push({
                     index: i,
+                    rule: 'event_id',
                     reason: 'event_id already exists',
                     concertId: existingByEventId.id,
                     event_id: concert.event_id,
@@ -245,17 +311,33 @@ router.post(
             );
             const bandIds = dbBands.filter(Boolean).map((b) => b.id);
 
-            const { isDuplicate, existingConcert } = await checkDuplicateConcert({ concert, bandIds, tx });
+            const { isDuplicate, existingConcert, rule, mergeUpdate, linkedBands } = await checkDuplicateConcert({ concert, bandIds, tx, rules: mergeRules });
 
             if (isDuplicate) {
+              await recordConcertRevision(tx, {
+                concertId: existingConcert.id,
+                action: 'merge',
+                source: concert.source,
+                rule,
+                changes: fieldChanges(existingConcert, mergeUpdate),
+                bandIds: linkedBands,
+                actor: actorOf(req),
+              });
               duplicateConcerts.push({
                 index: i,
-                reason: concert.festival ? 'festival duplicate (merged bands)' : 'duplicate concert_date + venue + band combination',
+                rule,
+                reason: rule === 'manual_merge'
+                  ? 'merged into this concert by an admin'
+                  : concert.festival ? 'festival duplicate (merged bands)' : 'duplicate concert_date + venue + band combination',
                 concertId: existingConcert.id,
                 event_id: existingConcert.event_id || '',
                 name: existingConcert.name,
                 bandCount: existingConcert.bands.length,
               });
+              // The merge can put the existing concert on sale
+              for (const alert of mergeUpdate ? ticketAlertsFor(existingConcert, mergeUpdate) : []) {
+                ticketAlerts.push({ ...alert, concertId: existingConcert.id });
+              }
               continue;
             }
 
@@ -320,6 +402,15 @@ router.post(
               });
             }
 
+            await recordConcertRevision(tx, {
+              concertId: newConcert.id,
+              action: 'create',
+              source: newConcert.source,
+              changes: fieldChanges(null, newConcert),
+              bandIds: [...bandIds, ...extraIds],
+              actor: actorOf(req),
+            });
+
             insertedConcerts.push({
               index: i,
               concertId: newConcert.id,
@@ -336,67 +427,52 @@ router.post(
           }
         }
 
+        if (!dryRun && (insertedConcerts.length > 0 || updatedConcerts.length > 0)) {
+          await recordAudit(req, {
+            action: 'concert.bulk',
+            targetType: 'Concert',
+            targetIds: [...insertedConcerts, ...updatedConcerts].map((c) => c.concertId),
+            after: { inserted: insertedConcerts.length, updated: updatedConcerts.length },
+          }, tx);
+        }
+
         return {
           inserted: insertedConcerts.length,
           updated: updatedConcerts.length,
           duplicates: duplicateConcerts.length,
           errors: errors.length,
           newlySoldOut,
+          ticketAlerts,
           details: {
             insertedConcerts,
             updatedConcerts,
             duplicateConcerts,
+            droppedInRequest,
             errors,
           },
         };
-      }, { timeout: 60000 });
-
-      // Create SOLD_OUT activity logs for every wishlist that has a band at a newly sold-out concert
-      if (result.newlySoldOut.length > 0) {
-        for (const soldOut of result.newlySoldOut) {
-          try {
-            const refs = await prisma.concertBandReference.findMany({
-              where: { concert: soldOut.concertId },
-              select: {
-                band_rel: {
-                  select: {
-                    name: true,
-                    wishlists: { select: { wishlist_id: true } },
-                  },
-                },
-              },
-            });
-
-            const wishlistMap = new Map(); // wishlist_id -> Set of band names
-            for (const ref of refs) {
-              for (const wl of ref.band_rel.wishlists) {
-                if (!wishlistMap.has(wl.wishlist_id)) wishlistMap.set(wl.wishlist_id, new Set());
-                wishlistMap.get(wl.wishlist_id).add(ref.band_rel.name);
-              }
-            }
+      };
 
-            await Promise.all([...wishlistMap.entries()].map(([wishlistId, bandNames]) =>
-              prisma.activityLog.create({
-                data: {
-                  wishlist_id: wishlistId,
-                  type: 'SOLD_OUT',
-                  data: JSON.stringify({
-                    concert_name: soldOut.name,
-                    city: soldOut.city,
-                    country: soldOut.country,
-                    concert_date: soldOut.concert_date,
-                    band_names: [...bandNames],
-                  }),
-                },
-              })
-            ));
-          } catch (e) {
-            console.error('[SoldOut] Failed to create activity log:', e.message);
-          }
-        }
+      let result;
+      try {
+        result = await prisma.$transaction(async (tx) => {
+          const outcome = await run(tx);
+          if (dryRun) throw new DryRunRollback(outcome);
+          return outcome;
+        }, { timeout: 60000 });
+      } catch (error) {
+        if (!(error instanceof DryRunRollback)) throw error;
+        // concertId on an insert is the id the row had inside the rolled-back
+        // transaction; no such concert exists.
+        return res.status(200).json({ dryRun: true, ...error.result });
       }
 
       res.status(200).json(result);
+
+      // Notifications can wait on slow webhooks; the caller does not
+      notifyBulkChanges(result).catch((e) =>
+        console.error('[Bulk] Notifying wishlist owners failed:', e.message)
+      );
     } catch (error) {
       console.error('Error bulk inserting concerts:', error);
       res.status(500).json({ error: 'Internal server error', details: error.message });
@@ -528,8 +604,7 @@ router.get('/bands', async (req, res) => {
 router.post(
   '/bands/:bandId/sync-concerts',
   rateLimit,
-  auth,
-  roleCheck(['ADMIN', 'SYSTEM']),
+  apiKeyOrRole('concerts:sync', ['ADMIN', 'SYSTEM']),
   async (req, res) => {
     const { bandId } = req.params;
     try {
@@ -547,27 +622,16 @@ router.post(
         return res.status(400).json({ error: 'No Songkick or Bandsintown URL set for this band' });
       }
 
-      // Call the Python service to sync concerts for this band
-      const pythonServiceUrl = process.env.PYTHON_SERVICE_URL;
-      const syncResponse = await axios.post(
-        `${pythonServiceUrl}/sync/${band.id}`,
-        { songkick_url: band.songkick_url ?? null, bandsintown_url: band.bandsintown_url ?? null, ticketmaster_id: band.ticketmaster_id ?? null, band_name: band.name },
-      );
-
-      res.status(200).json({
-        status: 'success',
-        message: 'Band concerts synced successfully',
+      const job = await enqueueJob('band.sync', { bandId: band.id });
+      res.status(202).json({
+        status: 'queued',
+        message: 'Band sync queued',
         bandId: band.id,
-        syncDetails: syncResponse.data,
+        job,
       });
     } catch (error) {
-      if (error.response?.status === 404) {
-        return res.status(404).json({ error: 'Band or sync endpoint not found' });
-      } else if (error.response?.status === 429) {
-        return res.status(429).json({ error: 'Too many requests, please try again later.' });
-      }
-      console.error('Error syncing concerts:', error.message);
-      res.status(500).json({ error: error.message || 'Internal server error' });
+      console.error('Error queueing band sync:', error);
+      res.status(500).json({ error: 'Internal server error' });
     }
   },
 );
@@ -581,8 +645,7 @@ router.post(
 // and is deleted.
 router.post(
   '/bands/:bandId/reconcile',
-  auth,
-  roleCheck(['ADMIN', 'SYSTEM']),
+  apiKeyOrRole('concerts:reconcile', ['ADMIN', 'SYSTEM']),
   async (req, res) => {
     const bandId = parseInt(req.params.bandId, 10);
     if (Number.isNaN(bandId)) return res.status(400).json({ error: 'Invalid band id' });
@@ -670,15 +733,27 @@ router.post(
     // valid for them; any concert left with no bands after unlinking is an orphan.
     await prisma.$transaction(async (tx) => {
       await tx.concertBandReference.deleteMany({ where: { concert: { in: staleIds }, band: bandId } });
+      for (const concertId of staleIds) {
+        await recordConcertRevision(tx, { concertId, action: 'unlink_band', source: 'reconcile', bandIds: [bandId], actor: actorOf(req) });
+      }
       const orphans = await tx.concert.findMany({
         where: { id: { in: staleIds }, bands: { none: {} } },
-        select: { id: true },
       });
-      if (orphans.length > 0) {
-        const orphanIds = orphans.map((c) => c.id);
+      const orphanIds = orphans.map((c) => c.id);
+      for (const orphan of orphans) {
+        await recordConcertRevision(tx, { concertId: orphan.id, action: 'delete', source: 'reconcile', changes: deletionChanges(orphan), actor: actorOf(req) });
+      }
+      if (orphanIds.length > 0) {
         await tx.concertAttendance.deleteMany({ where: { concert_id: { in: orphanIds } } });
         await tx.concert.deleteMany({ where: { id: { in: orphanIds } } });
       }
+      await recordAudit(req, {
+        action: 'band.reconcile',
+        targetType: 'Band',
+        targetId: bandId,
+        targetIds: staleIds,
+        after: { unlinked_concert_ids: staleIds, deleted_concert_ids: orphanIds },
+      }, tx);
     });
 
     const resyncBands = [...resyncBandMap.values()].map((b) => ({
@@ -728,6 +803,10 @@ router.post(
         });
       }
 
+      if (wishlistId && !(await canEditWishlist(wishlistId, req.user.id))) {
+        return res.status(403).json({ error: 'You cannot add bands to that wishlist' });
+      }
+
       const bandName = name ? name.trim() : null;
       const ticketmasterId = ticketmaster_id ? ticketmaster_id.trim() : null;
 
@@ -835,7 +914,14 @@ router.post(
         });
       }
 
-      // Respond immediately — sync happens in the background after URL discovery
+      // URL discovery and the sync run as one job, so the sync has all three
+      // sources and a failure is retried rather than lost.
+      const job = await enqueueJob('band.sync', {
+        bandId: newBand.id,
+        payload: { discover_urls: true },
+        requestedBy: req.user.id,
+      });
+
       res.status(201).json({
         status: 'success',
         band: {
@@ -844,30 +930,8 @@ router.post(
           ticketmaster_id: newBand.ticketmaster_id,
           mbid: newBand.MBID,
         },
-        sync: { status: 'queued' },
+        sync: { status: 'queued', job_id: job.id },
       });
-
-      // Discover Songkick + Bandsintown URLs, save them, THEN trigger sync so all
-      // three sources are available in one pass — avoids the race where sync fires
-      // before URLs are known.
-      findSourceUrls(newBand.name, mbid).then(async ([songkickUrl, bandsintownUrl]) => {
-        console.log(`[findSourceUrl] ${newBand.name} → songkick: ${songkickUrl}, bandsintown: ${bandsintownUrl}`);
-        if (songkickUrl || bandsintownUrl) {
-          await prisma.band.update({
-            where: { id: newBand.id },
-            data: {
-              ...(songkickUrl    && { songkick_url:    songkickUrl }),
-              ...(bandsintownUrl && { bandsintown_url: bandsintownUrl }),
-            },
-          }).catch((e) => console.error(`[findSourceUrl] DB update failed for ${newBand.name}:`, e.message));
-        }
-        const pythonServiceUrl = process.env.PYTHON_SERVICE_URL;
-        await axios.post(
-          `${pythonServiceUrl}/sync/${newBand.id}`,
-          { songkick_url: songkickUrl || null, bandsintown_url: bandsintownUrl || null, ticketmaster_id: resolvedTicketmasterId, band_name: newBand.name },
-        );
-        console.log(`[findSourceUrl] Sync queued for ${newBand.name}`);
-      }).catch((e) => console.error(`[findSourceUrl] Background sync failed for ${newBand.name}:`, e.message));
     } catch (error) {
       console.error('Error creating band:', error);
       res.status(500).json({ error: 'Internal server error' });
@@ -875,6 +939,15 @@ router.post(
   },
 );
 
+// Adding a band to a wishlist by id needs the right to change that wishlist:
+// its owner, or someone it is shared with as an editor.
+async function canEditWishlist(wishlistId, userId) {
+  const id = parseInt(wishlistId, 10);
+  if (Number.isNaN(id)) return false;
+  const { level } = await wishlistAccessFor(id, userId);
+  return atLeast(level, 'EDITOR');
+}
+
 // POST /bands/quick-add
 // Minimal band creation from known name + MBID (e.g. from Setlist.fm).
 // Does not do Ticketmaster lookup — adds straight to DB and optionally to a wishlist.
@@ -888,6 +961,10 @@ router.post('/bands/quick-add', auth, async (req, res) => {
     const validTiers = ['LOVE', 'LIKE', 'FOLLOW'];
     const resolvedTier = validTiers.includes(tier) ? tier : 'FOLLOW';
 
+    if (wishlistId && !(await canEditWishlist(wishlistId, req.user.id))) {
+      return res.status(403).json({ error: 'You cannot add bands to that wishlist' });
+    }
+
     // Check for existing band by MBID or name
     const existing = await prisma.band.findFirst({
       where: mbid ? { MBID: mbid } : { name: name.trim() },
@@ -1065,23 +1142,8 @@ router.post(
     const band = await prisma.band.findUnique({ where: { id: bandId }, select: { name: true, MBID: true } });
     if (!band) return res.status(404).json({ error: 'Band not found' });
 
-    // Respond immediately — URL discovery runs in the background
-    res.json({ status: 'searching', message: `Looking up URLs for ${band.name} in the background` });
-
-    findSourceUrls(band.name, band.MBID).then(([songkickUrl, bandsintownUrl]) => {
-      if (!songkickUrl)    console.warn(`\n⚠️  [refresh-urls] WARNING: No Songkick URL found for "${band.name}" (MBID: ${band.MBID ?? 'none'})\n`);
-      if (!bandsintownUrl) console.warn(`\n⚠️  [refresh-urls] WARNING: No Bandsintown URL found for "${band.name}" (MBID: ${band.MBID ?? 'none'})\n`);
-      console.log(`[refresh-urls] ${band.name} → songkick: ${songkickUrl}, bandsintown: ${bandsintownUrl}`);
-      if (songkickUrl || bandsintownUrl) {
-        prisma.band.update({
-          where: { id: bandId },
-          data: {
-            ...(songkickUrl    && { songkick_url:    songkickUrl }),
-            ...(bandsintownUrl && { bandsintown_url: bandsintownUrl }),
-          },
-        }).catch((e) => console.error(`[refresh-urls] DB update failed for ${band.name}:`, e.message));
-      }
-    }).catch(() => {});
+    const job = await enqueueJob('band.refresh_urls', { bandId });
+    res.status(202).json({ status: 'queued', job_id: job.id, message: `Looking up URLs for ${band.name} in the background` });
   },
 );
 
@@ -1123,10 +1185,12 @@ router.patch(
       const data = {};
       if (songkick_url !== undefined)    data.songkick_url    = songkick_url    ? songkick_url.split('?')[0]    || null : null;
       if (bandsintown_url !== undefined) data.bandsintown_url = bandsintown_url ? bandsintown_url.split('?')[0] || null : null;
-      const updated = await prisma.band.update({
-        where: { id: bandId },
-        data,
-        select: { id: true, name: true, songkick_url: true, bandsintown_url: true },
+      const select = { id: true, name: true, songkick_url: true, bandsintown_url: true };
+      const updated = await prisma.$transaction(async (tx) => {
+        const before = await tx.band.findUnique({ where: { id: bandId }, select });
+        const after = await tx.band.update({ where: { id: bandId }, data, select });
+        await recordAudit(req, { action: 'band.update', targetType: 'Band', targetId: bandId, before, after }, tx);
+        return after;
       });
       res.json(updated);
     } catch (error) {
@@ -1175,6 +1239,10 @@ router.delete(
         // Delete the band itself
         await tx.band.delete({ where: { id: bandId } });
 
+        for (const concertId of concertIds) {
+          await recordConcertRevision(tx, { concertId, action: 'unlink_band', source: 'admin', bandIds: [bandId], actor: actorOf(req) });
+        }
+
         let orphanConcertIds = [];
         if (concertIds.length) {
           // Find concerts that now have zero bands
@@ -1183,8 +1251,10 @@ router.delete(
               id: { in: concertIds },
               bands: { none: {} },
             },
-            select: { id: true },
           });
+          for (const orphan of orphans) {
+            await recordConcertRevision(tx, { concertId: orphan.id, action: 'delete', source: 'admin', changes: deletionChanges(orphan), actor: actorOf(req) });
+          }
           orphanConcertIds = orphans.map((c) => c.id);
           if (orphanConcertIds.length) {
             await tx.concertAttendance.deleteMany({ where: { concert_id: { in: orphanConcertIds } } });
@@ -1192,6 +1262,15 @@ router.delete(
           }
         }
 
+        const { concerts: _refs, ...row } = band;
+        await recordAudit(req, {
+          action: 'band.delete',
+          targetType: 'Band',
+          targetId: bandId,
+          targetIds: orphanConcertIds,
+          before: row,
+        }, tx);
+
         return {
           deletedBandId: bandId,
           removedWishlistReferences: wishlistRefsDeleted.count,
@@ -1271,43 +1350,29 @@ router.get('/bands/ticketmaster-search', async (req, res) => {
   }
 });
 
-router.post('/bands/sync-all', auth, roleCheck(['ADMIN']), async (_req, res) => {
+// The full syncs below used to hold the request open for as long as the Python
+// service took. They are queued now; poll GET /jobs/:id for the outcome.
+const queueFullSync = (type) => async (_req, res) => {
   try {
-    const pythonServiceUrl = process.env.PYTHON_SERVICE_URL;
-    const syncResponse = await axios.post(`${pythonServiceUrl}/trigger`);
-    res.status(200).json({ status: 'success', ...syncResponse.data });
+    const job = await enqueueJob(type);
+    res.status(202).json({ status: 'queued', job });
   } catch (error) {
-    console.error('Error triggering full sync:', error.message);
-    res.status(500).json({ error: error.message || 'Internal server error' });
+    console.error(`Error queueing ${type}:`, error);
+    res.status(500).json({ error: 'Internal server error' });
   }
-});
+};
 
-// POST /sync-weather — proxy to Python weather sync (ADMIN only)
-router.post('/sync-weather', auth, roleCheck(['ADMIN']), async (_req, res) => {
-  try {
-    const pythonServiceUrl = process.env.PYTHON_SERVICE_URL;
-    await axios.post(`${pythonServiceUrl}/sync-weather`, {}, { timeout: 300000 });
-    res.status(200).json({ status: 'success' });
-  } catch (error) {
-    console.error('Error triggering weather sync:', error.message);
-    res.status(500).json({ error: error.message || 'Internal server error' });
-  }
-});
+// POST /bands/sync-all — Python full concert sync (ADMIN only)
+router.post('/bands/sync-all', auth, roleCheck(['ADMIN']), queueFullSync('concerts.sync_all'));
 
-// POST /bands/sync-setlists — proxy to Python setlist sync (ADMIN only)
-router.post('/bands/sync-setlists', auth, roleCheck(['ADMIN']), async (_req, res) => {
-  try {
-    const pythonServiceUrl = process.env.PYTHON_SERVICE_URL;
-    await axios.post(`${pythonServiceUrl}/sync-setlists`, {}, { timeout: 300000 });
-    res.status(200).json({ status: 'success' });
-  } catch (error) {
-    console.error('Error triggering setlist sync:', error.message);
-    res.status(500).json({ error: error.message || 'Internal server error' });
-  }
-});
+// POST /sync-weather — Python weather sync (ADMIN only)
+router.post('/sync-weather', auth, roleCheck(['ADMIN']), queueFullSync('weather.sync'));
+
+// POST /bands/sync-setlists — Python setlist sync (ADMIN only)
+router.post('/bands/sync-setlists', auth, roleCheck(['ADMIN']), queueFullSync('setlists.sync'));
 
 // GET /bandsintown/enrich-pending — future BIT concerts with numeric event IDs that can be enriched
-router.get('/bandsintown/enrich-pending', auth, roleCheck(['ADMIN', 'SYSTEM']), async (_req, res) => {
+router.get('/bandsintown/enrich-pending', apiKeyOrRole('concerts:enrich', ['ADMIN', 'SYSTEM']), async (_req, res) => {
   try {
     const concerts = await prisma.concert.findMany({
       where: {
@@ -1327,7 +1392,7 @@ router.get('/bandsintown/enrich-pending', auth, roleCheck(['ADMIN', 'SYSTEM']),
 });
 
 // GET /weather-pending — future concerts with coordinates but no weather data yet (SYSTEM only)
-router.get('/weather-pending', auth, roleCheck(['SYSTEM']), async (_req, res) => {
+router.get('/weather-pending', apiKeyOrRole('weather:read', ['SYSTEM']), async (_req, res) => {
   try {
     const in16Days = new Date(Date.now() + 16 * 24 * 60 * 60 * 1000);
     const concerts = await prisma.concert.findMany({
@@ -1351,7 +1416,7 @@ router.get('/weather-pending', auth, roleCheck(['SYSTEM']), async (_req, res) =>
 
 // GET /bands/setlist-pending — bands with no setlist or stale setlist (> 3 days)
 // ?force=true returns all bands regardless of when they were last updated (SYSTEM only)
-router.get('/bands/setlist-pending', auth, roleCheck(['SYSTEM']), async (req, res) => {
+router.get('/bands/setlist-pending', apiKeyOrRole('setlists:read', ['SYSTEM']), async (req, res) => {
   try {
     const force = req.query.force === 'true';
     const threeDaysAgo = new Date(Date.now() - 3 * 24 * 60 * 60 * 1000);
@@ -1373,7 +1438,7 @@ router.get('/bands/setlist-pending', auth, roleCheck(['SYSTEM']), async (req, re
 });
 
 // PATCH /bands/setlists/bulk — store fetched setlists for multiple bands (SYSTEM only)
-router.patch('/bands/setlists/bulk', auth, roleCheck(['SYSTEM']), async (req, res) => {
+router.patch('/bands/setlists/bulk', apiKeyOrRole('setlists:write', ['SYSTEM']), async (req, res) => {
   try {
     const updates = req.body; // [{ id, setlist }]
     if (!Array.isArray(updates) || updates.length === 0) {
@@ -1387,6 +1452,12 @@ router.patch('/bands/setlists/bulk', auth, roleCheck(['SYSTEM']), async (req, re
         })
       )
     );
+    await recordAudit(req, {
+      action: 'band.setlists_bulk',
+      targetType: 'Band',
+      targetIds: updates.map(({ id }) => id),
+      after: { updated: updates.length },
+    });
     res.json({ ok: true, updated: updates.length });
   } catch (error) {
     console.error('[setlists/bulk] Error:', error);
@@ -1399,20 +1470,40 @@ router.delete('/concerts/:concertId', auth, roleCheck(['ADMIN']), async (req, re
   const concertId = parseInt(req.params.concertId, 10);
   if (Number.isNaN(concertId)) return res.status(400).json({ error: 'Invalid concert id' });
 
-  const concert = await prisma.concert.findUnique({ where: { id: concertId } });
+  const concert = await prisma.concert.findUnique({
+    where: { id: concertId },
+    include: { bands: { select: { band: true } } },
+  });
   if (!concert) return res.status(404).json({ error: 'Concert not found' });
 
-  await prisma.$transaction([
-    prisma.concertBandReference.deleteMany({ where: { concert: concertId } }),
-    prisma.concertAttendance.deleteMany({ where: { concert_id: concertId } }),
-    prisma.concert.delete({ where: { id: concertId } }),
-  ]);
+  // The row goes into the audit event whole, band links included, so a
+  // mistaken delete can be put back by hand.
+  const { bands, ...row } = concert;
+  await prisma.$transaction(async (tx) => {
+    await tx.concertBandReference.deleteMany({ where: { concert: concertId } });
+    await tx.concertAttendance.deleteMany({ where: { concert_id: concertId } });
+    await tx.concert.delete({ where: { id: concertId } });
+    await recordConcertRevision(tx, {
+      concertId,
+      action: 'delete',
+      source: 'admin',
+      changes: deletionChanges(row),
+      bandIds: bands.map((b) => b.band),
+      actor: actorOf(req),
+    });
+    await recordAudit(req, {
+      action: 'concert.delete',
+      targetType: 'Concert',
+      targetId: concertId,
+      before: { ...row, band_ids: bands.map((b) => b.band) },
+    }, tx);
+  });
 
   res.json({ deleted: concertId });
 });
 
 // POST /:concertId/enrich-lineup — match scraped artist names to known bands, link missing ones
-router.post('/:concertId/enrich-lineup', auth, roleCheck(['ADMIN', 'SYSTEM']), async (req, res) => {
+router.post('/:concertId/enrich-lineup', apiKeyOrRole('concerts:enrich', ['ADMIN', 'SYSTEM']), async (req, res) => {
   const concertId = parseInt(req.params.concertId, 10);
   const { band_names, event_name } = req.body;
 
@@ -1421,23 +1512,19 @@ router.post('/:concertId/enrich-lineup', auth, roleCheck(['ADMIN', 'SYSTEM']), a
   }
 
   try {
-    const [allBands, existing] = await Promise.all([
+    const [allBands, existing, splitRules] = await Promise.all([
       prisma.band.findMany({ select: { id: true, name: true } }),
       prisma.concertBandReference.findMany({
         where: { concert: concertId },
         select: { band: true },
       }),
+      prisma.concertMergeRule.findMany({ where: { kind: 'SPLIT', concert_id: concertId } }),
     ]);
 
     const existingIds = new Set(existing.map((r) => r.band));
     const toLink = [];
     const matches = [];
 
-    // The enricher posts link text straight off the event page, so a name can
-    // arrive as "Counterparts266K Followers" — clean before matching and before
-    // storing, or a support act on the wishlist stays an unlinked string.
-    const lineup = cleanLineupNames(band_names);
-
     // Matched on the canonical form rather than a similarity score. The score
     // this replaced put "Alestorm" on "Halestorm" at 0.93 and "Nothing" on
     // "Nothing More" at 0.75 — close enough to link, different enough to put a
@@ -1448,6 +1535,15 @@ router.post('/:concertId/enrich-lineup', auth, roleCheck(['ADMIN', 'SYSTEM']), a
       if (key && !bandsByCanonical.has(key)) bandsByCanonical.set(key, band);
     }
 
+    // The enricher posts link text straight off the event page, so a name can
+    // arrive as "Counterparts266K Followers" — clean before matching and before
+    // storing, or a support act on the wishlist stays an unlinked string. A
+    // festival's page lists the days an admin split out too; those bands are
+    // neither linked nor put back in the lineup.
+    const splitOut = splitOutBandIds(splitRules, concertId);
+    const lineup = cleanLineupNames(band_names)
+      .filter((name) => !splitOut.has(bandsByCanonical.get(canonicalBandName(name))?.id));
+
     for (const name of lineup) {
       const match = bandsByCanonical.get(canonicalBandName(name));
       if (match && !existingIds.has(match.id)) {
@@ -1464,9 +1560,9 @@ router.post('/:concertId/enrich-lineup', auth, roleCheck(['ADMIN', 'SYSTEM']), a
     // write "[]" over whatever the JSON-LD scrape had already found.
     const concertUpdate = {};
     if (lineup.length > 0) concertUpdate.metadata = JSON.stringify(lineup);
+    const current = await prisma.concert.findUnique({ where: { id: concertId }, select: { name: true, metadata: true, source: true } });
     if (event_name) {
-      const existing = await prisma.concert.findUnique({ where: { id: concertId }, select: { name: true } });
-      const currentName = existing?.name || '';
+      const currentName = current?.name || '';
       // Apply the scraped name if the concert has no name or only a "Band @ Venue" fallback
       if (!currentName || currentName.includes(' @ ') || currentName.includes(' at ')) {
         concertUpdate.name = event_name;
@@ -1484,6 +1580,24 @@ router.post('/:concertId/enrich-lineup', auth, roleCheck(['ADMIN', 'SYSTEM']), a
       }),
     ].filter(Boolean));
 
+    if (toLink.length > 0 || Object.keys(concertUpdate).length > 0) {
+      // The enricher reads the concert's own event page, so its changes are
+      // credited to the concert's source.
+      await recordConcertRevision(prisma, {
+        concertId,
+        action: 'update',
+        source: current?.source ?? 'enrich-lineup',
+        changes: fieldChanges(current, concertUpdate),
+        bandIds: toLink,
+        actor: actorOf(req),
+      });
+      await recordAudit(req, {
+        action: 'concert.enrich_lineup',
+        targetType: 'Concert',
+        targetId: concertId,
+        after: { linked_band_ids: toLink, ...concertUpdate },
+      });
+    }
     res.json({ linked: toLink.length, matches });
   } catch (error) {
     console.error(`[enrich-lineup] Error for concert ${concertId}:`, error);
@@ -1491,6 +1605,27 @@ router.post('/:concertId/enrich-lineup', auth, roleCheck(['ADMIN', 'SYSTEM']), a
   }
 });
 
+// GET /:concertId/history — every recorded write to a concert, newest first,
+// and which source last set each field. Works for a deleted concert too: the
+// history is kept, and says who deleted it.
+router.get('/:concertId/history', auth, roleCheck(['ADMIN']), async (req, res) => {
+  const concertId = parseInt(req.params.concertId, 10);
+  if (Number.isNaN(concertId)) return res.status(400).json({ error: 'Invalid concert id' });
+
+  try {
+    const [concert, revisions] = await Promise.all([
+      prisma.concert.findUnique({ where: { id: concertId }, select: { id: true } }),
+      prisma.concertRevision.findMany({ where: { concert_id: concertId }, orderBy: [{ created_at: 'desc' }, { id: 'desc' }] }),
+    ]);
+    if (!concert && revisions.length === 0) return res.status(404).json({ error: 'Concert not found' });
+
+    res.json({ concert_id: concertId, deleted: !concert, provenance: fieldProvenance(revisions), revisions });
+  } catch (error) {
+    console.error(`[history] Error for concert ${concertId}:`, error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
 router.get('/bands/:bandId/setlist-history', auth, async (req, res) => {
   try {
     const bandId = parseInt(req.params.bandId, 10);
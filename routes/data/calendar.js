@@ -0,0 +1,200 @@
+const express = require("express");
+const router = express.Router();
+const crypto = require("crypto");
+const { query, validationResult } = require("express-validator");
+
+const auth = require("../../auth/verifyJWT");
+const roleCheck = require("../../middlewares/roleCheck");
+const prisma = require("../../prisma/client");
+const { deduplicateConcerts } = require("../../utils/concertDedup");
+const { buildCalendar, concertEvent, tripEvents } = require("../../utils/ical");
+
+// A private .ics feed per user: upcoming concerts for the bands on their
+// wishlist, the concerts they are going to, and their trips with the stops
+// from the last day plan. Calendar apps subscribe to the URL and poll it, so
+// the token in it is the only credential — see CalendarFeed in the schema.
+
+const TOKEN_PREFIX = "cal_";
+const TIERS = ["LOVE", "LIKE", "FOLLOW"];
+
+// Things that ended a little while ago stay in the calendar rather than
+// vanishing the morning after.
+const LOOKBACK_MS = 30 * 24 * 60 * 60 * 1000;
+
+const hashToken = (token) => crypto.createHash("sha256").update(token).digest("hex");
+
+const csv = (value) => (value ? String(value).split(",").map((s) => s.trim()).filter(Boolean) : []);
+
+// POST /calendar/token — create the feed URL, replacing any earlier one.
+// The URL is shown this once.
+router.post("/calendar/token", [auth, roleCheck(["ADMIN", "USER"])], async (req, res) => {
+  try {
+    const token = `${TOKEN_PREFIX}${crypto.randomBytes(32).toString("base64url")}`;
+    const data = { prefix: token.slice(0, TOKEN_PREFIX.length + 6), token_hash: hashToken(token), last_used_at: null, created_at: new Date() };
+    await prisma.calendarFeed.upsert({
+      where: { user_id: req.user.id },
+      create: { user_id: req.user.id, ...data },
+      update: data,
+    });
+    res.status(201).json({
+      token,
+      url: `${process.env.CALLBACK_URL}/data/concerts/calendar/feed.ics?token=${token}`,
+      prefix: data.prefix,
+    });
+  } catch (error) {
+    console.error("Error creating calendar feed token:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+// GET /calendar/token — whether a feed exists and when it was last fetched
+router.get("/calendar/token", [auth, roleCheck(["ADMIN", "USER"])], async (req, res) => {
+  try {
+    const feed = await prisma.calendarFeed.findUnique({
+      where: { user_id: req.user.id },
+      select: { prefix: true, last_used_at: true, created_at: true },
+    });
+    res.json(feed);
+  } catch (error) {
+    console.error("Error fetching calendar feed token:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+// DELETE /calendar/token — stop the feed; subscribed calendars stop updating
+router.delete("/calendar/token", [auth, roleCheck(["ADMIN", "USER"])], async (req, res) => {
+  try {
+    await prisma.calendarFeed.deleteMany({ where: { user_id: req.user.id } });
+    res.status(204).end();
+  } catch (error) {
+    console.error("Error deleting calendar feed token:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+// GET /calendar/feed.ics?token=… — the feed itself.
+//
+// ?tier=LOVE,LIKE      which wishlist tiers to include (default LOVE and LIKE)
+// ?countries=SE,NO     only wishlist concerts in these countries
+// ?reachable=train,car only wishlist concerts reachable this way
+//
+// The filters narrow the wishlist concerts only. A concert marked as going,
+// and a trip, is in the calendar whatever the filters say.
+router.get(
+  "/calendar/feed.ics",
+  [
+    query("token").isString().notEmpty(),
+    query("tier").optional().custom((value) => csv(value).every((t) => TIERS.includes(t)))
+      .withMessage(`tier must be a comma-separated list of ${TIERS.join(", ")}`),
+    query("countries").optional().isString(),
+    query("reachable").optional().isString(),
+  ],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) return res.status(400).json({ error: errors.array()[0].msg });
+
+    try {
+      // Unknown, replaced and disabled-account tokens all get the same 404,
+      // so a guessed URL learns nothing.
+      const feed = await prisma.calendarFeed.findUnique({
+        where: { token_hash: hashToken(req.query.token) },
+        select: { id: true, user_id: true, user_rel: { select: { disabled_at: true } } },
+      });
+      if (!feed || feed.user_rel.disabled_at) return res.status(404).json({ error: "Not found" });
+
+      const userId = feed.user_id;
+      const since = new Date(Date.now() - LOOKBACK_MS);
+      const tiers = req.query.tier ? csv(req.query.tier) : ["LOVE", "LIKE"];
+      const countries = csv(req.query.countries);
+      const reachable = csv(req.query.reachable);
+
+      const [wishlistBands, attendance, trips] = await Promise.all([
+        prisma.wishlistBandReference.findMany({
+          where: { wishlist_rel: { user_id: userId }, tier: { in: tiers } },
+          select: { band_id: true, band_rel: { select: { name: true } } },
+        }),
+        prisma.concertAttendance.findMany({
+          where: { wishlist_rel: { user_id: userId }, concert_rel: { concert_date: { gte: since } } },
+          select: { concert_id: true },
+        }),
+        prisma.trip.findMany({
+          where: { user_id: userId, start_date: { not: null }, OR: [{ end_date: { gte: since } }, { end_date: null, start_date: { gte: since } }] },
+          select: { id: true, name: true, destination: true, notes: true, start_date: true, end_date: true, plan_data: true },
+        }),
+      ]);
+
+      const bandNames = new Map(wishlistBands.map((ref) => [ref.band_id, ref.band_rel.name]));
+      const goingIds = new Set(attendance.map((a) => a.concert_id));
+
+      const concerts = await prisma.concert.findMany({
+        where: {
+          concert_date: { gte: since },
+          OR: [
+            { bands: { some: { band: { in: [...bandNames.keys()] } } } },
+            { id: { in: [...goingIds] } },
+          ],
+        },
+        select: {
+          id: true,
+          name: true,
+          venue: true,
+          city: true,
+          country: true,
+          concert_date: true,
+          url: true,
+          metadata: true,
+          festival: true,
+          sold_out: true,
+          price_min: true,
+          price_currency: true,
+          reachable: true,
+          city_rel: { select: { reachable: true } },
+          bands: { select: { band: true } },
+        },
+      });
+
+      const wanted = concerts
+        .filter((concert) => {
+          if (goingIds.has(concert.id)) return true;
+          if (countries.length > 0 && !countries.includes(concert.country)) return false;
+          if (reachable.length > 0 && !reachable.includes(concert.reachable ?? concert.city_rel?.reachable)) return false;
+          return true;
+        })
+        .map((concert) => {
+          const participating_bands = concert.bands
+            .filter((ref) => bandNames.has(ref.band))
+            .map((ref) => ({ id: ref.band, name: bandNames.get(ref.band) }));
+          return { ...concert, participating_bands };
+        });
+
+      // Merged the way GET /wishlists/:id merges them, so the calendar shows
+      // the same concerts as the wishlist page. A concert someone is going to
+      // is never merged away under another.
+      const going = wanted.filter((c) => goingIds.has(c.id));
+      const others = deduplicateConcerts(wanted.filter((c) => !goingIds.has(c.id)));
+
+      const places = await prisma.tripPlace.findMany({
+        where: { trip_id: { in: trips.map((t) => t.id) } },
+        select: { id: true, name: true },
+      });
+      const placeNames = new Map(places.map((p) => [p.id, p.name]));
+
+      const events = [
+        ...going.map((c) => concertEvent({ ...c, band_names: c.participating_bands.map((b) => b.name) }, { going: true })),
+        ...others.map((c) => concertEvent({ ...c, band_names: c.participating_bands.map((b) => b.name) })),
+        ...trips.flatMap((trip) => tripEvents(trip, placeNames)),
+      ];
+
+      await prisma.calendarFeed.update({ where: { id: feed.id }, data: { last_used_at: new Date() } });
+
+      res.set("Cache-Control", "private, max-age=900");
+      res.set("Content-Disposition", 'inline; filename="concerts.ics"');
+      res.type("text/calendar; charset=utf-8").send(buildCalendar({ name: "Concerts and trips", events }));
+    } catch (error) {
+      console.error("Error building calendar feed:", error);
+      res.status(500).json({ error: "Internal server error" });
+    }
+  }
+);
+
+module.exports = router;
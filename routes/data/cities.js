@@ -2,7 +2,8 @@ const express = require('express');
 const router = express.Router();
 const prisma = require('../../prisma/client');
 const auth = require('../../auth/verifyJWT');
-const roleCheck = require('../../middlewares/roleCheck');
+const apiKeyOrRole = require('../../middlewares/apiKeyOrRole');
+const { recordAudit } = require('../../utils/audit');
 
 // GET /data/cities — list all cities with concert count
 router.get('/', auth, async (req, res, next) => {
@@ -21,7 +22,7 @@ router.get('/', auth, async (req, res, next) => {
 
 // PATCH /data/cities/weather/bulk — update weather_monthly for multiple cities
 // Body: [{id, weather_monthly, weather_updated_at}]
-router.patch('/weather/bulk', auth, roleCheck(['SYSTEM']), async (req, res, next) => {
+router.patch('/weather/bulk', apiKeyOrRole('weather:write', ['SYSTEM']), async (req, res, next) => {
   try {
     const updates = req.body;
     if (!Array.isArray(updates) || updates.length === 0) {
@@ -41,6 +42,12 @@ router.patch('/weather/bulk', auth, roleCheck(['SYSTEM']), async (req, res, next
       updated++;
     }
 
+    await recordAudit(req, {
+      action: 'city.weather_bulk',
+      targetType: 'City',
+      targetIds: updates.filter((item) => item.id).map((item) => item.id),
+      after: { updated },
+    });
     res.json({ updated });
   } catch (err) {
     next(err);
@@ -48,19 +55,24 @@ router.patch('/weather/bulk', auth, roleCheck(['SYSTEM']), async (req, res, next
 });
 
 // PATCH /data/cities/:id — manually update a city (airport_iata, reachable, etc.)
-router.patch('/:id', auth, roleCheck(['ADMIN', 'SYSTEM']), async (req, res, next) => {
+router.patch('/:id', apiKeyOrRole('cities:write', ['ADMIN', 'SYSTEM']), async (req, res, next) => {
   try {
     const id = parseInt(req.params.id, 10);
     if (isNaN(id)) return res.status(400).json({ error: 'Invalid city id' });
 
     const { airport_iata, reachable } = req.body;
 
-    const city = await prisma.city.update({
-      where: { id },
-      data: {
-        ...(airport_iata !== undefined && { airport_iata }),
-        ...(reachable    !== undefined && { reachable    }),
-      },
+    const city = await prisma.$transaction(async (tx) => {
+      const before = await tx.city.findUnique({ where: { id } });
+      const after = await tx.city.update({
+        where: { id },
+        data: {
+          ...(airport_iata !== undefined && { airport_iata }),
+          ...(reachable    !== undefined && { reachable    }),
+        },
+      });
+      await recordAudit(req, { action: 'city.update', targetType: 'City', targetId: id, before, after }, tx);
+      return after;
     });
 
     res.json(city);
@@ -0,0 +1,336 @@
+const express = require("express");
+const router = express.Router();
+const { body, param, query, validationResult } = require("express-validator");
+
+const auth = require("../../auth/verifyJWT");
+const roleCheck = require("../../middlewares/roleCheck");
+const prisma = require("../../prisma/client");
+const { paginate, sendList } = require("../../utils/apiResponse");
+const { recordAudit } = require("../../utils/audit");
+const { fieldChanges, deletionChanges, actorOf, recordConcertRevision } = require("../../utils/concertHistory");
+const { mergedFields, splitLineup } = require("../../utils/concertMergeRules");
+
+// Manual fixes for what the automatic dedup in /bulk got wrong: merge two
+// concerts that are one show, or split a festival day back out of the concert
+// it was folded into. Each leaves a ConcertMergeRule so the next /bulk run
+// does not undo it.
+
+const concertIdParam = param("concertId").isInt().withMessage("Invalid concert id");
+
+const withBands = { bands: { select: { id: true, band: true, setlist: true, band_rel: { select: { name: true } } } } };
+
+// POST /concerts/:concertId/merge — merge from_concert_id into this concert.
+// Band links (with their setlists) and attendances move over, gaps in this
+// concert's fields are filled from the other, and the other is deleted.
+router.post(
+  "/concerts/:concertId/merge",
+  [
+    auth,
+    roleCheck(["ADMIN"]),
+    concertIdParam,
+    body("from_concert_id").isInt().withMessage("from_concert_id must be a concert id").toInt(),
+  ],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) return res.status(400).json({ errors: errors.array() });
+
+    const keepId = parseInt(req.params.concertId, 10);
+    const fromId = req.body.from_concert_id;
+    if (keepId === fromId) return res.status(400).json({ error: "A concert cannot be merged into itself" });
+
+    try {
+      const [keep, from] = await Promise.all([
+        prisma.concert.findUnique({ where: { id: keepId }, include: withBands }),
+        prisma.concert.findUnique({ where: { id: fromId }, include: withBands }),
+      ]);
+      if (!keep || !from) return res.status(404).json({ error: "Concert not found" });
+
+      const { bands: keepBands, ...keepRow } = keep;
+      const { bands: fromBands, ...fromRow } = from;
+      const update = mergedFields(keepRow, fromRow);
+
+      const outcome = await prisma.$transaction(async (tx) => {
+        // Band links: a band on both keeps this concert's link, taking the
+        // other's setlist if it has none of its own.
+        const keepByBand = new Map(keepBands.map((ref) => [ref.band, ref]));
+        const movedBands = [];
+        for (const ref of fromBands) {
+          const existing = keepByBand.get(ref.band);
+          if (existing) {
+            if (existing.setlist == null && ref.setlist != null) {
+              await tx.concertBandReference.update({ where: { id: existing.id }, data: { setlist: ref.setlist } });
+            }
+            await tx.concertBandReference.delete({ where: { id: ref.id } });
+          } else {
+            await tx.concertBandReference.update({ where: { id: ref.id }, data: { concert: keep.id } });
+            movedBands.push(ref.band);
+          }
+        }
+
+        // Attendances: one per wishlist and concert, so a wishlist going to
+        // both keeps the one it has here.
+        const keepAttendance = await tx.concertAttendance.findMany({
+          where: { concert_id: keep.id },
+          select: { wishlist_id: true },
+        });
+        const attending = keepAttendance.map((a) => a.wishlist_id);
+        const moved = await tx.concertAttendance.updateMany({
+          where: { concert_id: from.id, wishlist_id: { notIn: attending } },
+          data: { concert_id: keep.id },
+        });
+        await tx.concertAttendance.deleteMany({ where: { concert_id: from.id } });
+
+        // The other row goes before this one is updated: its event_id is
+        // unique and may be about to move here.
+        await tx.concert.delete({ where: { id: from.id } });
+        if (Object.keys(update).length > 0) {
+          await tx.concert.update({ where: { id: keep.id }, data: update });
+        }
+
+        // Rules that pointed at the merged-away concert now point here.
+        await tx.concertMergeRule.updateMany({ where: { concert_id: from.id }, data: { concert_id: keep.id } });
+        await tx.concertMergeRule.updateMany({ where: { split_concert_id: from.id }, data: { split_concert_id: keep.id } });
+        const rule = await tx.concertMergeRule.create({
+          data: {
+            kind: "MERGE",
+            concert_id: keep.id,
+            event_id: from.event_id,
+            source: from.source,
+            name: from.name,
+            venue: from.venue,
+            concert_date: from.concert_date,
+            band_ids: fromBands.map((ref) => ref.band),
+            created_by: actorOf(req),
+          },
+        });
+
+        await recordConcertRevision(tx, {
+          concertId: from.id,
+          action: "delete",
+          source: "admin",
+          rule: "manual_merge",
+          changes: deletionChanges(fromRow),
+          bandIds: fromBands.map((ref) => ref.band),
+          actor: actorOf(req),
+        });
+        await recordConcertRevision(tx, {
+          concertId: keep.id,
+          action: "merge",
+          source: "admin",
+          rule: "manual_merge",
+          changes: fieldChanges(keepRow, update),
+          bandIds: movedBands,
+          actor: actorOf(req),
+        });
+        await recordAudit(req, {
+          action: "concert.merge",
+          targetType: "Concert",
+          targetId: keep.id,
+          targetIds: [keep.id, from.id],
+          before: { merged: { ...fromRow, band_ids: fromBands.map((ref) => ref.band) } },
+          after: { rule_id: rule.id, fields: update, bands_moved: movedBands },
+        }, tx);
+
+        return { rule, movedBands, attendancesMoved: moved.count };
+      }, { timeout: 30000 });
+
+      res.json({
+        concert_id: keep.id,
+        merged_concert_id: from.id,
+        rule_id: outcome.rule.id,
+        updated_fields: Object.keys(update),
+        bands_moved: outcome.movedBands,
+        attendances_moved: outcome.attendancesMoved,
+      });
+    } catch (error) {
+      console.error("Error merging concerts:", error);
+      res.status(500).json({ error: "Internal server error" });
+    }
+  }
+);
+
+// POST /concerts/:concertId/split — move some of a concert's bands out to a
+// concert of their own, on its own day: a festival day the dedup folded into
+// the festival. Attendances stay; nobody said which day they meant.
+router.post(
+  "/concerts/:concertId/split",
+  [
+    auth,
+    roleCheck(["ADMIN"]),
+    concertIdParam,
+    body("band_ids").isArray({ min: 1 }).withMessage("band_ids must be a non-empty array"),
+    body("band_ids.*").isInt().withMessage("band_ids must be band ids").toInt(),
+    body("concert_date").isISO8601().withMessage("concert_date must be an ISO 8601 date"),
+    body("name").optional({ nullable: true }).isString().trim().notEmpty(),
+    body("event_id").optional({ nullable: true }).isString().trim().notEmpty(),
+    body("url").optional({ nullable: true }).isURL().withMessage("url must be a valid URL"),
+  ],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) return res.status(400).json({ errors: errors.array() });
+
+    const concertId = parseInt(req.params.concertId, 10);
+    const bandIds = [...new Set(req.body.band_ids)];
+    const { name, event_id, url } = req.body;
+
+    try {
+      const concert = await prisma.concert.findUnique({ where: { id: concertId }, include: withBands });
+      if (!concert) return res.status(404).json({ error: "Concert not found" });
+
+      const { bands, ...row } = concert;
+      const moving = bands.filter((ref) => bandIds.includes(ref.band));
+      if (moving.length !== bandIds.length) {
+        return res.status(400).json({ error: "Every band in band_ids must be on the concert" });
+      }
+      if (moving.length === bands.length) {
+        return res.status(400).json({ error: "Leave at least one band on the concert" });
+      }
+      if (event_id && (await prisma.concert.findUnique({ where: { event_id }, select: { id: true } }))) {
+        return res.status(409).json({ error: "Another concert already has this event_id" });
+      }
+
+      const lineup = splitLineup(row.metadata, moving.map((ref) => ref.band_rel.name));
+
+      const outcome = await prisma.$transaction(async (tx) => {
+        const split = await tx.concert.create({
+          data: {
+            country: row.country,
+            venue: row.venue,
+            city: row.city,
+            city_id: row.city_id,
+            latitude: row.latitude,
+            longitude: row.longitude,
+            concert_date: new Date(req.body.concert_date),
+            name: name ?? row.name,
+            event_id: event_id ?? null,
+            url: url ?? row.url,
+            source: row.source,
+            festival: row.festival,
+            on_sale: row.on_sale,
+            reachable: row.reachable,
+            metadata: lineup.moved,
+            created_at: new Date(),
+          },
+        });
+        await tx.concertBandReference.updateMany({
+          where: { id: { in: moving.map((ref) => ref.id) } },
+          data: { concert: split.id },
+        });
+        const update = row.metadata ? { metadata: lineup.kept } : {};
+        if (Object.keys(update).length > 0) {
+          await tx.concert.update({ where: { id: concertId }, data: update });
+        }
+
+        const rule = await tx.concertMergeRule.create({
+          data: {
+            kind: "SPLIT",
+            concert_id: concertId,
+            split_concert_id: split.id,
+            concert_date: split.concert_date,
+            band_ids: bandIds,
+            created_by: actorOf(req),
+          },
+        });
+
+        await recordConcertRevision(tx, {
+          concertId,
+          action: "unlink_band",
+          source: "admin",
+          rule: "manual_split",
+          changes: fieldChanges(row, update),
+          bandIds,
+          actor: actorOf(req),
+        });
+        await recordConcertRevision(tx, {
+          concertId: split.id,
+          action: "create",
+          source: "admin",
+          rule: "manual_split",
+          changes: fieldChanges(null, split),
+          bandIds,
+          actor: actorOf(req),
+        });
+        await recordAudit(req, {
+          action: "concert.split",
+          targetType: "Concert",
+          targetId: concertId,
+          targetIds: [concertId, split.id],
+          after: { rule_id: rule.id, split_concert_id: split.id, band_ids: bandIds },
+        }, tx);
+
+        return { split, rule };
+      }, { timeout: 30000 });
+
+      res.status(201).json({ concert_id: concertId, split_concert: outcome.split, rule_id: outcome.rule.id });
+    } catch (error) {
+      console.error("Error splitting concert:", error);
+      res.status(500).json({ error: "Internal server error" });
+    }
+  }
+);
+
+// GET /concert-merge-rules — the manual rulings /bulk respects, newest first
+router.get(
+  "/concert-merge-rules",
+  [
+    auth,
+    roleCheck(["ADMIN"]),
+    query("concert_id").optional().isInt().withMessage("concert_id must be a concert id"),
+    query("kind").optional().isIn(["MERGE", "SPLIT"]).withMessage("kind must be MERGE or SPLIT"),
+  ],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) return res.status(400).json({ errors: errors.array() });
+
+    const { take, skip } = paginate(req, { defaultLimit: 50, maxLimit: 200 });
+    const where = {};
+    if (req.query.kind) where.kind = req.query.kind;
+    if (req.query.concert_id) {
+      const id = parseInt(req.query.concert_id, 10);
+      where.OR = [{ concert_id: id }, { split_concert_id: id }];
+    }
+    try {
+      const [rules, total] = await Promise.all([
+        prisma.concertMergeRule.findMany({ where, orderBy: { created_at: "desc" }, take, skip }),
+        prisma.concertMergeRule.count({ where }),
+      ]);
+      sendList(res, rules, { total, take, skip });
+    } catch (error) {
+      console.error("Error fetching concert merge rules:", error);
+      res.status(500).json({ error: "Internal server error" });
+    }
+  }
+);
+
+// DELETE /concert-merge-rules/:id — let the automatic dedup decide again.
+// Nothing already merged or split is put back.
+router.delete(
+  "/concert-merge-rules/:id",
+  [auth, roleCheck(["ADMIN"]), param("id").isInt().withMessage("Invalid rule id")],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) return res.status(400).json({ errors: errors.array() });
+
+    const id = parseInt(req.params.id, 10);
+    try {
+      const rule = await prisma.concertMergeRule.findUnique({ where: { id } });
+      if (!rule) return res.status(404).json({ error: "Rule not found" });
+
+      await prisma.$transaction(async (tx) => {
+        await tx.concertMergeRule.delete({ where: { id } });
+        await recordAudit(req, {
+          action: "concert_rule.delete",
+          targetType: "ConcertMergeRule",
+          targetId: id,
+          before: rule,
+        }, tx);
+      });
+      res.json({ deleted: id });
+    } catch (error) {
+      console.error("Error deleting concert merge rule:", error);
+      res.status(500).json({ error: "Internal server error" });
+    }
+  }
+);
+
+module.exports = router;
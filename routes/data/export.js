@@ -1,53 +1,78 @@
 const express = require("express");
 const router = express.Router();
-const prisma = require("../../prisma/client");
-const axios = require("axios");
-
-const rateLimit = require("express-rate-limit");
-// Rate limiter: max 5 requests per 15 minutes per IP
-const registerLimiter = rateLimit({
-  windowMs: 15 * 60 * 1000, // 15 minutes
-  max: 5, // limit each IP to 5 requests per windowMs
-  message: { error: "Too many registration attempts, please try again later." },
+const { query, validationResult } = require("express-validator");
+const archiver = require("archiver");
+
+const auth = require("../../auth/verifyJWT");
+const roleCheck = require("../../middlewares/roleCheck");
+const { rateLimiter } = require("../../utils/rateLimiter");
+const { fail } = require("../../utils/apiResponse");
+const { collectUserExport } = require("../../utils/export/collect");
+const { exportTables, toCsv } = require("../../utils/export/tables");
+const { writeTripReport } = require("../../utils/export/pdf");
+
+router.use(auth);
+router.use(roleCheck(["USER", "ADMIN"]));
+
+// An export reads every table the user has rows in. A handful an hour is
+// plenty for someone backing up their account.
+const exportLimiter = rateLimiter({
+  windowMs: 15 * 60 * 1000,
+  max: 5,
+  message: "Too many exports, please try again later.",
 });
-const auth = require("../../middleware/auth");
-
-router.post("/me", auth, registerLimiter, async (req, res) => {
-  try {
-    const userId = req.user.id;
-
-    // Fetch TMDB oauth info for the user
-    const userOauth = await prisma.oAuth.findUnique({
-      where: {
-        user_provider: {
-          user: userId,
-          provider: "tmdb",
-        },
-      },
-      select: {
-        provider_user_id: true,
-        access_token: true,
-      },
-    });
-
-    if (!userOauth || !userOauth.provider_user_id || !userOauth.access_token) {
-      return res.status(400).json({
-        error: "You must link your TMDB account first.",
-      });
+
+function filename(ext) {
+  return `thorcode-export-${new Date().toISOString().slice(0, 10)}.${ext}`;
+}
+
+// GET /data/export/me?format=json|csv|pdf
+//   json — the whole archive as one document (the default)
+//   csv  — a zip with one CSV per table
+//   pdf  — a trip report; ?trip_id= narrows it to one trip
+router.get(
+  "/me",
+  exportLimiter,
+  [
+    query("format").optional().isIn(["json", "csv", "pdf"]),
+    query("trip_id").optional().isInt(),
+  ],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) return res.status(400).json({ error: "format must be json, csv or pdf" });
+
+    const format = req.query.format ?? "json";
+    try {
+      const archive = await collectUserExport(req.user.id);
+      if (!archive) return res.status(404).json({ error: "User not found" });
+
+      if (format === "json") {
+        res.attachment(filename("json"));
+        return res.json(archive);
+      }
+
+      if (format === "csv") {
+        res.attachment(filename("zip"));
+        const zip = archiver("zip");
+        zip.on("error", (err) => res.destroy(err));
+        zip.pipe(res);
+        for (const [table, rows] of Object.entries(exportTables(archive))) {
+          zip.append(toCsv(rows), { name: `${table}.csv` });
+        }
+        return zip.finalize();
+      }
+
+      if (req.query.trip_id !== undefined) {
+        const tripId = parseInt(req.query.trip_id, 10);
+        archive.trips = archive.trips.filter((t) => t.id === tripId);
+        if (archive.trips.length === 0) return res.status(404).json({ error: "Trip not found" });
+      }
+      res.attachment(filename("pdf"));
+      writeTripReport(archive, res);
+    } catch (err) {
+      fail(res, err, { context: `GET export (${format})` });
     }
-    res.json({
-      message: "Top movies updated!",
-      user: userOauth,
-    });
-  } catch (error) {
-    console.error(
-      "Error fetching TMDb reviewed movies:",
-      error?.response?.data || error.message
-    );
-    res
-      .status(500)
-      .json({ error: "Failed to fetch reviewed movies from TMDb" });
   }
-});
+);
 
 module.exports = router;
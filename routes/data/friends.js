@@ -0,0 +1,197 @@
+const express = require("express");
+const router = express.Router();
+const { body, param, validationResult } = require("express-validator");
+
+const auth = require("../../auth/verifyJWT");
+const roleCheck = require("../../middlewares/roleCheck");
+const prisma = require("../../prisma/client");
+const { paginate, sendList } = require("../../utils/apiResponse");
+const { rateLimiter } = require("../../utils/rateLimiter");
+const { friendIdsOf } = require("../../utils/friends");
+
+// Friends, and which concerts they are going to. See utils/friends.js: a
+// friend is a mutual follow, and only friends see each other's plans.
+
+// Following by email says whether an address has an account, so it is
+// throttled like the other routes that take an email.
+const followLimiter = rateLimiter({
+  windowMs: 15 * 60 * 1000,
+  max: 10,
+  message: "Too many follow requests, please try again later.",
+});
+
+const user = { select: { id: true, email: true } };
+
+const concertSelect = {
+  id: true,
+  name: true,
+  venue: true,
+  city: true,
+  country: true,
+  concert_date: true,
+  url: true,
+  festival: true,
+  sold_out: true,
+  bands: { select: { band_rel: { select: { id: true, name: true } } } },
+};
+
+// GET /friends — friends, people the caller follows who have not followed
+// back yet, and people who follow the caller whom they have not followed back
+router.get("/friends", [auth, roleCheck(["ADMIN", "USER"])], async (req, res) => {
+  try {
+    const [following, followers] = await Promise.all([
+      prisma.follow.findMany({
+        where: { follower_id: req.user.id },
+        orderBy: { created_at: "asc" },
+        select: { created_at: true, followee_rel: user },
+      }),
+      prisma.follow.findMany({
+        where: { followee_id: req.user.id },
+        orderBy: { created_at: "asc" },
+        select: { created_at: true, follower_rel: user },
+      }),
+    ]);
+    const followerSince = new Map(followers.map((f) => [f.follower_rel.id, f.created_at]));
+    const followingIds = new Set(following.map((f) => f.followee_rel.id));
+    const entry = (u, since) => ({ user_id: u.id, email: u.email, since });
+
+    res.json({
+      friends: following
+        .filter((f) => followerSince.has(f.followee_rel.id))
+        .map((f) => {
+          const later = followerSince.get(f.followee_rel.id);
+          return entry(f.followee_rel, later > f.created_at ? later : f.created_at);
+        }),
+      following: following.filter((f) => !followerSince.has(f.followee_rel.id)).map((f) => entry(f.followee_rel, f.created_at)),
+      followers: followers.filter((f) => !followingIds.has(f.follower_rel.id)).map((f) => entry(f.follower_rel, f.created_at)),
+    });
+  } catch (error) {
+    console.error("Error fetching friends:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+// POST /friends/follow — follow someone by their email. They become a friend
+// once they follow back.
+router.post(
+  "/friends/follow",
+  [auth, roleCheck(["ADMIN", "USER"]), followLimiter, body("email").isEmail().withMessage("email must be an email address")],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) return res.status(400).json({ error: errors.array()[0].msg });
+
+    try {
+      // Addresses are stored as they were typed at sign-up
+      const followee = await prisma.user.findFirst({
+        where: { email: { equals: String(req.body.email).trim(), mode: "insensitive" } },
+        select: { id: true, email: true, disabled_at: true },
+      });
+      if (!followee || followee.disabled_at) return res.status(404).json({ error: "No one has signed up with that email" });
+      if (followee.id === req.user.id) return res.status(400).json({ error: "You cannot follow yourself" });
+
+      await prisma.follow.upsert({
+        where: { follower_id_followee_id: { follower_id: req.user.id, followee_id: followee.id } },
+        create: { follower_id: req.user.id, followee_id: followee.id },
+        update: {},
+      });
+      const followsBack = await prisma.follow.findUnique({
+        where: { follower_id_followee_id: { follower_id: followee.id, followee_id: req.user.id } },
+        select: { id: true },
+      });
+      res.status(201).json({ user_id: followee.id, email: followee.email, friends: Boolean(followsBack) });
+    } catch (error) {
+      console.error("Error following user:", error);
+      res.status(500).json({ error: "Internal server error" });
+    }
+  }
+);
+
+// DELETE /friends/follow/:userId — stop following; a friendship ends with it
+router.delete("/friends/follow/:userId", [auth, roleCheck(["ADMIN", "USER"])], async (req, res) => {
+  try {
+    await prisma.follow.deleteMany({ where: { follower_id: req.user.id, followee_id: req.params.userId } });
+    res.status(204).end();
+  } catch (error) {
+    console.error("Error unfollowing user:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+// GET /friends/upcoming?limit=&offset= — upcoming concerts friends are going
+// to, soonest first, each with the friends going, whether the caller is going
+// too, and the caller's wishlist bands on the bill
+router.get("/friends/upcoming", [auth, roleCheck(["ADMIN", "USER"])], async (req, res) => {
+  const { take, skip } = paginate(req, { defaultLimit: 20, maxLimit: 100 });
+  try {
+    const friendIds = await friendIdsOf(req.user.id);
+    if (friendIds.length === 0) return sendList(res, [], { total: 0, take, skip });
+
+    const upcoming = { concert_date: { gte: new Date() } };
+    const [attendance, mine, myBands] = await Promise.all([
+      prisma.concertAttendance.findMany({
+        where: { wishlist_rel: { user_id: { in: friendIds } }, concert_rel: upcoming },
+        select: { concert_rel: { select: concertSelect }, wishlist_rel: { select: { user_rel: user } } },
+      }),
+      prisma.concertAttendance.findMany({
+        where: { wishlist_rel: { user_id: req.user.id }, concert_rel: upcoming },
+        select: { concert_id: true },
+      }),
+      prisma.wishlistBandReference.findMany({
+        where: { wishlist_rel: { user_id: req.user.id } },
+        select: { band_id: true, tier: true },
+      }),
+    ]);
+
+    const going = new Set(mine.map((a) => a.concert_id));
+    const tierOf = new Map(myBands.map((ref) => [ref.band_id, ref.tier]));
+    const byConcert = new Map();
+    for (const { concert_rel: { bands, ...concert }, wishlist_rel: { user_rel } } of attendance) {
+      if (!byConcert.has(concert.id)) {
+        byConcert.set(concert.id, {
+          ...concert,
+          friends: new Map(),
+          me_going: going.has(concert.id),
+          my_bands: bands
+            .filter(({ band_rel }) => tierOf.has(band_rel.id))
+            .map(({ band_rel }) => ({ ...band_rel, tier: tierOf.get(band_rel.id) })),
+          band_names: bands.map(({ band_rel }) => band_rel.name),
+        });
+      }
+      // A friend with the show on two of their lists is still one friend
+      byConcert.get(concert.id).friends.set(user_rel.id, { user_id: user_rel.id, email: user_rel.email });
+    }
+
+    const rows = [...byConcert.values()]
+      .sort((a, b) => new Date(a.concert_date) - new Date(b.concert_date))
+      .map((concert) => ({ ...concert, friends: [...concert.friends.values()] }));
+    sendList(res, rows.slice(skip, skip + take), { total: rows.length, take, skip });
+  } catch (error) {
+    console.error("Error fetching friends' upcoming concerts:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+// GET /concerts/:concertId/friends-going — which friends are going to a concert
+router.get(
+  "/concerts/:concertId/friends-going",
+  [auth, roleCheck(["ADMIN", "USER"]), param("concertId").isInt().withMessage("Concert ID must be an integer")],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) return res.status(400).json({ error: errors.array()[0].msg });
+
+    try {
+      const friendIds = await friendIdsOf(req.user.id);
+      const attendance = friendIds.length === 0 ? [] : await prisma.concertAttendance.findMany({
+        where: { concert_id: parseInt(req.params.concertId, 10), wishlist_rel: { user_id: { in: friendIds } } },
+        select: { wishlist_rel: { select: { user_rel: user } } },
+      });
+      const friends = new Map(attendance.map(({ wishlist_rel: { user_rel } }) => [user_rel.id, { user_id: user_rel.id, email: user_rel.email }]));
+      res.json({ friends: [...friends.values()] });
+    } catch (error) {
+      console.error("Error fetching friends going:", error);
+      res.status(500).json({ error: "Internal server error" });
+    }
+  }
+);
+
+module.exports = router;
@@ -0,0 +1,108 @@
+const express = require("express");
+const router = express.Router();
+const { param, validationResult } = require("express-validator");
+
+const auth = require("../../auth/verifyJWT");
+const roleCheck = require("../../middlewares/roleCheck");
+const prisma = require("../../prisma/client");
+const { paginate, sendList } = require("../../utils/apiResponse");
+
+// The caller's in-app inbox: concert news, trip weather and reminders, review
+// prompts — everything raised for them (see utils/inbox.js), with read state.
+
+const itemId = param("id").isInt().withMessage("Inbox item ID must be an integer");
+
+const itemSelect = { id: true, type: true, title: true, body: true, url: true, data: true, read_at: true, created_at: true };
+
+// ?type=NEW_CONCERTS,SOLD_OUT
+const typesFrom = (query) =>
+  typeof query.type === "string" && query.type ? query.type.split(",").map((t) => t.trim()).filter(Boolean) : null;
+
+// GET /notifications/inbox?unread=true&type=&limit=&offset= — newest first
+router.get("/notifications/inbox", [auth, roleCheck(["ADMIN", "USER"])], async (req, res) => {
+  const { take, skip } = paginate(req, { defaultLimit: 30, maxLimit: 100 });
+  const where = { user_id: req.user.id };
+  if (req.query.unread === "true") where.read_at = null;
+  const types = typesFrom(req.query);
+  if (types) where.type = { in: types };
+
+  try {
+    const [rows, total] = await Promise.all([
+      prisma.inboxItem.findMany({ where, orderBy: [{ created_at: "desc" }, { id: "desc" }], take, skip, select: itemSelect }),
+      prisma.inboxItem.count({ where }),
+    ]);
+    sendList(res, rows, { total, take, skip });
+  } catch (error) {
+    console.error("Error fetching inbox:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+// GET /notifications/inbox/unread-count — for the badge, in total and by type
+router.get("/notifications/inbox/unread-count", [auth, roleCheck(["ADMIN", "USER"])], async (req, res) => {
+  try {
+    const groups = await prisma.inboxItem.groupBy({
+      by: ["type"],
+      where: { user_id: req.user.id, read_at: null },
+      _count: { _all: true },
+    });
+    const byType = Object.fromEntries(groups.map((g) => [g.type, g._count._all]));
+    res.json({ unread: Object.values(byType).reduce((a, b) => a + b, 0), by_type: byType });
+  } catch (error) {
+    console.error("Error counting unread inbox items:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+// POST /notifications/inbox/read-all?type= — mark everything read, or every item of the given types
+router.post("/notifications/inbox/read-all", [auth, roleCheck(["ADMIN", "USER"])], async (req, res) => {
+  const where = { user_id: req.user.id, read_at: null };
+  const types = typesFrom(req.query);
+  if (types) where.type = { in: types };
+
+  try {
+    const { count } = await prisma.inboxItem.updateMany({ where, data: { read_at: new Date() } });
+    res.json({ updated: count });
+  } catch (error) {
+    console.error("Error marking inbox read:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+// PATCH /notifications/inbox/:id — { read: true | false }
+router.patch("/notifications/inbox/:id", [auth, roleCheck(["ADMIN", "USER"]), itemId], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) return res.status(400).json({ error: errors.array()[0].msg });
+  if (typeof req.body.read !== "boolean") return res.status(400).json({ error: "read must be true or false" });
+
+  try {
+    const id = parseInt(req.params.id, 10);
+    const item = await prisma.inboxItem.findFirst({ where: { id, user_id: req.user.id }, select: { read_at: true } });
+    if (!item) return res.status(404).json({ error: "Inbox item not found" });
+
+    // Marking an item read again keeps when it was first read
+    const readAt = req.body.read ? item.read_at ?? new Date() : null;
+    const updated = await prisma.inboxItem.update({ where: { id }, data: { read_at: readAt }, select: itemSelect });
+    res.json(updated);
+  } catch (error) {
+    console.error("Error updating inbox item:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+// DELETE /notifications/inbox/:id
+router.delete("/notifications/inbox/:id", [auth, roleCheck(["ADMIN", "USER"]), itemId], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) return res.status(400).json({ error: errors.array()[0].msg });
+
+  try {
+    const { count } = await prisma.inboxItem.deleteMany({ where: { id: parseInt(req.params.id, 10), user_id: req.user.id } });
+    if (count === 0) return res.status(404).json({ error: "Inbox item not found" });
+    res.status(204).end();
+  } catch (error) {
+    console.error("Error deleting inbox item:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+module.exports = router;
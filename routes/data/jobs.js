@@ -0,0 +1,86 @@
+const express = require("express");
+const router = express.Router();
+const { param, validationResult } = require("express-validator");
+
+const auth = require("../../auth/verifyJWT");
+const prisma = require("../../prisma/client");
+const { paginate, sendList } = require("../../utils/apiResponse");
+
+// What a client is shown of a job. `run_at` is when a RETRYING job will next
+// be tried; `last_error` is why the previous attempt failed.
+const PUBLIC = {
+  id: true,
+  type: true,
+  band_id: true,
+  status: true,
+  attempts: true,
+  max_attempts: true,
+  run_at: true,
+  last_error: true,
+  result: true,
+  created_at: true,
+  updated_at: true,
+  finished_at: true,
+};
+
+// Admins and services can follow any job; anyone else only the ones their own
+// requests queued. A full sync's result and errors are not for every user.
+const STAFF_ROLES = ["ADMIN", "SYSTEM"];
+
+const mayFollow = (user, job) => STAFF_ROLES.includes(user.role) || job.requested_by === user.id;
+
+// GET /jobs/:id — status of a queued sync, for "sync failed, retrying" in the UI
+router.get(
+  "/jobs/:id",
+  [auth, param("id").isInt().withMessage("Invalid job id")],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) return res.status(400).json({ errors: errors.array() });
+
+    try {
+      const found = await prisma.job.findUnique({
+        where: { id: parseInt(req.params.id, 10) },
+        select: { ...PUBLIC, requested_by: true },
+      });
+      // Someone else's job is as good as missing
+      if (!found || !mayFollow(req.user, found)) {
+        return res.status(404).json({ error: "Job not found" });
+      }
+      const { requested_by, ...job } = found;
+      res.json(job);
+    } catch (error) {
+      console.error("Error fetching job:", error);
+      res.status(500).json({ error: "Internal server error" });
+    }
+  }
+);
+
+// GET /bands/:bandId/sync-history — a band's syncs and URL lookups, newest
+// first. Anyone may see that they ran; only those who may follow a job get
+// its result and errors.
+router.get(
+  "/bands/:bandId/sync-history",
+  [auth, param("bandId").isInt().withMessage("Invalid band id")],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) return res.status(400).json({ errors: errors.array() });
+
+    const { take, skip } = paginate(req, { defaultLimit: 20, maxLimit: 100 });
+    const where = { band_id: parseInt(req.params.bandId, 10) };
+    try {
+      const [jobs, total] = await Promise.all([
+        prisma.job.findMany({ where, orderBy: { created_at: "desc" }, take, skip, select: { ...PUBLIC, requested_by: true } }),
+        prisma.job.count({ where }),
+      ]);
+      const shown = jobs.map(({ requested_by, result, last_error, ...job }) =>
+        mayFollow(req.user, { requested_by }) ? { ...job, last_error, result } : job
+      );
+      sendList(res, shown, { total, take, skip });
+    } catch (error) {
+      console.error("Error fetching band sync history:", error);
+      res.status(500).json({ error: "Internal server error" });
+    }
+  }
+);
+
+module.exports = router;
@@ -0,0 +1,172 @@
+const express = require("express");
+const router = express.Router();
+const { query, validationResult } = require("express-validator");
+
+const auth = require("../../auth/verifyJWT");
+const roleCheck = require("../../middlewares/roleCheck");
+const ownsTrip = require("../../middlewares/ownsTrip");
+const prisma = require("../../prisma/client");
+const routePlanner = require("../../utils/travel/routePlanner");
+const { MAX_RADIUS_KM, concertsWithin, tripCenter } = require("../../utils/nearby");
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+// Coordinates are strings on Concert, so the distance is worked out here
+// rather than in the query; the date range is what keeps the rows read down.
+const MAX_RANGE_DAYS = 366;
+const TIERS = ["LOVE", "LIKE", "FOLLOW"];
+
+const csv = (value) => (value ? String(value).split(",").map((s) => s.trim()).filter(Boolean) : []);
+
+const filters = [
+  query("radius_km").optional().isFloat({ gt: 0, max: MAX_RADIUS_KM }).withMessage(`radius_km must be between 0 and ${MAX_RADIUS_KM}`),
+  query("band_ids").optional().custom((value) => csv(value).every((id) => /^\d+$/.test(id)))
+    .withMessage("band_ids must be a comma-separated list of band ids"),
+  query("tier").optional().custom((value) => csv(value).every((t) => TIERS.includes(t)))
+    .withMessage(`tier must be a comma-separated list of ${TIERS.join(", ")}`),
+];
+
+/**
+ * Concerts within the radius of `center` between two dates, with the bands
+ * on each — the ones on the caller's wishlist carrying their tier. ?band_ids
+ * and ?tier narrow it to concerts with one of those bands; given both, a band
+ * must match both.
+ */
+async function findNearby(req, { center, start, end, radiusKm }) {
+  const bandIds = csv(req.query.band_ids).map(Number);
+  const tiers = csv(req.query.tier);
+
+  const wishlistBands = await prisma.wishlistBandReference.findMany({
+    where: { wishlist_rel: { user_id: req.user.id } },
+    select: { band_id: true, tier: true },
+  });
+  const tierOf = new Map(wishlistBands.map((ref) => [ref.band_id, ref.tier]));
+
+  let wanted = null;
+  if (tiers.length > 0) wanted = wishlistBands.filter((ref) => tiers.includes(ref.tier)).map((ref) => ref.band_id);
+  if (bandIds.length > 0) wanted = wanted ? wanted.filter((id) => bandIds.includes(id)) : bandIds;
+  if (wanted && wanted.length === 0) return [];
+
+  const concerts = await prisma.concert.findMany({
+    where: {
+      concert_date: { gte: start, lte: end },
+      latitude: { not: null },
+      longitude: { not: null },
+      ...(wanted && { bands: { some: { band: { in: wanted } } } }),
+    },
+    select: {
+      id: true,
+      name: true,
+      venue: true,
+      city: true,
+      country: true,
+      concert_date: true,
+      latitude: true,
+      longitude: true,
+      url: true,
+      festival: true,
+      on_sale: true,
+      sold_out: true,
+      price_min: true,
+      price_max: true,
+      price_currency: true,
+      bands: { select: { band_rel: { select: { id: true, name: true } } } },
+    },
+  });
+
+  return concertsWithin(concerts, center, radiusKm).map(({ bands, ...concert }) => ({
+    ...concert,
+    bands: bands.map(({ band_rel }) => ({ ...band_rel, tier: tierOf.get(band_rel.id) ?? null })),
+  }));
+}
+
+// GET /nearby?lat=&lng=&start_date=&end_date= — what's playing within
+// radius_km (default 100) of a point between two dates
+router.get(
+  "/nearby",
+  [
+    auth,
+    roleCheck(["ADMIN", "USER"]),
+    query("lat").isFloat({ min: -90, max: 90 }).withMessage("lat must be a latitude"),
+    query("lng").isFloat({ min: -180, max: 180 }).withMessage("lng must be a longitude"),
+    query("start_date").isISO8601().withMessage("start_date must be a date"),
+    query("end_date").isISO8601().withMessage("end_date must be a date"),
+    ...filters,
+  ],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) return res.status(400).json({ error: errors.array()[0].msg });
+
+    const start = new Date(req.query.start_date);
+    // The end date is a whole day: a concert that evening counts.
+    const end = new Date(new Date(req.query.end_date).getTime() + DAY_MS - 1);
+    if (end < start) return res.status(400).json({ error: "end_date is before start_date" });
+    if (end - start > MAX_RANGE_DAYS * DAY_MS) {
+      return res.status(400).json({ error: `The date range can be at most ${MAX_RANGE_DAYS} days` });
+    }
+
+    const center = { lat: parseFloat(req.query.lat), lng: parseFloat(req.query.lng) };
+    const radiusKm = req.query.radius_km ? parseFloat(req.query.radius_km) : 100;
+    try {
+      const concerts = await findNearby(req, { center, start, end, radiusKm });
+      res.json({ center, radius_km: radiusKm, start_date: start, end_date: end, concerts });
+    } catch (error) {
+      console.error("Error searching nearby concerts:", error);
+      res.status(500).json({ error: "Internal server error" });
+    }
+  }
+);
+
+// GET /nearby/trip/:tripId — concerts we could catch on a trip: within
+// radius_km (default 50) of where it is, on its dates. Where it is comes from
+// its hotels, else its other places, else the destination geocoded.
+router.get(
+  "/nearby/trip/:tripId",
+  [auth, roleCheck(["ADMIN", "USER"]), ownsTrip, ...filters],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) return res.status(400).json({ error: errors.array()[0].msg });
+
+    try {
+      const [trip, places] = await Promise.all([
+        prisma.trip.findUnique({
+          where: { id: req.tripId },
+          select: { id: true, name: true, destination: true, start_date: true, end_date: true },
+        }),
+        prisma.tripPlace.findMany({ where: { trip_id: req.tripId }, select: { kind: true, lat: true, lon: true } }),
+      ]);
+      if (!trip.start_date) return res.status(422).json({ error: "Give the trip dates first" });
+
+      let center = tripCenter(places);
+      let centerFrom = "places";
+      if (!center && trip.destination) {
+        const found = await routePlanner.geocode(trip.destination).catch(() => null);
+        if (found?.lat != null && found?.lon != null) {
+          center = { lat: found.lat, lng: found.lon };
+          centerFrom = "destination";
+        }
+      }
+      if (!center) {
+        return res.status(422).json({ error: "Add a place with coordinates, or a destination that can be found on a map" });
+      }
+
+      const start = new Date(trip.start_date);
+      const end = new Date(new Date(trip.end_date ?? trip.start_date).getTime() + DAY_MS - 1);
+      const radiusKm = req.query.radius_km ? parseFloat(req.query.radius_km) : 50;
+      const concerts = await findNearby(req, { center, start, end, radiusKm });
+      res.json({
+        trip: { id: trip.id, name: trip.name, destination: trip.destination },
+        center,
+        center_from: centerFrom,
+        radius_km: radiusKm,
+        start_date: start,
+        end_date: end,
+        concerts,
+      });
+    } catch (error) {
+      console.error("Error searching concerts near trip:", error);
+      res.status(500).json({ error: "Internal server error" });
+    }
+  }
+);
+
+module.exports = router;
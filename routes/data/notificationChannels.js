@@ -0,0 +1,336 @@
+const express = require("express");
+const router = express.Router();
+const crypto = require("crypto");
+const { param, validationResult } = require("express-validator");
+
+const auth = require("../../auth/verifyJWT");
+const roleCheck = require("../../middlewares/roleCheck");
+const prisma = require("../../prisma/client");
+const { paginate, sendList } = require("../../utils/apiResponse");
+const { rateLimiter } = require("../../utils/rateLimiter");
+const { emailRateLimiter } = require("../../utils/emailRateLimiter");
+const { newCode, codeHash, codeMatches } = require("../../utils/verificationCodes");
+const { sendChannelVerificationCode } = require("../../utils/mail");
+const { NOTIFICATION_EVENTS, normaliseChannelInput } = require("../../utils/notifications/channels");
+const { accountConfirmed, deliver, replayDelivery } = require("../../utils/notifications/dispatch");
+
+// Where a user's notifications go, and what happened to them. See
+// utils/notifications: a channel is one destination with the events routed to
+// it; a delivery is one notification sent, or being retried, on one channel.
+
+const MAX_CHANNELS = 20;
+
+// Test events and replays make a request to somewhere else on demand.
+const rateLimit = rateLimiter({
+  message: "Too many notification tests, please try again later.",
+});
+
+// As in dispatch(): nothing is sent for an account until it has confirmed its email.
+const notConfirmed = "Confirm your email address before sending notifications";
+
+// A channel as the settings page sees it. Secrets are write-only: a WEBHOOK
+// secret is shown once, when the channel is made.
+const channelView = ({ secret, ...channel }) => ({ ...channel, has_secret: Boolean(secret) });
+
+const deliveryView = ({ id, event, status, attempts, max_attempts, next_attempt_at, last_error, response_status, sent_at }) => ({
+  id, event, status, attempts, max_attempts, next_attempt_at, last_error, response_status, sent_at,
+});
+
+const channelId = param("id").isInt().withMessage("Channel ID must be an integer");
+
+// An EMAIL channel to an address other than the account's is confirmed the
+// way an email change is (routes/users.js): a code sent there, good for a
+// quarter of an hour. One live code per user — asking again replaces it.
+const CHANNEL_CODE_TTL_MS = 15 * 60 * 1000;
+
+const accountEmail = async (userId) =>
+  (await prisma.user.findUnique({ where: { id: userId }, select: { email: true } }))?.email ?? null;
+
+// GET /notifications/events — the event types a channel can take
+router.get("/notifications/events", [auth, roleCheck(["ADMIN", "USER"])], (_req, res) => {
+  res.json({ events: Object.entries(NOTIFICATION_EVENTS).map(([event, description]) => ({ event, description })) });
+});
+
+// GET /notifications/channels — the caller's channels
+router.get("/notifications/channels", [auth, roleCheck(["ADMIN", "USER"])], async (req, res) => {
+  try {
+    const channels = await prisma.notificationChannel.findMany({
+      where: { user_id: req.user.id },
+      orderBy: { created_at: "asc" },
+    });
+    res.json({ channels: channels.map(channelView) });
+  } catch (error) {
+    console.error("Error fetching notification channels:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+// POST /notifications/channels — add a channel. A WEBHOOK gets a signing
+// secret, returned this once. An EMAIL channel to an address other than the
+// account's starts off: see send-code and confirm below.
+router.post("/notifications/channels", [auth, roleCheck(["ADMIN", "USER"])], async (req, res) => {
+  try {
+    const { data, error } = normaliseChannelInput(req.body, null, { accountEmail: await accountEmail(req.user.id) });
+    if (error) return res.status(400).json({ error });
+
+    const count = await prisma.notificationChannel.count({ where: { user_id: req.user.id } });
+    if (count >= MAX_CHANNELS) {
+      return res.status(409).json({ error: `You can have at most ${MAX_CHANNELS} notification channels` });
+    }
+    const secret = data.kind === "WEBHOOK" ? `whsec_${crypto.randomBytes(24).toString("base64url")}` : data.secret;
+    const channel = await prisma.notificationChannel.create({ data: { ...data, secret, user_id: req.user.id } });
+    res.status(201).json({ ...channelView(channel), ...(data.kind === "WEBHOOK" && { secret }) });
+  } catch (error) {
+    console.error("Error creating notification channel:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+// PATCH /notifications/channels/:id — rename, retarget, reroute or turn off
+router.patch("/notifications/channels/:id", [auth, roleCheck(["ADMIN", "USER"]), channelId], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) return res.status(400).json({ error: errors.array()[0].msg });
+
+  try {
+    const existing = await prisma.notificationChannel.findFirst({
+      where: { id: parseInt(req.params.id, 10), user_id: req.user.id },
+    });
+    if (!existing) return res.status(404).json({ error: "Channel not found" });
+
+    const { data, error } = normaliseChannelInput(req.body, existing, { accountEmail: await accountEmail(req.user.id) });
+    if (error) return res.status(400).json({ error });
+
+    const channel = await prisma.notificationChannel.update({ where: { id: existing.id }, data });
+    res.json(channelView(channel));
+  } catch (error) {
+    console.error("Error updating notification channel:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+// POST /notifications/channels/:id/send-code — email a code to an EMAIL
+// channel's address, to prove it is the user's. Only for a confirmed account:
+// until then nothing is sent anywhere on its behalf.
+router.post(
+  "/notifications/channels/:id/send-code",
+  [auth, roleCheck(["ADMIN", "USER"]), channelId, emailRateLimiter],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) return res.status(400).json({ error: errors.array()[0].msg });
+
+    try {
+      const channel = await prisma.notificationChannel.findFirst({
+        where: { id: parseInt(req.params.id, 10), user_id: req.user.id },
+      });
+      if (!channel) return res.status(404).json({ error: "Channel not found" });
+      if (!(await accountConfirmed(req.user.id))) return res.status(403).json({ error: "Confirm your own email address first" });
+      if (channel.kind !== "EMAIL" || !channel.target) {
+        return res.status(400).json({ error: "Only an email channel to an address of its own needs confirming" });
+      }
+      if (channel.target_confirmed_at) return res.status(409).json({ error: "This address is already confirmed" });
+
+      const code = newCode();
+      await prisma.emailVerification.deleteMany({ where: { user_id: req.user.id, purpose: "CHANNEL_EMAIL" } });
+      const verification = await prisma.emailVerification.create({
+        data: {
+          user_id: req.user.id,
+          new_email: channel.target,
+          code: codeHash(req.user.id, code),
+          purpose: "CHANNEL_EMAIL",
+          expires_at: new Date(Date.now() + CHANNEL_CODE_TTL_MS),
+        },
+      });
+      try {
+        await sendChannelVerificationCode({ to: channel.target, code });
+      } catch (emailError) {
+        await prisma.emailVerification.delete({ where: { id: verification.id } });
+        console.error("Channel confirmation email failed, code deleted:", emailError);
+        return res.status(500).json({ error: "Failed to send the confirmation email" });
+      }
+      res.json({ message: `A code is on its way to ${channel.target}` });
+    } catch (error) {
+      console.error("Error sending channel confirmation code:", error);
+      res.status(500).json({ error: "Internal server error" });
+    }
+  }
+);
+
+// POST /notifications/channels/:id/confirm — { code } from send-code. Confirms
+// the address and turns the channel on.
+router.post(
+  "/notifications/channels/:id/confirm",
+  [auth, roleCheck(["ADMIN", "USER"]), channelId, emailRateLimiter],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) return res.status(400).json({ error: errors.array()[0].msg });
+    const { code } = req.body ?? {};
+    if (!code || typeof code !== "string") return res.status(400).json({ error: "code is required" });
+
+    const invalid = "Invalid or expired code";
+    try {
+      const channel = await prisma.notificationChannel.findFirst({
+        where: { id: parseInt(req.params.id, 10), user_id: req.user.id },
+      });
+      if (!channel) return res.status(404).json({ error: "Channel not found" });
+      if (channel.kind !== "EMAIL" || !channel.target) {
+        return res.status(400).json({ error: "Only an email channel to an address of its own needs confirming" });
+      }
+      if (channel.target_confirmed_at) return res.status(409).json({ error: "This address is already confirmed" });
+
+      // The code is for the address it was sent to: a retarget in between voids it
+      const verification = await prisma.emailVerification.findFirst({
+        where: { user_id: req.user.id, purpose: "CHANNEL_EMAIL", new_email: channel.target },
+      });
+      if (!verification || new Date() > verification.expires_at) return res.status(400).json({ error: invalid });
+      if (!(await codeMatches(verification, code))) return res.status(400).json({ error: invalid });
+
+      const [updated] = await prisma.$transaction([
+        prisma.notificationChannel.update({
+          where: { id: channel.id },
+          data: { target_confirmed_at: new Date(), enabled: true },
+        }),
+        prisma.emailVerification.deleteMany({ where: { user_id: req.user.id, purpose: "CHANNEL_EMAIL" } }),
+      ]);
+      res.json(channelView(updated));
+    } catch (error) {
+      console.error("Error confirming channel address:", error);
+      res.status(500).json({ error: "Internal server error" });
+    }
+  }
+);
+
+// POST /notifications/channels/:id/test — send a TEST event to one channel,
+// whatever events it routes, and say how it went. One attempt, no retries: the
+// point is to see the answer now. A channel that is turned off fails the test,
+// and an account that has not confirmed its email cannot send one.
+router.post(
+  "/notifications/channels/:id/test",
+  [auth, roleCheck(["ADMIN", "USER"]), channelId, rateLimit],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) return res.status(400).json({ error: errors.array()[0].msg });
+
+    try {
+      const channel = await prisma.notificationChannel.findFirst({
+        where: { id: parseInt(req.params.id, 10), user_id: req.user.id },
+        select: { id: true },
+      });
+      if (!channel) return res.status(404).json({ error: "Channel not found" });
+      if (!(await accountConfirmed(req.user.id))) return res.status(403).json({ error: notConfirmed });
+
+      const delivery = await deliver({
+        userId: req.user.id,
+        event: "TEST",
+        channel_id: channel.id,
+        max_attempts: 1,
+        notification: {
+          title: "Test notification",
+          message: "This channel is set up. Concert news will arrive here.",
+          data: { test: true },
+        },
+      });
+      res.status(delivery.status === "SENT" ? 200 : 502).json(deliveryView(delivery));
+    } catch (error) {
+      console.error("Error sending test notification:", error);
+      res.status(500).json({ error: "Internal server error" });
+    }
+  }
+);
+
+// DELETE /notifications/channels/:id — its delivery log goes with it
+router.delete("/notifications/channels/:id", [auth, roleCheck(["ADMIN", "USER"]), channelId], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) return res.status(400).json({ error: errors.array()[0].msg });
+
+  try {
+    const deleted = await prisma.notificationChannel.deleteMany({
+      where: { id: parseInt(req.params.id, 10), user_id: req.user.id },
+    });
+    if (deleted.count === 0) return res.status(404).json({ error: "Channel not found" });
+    res.status(204).end();
+  } catch (error) {
+    console.error("Error deleting notification channel:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+// GET /notifications/deliveries?status=&channel_id=&limit=&offset= — what was
+// sent where, newest first
+router.get("/notifications/deliveries", [auth, roleCheck(["ADMIN", "USER"])], async (req, res) => {
+  const { take, skip } = paginate(req, { defaultLimit: 50, maxLimit: 200 });
+  const where = { user_id: req.user.id };
+  if (req.query.status) {
+    if (!["PENDING", "SENT", "RETRYING", "FAILED"].includes(req.query.status)) {
+      return res.status(400).json({ error: "status must be PENDING, SENT, RETRYING or FAILED" });
+    }
+    where.status = req.query.status;
+  }
+  if (req.query.channel_id) {
+    const id = parseInt(req.query.channel_id, 10);
+    if (Number.isNaN(id)) return res.status(400).json({ error: "channel_id must be an integer" });
+    where.channel_id = id;
+  }
+
+  try {
+    const [rows, total] = await Promise.all([
+      prisma.notificationDelivery.findMany({
+        where,
+        orderBy: { created_at: "desc" },
+        take,
+        skip,
+        select: {
+          id: true,
+          event: true,
+          status: true,
+          attempts: true,
+          max_attempts: true,
+          next_attempt_at: true,
+          last_error: true,
+          response_status: true,
+          sent_at: true,
+          created_at: true,
+          payload: true,
+          channel_rel: { select: { id: true, kind: true, name: true } },
+          wishlist_id: true,
+        },
+      }),
+      prisma.notificationDelivery.count({ where }),
+    ]);
+    sendList(res, rows, { total, take, skip });
+  } catch (error) {
+    console.error("Error fetching notification deliveries:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+// POST /notifications/deliveries/:id/replay — send a failed delivery again
+// now, or one still waiting on its retry
+router.post(
+  "/notifications/deliveries/:id/replay",
+  [auth, roleCheck(["ADMIN", "USER"]), param("id").isInt().withMessage("Delivery ID must be an integer"), rateLimit],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) return res.status(400).json({ error: errors.array()[0].msg });
+
+    try {
+      const id = parseInt(req.params.id, 10);
+      const owned = await prisma.notificationDelivery.findFirst({
+        where: { id, user_id: req.user.id },
+        select: { status: true },
+      });
+      if (!owned) return res.status(404).json({ error: "Delivery not found" });
+      if (!(await accountConfirmed(req.user.id))) return res.status(403).json({ error: notConfirmed });
+
+      const delivery = await replayDelivery(id);
+      if (!delivery) {
+        return res.status(409).json({ error: `Only a failed or retrying delivery can be replayed; this one is ${owned.status}` });
+      }
+      res.json(deliveryView(delivery));
+    } catch (error) {
+      console.error("Error replaying notification delivery:", error);
+      res.status(500).json({ error: "Internal server error" });
+    }
+  }
+);
+
+module.exports = router;
@@ -1,17 +1,25 @@
 const express = require("express");
 const router = express.Router();
-const { body, param, validationResult } = require("express-validator");
+const { param, validationResult } = require("express-validator");
 
 const auth = require("../../auth/verifyJWT");
 const roleCheck = require("../../middlewares/roleCheck");
 const prisma = require("../../prisma/client");
 const { rateLimiter } = require("../../utils/rateLimiter");
+const { digestSettings, normaliseDigestInput, verifyUnsubscribeToken } = require("../../utils/digestSchedule");
+const { normaliseSubscriptionInput } = require("../../utils/subscriptionRules");
 
 const rateLimit = rateLimiter({
   message: "Too many requests to the notifications route, please try again later.",
 });
 
-// GET /notifications/subscriptions — list the current user's concert-notification watches
+const subscriptionInclude = {
+  band_rel: { select: { id: true, name: true } },
+  city_rel: { select: { id: true, name: true, country: true } },
+  home_city_rel: { select: { id: true, name: true, country: true } },
+};
+
+// GET /notifications/subscriptions — list the current user's concert-notification rules
 router.get(
   "/notifications/subscriptions",
   [auth, roleCheck(["ADMIN", "USER"])],
@@ -19,10 +27,7 @@ router.get(
     try {
       const subscriptions = await prisma.notificationSubscription.findMany({
         where: { user_id: req.user.id },
-        include: {
-          band_rel: { select: { id: true, name: true } },
-          city_rel: { select: { id: true, name: true, country: true } },
-        },
+        include: subscriptionInclude,
         orderBy: { created_at: "desc" },
       });
       res.json(subscriptions);
@@ -33,48 +38,39 @@ router.get(
   }
 );
 
-// POST /notifications/subscriptions — watch a band, a city, or a band-in-a-city combo
+// POST /notifications/subscriptions — add a rule: band_id, city_id, country,
+// home_city_id with radius_km, min_tier, festival_only, date_from/date_to,
+// max_price with price_currency, and mute. See utils/subscriptionRules.js.
 router.post(
   "/notifications/subscriptions",
-  [
-    auth,
-    roleCheck(["ADMIN", "USER"]),
-    body("band_id").optional({ nullable: true }).isInt().withMessage("band_id must be an integer"),
-    body("city_id").optional({ nullable: true }).isInt().withMessage("city_id must be an integer"),
-  ],
+  [auth, roleCheck(["ADMIN", "USER"])],
   rateLimit,
   async (req, res) => {
-    const errors = validationResult(req);
-    if (!errors.isEmpty()) return res.status(400).json({ error: errors.array()[0].msg });
-
-    const bandId = req.body.band_id != null ? parseInt(req.body.band_id, 10) : null;
-    const cityId = req.body.city_id != null ? parseInt(req.body.city_id, 10) : null;
-
-    if (bandId == null && cityId == null) {
-      return res.status(400).json({ error: "Provide at least one of band_id or city_id" });
-    }
+    const { data, error } = normaliseSubscriptionInput(req.body);
+    if (error) return res.status(400).json({ error });
 
     try {
-      if (bandId != null) {
-        const band = await prisma.band.findUnique({ where: { id: bandId } });
+      if (data.band_id != null) {
+        const band = await prisma.band.findUnique({ where: { id: data.band_id } });
         if (!band) return res.status(404).json({ error: "Band not found" });
       }
-      if (cityId != null) {
-        const city = await prisma.city.findUnique({ where: { id: cityId } });
+      for (const field of ["city_id", "home_city_id"]) {
+        if (data[field] == null) continue;
+        const city = await prisma.city.findUnique({ where: { id: data[field] } });
         if (!city) return res.status(404).json({ error: "City not found" });
+        if (field === "home_city_id" && (city.latitude == null || city.longitude == null)) {
+          return res.status(400).json({ error: "That city has no coordinates to measure a radius from" });
+        }
       }
 
       const existing = await prisma.notificationSubscription.findFirst({
-        where: { user_id: req.user.id, band_id: bandId, city_id: cityId },
+        where: { user_id: req.user.id, ...data },
       });
       if (existing) return res.status(409).json({ error: "You already have this subscription" });
 
       const subscription = await prisma.notificationSubscription.create({
-        data: { user_id: req.user.id, band_id: bandId, city_id: cityId },
-        include: {
-          band_rel: { select: { id: true, name: true } },
-          city_rel: { select: { id: true, name: true, country: true } },
-        },
+        data: { user_id: req.user.id, ...data },
+        include: subscriptionInclude,
       });
       res.status(201).json(subscription);
     } catch (error) {
@@ -108,4 +104,86 @@ router.delete(
   }
 );
 
+// GET /notifications/digest — when the caller's digest email goes out, and
+// what it covers up to
+router.get("/notifications/digest", [auth, roleCheck(["ADMIN", "USER"])], async (req, res) => {
+  try {
+    const user = await prisma.user.findUnique({
+      where: { id: req.user.id },
+      select: { settings: true, digest_state: { select: { covered_until: true, last_run_at: true } } },
+    });
+    res.json({
+      digest: digestSettings(user.settings),
+      covered_until: user.digest_state?.covered_until ?? null,
+      last_run_at: user.digest_state?.last_run_at ?? null,
+    });
+  } catch (error) {
+    console.error("Error fetching digest settings:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+// PUT /notifications/digest — change the schedule: frequency, time, timezone,
+// weekday, quiet_hours. Fields left out keep their value. The cursor is not
+// touched, so nothing is sent twice or skipped over the change.
+router.put("/notifications/digest", [auth, roleCheck(["ADMIN", "USER"])], async (req, res) => {
+  const { data, error } = normaliseDigestInput(req.body);
+  if (error) return res.status(400).json({ error });
+
+  try {
+    const existing = await prisma.user.findUnique({ where: { id: req.user.id }, select: { settings: true } });
+    const digest = { ...digestSettings(existing.settings), ...data };
+    await prisma.user.update({
+      where: { id: req.user.id },
+      data: { settings: { ...(existing.settings ?? {}), digest } },
+    });
+    res.json({ digest });
+  } catch (error) {
+    console.error("Error updating digest settings:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+// The unsubscribe link in the digest email. No sign-in: the token says whose
+// digest it is. GET only asks — mail scanners follow links, and an
+// unsubscribe should not happen because one did — and the button on the page,
+// or a mail client's one-click unsubscribe, POSTs.
+const unsubscribePage = (body) =>
+  `<!doctype html><html><head><meta charset="utf-8"><title>Unsubscribe</title></head><body>${body}</body></html>`;
+
+// GET /notifications/digest/unsubscribe?token=
+router.get("/notifications/digest/unsubscribe", rateLimit, (req, res) => {
+  if (!verifyUnsubscribeToken(req.query.token)) {
+    return res.status(400).type("html").send(unsubscribePage("<p>This unsubscribe link is not valid.</p>"));
+  }
+  res.type("html").send(unsubscribePage(
+    `<p>Stop getting the concert digest email?</p>
+<form method="post"><button type="submit">Unsubscribe</button></form>
+<p>Alerts you set up on a notification channel are not affected.</p>`,
+  ));
+});
+
+// POST /notifications/digest/unsubscribe?token= — turn the digest off
+router.post("/notifications/digest/unsubscribe", rateLimit, async (req, res) => {
+  const userId = verifyUnsubscribeToken(req.query.token);
+  if (!userId) {
+    return res.status(400).type("html").send(unsubscribePage("<p>This unsubscribe link is not valid.</p>"));
+  }
+
+  try {
+    const user = await prisma.user.findUnique({ where: { id: userId }, select: { settings: true } });
+    if (!user) return res.status(404).type("html").send(unsubscribePage("<p>This account no longer exists.</p>"));
+    await prisma.user.update({
+      where: { id: userId },
+      data: { settings: { ...(user.settings ?? {}), digest: { ...digestSettings(user.settings), frequency: "off" } } },
+    });
+    res.type("html").send(unsubscribePage(
+      "<p>You will not get the digest email any more. You can turn it back on in your notification settings.</p>",
+    ));
+  } catch (error) {
+    console.error("Error unsubscribing from digest:", error);
+    res.status(500).type("html").send(unsubscribePage("<p>Something went wrong. Please try again later.</p>"));
+  }
+});
+
 module.exports = router;
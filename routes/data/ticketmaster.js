@@ -4,5 +4,10 @@ const router = express.Router();
 // Delegate to split routers
 router.use(require("./bands"));
 router.use(require("./wishlists"));
+router.use(require("./wishlistSharing"));
+router.use(require("./jobs"));
+router.use(require("./concertMerge"));
+router.use(require("./nearby"));
+router.use(require("./friends"));
 
 module.exports = router;
@@ -0,0 +1,249 @@
+const express = require("express");
+const router = express.Router();
+const crypto = require("crypto");
+const { body, param, query, validationResult } = require("express-validator");
+
+const auth = require("../../auth/verifyJWT");
+const roleCheck = require("../../middlewares/roleCheck");
+const wishlistAccess = require("../../middlewares/wishlistAccess");
+const prisma = require("../../prisma/client");
+const { WISHLIST_ROLES, atLeast, inviteUsable } = require("../../utils/wishlistAccess");
+
+// Sharing a wishlist with other users: the owner makes an invite link with a
+// role, whoever opens it while signed in joins as a VIEWER or EDITOR, and the
+// owner can change or remove members afterwards. The token in the link is the
+// credential — stored hashed, like a calendar feed token, and shown once.
+
+const TOKEN_PREFIX = "wli_";
+const DEFAULT_INVITE_DAYS = 14;
+const MAX_INVITE_DAYS = 90;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const hashToken = (token) => crypto.createHash("sha256").update(token).digest("hex");
+
+// Where the link takes someone: the concert map, which accepts the invite for
+// them. Without a frontend configured the token is all there is to hand over.
+function inviteUrl(token) {
+  const base = process.env.CONCERT_MAP_URL?.replace(/\/+$/, "");
+  return base ? `${base}/?wishlist_invite=${token}` : null;
+}
+
+async function findInvite(token) {
+  if (typeof token !== "string" || !token.startsWith(TOKEN_PREFIX)) return null;
+  const invite = await prisma.wishlistInvite.findUnique({
+    where: { token_hash: hashToken(token) },
+    include: {
+      wishlist_rel: {
+        select: { id: true, name: true, user_id: true, user_rel: { select: { email: true } }, _count: { select: { bands: true } } },
+      },
+    },
+  });
+  return inviteUsable(invite) ? invite : null;
+}
+
+// POST /wishlists/:id/invites — make an invite link. Owner only.
+// Body: { role?: "VIEWER" | "EDITOR", expires_in_days?: 1–90 }
+router.post(
+  "/wishlists/:id/invites",
+  [
+    auth,
+    roleCheck(["ADMIN", "USER"]),
+    wishlistAccess("OWNER"),
+    body("role").optional().isIn(WISHLIST_ROLES).withMessage(`role must be ${WISHLIST_ROLES.join(" or ")}`),
+    body("expires_in_days").optional().isInt({ min: 1, max: MAX_INVITE_DAYS })
+      .withMessage(`expires_in_days must be between 1 and ${MAX_INVITE_DAYS}`),
+  ],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) return res.status(400).json({ error: "Validation failed", details: errors.array() });
+
+    try {
+      const token = `${TOKEN_PREFIX}${crypto.randomBytes(24).toString("base64url")}`;
+      const days = req.body.expires_in_days ? parseInt(req.body.expires_in_days, 10) : DEFAULT_INVITE_DAYS;
+      const invite = await prisma.wishlistInvite.create({
+        data: {
+          wishlist_id: req.wishlistId,
+          prefix: token.slice(0, TOKEN_PREFIX.length + 6),
+          token_hash: hashToken(token),
+          role: req.body.role ?? "VIEWER",
+          expires_at: new Date(Date.now() + days * DAY_MS),
+        },
+        select: { id: true, prefix: true, role: true, expires_at: true, created_at: true },
+      });
+      res.status(201).json({ ...invite, token, url: inviteUrl(token) });
+    } catch (error) {
+      console.error("Error creating wishlist invite:", error);
+      res.status(500).json({ error: "Internal server error" });
+    }
+  }
+);
+
+// GET /wishlists/:id/invites — the wishlist's invite links, without their tokens
+router.get("/wishlists/:id/invites", [auth, roleCheck(["ADMIN", "USER"]), wishlistAccess("OWNER")], async (req, res) => {
+  try {
+    const invites = await prisma.wishlistInvite.findMany({
+      where: { wishlist_id: req.wishlistId },
+      orderBy: { created_at: "desc" },
+      select: { id: true, prefix: true, role: true, expires_at: true, uses: true, created_at: true },
+    });
+    res.json(invites.map((invite) => ({ ...invite, expired: !inviteUsable(invite) })));
+  } catch (error) {
+    console.error("Error listing wishlist invites:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+// DELETE /wishlists/:id/invites/:inviteId — the link stops working. Anyone
+// who already joined through it stays a member.
+router.delete(
+  "/wishlists/:id/invites/:inviteId",
+  [auth, roleCheck(["ADMIN", "USER"]), wishlistAccess("OWNER"), param("inviteId").isInt()],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) return res.status(400).json({ error: "Invite ID must be an integer" });
+
+    try {
+      const { count } = await prisma.wishlistInvite.deleteMany({
+        where: { id: parseInt(req.params.inviteId, 10), wishlist_id: req.wishlistId },
+      });
+      if (count === 0) return res.status(404).json({ error: "Invite not found" });
+      res.status(204).end();
+    } catch (error) {
+      console.error("Error deleting wishlist invite:", error);
+      res.status(500).json({ error: "Internal server error" });
+    }
+  }
+);
+
+// GET /wishlist-invites/preview?token=… — what an invite is for, so the
+// client can ask "Join Festivals 2027?" before accepting
+router.get(
+  "/wishlist-invites/preview",
+  [auth, roleCheck(["ADMIN", "USER"]), query("token").isString().notEmpty()],
+  async (req, res) => {
+    try {
+      const invite = await findInvite(req.query.token);
+      if (!invite) return res.status(404).json({ error: "This invite link is not valid or has expired" });
+      const wishlist = invite.wishlist_rel;
+      res.json({
+        wishlist: { id: wishlist.id, name: wishlist.name, owner_email: wishlist.user_rel.email, band_count: wishlist._count.bands },
+        role: invite.role,
+        expires_at: invite.expires_at,
+      });
+    } catch (error) {
+      console.error("Error previewing wishlist invite:", error);
+      res.status(500).json({ error: "Internal server error" });
+    }
+  }
+);
+
+// POST /wishlist-invites/accept — join the wishlist an invite is for.
+// Body: { token }. Accepting again, or a second link, never lowers the role
+// someone already has.
+router.post(
+  "/wishlist-invites/accept",
+  [auth, roleCheck(["ADMIN", "USER"]), body("token").isString().notEmpty().withMessage("token is required")],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) return res.status(400).json({ error: errors.array()[0].msg });
+
+    try {
+      const invite = await findInvite(req.body.token);
+      if (!invite) return res.status(404).json({ error: "This invite link is not valid or has expired" });
+      const wishlistId = invite.wishlist_id;
+      if (invite.wishlist_rel.user_id === req.user.id) {
+        return res.status(409).json({ error: "This is your own wishlist" });
+      }
+
+      const member = await prisma.$transaction(async (tx) => {
+        const current = await tx.wishlistMember.findUnique({
+          where: { wishlist_id_user_id: { wishlist_id: wishlistId, user_id: req.user.id } },
+        });
+        await tx.wishlistInvite.update({ where: { id: invite.id }, data: { uses: { increment: 1 } } });
+        if (!current) {
+          return tx.wishlistMember.create({ data: { wishlist_id: wishlistId, user_id: req.user.id, role: invite.role } });
+        }
+        if (atLeast(current.role, invite.role)) return current;
+        return tx.wishlistMember.update({ where: { id: current.id }, data: { role: invite.role } });
+      });
+
+      res.json({ wishlist_id: wishlistId, name: invite.wishlist_rel.name, access: member.role });
+    } catch (error) {
+      console.error("Error accepting wishlist invite:", error);
+      res.status(500).json({ error: "Internal server error" });
+    }
+  }
+);
+
+// GET /wishlists/:id/members — the owner and everyone the wishlist is shared with
+router.get("/wishlists/:id/members", [auth, roleCheck(["ADMIN", "USER"]), wishlistAccess("VIEWER")], async (req, res) => {
+  try {
+    const [owner, members] = await Promise.all([
+      prisma.user.findUnique({ where: { id: req.wishlist.user_id }, select: { id: true, email: true } }),
+      prisma.wishlistMember.findMany({
+        where: { wishlist_id: req.wishlistId },
+        orderBy: { created_at: "asc" },
+        select: { role: true, created_at: true, user_rel: { select: { id: true, email: true } } },
+      }),
+    ]);
+    res.json([
+      { user_id: owner.id, email: owner.email, role: "OWNER", created_at: req.wishlist.created_at },
+      ...members.map(({ user_rel, ...member }) => ({ user_id: user_rel.id, email: user_rel.email, ...member })),
+    ]);
+  } catch (error) {
+    console.error("Error listing wishlist members:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+// PATCH /wishlists/:id/members/:userId — change a member's role. Owner only.
+router.patch(
+  "/wishlists/:id/members/:userId",
+  [
+    auth,
+    roleCheck(["ADMIN", "USER"]),
+    wishlistAccess("OWNER"),
+    body("role").isIn(WISHLIST_ROLES).withMessage(`role must be ${WISHLIST_ROLES.join(" or ")}`),
+  ],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) return res.status(400).json({ error: errors.array()[0].msg });
+
+    try {
+      const { count } = await prisma.wishlistMember.updateMany({
+        where: { wishlist_id: req.wishlistId, user_id: req.params.userId },
+        data: { role: req.body.role },
+      });
+      if (count === 0) return res.status(404).json({ error: "Member not found" });
+      res.json({ user_id: req.params.userId, role: req.body.role });
+    } catch (error) {
+      console.error("Error updating wishlist member:", error);
+      res.status(500).json({ error: "Internal server error" });
+    }
+  }
+);
+
+// DELETE /wishlists/:id/members/:userId — the owner removes a member, or a
+// member leaves (their own user id)
+router.delete(
+  "/wishlists/:id/members/:userId",
+  [auth, roleCheck(["ADMIN", "USER"]), wishlistAccess("VIEWER")],
+  async (req, res) => {
+    if (req.wishlistAccess !== "OWNER" && req.params.userId !== req.user.id) {
+      return res.status(403).json({ error: "Only the wishlist's owner can do that." });
+    }
+
+    try {
+      const { count } = await prisma.wishlistMember.deleteMany({
+        where: { wishlist_id: req.wishlistId, user_id: req.params.userId },
+      });
+      if (count === 0) return res.status(404).json({ error: "Member not found" });
+      res.status(204).end();
+    } catch (error) {
+      console.error("Error removing wishlist member:", error);
+      res.status(500).json({ error: "Internal server error" });
+    }
+  }
+);
+
+module.exports = router;
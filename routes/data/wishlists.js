@@ -7,14 +7,22 @@ const { deduplicateConcerts } = require("../../utils/concertDedup");
 
 const auth = require("../../auth/verifyJWT");
 const roleCheck = require("../../middlewares/roleCheck");
+const wishlistAccess = require("../../middlewares/wishlistAccess");
+const apiKeyOrRole = require("../../middlewares/apiKeyOrRole");
 const { rateLimiter } = require("../../utils/rateLimiter");
 const prisma = require("../../prisma/client");
+const { recordAudit } = require("../../utils/audit");
+const { logActivity } = require("../../utils/activityLog");
+const { notifyFriendsGoing } = require("../../utils/friends");
+const { dispatch } = require("../../utils/notifications/dispatch");
 
 const rateLimit = rateLimiter({
   message: "Too many requests to the Ticketmaster data route, please try again later.",
 });
 
 const VALID_TIERS = ["LOVE", "LIKE", "FOLLOW"];
+// Enough for a list per festival season and a few shared ones besides.
+const MAX_WISHLISTS = 20;
 
 // Helper: compute per-band seen counts from past attendance.
 // Deduplicates by date+venue+city (same logic as the Attended tab display),
@@ -64,18 +72,38 @@ async function computeSeenCounts(wishlistId) {
 }
 
 
-// GET /wishlists — list the user's single wishlist
+// GET /wishlists — the user's own wishlists, then the ones shared with them,
+// each with `access` (OWNER, EDITOR or VIEWER)
 router.get(
   "/wishlists",
   [auth, roleCheck(["ADMIN", "USER"])],
   rateLimit,
   async (req, res) => {
     try {
-      const wishlists = await prisma.wishlist.findMany({
-        where: { user_id: req.user.id },
-        include: { bands: true },
-      });
-      res.json(wishlists);
+      const [owned, memberships] = await Promise.all([
+        prisma.wishlist.findMany({
+          where: { user_id: req.user.id },
+          orderBy: { id: "asc" },
+          include: { bands: true },
+        }),
+        prisma.wishlistMember.findMany({
+          where: { user_id: req.user.id },
+          orderBy: { created_at: "asc" },
+          select: {
+            role: true,
+            wishlist_rel: { include: { bands: true, user_rel: { select: { email: true } } } },
+          },
+        }),
+      ]);
+      res.json([
+        ...owned.map((w) => ({ ...w, access: "OWNER" })),
+        // Someone else's webhook is theirs; it is left out like a password.
+        ...memberships.map(({ role, wishlist_rel: { user_rel, discord_webhook, ...w } }) => ({
+          ...w,
+          owner_email: user_rel.email,
+          access: role,
+        })),
+      ]);
     } catch (error) {
       console.error("Error fetching wishlists:", error);
       const payload = handleError("wishlist", 500);
@@ -84,10 +112,11 @@ router.get(
   }
 );
 
-// GET /wishlists/raw — returns all wishlists with raw band+concert data (SYSTEM only, for Python scoring)
+// GET /wishlists/raw — returns all wishlists with raw band+concert data (SYSTEM only, for Python scoring).
+// Every wishlist, several per user included; scores are written back per wishlist id.
 router.get(
   "/wishlists/raw",
-  [auth, roleCheck(["SYSTEM"])],
+  [apiKeyOrRole("wishlists:read", ["SYSTEM"])],
   async (_req, res) => {
     try {
       const wishlists = await prisma.wishlist.findMany({
@@ -146,6 +175,8 @@ router.get(
 
           return {
             id: wishlist.id,
+            user_id: wishlist.user_id,
+            name: wishlist.name,
             bands: wishlist.bands.map((b) => ({ ...b, times_seen: seenCountMap.get(b.band_id) ?? 0 })),
             concerts: Array.from(concertMap.values()),
           };
@@ -163,26 +194,33 @@ router.get(
 // GET /wishlists/:id/new — concerts added since the user's last visit (cross-device)
 router.get(
   "/wishlists/:id/new",
-  [auth, roleCheck(["ADMIN", "USER"]), param("id").isInt().withMessage("Wishlist ID must be an integer")],
+  [auth, roleCheck(["ADMIN", "USER"]), wishlistAccess("VIEWER")],
   async (req, res) => {
     try {
-      const wishlistId = parseInt(req.params.id, 10);
+      const wishlistId = req.wishlistId;
 
       const wishlist = await prisma.wishlist.findUnique({
         where: { id: wishlistId },
         include: { bands: true },
       });
 
-      if (!wishlist) return res.status(404).json({ error: "Not found" });
-      if (wishlist.user_id !== req.user.id) return res.status(403).json({ error: "Forbidden" });
-
-      const sinceDate = wishlist.last_active_at ?? new Date(0);
+      // The owner's cursor is on the wishlist, a member's on their membership,
+      // so one person's visit does not hide the news from the other.
+      const member = req.wishlistAccess === "OWNER" ? null : req.wishlist.members[0] ?? null;
+      const sinceDate = (member ? member.last_active_at : wishlist.last_active_at) ?? new Date(0);
 
       // Update last_active_at before returning so any device hitting this endpoint moves the cursor
-      await prisma.wishlist.update({
-        where: { id: wishlistId },
-        data: { last_active_at: new Date() },
-      });
+      if (member) {
+        await prisma.wishlistMember.update({
+          where: { wishlist_id_user_id: { wishlist_id: wishlistId, user_id: req.user.id } },
+          data: { last_active_at: new Date() },
+        });
+      } else {
+        await prisma.wishlist.update({
+          where: { id: wishlistId },
+          data: { last_active_at: new Date() },
+        });
+      }
 
       const bandIds = wishlist.bands.map((b) => b.band_id);
 
@@ -243,22 +281,7 @@ router.get(
           .map(([name, { ids, countries }]) => ({ name, count: ids.size, countries: [...countries] }))
           .sort((a, b) => b.count - a.count);
 
-        await prisma.activityLog.create({
-          data: {
-            wishlist_id: wishlistId,
-            type: "NEW_CONCERTS",
-            data: JSON.stringify({ total: concertMap.size, by_band: byBand }),
-          },
-        });
-        const old = await prisma.activityLog.findMany({
-          where: { wishlist_id: wishlistId },
-          orderBy: { created_at: "desc" },
-          skip: 15,
-          select: { id: true },
-        });
-        if (old.length > 0) {
-          await prisma.activityLog.deleteMany({ where: { id: { in: old.map((e) => e.id) } } });
-        }
+        await logActivity(wishlistId, "NEW_CONCERTS", { total: concertMap.size, by_band: byBand });
       }
 
       const concerts = Array.from(concertMap.values()).sort(
@@ -276,16 +299,13 @@ router.get(
 // GET /wishlists/:id/recent-concerts — 30 most recently inserted future concerts for this wishlist
 router.get(
   "/wishlists/:id/recent-concerts",
-  [auth, roleCheck(["ADMIN", "USER"]), param("id").isInt().withMessage("Wishlist ID must be an integer")],
+  [auth, roleCheck(["ADMIN", "USER"]), wishlistAccess("VIEWER")],
   async (req, res) => {
     try {
-      const wishlistId = parseInt(req.params.id, 10);
       const wishlist = await prisma.wishlist.findUnique({
-        where: { id: wishlistId },
+        where: { id: req.wishlistId },
         include: { bands: { select: { band_id: true, tier: true } } },
       });
-      if (!wishlist) return res.status(404).json({ error: "Not found" });
-      if (wishlist.user_id !== req.user.id) return res.status(403).json({ error: "Forbidden" });
 
       const wishlistBandMap = new Map(wishlist.bands.map((b) => [b.band_id, b.tier]));
       const bandIds = [...wishlistBandMap.keys()];
@@ -336,14 +356,10 @@ router.get(
 // GET /wishlists/:id/activity — last 15 activity log entries for this wishlist
 router.get(
   "/wishlists/:id/activity",
-  [auth, roleCheck(["ADMIN", "USER"]), param("id").isInt().withMessage("Wishlist ID must be an integer")],
+  [auth, roleCheck(["ADMIN", "USER"]), wishlistAccess("VIEWER")],
   async (req, res) => {
     try {
-      const wishlistId = parseInt(req.params.id, 10);
-      const wishlist = await prisma.wishlist.findUnique({ where: { id: wishlistId } });
-      if (!wishlist) return res.status(404).json({ error: "Not found" });
-      if (wishlist.user_id !== req.user.id) return res.status(403).json({ error: "Forbidden" });
-
+      const wishlistId = req.wishlistId;
       const logs = await prisma.activityLog.findMany({
         where: { wishlist_id: wishlistId },
         orderBy: { created_at: "desc" },
@@ -363,10 +379,10 @@ router.get(
 // GET /wishlists/:id — wishlist with concerts, bands (with tiers), and precomputed scores
 router.get(
   "/wishlists/:id",
-  [auth, roleCheck(["ADMIN", "USER"]), param("id").isInt().withMessage("Wishlist ID must be an integer")],
+  [auth, roleCheck(["ADMIN", "USER"]), wishlistAccess("VIEWER", { admin: true })],
   async (req, res) => {
     try {
-      const wishlistId = parseInt(req.params.id, 10);
+      const wishlistId = req.wishlistId;
       const { start_date, end_date, countries } = req.query;
 
       const wishlist = await prisma.wishlist.findUnique({
@@ -380,15 +396,6 @@ router.get(
         },
       });
 
-      if (!wishlist) {
-        const payload = handleError("wishlist", 404);
-        return res.status(404).json(payload);
-      }
-
-      if (wishlist.user_id !== req.user.id && req.user.role !== 'ADMIN') {
-        return res.status(403).json(handleError("wishlist", 403));
-      }
-
       const bandIds = wishlist.bands.map((ref) => ref.band_id);
       const bandTierMap = new Map(wishlist.bands.map((ref) => [ref.band_id, ref.tier]));
 
@@ -536,7 +543,8 @@ router.get(
         id: wishlist.id,
         name: wishlist.name,
         user_id: wishlist.user_id,
-        discord_webhook: wishlist.discord_webhook,
+        access: req.wishlistAccess,
+        discord_webhook: req.wishlistAccess === "OWNER" ? wishlist.discord_webhook : null,
         bands: simplifiedBands,
         concerts: concertsArray,
       });
@@ -552,7 +560,7 @@ router.get(
 // PATCH /weather/bulk — store precomputed weather blobs from Python (SYSTEM only)
 router.patch(
   "/weather/bulk",
-  [auth, roleCheck(["SYSTEM"])],
+  [apiKeyOrRole("weather:write", ["SYSTEM"])],
   async (req, res) => {
     try {
       const updates = req.body; // [{ id, weather }]
@@ -569,6 +577,12 @@ router.patch(
         )
       );
 
+      await recordAudit(req, {
+        action: "concert.weather_bulk",
+        targetType: "Concert",
+        targetIds: updates.map(({ id }) => id),
+        after: { updated: updates.length },
+      });
       res.json({ ok: true, updated: updates.length });
     } catch (error) {
       console.error("Error storing concert weather:", error);
@@ -583,9 +597,9 @@ router.patch(
   [
     auth,
     roleCheck(["ADMIN", "USER"]),
-    param("id").isInt().withMessage("Wishlist ID must be an integer"),
     param("bandId").isInt().withMessage("Band ID must be an integer"),
     body("tier").optional().isIn(VALID_TIERS).withMessage("tier must be LOVE, LIKE, or FOLLOW"),
+    wishlistAccess("EDITOR"),
   ],
   async (req, res) => {
     try {
@@ -594,7 +608,7 @@ router.patch(
         return res.status(400).json({ error: "Validation failed", details: errors.array() });
       }
 
-      const wishlistId = parseInt(req.params.id, 10);
+      const wishlistId = req.wishlistId;
       const bandId = parseInt(req.params.bandId, 10);
       const { tier } = req.body;
 
@@ -602,11 +616,6 @@ router.patch(
         return res.status(400).json({ error: "Provide tier" });
       }
 
-      // Verify ownership
-      const wishlist = await prisma.wishlist.findUnique({ where: { id: wishlistId } });
-      if (!wishlist) return res.status(404).json(handleError("wishlist", 404));
-      if (wishlist.user_id !== req.user.id) return res.status(403).json(handleError("wishlist", 403));
-
       const updated = await prisma.wishlistBandReference.update({
         where: { band_wishlist: { band_id: bandId, wishlist_id: wishlistId } },
         data: { tier },
@@ -622,7 +631,7 @@ router.patch(
   }
 );
 
-// POST /wishlists — create wishlist (returns existing one if user already has one)
+// POST /wishlists — create another wishlist, up to MAX_WISHLISTS of one's own
 router.post(
   "/wishlists",
   [
@@ -639,9 +648,10 @@ router.post(
         return res.status(400).json({ error: "Validation failed", details: errors.array() });
       }
 
-      // Return existing wishlist if user already has one
-      const existing = await prisma.wishlist.findUnique({ where: { user_id: req.user.id }, include: { bands: true } });
-      if (existing) return res.status(200).json(existing);
+      const owned = await prisma.wishlist.count({ where: { user_id: req.user.id } });
+      if (owned >= MAX_WISHLISTS) {
+        return res.status(409).json({ error: `You can have at most ${MAX_WISHLISTS} wishlists` });
+      }
 
       const { name, discord_webhook } = req.body;
 
@@ -654,7 +664,7 @@ router.post(
         include: { bands: true },
       });
 
-      res.status(201).json(newWishlist);
+      res.status(201).json({ ...newWishlist, access: "OWNER" });
     } catch (error) {
       console.error("Error creating wishlist:", error);
       const payload = handleError("wishlist", 500);
@@ -663,13 +673,13 @@ router.post(
   }
 );
 
-// PUT /wishlists/:id — update wishlist name/webhook
+// PUT /wishlists/:id — update wishlist name/webhook (owner only)
 router.put(
   "/wishlists/:id",
   [
     auth,
-    roleCheck(["ADMIN"]),
-    param("id").isInt().withMessage("Wishlist ID must be an integer"),
+    roleCheck(["ADMIN", "USER"]),
+    wishlistAccess("OWNER"),
     body("name").trim().isLength({ min: 1, max: 100 }).withMessage("Wishlist name must be between 1 and 100 characters"),
     body("discord_webhook").optional({ nullable: true }).isURL().withMessage("Discord webhook must be a valid URL"),
   ],
@@ -681,13 +691,9 @@ router.put(
         return res.status(400).json({ error: "Validation failed", details: errors.array() });
       }
 
-      const wishlistId = parseInt(req.params.id, 10);
+      const wishlistId = req.wishlistId;
       const { name, discord_webhook } = req.body;
 
-      const existingWishlist = await prisma.wishlist.findUnique({ where: { id: wishlistId } });
-      if (!existingWishlist) return res.status(404).json(handleError("wishlist", 404));
-      if (existingWishlist.user_id !== req.user.id) return res.status(403).json(handleError("wishlist", 403));
-
       const updateData = { name: name.trim() };
       if (discord_webhook !== undefined) updateData.discord_webhook = discord_webhook || null;
 
@@ -712,7 +718,7 @@ router.post(
   [
     auth,
     roleCheck(["ADMIN", "USER"]),
-    param("id").isInt().withMessage("Wishlist ID must be an integer"),
+    wishlistAccess("EDITOR"),
     body("name").optional().isString().notEmpty().withMessage("Band name must be a non-empty string"),
     body("ticketmaster_id").optional().isString().notEmpty().withMessage("Ticketmaster ID must be a non-empty string"),
     body("tier").optional().isIn(VALID_TIERS).withMessage("tier must be LOVE, LIKE, or FOLLOW"),
@@ -725,7 +731,7 @@ router.post(
         return res.status(400).json({ error: "Validation failed", details: errors.array() });
       }
 
-      const wishlistId = parseInt(req.params.id, 10);
+      const wishlistId = req.wishlistId;
       const { name, ticketmaster_id, tier = "FOLLOW" } = req.body;
 
       if (!name && !ticketmaster_id) {
@@ -735,10 +741,6 @@ router.post(
       const bandName = name ? name.trim() : null;
       const ticketmasterId = ticketmaster_id ? ticketmaster_id.trim() : null;
 
-      const existingWishlist = await prisma.wishlist.findUnique({ where: { id: wishlistId } });
-      if (!existingWishlist) return res.status(404).json(handleError("wishlist", 404));
-      if (existingWishlist.user_id !== req.user.id) return res.status(403).json(handleError("wishlist", 403));
-
       let band;
       try {
         const bandPayload = {};
@@ -816,8 +818,8 @@ router.delete(
   [
     auth,
     roleCheck(["ADMIN", "USER"]),
-    param("id").isInt().withMessage("Wishlist ID must be an integer"),
     param("bandId").isInt().withMessage("Band ID must be an integer"),
+    wishlistAccess("EDITOR"),
   ],
   rateLimit,
   async (req, res) => {
@@ -827,13 +829,9 @@ router.delete(
         return res.status(400).json({ error: "Validation failed", details: errors.array() });
       }
 
-      const wishlistId = parseInt(req.params.id, 10);
+      const wishlistId = req.wishlistId;
       const bandId = parseInt(req.params.bandId, 10);
 
-      const existingWishlist = await prisma.wishlist.findUnique({ where: { id: wishlistId } });
-      if (!existingWishlist) return res.status(404).json(handleError("wishlist", 404));
-      if (existingWishlist.user_id !== req.user.id) return res.status(403).json(handleError("wishlist", 403));
-
       const existingReference = await prisma.wishlistBandReference.findFirst({
         where: { wishlist_id: wishlistId, band_id: bandId },
       });
@@ -852,20 +850,20 @@ router.delete(
   }
 );
 
-// DELETE /wishlists/:id
+// DELETE /wishlists/:id — owner only. Members and invite links go with it.
 router.delete(
   "/wishlists/:id",
-  [auth, roleCheck(["ADMIN"]), param("id").isInt().withMessage("Wishlist ID must be an integer")],
+  [auth, roleCheck(["ADMIN", "USER"]), wishlistAccess("OWNER")],
   rateLimit,
   async (req, res) => {
     try {
-      const wishlistId = parseInt(req.params.id, 10);
-      const existingWishlist = await prisma.wishlist.findUnique({ where: { id: wishlistId } });
-      if (!existingWishlist) return res.status(404).json(handleError("wishlist", 404));
-      if (existingWishlist.user_id !== req.user.id) return res.status(403).json(handleError("wishlist", 403));
-
-      await prisma.wishlistBandReference.deleteMany({ where: { wishlist_id: wishlistId } });
-      await prisma.wishlist.delete({ where: { id: wishlistId } });
+      const wishlistId = req.wishlistId;
+      await prisma.$transaction([
+        prisma.activityLog.deleteMany({ where: { wishlist_id: wishlistId } }),
+        prisma.concertAttendance.deleteMany({ where: { wishlist_id: wishlistId } }),
+        prisma.wishlistBandReference.deleteMany({ where: { wishlist_id: wishlistId } }),
+        prisma.wishlist.delete({ where: { id: wishlistId } }),
+      ]);
 
       res.json({ message: "Wishlist deleted successfully." });
     } catch (error) {
@@ -876,10 +874,10 @@ router.delete(
   }
 );
 
-// POST /wishlists/notify — Discord notifications for new concerts (SYSTEM/ADMIN)
+// POST /wishlists/notify — notifications for new concerts (SYSTEM/ADMIN)
 router.post(
   "/wishlists/notify",
-  [auth, roleCheck(["ADMIN", "SYSTEM"]), body("bands").isArray({ min: 1 }).withMessage("bands must be a non-empty array")],
+  [apiKeyOrRole("wishlists:notify", ["ADMIN", "SYSTEM"]), body("bands").isArray({ min: 1 }).withMessage("bands must be a non-empty array")],
   async (req, res) => {
     try {
       const errors = validationResult(req);
@@ -887,7 +885,7 @@ router.post(
 
       const { bands } = req.body;
 
-      // All wishlists — needed for activity logs regardless of webhook
+      // All wishlists — needed for activity logs regardless of channels
       const allWishlists = await prisma.wishlist.findMany({
         include: {
           bands: {
@@ -896,35 +894,31 @@ router.post(
         },
       });
 
-      // Discord notifications — only wishlists with a webhook
-      const notifications = allWishlists
-        .filter((w) => w.discord_webhook)
-        .map((wishlist) => {
-          const matchedBands = bands.filter((b) =>
-            wishlist.bands.some((ref) => ref.band_rel.id === b.band_id),
-          );
-          return { wishlist, matchedBands };
-        })
-        .filter(({ matchedBands }) => matchedBands.length > 0);
-
-      // Log wishlists that matched bands but have no webhook configured
-      const noWebhookCount = allWishlists.filter((w) => !w.discord_webhook && bands.some((b) =>
-        w.bands.some((ref) => ref.band_rel.id === b.band_id)
-      )).length;
-      if (noWebhookCount > 0) {
-        console.log(`[Discord] ${noWebhookCount} wishlist(s) matched but have no webhook configured — skipping`);
+      // Notifications — one per owner and band, however many of their lists
+      // have it; dispatch() skips unconfirmed accounts and adds each list's
+      // own Discord webhook
+      const listsByOwner = new Map(); // user_id -> band_id -> wishlist ids
+      for (const wishlist of allWishlists) {
+        for (const band of bands) {
+          if (!wishlist.bands.some((ref) => ref.band_rel.id === band.band_id)) continue;
+          if (!listsByOwner.has(wishlist.user_id)) listsByOwner.set(wishlist.user_id, new Map());
+          const byBand = listsByOwner.get(wishlist.user_id);
+          byBand.set(band.band_id, [...(byBand.get(band.band_id) ?? []), wishlist.id]);
+        }
       }
 
       await Promise.all(
-        notifications.map(async ({ wishlist, matchedBands }) => {
-          for (const band of matchedBands) {
-            const embeds = buildDiscordEmbeds(band);
-            for (const embed of embeds) {
-              try {
-                await axios.post(wishlist.discord_webhook, { embeds: [embed] }, { timeout: 10000 });
-              } catch (e) {
-                console.error(`[Discord] Failed to notify wishlist ${wishlist.id} for band "${band.name}":`, e.response?.status ?? e.message);
-              }
+        [...listsByOwner].map(async ([userId, byBand]) => {
+          for (const band of bands.filter((b) => byBand.has(b.band_id))) {
+            try {
+              await dispatch({
+                userId,
+                event: "NEW_CONCERTS",
+                notification: newConcertsNotification(band),
+                wishlistIds: byBand.get(band.band_id),
+              });
+            } catch (e) {
+              console.error(`[notify] Failed to notify user ${userId} for band "${band.name}":`, e.message);
             }
           }
         }),
@@ -937,28 +931,18 @@ router.post(
         );
         for (const band of matchedBands) {
           const countries = [...new Set((band.concerts || []).map((c) => c.country).filter(Boolean))];
-          await prisma.activityLog.create({
-            data: {
-              wishlist_id: wishlist.id,
-              type: "BAND_ADDED",
-              data: JSON.stringify({ band_name: band.name, band_id: band.band_id, inserted: band.inserted, countries }),
-            },
+          await logActivity(wishlist.id, "BAND_ADDED", {
+            band_name: band.name,
+            band_id: band.band_id,
+            inserted: band.inserted,
+            countries,
           });
-          const old = await prisma.activityLog.findMany({
-            where: { wishlist_id: wishlist.id },
-            orderBy: { created_at: "desc" },
-            skip: 15,
-            select: { id: true },
-          });
-          if (old.length > 0) {
-            await prisma.activityLog.deleteMany({ where: { id: { in: old.map((e) => e.id) } } });
-          }
         }
       }
 
-      res.json({ notified: notifications.length });
+      res.json({ notified: listsByOwner.size });
     } catch (error) {
-      console.error("Error sending Discord notifications:", error);
+      console.error("Error sending notifications:", error);
       res.status(500).json({ error: "Failed to send notifications" });
     }
   },
@@ -967,16 +951,14 @@ router.post(
 // GET /wishlists/:id/attendance — all attended/going concerts for this wishlist
 router.get(
   "/wishlists/:id/attendance",
-  [auth, roleCheck(["ADMIN", "USER"]), param("id").isInt().withMessage("Wishlist ID must be an integer")],
+  [auth, roleCheck(["ADMIN", "USER"]), wishlistAccess("VIEWER")],
   async (req, res) => {
     try {
-      const wishlistId = parseInt(req.params.id, 10);
+      const wishlistId = req.wishlistId;
       const wishlist = await prisma.wishlist.findUnique({
         where: { id: wishlistId },
         include: { bands: { select: { band_id: true, tier: true } } },
       });
-      if (!wishlist) return res.status(404).json({ error: "Not found" });
-      if (wishlist.user_id !== req.user.id) return res.status(403).json({ error: "Forbidden" });
 
       const bandTierMap = new Map(wishlist.bands.map((b) => [b.band_id, b.tier]));
       const bandIds = [...bandTierMap.keys()];
@@ -1046,37 +1028,41 @@ router.post(
   [
     auth,
     roleCheck(["ADMIN", "USER"]),
-    param("id").isInt().withMessage("Wishlist ID must be an integer"),
     body("concert_id").isInt().withMessage("concert_id must be an integer"),
+    wishlistAccess("EDITOR"),
   ],
   async (req, res) => {
     try {
       const errors = validationResult(req);
       if (!errors.isEmpty()) return res.status(400).json({ error: "Validation failed", details: errors.array() });
 
-      const wishlistId = parseInt(req.params.id, 10);
+      const wishlistId = req.wishlistId;
       const concertId = parseInt(req.body.concert_id, 10);
 
-      const wishlist = await prisma.wishlist.findUnique({
-        where: { id: wishlistId },
-        include: { bands: { select: { band_id: true } } },
-      });
-      if (!wishlist) return res.status(404).json({ error: "Not found" });
-      if (wishlist.user_id !== req.user.id) return res.status(403).json({ error: "Forbidden" });
-
       const concert = await prisma.concert.findUnique({
         where: { id: concertId },
         select: { id: true, concert_date: true, bands: { select: { band: true } } },
       });
       if (!concert) return res.status(404).json({ error: "Concert not found" });
 
-      const attendance = await prisma.concertAttendance.upsert({
+      const existing = await prisma.concertAttendance.findUnique({
+        where: { wishlist_id_concert_id: { wishlist_id: wishlistId, concert_id: concertId } },
+        select: { id: true },
+      });
+      const attendance = existing ?? await prisma.concertAttendance.upsert({
         where: { wishlist_id_concert_id: { wishlist_id: wishlistId, concert_id: concertId } },
         create: { wishlist_id: wishlistId, concert_id: concertId },
         update: {},
       });
 
       res.json({ attendance_id: attendance.id });
+
+      // Background: friends who follow a band at the show hear about it, once
+      if (!existing) {
+        notifyFriendsGoing({ userId: req.wishlist.user_id, concertId }).catch((err) =>
+          console.error("[friends] Failed to notify friends going:", err.message),
+        );
+      }
     } catch (error) {
       console.error("Error adding attendance:", error);
       return res.status(500).json({ error: "Internal server error" });
@@ -1090,24 +1076,17 @@ router.delete(
   [
     auth,
     roleCheck(["ADMIN", "USER"]),
-    param("id").isInt().withMessage("Wishlist ID must be an integer"),
     param("concertId").isInt().withMessage("Concert ID must be an integer"),
+    wishlistAccess("EDITOR"),
   ],
   async (req, res) => {
     try {
       const errors = validationResult(req);
       if (!errors.isEmpty()) return res.status(400).json({ error: "Validation failed", details: errors.array() });
 
-      const wishlistId = parseInt(req.params.id, 10);
+      const wishlistId = req.wishlistId;
       const concertId = parseInt(req.params.concertId, 10);
 
-      const wishlist = await prisma.wishlist.findUnique({
-        where: { id: wishlistId },
-        include: { bands: { select: { band_id: true } } },
-      });
-      if (!wishlist) return res.status(404).json({ error: "Not found" });
-      if (wishlist.user_id !== req.user.id) return res.status(403).json({ error: "Forbidden" });
-
       const attendance = await prisma.concertAttendance.findUnique({
         where: { wishlist_id_concert_id: { wishlist_id: wishlistId, concert_id: concertId } },
       });
@@ -1129,7 +1108,7 @@ router.post(
   [
     auth,
     roleCheck(["ADMIN", "USER"]),
-    param("id").isInt().withMessage("Wishlist ID must be an integer"),
+    wishlistAccess("EDITOR"),
     body("setlistfm_id").isString().notEmpty(),
     body("date").isString().notEmpty(),
     body("venue").isString().notEmpty(),
@@ -1144,17 +1123,10 @@ router.post(
       const errors = validationResult(req);
       if (!errors.isEmpty()) return res.status(400).json({ error: "Validation failed", details: errors.array() });
 
-      const wishlistId = parseInt(req.params.id, 10);
+      const wishlistId = req.wishlistId;
       const { setlistfm_id, date, venue, city, country, band_id, url, songs, latitude, longitude } = req.body;
       const bandId = parseInt(band_id, 10);
 
-      const wishlist = await prisma.wishlist.findUnique({
-        where: { id: wishlistId },
-        include: { bands: { select: { band_id: true } } },
-      });
-      if (!wishlist) return res.status(404).json({ error: "Not found" });
-      if (wishlist.user_id !== req.user.id) return res.status(403).json({ error: "Forbidden" });
-
       // Parse "DD-MM-YYYY" from Setlist.fm to ISO date
       let concertDate = null;
       try {
@@ -1351,4 +1323,32 @@ function buildDiscordEmbeds(band) {
   return embeds;
 }
 
+// The NEW_CONCERTS notification for one band: the embeds above for Discord,
+// a line per concert for chat and email, and the concerts as data for JSON.
+function newConcertsNotification(band) {
+  const concerts = band.concerts ?? [];
+  return {
+    title: `New concerts: ${band.name}`,
+    message: `${concerts.length} new concert${concerts.length !== 1 ? "s" : ""}`,
+    fields: concerts.slice(0, 25).map((concert) => ({
+      name: concert.concert_date ? new Date(concert.concert_date).toDateString() : "TBA",
+      value: [concert.venue, concert.city, concert.country].filter(Boolean).join(", ") || "Unknown venue",
+    })),
+    embeds: buildDiscordEmbeds(band),
+    // What a JSON webhook gets: the concerts themselves, not a rendering
+    data: {
+      band_id: band.band_id,
+      band_name: band.name,
+      concerts: concerts.map((concert) => ({
+        name: concert.name ?? null,
+        concert_date: concert.concert_date ?? null,
+        venue: concert.venue ?? null,
+        city: concert.city ?? null,
+        country: concert.country ?? null,
+        url: concert.url ?? null,
+      })),
+    },
+  };
+}
+
 module.exports = router;
@@ -0,0 +1,353 @@
+const express = require("express");
+const router = express.Router();
+const { body, param, validationResult } = require("express-validator");
+
+const auth = require("../../auth/verifyJWT");
+const roleCheck = require("../../middlewares/roleCheck");
+const prisma = require("../../prisma/client");
+const { fail } = require("../../utils/apiResponse");
+
+router.use(auth);
+router.use(roleCheck(["USER", "ADMIN"]));
+
+const ITEMS = {
+  items: { orderBy: [{ sort_order: "asc" }, { created_at: "asc" }] },
+};
+
+// The columns a template item shares with a trip item. Everything else on a
+// trip item — status, worn, the gear link, the bag — describes one particular
+// trip's packing and has no meaning in a list meant for the next one.
+function itemFields(source) {
+  return {
+    name: source.name.trim(),
+    category: source.category?.trim() || null,
+    note: source.note?.trim() || null,
+    url: source.url?.trim() || null,
+  };
+}
+
+// Optional fields are type-checked here so that a number or an object is a
+// 400, not a .trim() that throws.
+const text = (field, label = field) =>
+  body(field).optional({ nullable: true }).isString().withMessage(`${label} must be a string`);
+const sortOrder = (field, label = field) =>
+  body(field).optional().isInt().withMessage(`${label} must be an integer`).toInt();
+const itemBody = (prefix = "") => [
+  text(`${prefix}category`, "category"),
+  text(`${prefix}note`, "note"),
+  text(`${prefix}url`, "url"),
+  sortOrder(`${prefix}sort_order`, "sort_order"),
+];
+
+// GET /travel/templates
+router.get("/", async (req, res) => {
+  try {
+    const templates = await prisma.template.findMany({
+      where: { user_id: req.user.id },
+      orderBy: { name: "asc" },
+      include: ITEMS,
+    });
+    res.json({ data: templates });
+  } catch (err) {
+    fail(res, err, { context: "GET templates" });
+  }
+});
+
+// POST /travel/templates — optionally with its items in the same call
+router.post("/", [body("name").notEmpty().trim(), text("description"), ...itemBody("items.*.")], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) return res.status(400).json({ error: errors.array()[0].msg });
+
+  const { name, description, items } = req.body;
+  if (items !== undefined && !Array.isArray(items)) {
+    return res.status(400).json({ error: "items must be an array" });
+  }
+  if (items?.some((item) => typeof item?.name !== "string" || !item.name.trim())) {
+    return res.status(400).json({ error: "Every item needs a name" });
+  }
+
+  try {
+    const template = await prisma.template.create({
+      data: {
+        user_id: req.user.id,
+        name: name.trim(),
+        description: description?.trim() || null,
+        items: {
+          create: (items ?? []).map((item, i) => ({ ...itemFields(item), sort_order: item.sort_order ?? i })),
+        },
+      },
+      include: ITEMS,
+    });
+    res.status(201).json({ data: template });
+  } catch (err) {
+    fail(res, err, { context: "POST template" });
+  }
+});
+
+// POST /travel/templates/from-trip/:tripId — save a trip's packing list as a template.
+// Declared before /:id so "from-trip" isn't read as a template id.
+router.post("/from-trip/:tripId", [param("tripId").isInt().withMessage("Invalid id"), text("description")], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) return res.status(400).json({ error: errors.array()[0].msg });
+
+  const tripId = parseInt(req.params.tripId, 10);
+  try {
+    const trip = await prisma.trip.findFirst({
+      where: { id: tripId, user_id: req.user.id },
+      include: { items: { orderBy: [{ sort_order: "asc" }, { created_at: "asc" }] } },
+    });
+    if (!trip) return res.status(404).json({ error: "Trip not found" });
+    if (trip.items.length === 0) {
+      return res.status(400).json({ error: "That trip has nothing packed to save" });
+    }
+
+    const name = typeof req.body.name === "string" && req.body.name.trim()
+      ? req.body.name.trim()
+      : trip.name;
+
+    // Renumbered rather than copied: a trip's sort_order can have gaps and ties
+    // from drag-and-drop, and the template should keep the order, not the noise.
+    const template = await prisma.template.create({
+      data: {
+        user_id: req.user.id,
+        name,
+        description: req.body.description?.trim() || null,
+        items: {
+          create: trip.items.map((item, i) => ({ ...itemFields(item), sort_order: i })),
+        },
+      },
+      include: ITEMS,
+    });
+    res.status(201).json({ data: template });
+  } catch (err) {
+    fail(res, err, { context: `POST template from trip ${tripId}` });
+  }
+});
+
+// GET /travel/templates/:id
+router.get("/:id", param("id").isInt(), async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) return res.status(400).json({ error: "Invalid id" });
+
+  try {
+    const template = await prisma.template.findFirst({
+      where: { id: parseInt(req.params.id, 10), user_id: req.user.id },
+      include: ITEMS,
+    });
+    if (!template) return res.status(404).json({ error: "Template not found" });
+    res.json({ data: template });
+  } catch (err) {
+    fail(res, err, { context: `GET template ${req.params.id}` });
+  }
+});
+
+// PATCH /travel/templates/:id
+router.patch("/:id", [param("id").isInt().withMessage("Invalid id"), text("description")], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) return res.status(400).json({ error: errors.array()[0].msg });
+
+  const { name, description } = req.body;
+  const data = {};
+  if (name !== undefined) {
+    if (typeof name !== "string" || !name.trim()) return res.status(400).json({ error: "A template needs a name" });
+    data.name = name.trim();
+  }
+  if (description !== undefined) data.description = description?.trim() || null;
+
+  try {
+    const template = await prisma.template.update({
+      where: { id: parseInt(req.params.id, 10), user_id: req.user.id },
+      data,
+      include: ITEMS,
+    });
+    res.json({ data: template });
+  } catch (err) {
+    fail(res, err, { context: `PATCH template ${req.params.id}`, notFound: "Template not found" });
+  }
+});
+
+// DELETE /travel/templates/:id — items go with it (onDelete: Cascade)
+router.delete("/:id", param("id").isInt(), async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) return res.status(400).json({ error: "Invalid id" });
+
+  try {
+    await prisma.template.delete({
+      where: { id: parseInt(req.params.id, 10), user_id: req.user.id },
+    });
+    res.json({ message: "Template deleted" });
+  } catch (err) {
+    fail(res, err, { context: `DELETE template ${req.params.id}`, notFound: "Template not found" });
+  }
+});
+
+// POST /travel/templates/:id/items
+router.post("/:id/items", [param("id").isInt(), body("name").notEmpty().trim(), ...itemBody()], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) return res.status(400).json({ error: errors.array()[0].msg });
+
+  const templateId = parseInt(req.params.id, 10);
+  try {
+    // Checked up front: a create has no where clause to scope by owner, so a
+    // bare create would add items to anyone's template by id.
+    const template = await prisma.template.findFirst({
+      where: { id: templateId, user_id: req.user.id },
+      select: { id: true, items: { select: { sort_order: true } } },
+    });
+    if (!template) return res.status(404).json({ error: "Template not found" });
+
+    const next = Math.max(-1, ...template.items.map((i) => i.sort_order)) + 1;
+    const item = await prisma.templateItem.create({
+      data: {
+        ...itemFields(req.body),
+        template_id: templateId,
+        sort_order: req.body.sort_order ?? next,
+      },
+    });
+    res.status(201).json({ data: item });
+  } catch (err) {
+    fail(res, err, { context: `POST template item (template ${templateId})` });
+  }
+});
+
+// PATCH /travel/templates/:id/items/reorder — bulk sort_order update.
+// Declared before /:itemId so "reorder" isn't read as an item id.
+router.patch("/:id/items/reorder", [
+  param("id").isInt().withMessage("Invalid id"),
+  body("items.*.id").isInt().withMessage("Every item needs an integer id").toInt(),
+  sortOrder("items.*.sort_order", "sort_order"),
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) return res.status(400).json({ error: errors.array()[0].msg });
+
+  const { items } = req.body;
+  if (!Array.isArray(items)) return res.status(400).json({ error: "items must be an array" });
+
+  const templateId = parseInt(req.params.id, 10);
+  try {
+    await prisma.$transaction(
+      items.map(({ id, sort_order }) =>
+        prisma.templateItem.updateMany({
+          where: { id, template_id: templateId, template_rel: { user_id: req.user.id } },
+          data: { sort_order },
+        })
+      )
+    );
+    res.json({ message: "Reordered" });
+  } catch (err) {
+    fail(res, err, { context: `PATCH template items reorder (template ${templateId})` });
+  }
+});
+
+// PATCH /travel/templates/:id/items/:itemId
+router.patch("/:id/items/:itemId", [
+  param("id").isInt().withMessage("Invalid parameters"),
+  param("itemId").isInt().withMessage("Invalid parameters"),
+  ...itemBody(),
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) return res.status(400).json({ error: errors.array()[0].msg });
+
+  const { name, category, note, url, sort_order } = req.body;
+  const data = {};
+  if (name !== undefined) {
+    if (typeof name !== "string" || !name.trim()) return res.status(400).json({ error: "An item needs a name" });
+    data.name = name.trim();
+  }
+  if (category !== undefined) data.category = category?.trim() || null;
+  if (note !== undefined) data.note = note?.trim() || null;
+  if (url !== undefined) data.url = url?.trim() || null;
+  if (sort_order !== undefined) data.sort_order = sort_order;
+
+  try {
+    // "this item, and only if its template is mine" — one statement.
+    const item = await prisma.templateItem.update({
+      where: {
+        id: parseInt(req.params.itemId, 10),
+        template_id: parseInt(req.params.id, 10),
+        template_rel: { user_id: req.user.id },
+      },
+      data,
+    });
+    res.json({ data: item });
+  } catch (err) {
+    fail(res, err, { context: `PATCH template item ${req.params.itemId}`, notFound: "Item not found" });
+  }
+});
+
+// DELETE /travel/templates/:id/items/:itemId
+router.delete("/:id/items/:itemId", [param("id").isInt(), param("itemId").isInt()], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) return res.status(400).json({ error: "Invalid parameters" });
+
+  try {
+    const { count } = await prisma.templateItem.deleteMany({
+      where: {
+        id: parseInt(req.params.itemId, 10),
+        template_id: parseInt(req.params.id, 10),
+        template_rel: { user_id: req.user.id },
+      },
+    });
+    if (count === 0) return res.status(404).json({ error: "Item not found" });
+    res.json({ message: "Item deleted" });
+  } catch (err) {
+    fail(res, err, { context: `DELETE template item ${req.params.itemId}` });
+  }
+});
+
+// POST /travel/templates/:id/apply/:tripId — add a template's items to a trip
+router.post("/:id/apply/:tripId", [param("id").isInt(), param("tripId").isInt()], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) return res.status(400).json({ error: "Invalid id" });
+
+  const templateId = parseInt(req.params.id, 10);
+  const tripId = parseInt(req.params.tripId, 10);
+
+  try {
+    const [template, trip, gear] = await Promise.all([
+      prisma.template.findFirst({ where: { id: templateId, user_id: req.user.id }, include: ITEMS }),
+      prisma.trip.findFirst({ where: { id: tripId, user_id: req.user.id }, select: { id: true } }),
+      prisma.gearItem.findMany({
+        where: { user_id: req.user.id, retired: false },
+        select: { id: true, name: true, worn: true },
+      }),
+    ]);
+
+    if (!template) return res.status(404).json({ error: "Template not found" });
+    if (!trip) return res.status(404).json({ error: "Trip not found" });
+
+    // A template stores names, not gear rows, so that it outlives the gear. An
+    // item whose name is still in the closet is linked back up — that is what
+    // puts its weight on the trip — and anything else is something to buy.
+    const gearByName = new Map();
+    for (const g of gear) {
+      const key = g.name.trim().toLowerCase();
+      if (!gearByName.has(key)) gearByName.set(key, g);
+    }
+
+    const toAdd = template.items.map((item) => {
+      const match = gearByName.get(item.name.trim().toLowerCase());
+      return {
+        trip_id: tripId,
+        name: item.name,
+        category: item.category,
+        note: item.note,
+        url: item.url,
+        sort_order: item.sort_order,
+        gear_item_id: match?.id ?? null,
+        status: match ? "BOUGHT" : "NEED_TO_BUY",
+        worn: match?.worn ?? false,
+      };
+    });
+
+    const created = await prisma.$transaction(
+      toAdd.map((item) => prisma.tripItem.create({ data: item }))
+    );
+
+    res.json({ data: { added: created.length, items: created } });
+  } catch (err) {
+    fail(res, err, { context: `POST apply template ${templateId} to trip ${tripId}` });
+  }
+});
+
+module.exports = router;
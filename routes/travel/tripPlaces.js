@@ -11,6 +11,8 @@ const { normalisePlaceInput } = require("../../utils/travel/placeInput");
 const { parseBulkPlaces, MAX_PLACES } = require("../../utils/travel/bulkPlaces");
 const { wikipediaLanguages } = require("../../utils/travel/language");
 const routePlanner = require("../../utils/travel/routePlanner");
+const { concertToPlace } = require("../../utils/travel/concertPlace");
+const { tripCenter, inDestination } = require("../../utils/nearby");
 
 // Mirrors the PlaceKind enum in schema.prisma. Prisma rejects an unknown value
 // anyway, but with a 500 rather than a sentence saying which values are allowed.
@@ -236,6 +238,124 @@ router.post("/search", async (req, res) => {
   }
 });
 
+/**
+ * Concerts by the caller's wishlist bands in the trip's destination during
+ * its dates, soonest first. "In the destination" is within 50 km of the
+ * trip's hotels (or other placed things), or in a city the destination names
+ * when nothing is placed yet.
+ */
+async function concertSuggestions(req, trip) {
+  const day = 24 * 60 * 60 * 1000;
+  const [places, wishlistBands] = await Promise.all([
+    prisma.tripPlace.findMany({
+      where: { trip_id: req.tripId },
+      select: { kind: true, lat: true, lon: true, concert_id: true },
+    }),
+    prisma.wishlistBandReference.findMany({
+      where: { wishlist_rel: { user_id: req.user.id } },
+      select: { band_id: true, tier: true },
+    }),
+  ]);
+  if (wishlistBands.length === 0) return [];
+
+  const tierOf = new Map(wishlistBands.map((ref) => [ref.band_id, ref.tier]));
+  const concerts = await prisma.concert.findMany({
+    where: {
+      concert_date: {
+        gte: new Date(trip.start_date),
+        lt: new Date(new Date(trip.end_date ?? trip.start_date).getTime() + day),
+      },
+      bands: { some: { band: { in: [...tierOf.keys()] } } },
+    },
+    orderBy: { concert_date: "asc" },
+    select: {
+      id: true,
+      name: true,
+      venue: true,
+      city: true,
+      country: true,
+      concert_date: true,
+      latitude: true,
+      longitude: true,
+      url: true,
+      sold_out: true,
+      bands: { select: { band_rel: { select: { id: true, name: true } } } },
+    },
+  });
+
+  const where = { center: tripCenter(places), destination: trip.destination };
+  const added = new Set(places.map((p) => p.concert_id).filter((id) => id != null));
+  return concerts
+    .filter((concert) => inDestination(concert, where))
+    .map(({ bands, ...concert }) => ({
+      ...concert,
+      bands: bands
+        .filter(({ band_rel }) => tierOf.has(band_rel.id))
+        .map(({ band_rel }) => ({ ...band_rel, tier: tierOf.get(band_rel.id) })),
+      on_trip: added.has(concert.id),
+    }));
+}
+
+// GET /travel/trips/:tripId/places/concert-suggestions — wishlist gigs the
+// trip could take in. Writes nothing.
+router.get("/concert-suggestions", async (req, res) => {
+  try {
+    const trip = await prisma.trip.findUnique({
+      where: { id: req.tripId },
+      select: { start_date: true, end_date: true, destination: true },
+    });
+    if (!trip.start_date) return res.status(422).json({ error: "Give the trip dates first" });
+    res.json({ data: await concertSuggestions(req, trip) });
+  } catch (err) {
+    fail(res, err, { context: `GET concert suggestions (trip ${req.tripId})` });
+  }
+});
+
+// POST /travel/trips/:tripId/places/from-concert/:concertId — add a concert
+// as a place pinned to its day, with the show time as the arrival window, so
+// the planner builds the rest of that day around it.
+router.post("/from-concert/:concertId", param("concertId").isInt(), async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) return res.status(400).json({ error: "Invalid parameters" });
+
+  const concertId = parseInt(req.params.concertId, 10);
+  try {
+    const existing = await prisma.tripPlace.findFirst({
+      where: { trip_id: req.tripId, concert_id: concertId },
+    });
+    if (existing) return res.status(409).json({ error: "That concert is already on this trip", data: existing });
+
+    const concert = await prisma.concert.findUnique({
+      where: { id: concertId },
+      select: {
+        id: true,
+        name: true,
+        venue: true,
+        city: true,
+        country: true,
+        concert_date: true,
+        latitude: true,
+        longitude: true,
+        url: true,
+        bands: { select: { band_rel: { select: { name: true } } } },
+      },
+    });
+    if (!concert) return res.status(404).json({ error: "Concert not found" });
+
+    const data = concertToPlace(concert, concert.bands.map((b) => b.band_rel.name));
+    // A venue the concert sources could not place is looked up like any
+    // other place, by its address in the trip's destination.
+    if (data.lat == null) {
+      Object.assign(data, await locate({ address: data.address, name: concert.venue }, await tripAnchor(req.tripId)));
+    }
+
+    const place = await prisma.tripPlace.create({ data: { ...data, trip_id: req.tripId } });
+    res.status(201).json({ data: place });
+  } catch (err) {
+    fail(res, err, { context: `POST place from concert ${concertId} (trip ${req.tripId})` });
+  }
+});
+
 // POST /travel/trips/:tripId/places/bulk — paste a list, get places.
 // Before /:placeId for the same reason as /reorder.
 router.post("/bulk", async (req, res) => {
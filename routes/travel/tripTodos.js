@@ -12,6 +12,14 @@ router.use(auth);
 router.use(roleCheck(["USER", "ADMIN"]));
 router.use(ownsTrip);
 
+// remind_at: an ISO date-time, or null for no reminder. Returns the Date, null,
+// or undefined when the value is not a date.
+function parseRemindAt(value) {
+  if (value === null || value === "") return null;
+  const d = new Date(value);
+  return typeof value === "string" && !Number.isNaN(d.getTime()) ? d : undefined;
+}
+
 // Open todos first, then the order they were added — a finished task drops to
 // the bottom of the list rather than moving around in it.
 const ORDER = [{ done: "asc" }, { sort_order: "asc" }, { created_at: "asc" }];
@@ -31,7 +39,9 @@ router.post("/", body("text").notEmpty().trim().isLength({ max: 300 }), async (r
   const errors = validationResult(req);
   if (!errors.isEmpty()) return res.status(400).json({ error: errors.array()[0].msg });
 
-  const { text, done, sort_order } = req.body;
+  const { text, done, sort_order, remind_at } = req.body;
+  const remindAt = remind_at === undefined ? null : parseRemindAt(remind_at);
+  if (remindAt === undefined) return res.status(400).json({ error: "remind_at must be an ISO date-time or null" });
   try {
     const todo = await prisma.tripTodo.create({
       data: {
@@ -39,6 +49,7 @@ router.post("/", body("text").notEmpty().trim().isLength({ max: 300 }), async (r
         text: text.trim(),
         done: Boolean(done),
         sort_order: sort_order ?? 0,
+        remind_at: remindAt,
       },
     });
     res.status(201).json({ data: todo });
@@ -52,7 +63,7 @@ router.patch("/:todoId", param("todoId").isInt(), async (req, res) => {
   const errors = validationResult(req);
   if (!errors.isEmpty()) return res.status(400).json({ error: "Invalid parameters" });
 
-  const { text, done, sort_order } = req.body;
+  const { text, done, sort_order, remind_at } = req.body;
   const data = {};
   if (text !== undefined) {
     if (!text.trim()) return res.status(400).json({ error: "text cannot be empty" });
@@ -60,6 +71,12 @@ router.patch("/:todoId", param("todoId").isInt(), async (req, res) => {
   }
   if (done !== undefined) data.done = Boolean(done);
   if (sort_order !== undefined) data.sort_order = sort_order;
+  if (remind_at !== undefined) {
+    data.remind_at = parseRemindAt(remind_at);
+    if (data.remind_at === undefined) return res.status(400).json({ error: "remind_at must be an ISO date-time or null" });
+    // A moved reminder goes out again at its new time
+    data.reminded_at = null;
+  }
 
   try {
     // trip_id in the where is the ownership check: the trip is already known to
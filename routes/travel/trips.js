@@ -6,13 +6,19 @@ const axios = require("axios");
 
 const auth = require("../../auth/verifyJWT");
 const roleCheck = require("../../middlewares/roleCheck");
+const apiKeyOrRole = require("../../middlewares/apiKeyOrRole");
 const prisma = require("../../prisma/client");
 const { fail, paginate, sendList } = require("../../utils/apiResponse");
+const { dateOnly } = require("../../utils/travel/planRequest");
+const { weatherChange, hasChanged, describeWeatherChange } = require("../../utils/travel/weatherChange");
+const { dispatch } = require("../../utils/notifications/dispatch");
 
-router.use(auth);
+// The weather routes below are called by the Python cron, with an API key or a
+// SYSTEM token, so they come before router.use(auth): a request carrying only a
+// key has no JWT for auth to accept.
 
 // GET /travel/trips/weather-pending — trips needing weather sync (SYSTEM only)
-router.get("/weather-pending", roleCheck(["SYSTEM"]), async (_req, res) => {
+router.get("/weather-pending", apiKeyOrRole("weather:read", ["SYSTEM"]), async (_req, res) => {
   try {
     const now = new Date();
     const staleThreshold = new Date(now.getTime() - 24 * 60 * 60 * 1000);
@@ -41,7 +47,7 @@ router.get("/weather-pending", roleCheck(["SYSTEM"]), async (_req, res) => {
 });
 
 // POST /travel/trips/sync-weather — proxy to Python trip weather sync (ADMIN only)
-router.post("/sync-weather", roleCheck(["ADMIN"]), async (_req, res) => {
+router.post("/sync-weather", auth, roleCheck(["ADMIN"]), async (_req, res) => {
   try {
     const pythonServiceUrl = process.env.PYTHON_SERVICE_URL;
     await axios.post(`${pythonServiceUrl}/sync-trip-weather`, {}, { timeout: 300000 });
@@ -59,8 +65,30 @@ router.post("/sync-weather", roleCheck(["ADMIN"]), async (_req, res) => {
 const BULK_MAX_TRIPS = 500;
 const BULK_CHUNK = 25;
 
+// A TRIP_WEATHER notification for each trip not yet over whose forecast
+// changed in a way worth hearing about (see utils/travel/weatherChange.js).
+async function notifyWeatherChanges(before, updates, now) {
+  const next = new Map(updates.map((u) => [u.id, u.weather_data]));
+  const today = dateOnly(now);
+  for (const trip of before) {
+    if (!trip.start_date || dateOnly(trip.end_date ?? trip.start_date) < today) continue;
+    const change = weatherChange(trip.weather_data, next.get(trip.id));
+    if (!hasChanged(change)) continue;
+    const lines = describeWeatherChange(change);
+    await dispatch({
+      userId: trip.user_id,
+      event: "TRIP_WEATHER",
+      notification: {
+        title: `The forecast for ${trip.name} changed`,
+        message: lines.join("\n"),
+        data: { trip_id: trip.id, ...change },
+      },
+    });
+  }
+}
+
 // PATCH /travel/trips/weather/bulk — store weather blobs from Python cron (SYSTEM only)
-router.patch("/weather/bulk", roleCheck(["SYSTEM"]), async (req, res) => {
+router.patch("/weather/bulk", apiKeyOrRole("weather:write", ["SYSTEM"]), async (req, res) => {
   const updates = req.body; // [{ id, weather_data }]
   if (!Array.isArray(updates) || updates.length === 0) {
     return res.status(400).json({ error: "Expected non-empty array of { id, weather_data }" });
@@ -75,6 +103,11 @@ router.patch("/weather/bulk", roleCheck(["SYSTEM"]), async (req, res) => {
   const now = new Date();
   let updated = 0;
   try {
+    // The forecasts as they were, to tell the owners of upcoming trips what changed
+    const before = await prisma.trip.findMany({
+      where: { id: { in: updates.map((u) => u.id) } },
+      select: { id: true, user_id: true, name: true, start_date: true, end_date: true, weather_data: true },
+    });
     for (let i = 0; i < updates.length; i += BULK_CHUNK) {
       const chunk = updates.slice(i, i + BULK_CHUNK);
       await prisma.$transaction(
@@ -88,6 +121,10 @@ router.patch("/weather/bulk", roleCheck(["SYSTEM"]), async (req, res) => {
       updated += chunk.length;
     }
     res.json({ ok: true, updated });
+
+    notifyWeatherChanges(before, updates, now).catch((err) =>
+      console.error(`[${new Date().toISOString()}] Trip weather notifications failed:`, err.message)
+    );
   } catch (err) {
     // Say how far it got: the caller is a cron job that can retry the rest.
     console.error(`[${new Date().toISOString()}] PATCH weather/bulk failed after ${updated}/${updates.length}`, err);
@@ -95,6 +132,7 @@ router.patch("/weather/bulk", roleCheck(["SYSTEM"]), async (req, res) => {
   }
 });
 
+router.use(auth);
 router.use(roleCheck(["USER", "ADMIN"]));
 
 // GET /travel/trips — list user's trips
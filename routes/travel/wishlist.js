@@ -4,9 +4,28 @@ const { body, param, validationResult } = require("express-validator");
 
 const auth = require("../../auth/verifyJWT");
 const roleCheck = require("../../middlewares/roleCheck");
+const apiKeyOrRole = require("../../middlewares/apiKeyOrRole");
 const prisma = require("../../prisma/client");
 const { fail, paginate, sendList } = require("../../utils/apiResponse");
 
+// GET /travel/wishlist/keywords — all unique keywords from non-bought items (for RSS watcher).
+// Declared before router.use(auth) so rss-watcher can call it with an API key.
+router.get("/keywords", apiKeyOrRole("wishlist:keywords:read", ["USER", "ADMIN", "SYSTEM"]), async (req, res) => {
+  try {
+    const where = req.user.role === "SYSTEM"
+      ? { bought: false }
+      : { user_id: req.user.id, bought: false };
+    const items = await prisma.travelWishlistItem.findMany({
+      where,
+      select: { keywords: true },
+    });
+    const unique = [...new Set(items.flatMap((i) => i.keywords))].sort();
+    res.json({ data: unique });
+  } catch (err) {
+    fail(res, err, { context: "GET wishlist keywords" });
+  }
+});
+
 router.use(auth);
 router.use(roleCheck(["USER", "ADMIN", "SYSTEM"]));
 
@@ -136,21 +155,4 @@ router.delete("/:id", param("id").isInt(), async (req, res) => {
   }
 });
 
-// GET /travel/wishlist/keywords — all unique keywords from non-bought items (for RSS watcher)
-router.get("/keywords", async (req, res) => {
-  try {
-    const where = req.user.role === "SYSTEM"
-      ? { bought: false }
-      : { user_id: req.user.id, bought: false };
-    const items = await prisma.travelWishlistItem.findMany({
-      where,
-      select: { keywords: true },
-    });
-    const unique = [...new Set(items.flatMap((i) => i.keywords))].sort();
-    res.json({ data: unique });
-  } catch (err) {
-    fail(res, err, { context: "GET wishlist keywords" });
-  }
-});
-
 module.exports = router;
@@ -1,6 +1,6 @@
 const express = require('express');
 const router = express.Router();
-const { validationResult, param } = require('express-validator');
+const { validationResult, body, param, query } = require('express-validator');
 const bcrypt = require('bcrypt');
 const multer = require('multer');
 const { v4: uuidv4 } = require('uuid');
@@ -14,16 +14,59 @@ const { paginationValidation } = require('../utils/validation/pagination');
 const { rateLimiter } = require('../utils/rateLimiter');
 const prisma = require('../prisma/client');
 const signJWT = require('../auth/signJWT');
-const { sendEmailVerificationCode } = require('../utils/mail');
+const sessions = require('../auth/sessions');
+const {
+  sendEmailVerificationCode,
+  sendPasswordResetCode,
+  sendSignupVerificationCode,
+} = require('../utils/mail');
 const { validateEmail } = require('../utils/validation/email');
+const { newCode, codeHash, codeMatches } = require('../utils/verificationCodes');
 const { emailRateLimiter } = require('../utils/emailRateLimiter');
 const response = require('../utils/apiResponse');
+const { defaultEvents } = require('../utils/notifications/channels');
+const {
+  validateArchive,
+  findConflicts,
+  skipsFor,
+  danglingReferences,
+  plannedCounts,
+  restoreArchive,
+} = require('../utils/export/restore');
+const { deleteAccount } = require('../utils/accountDeletion');
+const { recordAudit } = require('../utils/audit');
 
 // Defaults to 5 requests per 15 minutes per IP
 const rateLimit = rateLimiter({
   message: 'Too many requests to the users route, please try again later.',
 });
 
+// How long a signup code lasts. Longer than a reset code: it is usually
+// entered on the next visit, not in the next five minutes.
+const SIGNUP_CODE_TTL_MS = 24 * 60 * 60 * 1000;
+
+// Send a fresh signup code, replacing any earlier one. Throws if the email
+// cannot be sent, leaving no code behind.
+async function sendSignupCode(user) {
+  const code = newCode();
+  await prisma.emailVerification.deleteMany({ where: { user_id: user.id, purpose: 'SIGNUP' } });
+  const verification = await prisma.emailVerification.create({
+    data: {
+      user_id: user.id,
+      new_email: user.email,
+      code: codeHash(user.id, code),
+      purpose: 'SIGNUP',
+      expires_at: new Date(Date.now() + SIGNUP_CODE_TTL_MS),
+    },
+  });
+  try {
+    await sendSignupVerificationCode({ to: user.email, code });
+  } catch (err) {
+    await prisma.emailVerification.delete({ where: { id: verification.id } });
+    throw err;
+  }
+}
+
 router.post(
   '/register',
   rateLimit,
@@ -61,8 +104,27 @@ router.post(
       await prisma.wishlist.create({
         data: { name: 'My Wishlist', user_id: user.id },
       });
+      await prisma.notificationChannel.create({
+        data: { user_id: user.id, kind: 'EMAIL', name: 'Email', events: defaultEvents('EMAIL') },
+      });
+
+      // The account works straight away; only mail and Discord notifications
+      // wait for the address to be confirmed. A failed send is not a failed
+      // registration — POST /users/email/resend-verification tries again.
+      let verificationSent = true;
+      try {
+        await sendSignupCode(user);
+      } catch (err) {
+        verificationSent = false;
+        console.error('Failed to send signup verification code:', err);
+      }
 
-      res.status(201).json({ message: 'User registered successfully', user });
+      res.status(201).json({
+        message: verificationSent
+          ? 'User registered successfully. Check your inbox for a code to confirm your email.'
+          : 'User registered successfully, but the confirmation email could not be sent. Request a new one from your account.',
+        user: { ...user, email_verified: false },
+      });
     } catch (error) {
       console.error('Error during registration:', error);
       res.status(500).json({ error: 'Internal server error' });
@@ -101,6 +163,9 @@ router.post(
       if (!passwordCompare) {
         return res.status(401).json({ error: 'Invalid credentials' });
       }
+      if (existingUser.disabled_at) {
+        return res.status(403).json({ error: 'This account has been disabled' });
+      }
 
       const user = {
         id: existingUser.id,
@@ -108,14 +173,20 @@ router.post(
         role: existingUser.role || 'USER', // Default to USER if no role is set
       };
 
-      // If you want to be safer, you could insert the token into the DB
-      // and check it on every request, but for simplicity, we will just sign it here and trust the expiry.
-      const token = await signJWT({ user });
+      // One session per sign-in, named after the client so the sessions list
+      // can tell a phone from a laptop.
+      const { session, refreshToken } = await sessions.createSession(user.id, {
+        name: req.get('user-agent'),
+      });
+      const token = await signJWT({ user, session });
 
-      // Return the user and token
-      res
-        .status(200)
-        .json({ message: 'User logged in successfully', user, token });
+      // Return the user and both tokens
+      res.status(200).json({
+        message: 'User logged in successfully',
+        user: { ...user, email_verified: existingUser.email_verified_at != null },
+        token,
+        refresh_token: refreshToken,
+      });
     } catch (error) {
       console.error('Error during login:', error);
       return res.status(500).json({ error: 'Internal server error' });
@@ -123,6 +194,97 @@ router.post(
   },
 );
 
+// POST /users/token/refresh — trade a refresh token for a new access token and
+// a new refresh token. The old refresh token is spent; presenting it again
+// revokes the session.
+router.post('/token/refresh', rateLimit, async (req, res) => {
+  const { refresh_token: refreshToken } = req.body ?? {};
+  if (typeof refreshToken !== 'string' || !refreshToken) {
+    return res.status(400).json({ error: 'refresh_token is required' });
+  }
+
+  try {
+    const result = await sessions.rotateRefreshToken(refreshToken);
+    if (result.error === 'reused') {
+      return res.status(401).json({ error: 'Refresh token already used; the session has been revoked, please sign in again' });
+    }
+    if (result.error) {
+      return res.status(401).json({ error: 'Invalid or expired refresh token' });
+    }
+    if (result.user.disabled_at) {
+      return res.status(403).json({ error: 'This account has been disabled' });
+    }
+
+    // Role read fresh rather than carried over, so a promotion or demotion
+    // takes effect at the next refresh instead of the next sign-in.
+    const user = { id: result.user.id, email: result.user.email, role: result.user.role || 'USER' };
+    const token = await signJWT({ user, session: result.session });
+    res.json({ token, refresh_token: result.refreshToken });
+  } catch (error) {
+    console.error('Error refreshing token:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// POST /users/logout — end the session this token belongs to
+router.post('/logout', auth, async (req, res) => {
+  try {
+    await sessions.revokeSession(req.user.sid, req.user.id);
+    res.json({ message: 'Logged out' });
+  } catch (error) {
+    console.error('Error logging out:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// POST /users/logout/all — end every signed-in device, this one included.
+// Service sessions are left alone unless ?include_services=true: logging out
+// of a laptop should not also stop the rss-watcher.
+router.post('/logout/all', auth, async (req, res) => {
+  try {
+    const kinds = req.query.include_services === 'true' ? ['USER', 'SERVICE'] : ['USER'];
+    const revoked = await sessions.revokeAllSessions(req.user.id, { kinds });
+    res.json({ message: 'Logged out everywhere', revoked });
+  } catch (error) {
+    console.error('Error logging out everywhere:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// GET /users/sessions — this account's live sessions, devices and services
+router.get('/sessions', auth, async (req, res) => {
+  try {
+    const rows = await prisma.session.findMany({
+      where: { user_id: req.user.id, revoked_at: null },
+      orderBy: { created_at: 'desc' },
+      select: { id: true, kind: true, name: true, created_at: true, last_used_at: true, expires_at: true },
+    });
+    // An expired USER session cannot refresh any more, so it is not live.
+    const now = new Date();
+    const live = rows.filter((s) => s.kind === 'SERVICE' || !s.expires_at || s.expires_at > now);
+    res.json({ data: live.map((s) => ({ ...s, current: s.id === req.user.sid })) });
+  } catch (error) {
+    console.error('Error listing sessions:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// DELETE /users/sessions/:id — revoke one session, e.g. a lost phone or a
+// leaked service token
+router.delete('/sessions/:id', auth, param('id').isUUID(), async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) return res.status(400).json({ error: 'Invalid session id' });
+
+  try {
+    const revoked = await sessions.revokeSession(req.params.id, req.user.id);
+    if (!revoked) return res.status(404).json({ error: 'Session not found' });
+    res.json({ message: 'Session revoked' });
+  } catch (error) {
+    console.error('Error revoking session:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
 router.patch('/me/settings', auth, async (req, res) => {
   try {
     const userId = req.user.id;
@@ -157,6 +319,7 @@ router.get('/me', auth, async (req, res) => {
         email: true,
         role: true,
         created_at: true,
+        email_verified_at: true,
         settings: true,
         game_times: {
           select: {
@@ -204,6 +367,113 @@ router.get('/me', auth, async (req, res) => {
   }
 });
 
+// POST /users/me/import — restore an archive from GET /data/export/me into this
+// account. The archive is the request body.
+//   ?dry_run=true          report what would be created, and any conflicts, without writing
+//   ?on_conflict=fail      (default) refuse with 409 if anything looks already imported
+//   ?on_conflict=skip      leave conflicting rows out; conflicting gear is reused instead
+//   ?on_conflict=duplicate import everything regardless
+router.post(
+  '/me/import',
+  auth,
+  roleCheck(['USER', 'ADMIN']),
+  rateLimit,
+  [
+    query('dry_run').optional().isBoolean(),
+    query('on_conflict').optional().isIn(['fail', 'skip', 'duplicate']),
+  ],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ error: 'dry_run must be true or false, on_conflict one of fail, skip or duplicate' });
+    }
+
+    const archive = req.body;
+    const problem = validateArchive(archive);
+    if (problem) return res.status(400).json({ error: problem });
+
+    const dryRun = req.query.dry_run === 'true';
+    const onConflict = req.query.on_conflict ?? 'fail';
+    const userId = req.user.id;
+
+    try {
+      const [trips, gear, loadouts, templates] = await Promise.all([
+        prisma.trip.findMany({ where: { user_id: userId }, select: { id: true, name: true, start_date: true } }),
+        prisma.gearItem.findMany({ where: { user_id: userId }, select: { id: true, name: true, brand: true, model: true } }),
+        prisma.loadout.findMany({ where: { user_id: userId }, select: { id: true, name: true } }),
+        prisma.template.findMany({ where: { user_id: userId }, select: { id: true, name: true } }),
+      ]);
+      const conflicts = findConflicts(archive, { trips, gear, loadouts, templates });
+      const skips = onConflict === 'skip' ? skipsFor(conflicts) : undefined;
+      const warnings = danglingReferences(archive);
+
+      if (dryRun) {
+        return res.json({
+          data: { dry_run: true, would_create: plannedCounts(archive, skips), conflicts, warnings },
+        });
+      }
+      if (conflicts.length > 0 && onConflict === 'fail') {
+        return res.status(409).json({
+          error: 'Some of this archive looks already imported. Retry with on_conflict=skip or on_conflict=duplicate.',
+          conflicts,
+        });
+      }
+
+      // One transaction: an import that fails halfway leaves nothing behind to
+      // clean up. Row-by-row creates (ids are needed for the remapping) make it
+      // slower than Prisma's five-second default allows for a large closet.
+      const created = await prisma.$transaction(
+        (tx) => restoreArchive(tx, userId, archive, skips),
+        { timeout: 60 * 1000 },
+      );
+
+      res.status(201).json({ data: { created, conflicts, warnings } });
+    } catch (error) {
+      console.error('Error importing account archive:', error);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  },
+);
+
+/**
+ * DELETE /users/me
+ * Deletes the signed-in account and everything it owns: trips, gear, loadouts,
+ * templates, reviews, the concert wishlists, game and movie data, and any
+ * Spotify/TMDB connections. There is no undo; export first.
+ * @body {string} password - The account's password. An account that only ever
+ *   signed in another way confirms with its email address instead.
+ * @returns {object} { success: true, data: { oauth: [{ provider, revoked }] } }
+ *   — whether each connected provider's token could be revoked with the provider
+ * @throws {400} Missing confirmation
+ * @throws {401} Wrong password
+ */
+router.delete('/me', auth, rateLimit, upload.none(), async (req, res) => {
+  const { password, email } = req.body ?? {};
+  try {
+    const user = await prisma.user.findUnique({
+      where: { id: req.user.id },
+      select: { id: true, email: true, password_hash: true },
+    });
+    if (!user) return response.notFound(res, 'User not found');
+
+    if (user.password_hash) {
+      if (!password) return response.badRequest(res, 'Confirm with your password');
+      if (!(await bcrypt.compare(password, user.password_hash))) {
+        return response.unauthorized(res, 'Incorrect password');
+      }
+    } else if (typeof email !== 'string' || email.trim().toLowerCase() !== user.email.toLowerCase()) {
+      return response.badRequest(res, 'Confirm with the email address of this account');
+    }
+
+    const result = await deleteAccount(user.id);
+    if (!result) return response.notFound(res, 'User not found');
+    return response.success(res, 200, result, 'Account deleted');
+  } catch (error) {
+    console.error('Error deleting account:', error);
+    return response.serverError(res);
+  }
+});
+
 router.get(
   '/',
   auth,
@@ -227,7 +497,7 @@ router.get(
           skip,
           take: limit,
           orderBy: { created_at: 'desc' },
-          select: { id: true, email: true, role: true, created_at: true },
+          select: { id: true, email: true, role: true, created_at: true, disabled_at: true },
         }),
         prisma.user.count(),
       ]);
@@ -248,15 +518,14 @@ router.get(
   },
 );
 
-const cuidRegex = /^[a-z0-9]{32}$/;
+// User ids are UUIDs (see the schema's @default(uuid())).
+const userIdParam = param('id').isUUID().withMessage('Invalid user ID format');
+
 router.get(
   '/:id',
   auth,
   roleCheck(['ADMIN']),
-  param('id')
-    .isString()
-    .matches(cuidRegex)
-    .withMessage('Invalid user ID format'),
+  userIdParam,
   async (req, res) => {
     try {
       const errors = validationResult(req);
@@ -273,11 +542,13 @@ router.get(
           email: true,
           role: true,
           created_at: true,
+          email_verified_at: true,
+          disabled_at: true,
           game_times: {
             select: {
               play_time: true,
               updated_at: true,
-              game: {
+              game_rel: {
                 select: {
                   id: true,
                   name: true,
@@ -290,7 +561,7 @@ router.get(
             select: {
               id: true,
               rating: true,
-              movie: {
+              movie_rel: {
                 select: {
                   id: true,
                   name: true,
@@ -320,6 +591,336 @@ router.get(
   },
 );
 
+/**
+ * DELETE /users/:id
+ * Admin: delete another account, exactly as DELETE /users/me would. Admins
+ * delete their own account through /users/me, with their password.
+ * @returns {object} { success: true, data: { oauth: [{ provider, revoked }] } }
+ * @throws {400} Malformed id, or the admin's own id
+ * @throws {404} No such user
+ */
+router.delete(
+  '/:id',
+  auth,
+  roleCheck(['ADMIN']),
+  userIdParam,
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+    if (req.params.id === req.user.id) {
+      return response.badRequest(res, 'Use DELETE /users/me to delete your own account');
+    }
+
+    try {
+      const target = await prisma.user.findUnique({
+        where: { id: req.params.id },
+        select: { email: true, role: true },
+      });
+      if (!target) return response.notFound(res, 'User not found');
+
+      const result = await deleteAccount(req.params.id, {
+        inTransaction: (tx) =>
+          recordAudit(req, { action: 'user.delete', targetType: 'User', targetId: req.params.id, before: target }, tx),
+      });
+      if (!result) return response.notFound(res, 'User not found');
+      return response.success(res, 200, result, 'Account deleted');
+    } catch (error) {
+      console.error(`Error deleting user ${req.params.id}:`, error);
+      return response.serverError(res);
+    }
+  },
+);
+
+// Admin changes to an account go through here: the update and its audit
+// record in one transaction. Refuses an admin acting on themselves, so nobody
+// demotes or locks out the account they are using. Returns the user as it is
+// now, or null (having responded) if there was nothing to do.
+async function adminUpdateUser(req, res, { action, data }) {
+  if (req.params.id === req.user.id) {
+    response.badRequest(res, 'Admins cannot do this to their own account');
+    return null;
+  }
+  const select = { id: true, email: true, role: true, disabled_at: true };
+  return prisma.$transaction(async (tx) => {
+    const before = await tx.user.findUnique({ where: { id: req.params.id }, select });
+    if (!before) {
+      response.notFound(res, 'User not found');
+      return null;
+    }
+    const after = await tx.user.update({ where: { id: req.params.id }, data, select });
+    await recordAudit(req, { action, targetType: 'User', targetId: req.params.id, before, after }, tx);
+    return after;
+  });
+}
+
+/**
+ * PATCH /users/:id/role
+ * Admin: change an account's role. Takes effect on the user's next request.
+ * @body {string} role - USER, ADMIN or SYSTEM
+ * @returns {object} { success: true, data: { id, email, role, disabled_at } }
+ * @throws {400} Malformed id or role, or the admin's own id
+ * @throws {404} No such user
+ */
+router.patch(
+  '/:id/role',
+  auth,
+  roleCheck(['ADMIN']),
+  upload.none(),
+  userIdParam,
+  body('role').isIn(['USER', 'ADMIN', 'SYSTEM']).withMessage('role must be USER, ADMIN or SYSTEM'),
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+    try {
+      const user = await adminUpdateUser(req, res, {
+        action: 'user.role',
+        data: { role: req.body.role },
+      });
+      if (user) return response.success(res, 200, user, 'Role updated');
+    } catch (error) {
+      console.error(`Error changing role of user ${req.params.id}:`, error);
+      return response.serverError(res);
+    }
+  },
+);
+
+/**
+ * POST /users/:id/disable
+ * Admin: disable an account. It cannot sign in, and every token it holds —
+ * service tokens included — is refused from its next request. Nothing is
+ * deleted; POST /users/:id/enable undoes it.
+ * @returns {object} { success: true, data: { id, email, role, disabled_at } }
+ * @throws {400} Malformed id, or the admin's own id
+ * @throws {404} No such user
+ */
+router.post('/:id/disable', auth, roleCheck(['ADMIN']), userIdParam, async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+  try {
+    const user = await adminUpdateUser(req, res, {
+      action: 'user.disable',
+      data: { disabled_at: new Date() },
+    });
+    if (user) return response.success(res, 200, user, 'Account disabled');
+  } catch (error) {
+    console.error(`Error disabling user ${req.params.id}:`, error);
+    return response.serverError(res);
+  }
+});
+
+/**
+ * POST /users/:id/enable
+ * Admin: re-enable a disabled account. Sessions that were open when it was
+ * disabled work again.
+ * @returns {object} { success: true, data: { id, email, role, disabled_at } }
+ * @throws {400} Malformed id, or the admin's own id
+ * @throws {404} No such user
+ */
+router.post('/:id/enable', auth, roleCheck(['ADMIN']), userIdParam, async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+  try {
+    const user = await adminUpdateUser(req, res, {
+      action: 'user.enable',
+      data: { disabled_at: null },
+    });
+    if (user) return response.success(res, 200, user, 'Account enabled');
+  } catch (error) {
+    console.error(`Error enabling user ${req.params.id}:`, error);
+    return response.serverError(res);
+  }
+});
+
+// The support views below are reads, but of someone else's data, so they are
+// audited like any other admin action.
+
+/**
+ * GET /users/:id/trips
+ * Admin: a user's trips as they see them, read-only, for support.
+ * @returns {object} { success: true, data: Trip[] } — with places, items, todos
+ *   and estimates
+ * @throws {400} Malformed id
+ * @throws {404} No such user
+ */
+router.get('/:id/trips', auth, roleCheck(['ADMIN']), userIdParam, async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+  try {
+    const user = await prisma.user.findUnique({ where: { id: req.params.id }, select: { id: true } });
+    if (!user) return response.notFound(res, 'User not found');
+
+    const trips = await prisma.trip.findMany({
+      where: { user_id: user.id },
+      orderBy: [{ start_date: 'asc' }, { created_at: 'desc' }],
+      include: {
+        places: true,
+        items: { include: { gear_item_rel: { select: { id: true, name: true } } } },
+        todos: true,
+        estimates: true,
+      },
+    });
+    await recordAudit(req, { action: 'user.view_trips', targetType: 'User', targetId: user.id });
+    return response.success(res, 200, trips);
+  } catch (error) {
+    console.error(`Error fetching trips of user ${req.params.id}:`, error);
+    return response.serverError(res);
+  }
+});
+
+/**
+ * GET /users/:id/wishlist
+ * Admin: a user's concert wishlists, read-only, for support — the ones they
+ * own; lists shared with them are their owners'. The Discord webhook is left
+ * out: it is a credential, and support has no need of it.
+ * @returns {object} { success: true, data: Wishlist[] } — each with bands,
+ *   attended concerts and the users it is shared with
+ * @throws {400} Malformed id
+ * @throws {404} No such user
+ */
+router.get('/:id/wishlist', auth, roleCheck(['ADMIN']), userIdParam, async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+  try {
+    const user = await prisma.user.findUnique({ where: { id: req.params.id }, select: { id: true } });
+    if (!user) return response.notFound(res, 'User not found');
+
+    const wishlists = await prisma.wishlist.findMany({
+      where: { user_id: user.id },
+      orderBy: { id: 'asc' },
+      select: {
+        id: true,
+        name: true,
+        last_active_at: true,
+        scores_computed_at: true,
+        bands: { select: { tier: true, band_rel: { select: { id: true, name: true } } } },
+        attendance: {
+          select: { created_at: true, concert_rel: { select: { id: true, name: true, concert_date: true, city: true } } },
+        },
+        members: { select: { role: true, user_rel: { select: { id: true, email: true } } } },
+      },
+    });
+    await recordAudit(req, { action: 'user.view_wishlist', targetType: 'User', targetId: user.id });
+    return response.success(res, 200, wishlists);
+  } catch (error) {
+    console.error(`Error fetching wishlist of user ${req.params.id}:`, error);
+    return response.serverError(res);
+  }
+});
+
+const RESET_TTL_MS = 15 * 60 * 1000;
+
+/**
+ * POST /users/password/forgot
+ * Sends a password reset code to the account's email, if there is one
+ * @body {string} email - The account's email address
+ * @returns {object} { success: true, message: string } — the same whether or
+ *   not the address has an account, so this cannot be used to find out
+ * @throws {400} Missing or malformed email
+ * @throws {429} Too many email requests
+ */
+router.post('/password/forgot', emailRateLimiter, upload.none(), async (req, res) => {
+  const { email } = req.body ?? {};
+  if (!validateEmail(email)) {
+    return response.badRequest(res, 'A valid email is required');
+  }
+
+  const sent = 'If that address has an account, a reset code is on its way';
+  try {
+    const user = await prisma.user.findUnique({ where: { email }, select: { id: true, email: true } });
+    if (!user) return response.success(res, 200, {}, sent);
+
+    const code = newCode();
+
+    // One live reset per user: asking again replaces the previous code.
+    await prisma.emailVerification.deleteMany({
+      where: { user_id: user.id, purpose: 'PASSWORD_RESET' },
+    });
+    const verification = await prisma.emailVerification.create({
+      data: {
+        user_id: user.id,
+        new_email: user.email,
+        code: codeHash(user.id, code),
+        purpose: 'PASSWORD_RESET',
+        expires_at: new Date(Date.now() + RESET_TTL_MS),
+      },
+    });
+
+    try {
+      await sendPasswordResetCode({ to: user.email, code });
+    } catch (emailError) {
+      await prisma.emailVerification.delete({ where: { id: verification.id } });
+      console.error('Password reset email failed, code deleted:', emailError);
+      return response.serverError(res, 'Failed to send reset email');
+    }
+
+    return response.success(res, 200, {}, sent);
+  } catch (error) {
+    console.error('Error requesting password reset:', error);
+    return response.serverError(res, 'Internal server error');
+  }
+});
+
+/**
+ * POST /users/password/reset
+ * Sets a new password with a code from /users/password/forgot, and signs the
+ * account out everywhere: whoever knew the old password is no longer signed in
+ * @body {string} email - The account's email address
+ * @body {string} code - 6-digit reset code
+ * @body {string} password - New password, same rules as registration
+ * @returns {object} { success: true, message: string }
+ * @throws {400} Invalid input, or an invalid or expired code
+ * @throws {429} Too many email requests
+ */
+router.post('/password/reset', emailRateLimiter, upload.none(), userValidation, async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+  const { email, code, password } = req.body;
+  if (!code || typeof code !== 'string') {
+    return response.badRequest(res, 'Reset code is required');
+  }
+
+  const invalid = 'Invalid or expired reset code';
+  try {
+    const user = await prisma.user.findUnique({ where: { email }, select: { id: true } });
+    const verification = user && await prisma.emailVerification.findFirst({
+      where: { user_id: user.id, purpose: 'PASSWORD_RESET' },
+    });
+    if (!verification || new Date() > verification.expires_at) {
+      return response.badRequest(res, invalid);
+    }
+
+    if (!(await codeMatches(verification, code))) {
+      return response.badRequest(res, invalid);
+    }
+
+    const passwordHash = await bcrypt.hash(password, 10);
+    await prisma.$transaction(async (tx) => {
+      await tx.user.update({ where: { id: user.id }, data: { password_hash: passwordHash } });
+      await tx.emailVerification.deleteMany({ where: { user_id: user.id, purpose: 'PASSWORD_RESET' } });
+      await sessions.revokeAllSessions(user.id, { db: tx });
+    });
+
+    return response.success(res, 200, {}, 'Password updated; sign in with the new one');
+  } catch (error) {
+    console.error('Error resetting password:', error);
+    return response.serverError(res, 'Internal server error');
+  }
+});
+
 /**
  * POST /users/email/request-change
  * Initiates email change by sending verification code to new email
@@ -354,7 +955,7 @@ router.post('/email/request-change', auth, emailRateLimiter, upload.none(), asyn
 
     // Check if email is already pending verification by any user
     const existingPending = await prisma.emailVerification.findFirst({
-      where: { new_email: newEmail },
+      where: { new_email: newEmail, purpose: 'EMAIL_CHANGE' },
     });
     if (existingPending) {
       return response.conflict(res, 'Email is already pending verification');
@@ -366,7 +967,7 @@ router.post('/email/request-change', auth, emailRateLimiter, upload.none(), asyn
 
     // Delete any existing pending verification for this user
     await prisma.emailVerification.deleteMany({
-      where: { user_id: userId },
+      where: { user_id: userId, purpose: 'EMAIL_CHANGE' },
     });
 
     // Create new verification record
@@ -422,7 +1023,7 @@ router.post('/email/verify-code', auth, emailRateLimiter, upload.none(), async (
       where: { code },
     });
 
-    if (!verification) {
+    if (!verification || verification.purpose !== 'EMAIL_CHANGE') {
       return response.badRequest(res, 'Invalid verification code');
     }
 
@@ -439,10 +1040,10 @@ router.post('/email/verify-code', auth, emailRateLimiter, upload.none(), async (
       return response.badRequest(res, 'Verification code has expired');
     }
 
-    // Update user email
+    // Update user email. The code reached the new address, so it is confirmed.
     const user = await prisma.user.update({
       where: { id: userId },
-      data: { email: verification.new_email },
+      data: { email: verification.new_email, email_verified_at: new Date() },
       select: { id: true, email: true },
     });
 
@@ -458,4 +1059,84 @@ router.post('/email/verify-code', auth, emailRateLimiter, upload.none(), async (
   }
 });
 
+/**
+ * POST /users/email/verify
+ * Confirms the account's address with the code sent at registration
+ * @body {string} code - 6-digit verification code
+ * @returns {object} { success: true, data: { user: { id, email, email_verified_at } }, message: string }
+ * @throws {400} Invalid or expired code
+ * @throws {401} Unauthorized
+ */
+router.post('/email/verify', auth, emailRateLimiter, upload.none(), async (req, res) => {
+  try {
+    const userId = req.user.id;
+    const { code } = req.body ?? {};
+    if (!code || typeof code !== 'string') {
+      return response.badRequest(res, 'Verification code is required');
+    }
+
+    const verification = await prisma.emailVerification.findFirst({
+      where: { user_id: userId, purpose: 'SIGNUP' },
+    });
+    if (!verification || new Date() > verification.expires_at) {
+      return response.badRequest(res, 'Invalid or expired verification code');
+    }
+    if (!(await codeMatches(verification, code))) {
+      return response.badRequest(res, 'Invalid or expired verification code');
+    }
+
+    // Only if the address is still the one the code was sent to: an email
+    // change in between makes this code meaningless.
+    const user = await prisma.user.findUnique({ where: { id: userId }, select: { email: true } });
+    if (user?.email !== verification.new_email) {
+      await prisma.emailVerification.delete({ where: { id: verification.id } });
+      return response.badRequest(res, 'Invalid or expired verification code');
+    }
+
+    const [updated] = await prisma.$transaction([
+      prisma.user.update({
+        where: { id: userId },
+        data: { email_verified_at: new Date() },
+        select: { id: true, email: true, email_verified_at: true },
+      }),
+      prisma.emailVerification.deleteMany({ where: { user_id: userId, purpose: 'SIGNUP' } }),
+    ]);
+
+    return response.success(res, 200, { user: updated }, 'Email confirmed');
+  } catch (error) {
+    console.error('Error confirming email:', error);
+    return response.serverError(res, 'Internal server error');
+  }
+});
+
+/**
+ * POST /users/email/resend-verification
+ * Sends a new signup code, replacing the previous one
+ * @returns {object} { success: true, message: string }
+ * @throws {401} Unauthorized
+ * @throws {409} Already confirmed
+ * @throws {500} Email could not be sent
+ */
+router.post('/email/resend-verification', auth, emailRateLimiter, async (req, res) => {
+  try {
+    const user = await prisma.user.findUnique({
+      where: { id: req.user.id },
+      select: { id: true, email: true, email_verified_at: true },
+    });
+    if (!user) return response.notFound(res, 'User not found');
+    if (user.email_verified_at) return response.conflict(res, 'Email is already confirmed');
+
+    try {
+      await sendSignupCode(user);
+    } catch (emailError) {
+      console.error('Failed to resend signup verification code:', emailError);
+      return response.serverError(res, 'Failed to send verification email');
+    }
+    return response.success(res, 200, {}, 'Verification code sent');
+  } catch (error) {
+    console.error('Error resending verification code:', error);
+    return response.serverError(res, 'Internal server error');
+  }
+});
+
 module.exports = router;
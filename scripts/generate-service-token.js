@@ -1,15 +1,23 @@
-// Generates a non-expiring JWT service token for a given user email.
-// Usage: node scripts/generate-service-token.js <email>
+// Generates a service token for a given user email. The token does not expire,
+// but it belongs to a SERVICE session and stops working the moment that session
+// is revoked (DELETE /users/sessions/:id, or run this again with --revoke).
+// Usage: node scripts/generate-service-token.js <email> [service-name] [--revoke]
 // Copy the output into your rss-watcher .env as THORCODE_API_TOKEN=<token>
+//
+// --revoke first revokes every existing session for that service name, so
+// rotating a leaked token is a single command.
 
 require('dotenv').config();
-const jwt = require('jsonwebtoken');
 const prisma = require('../prisma/client');
+const signJWT = require('../auth/signJWT');
+const { createSession } = require('../auth/sessions');
 
 async function main() {
-  const email = process.argv[2];
+  const args = process.argv.slice(2).filter((a) => a !== '--revoke');
+  const revoke = process.argv.includes('--revoke');
+  const [email, service = 'rss-watcher'] = args;
   if (!email) {
-    console.error('Usage: node scripts/generate-service-token.js <email>');
+    console.error('Usage: node scripts/generate-service-token.js <email> [service-name] [--revoke]');
     process.exit(1);
   }
 
@@ -19,13 +27,18 @@ async function main() {
     process.exit(1);
   }
 
-  const token = jwt.sign(
-    { id: user.id, email: user.email, role: user.role, service: 'rss-watcher' },
-    process.env.JWT_SECRET
-    // no expiresIn — token is valid indefinitely
-  );
+  if (revoke) {
+    const { count } = await prisma.session.updateMany({
+      where: { user_id: user.id, kind: 'SERVICE', name: service, revoked_at: null },
+      data: { revoked_at: new Date() },
+    });
+    console.log(`Revoked ${count} existing ${service} session(s).`);
+  }
+
+  const { session } = await createSession(user.id, { kind: 'SERVICE', name: service });
+  const token = signJWT({ user, session });
 
-  console.log('\nService token generated for:', user.email);
+  console.log('\nService token generated for:', user.email, `(${service}, session ${session.id})`);
   console.log('\nAdd this to your rss-watcher .env:\n');
   console.log(`THORCODE_API_TOKEN=${token}`);
 }
@@ -13,8 +13,9 @@
 
 require("dotenv").config();
 
-const jwt = require("jsonwebtoken");
 const prisma = require("../prisma/client");
+const signJWT = require("../auth/signJWT");
+const { createSession } = require("../auth/sessions");
 const { PLACES, START, END } = require("./fixtures/paris-places");
 
 const TRIP_NAME = "Paris (route planner demo)";
@@ -70,11 +71,8 @@ async function main() {
     include: { places: { select: { id: true } } },
   });
 
-  const token = jwt.sign(
-    { id: user.id, email: user.email, role: user.role },
-    process.env.JWT_SECRET,
-    { expiresIn: "7d" }
-  );
+  const { session } = await createSession(user.id, { name: "seed-trip-places" });
+  const token = signJWT({ user, session });
 
   console.log(`\nTrip ${trip.id} — "${trip.name}", ${trip.places.length} places, ${START} to ${END}\n`);
   console.log("Try it:\n");
@@ -0,0 +1,109 @@
+// Deleting an account, and everything hanging off it.
+//
+// Most relations to User are not onDelete: Cascade, so a bare user.delete()
+// fails on the first foreign key. Rather than change every relation — and make
+// an accidental user delete silently take a closet of gear with it — the rows
+// are removed here, explicitly, in dependency order, in one transaction.
+//
+// What is shared stays: bands, concerts, cities and games belong to everyone,
+// and a user's attendance or wishlist rows are only links to them. Rows other
+// people might still need are kept with the user taken off them: an API key an
+// admin created keeps working with created_by cleared.
+
+const axios = require('axios');
+const prisma = require('../prisma/client');
+
+// Deleting a few thousand rows across a dozen tables can take longer than
+// Prisma's five-second default on a busy database.
+const TRANSACTION_TIMEOUT_MS = 30 * 1000;
+
+async function deleteUserRows(tx, userId) {
+  // Their own wishlists go, shared or not — members and invites cascade.
+  // Memberships of other people's wishlists cascade from the user.
+  const wishlistIds = (await tx.wishlist.findMany({ where: { user_id: userId }, select: { id: true } })).map((w) => w.id);
+  if (wishlistIds.length > 0) {
+    await tx.activityLog.deleteMany({ where: { wishlist_id: { in: wishlistIds } } });
+    await tx.concertAttendance.deleteMany({ where: { wishlist_id: { in: wishlistIds } } });
+    await tx.wishlistBandReference.deleteMany({ where: { wishlist_id: { in: wishlistIds } } });
+    await tx.wishlist.deleteMany({ where: { id: { in: wishlistIds } } });
+  }
+
+  // Reviews first: they point at trips, trip items and gear. Trips then take
+  // their items, todos, places and estimates with them (those do cascade).
+  await tx.itemReview.deleteMany({ where: { user_id: userId } });
+  await tx.tripReview.deleteMany({ where: { user_id: userId } });
+  await tx.trip.deleteMany({ where: { user_id: userId } });
+
+  // Loadouts before gear; entries cascade from both sides.
+  await tx.loadout.deleteMany({ where: { user_id: userId } });
+  // replaced_by_id points gear at gear; clearing it first means the delete
+  // cannot trip over the order Postgres happens to visit rows in.
+  await tx.gearItem.updateMany({ where: { user_id: userId }, data: { replaced_by_id: null } });
+  await tx.gearItem.deleteMany({ where: { user_id: userId } });
+
+  await tx.template.deleteMany({ where: { user_id: userId } });
+  await tx.travelWishlistItem.deleteMany({ where: { user_id: userId } });
+  await tx.gameTime.deleteMany({ where: { user: userId } });
+  await tx.movieReview.deleteMany({ where: { user: userId } });
+  await tx.oAuth.deleteMany({ where: { user: userId } });
+  await tx.apiKey.updateMany({ where: { created_by_id: userId }, data: { created_by_id: null } });
+
+  // Subscriptions, follows, email codes and sessions cascade from the user.
+  await tx.user.delete({ where: { id: userId } });
+}
+
+// Tell the provider the token is no longer wanted. TMDB session ids can be
+// deleted. Spotify has no revocation endpoint — access is withdrawn from the
+// user's Spotify account page — so its token is simply forgotten; it expires
+// within the hour and its refresh token is gone with the row.
+async function revokeOAuthToken(row) {
+  if (row.provider === 'tmdb') {
+    await axios.delete('https://api.themoviedb.org/3/authentication/session', {
+      params: { api_key: process.env.TMDB_API_KEY },
+      data: { session_id: row.access_token },
+      timeout: 10000,
+    });
+    return { provider: row.provider, revoked: true };
+  }
+  return { provider: row.provider, revoked: false };
+}
+
+/**
+ * Delete a user and everything they own. Returns null if there was no such
+ * user, otherwise { oauth: [{ provider, revoked }] }.
+ *
+ * `inTransaction(tx)`, if given, runs first in the same transaction — for an
+ * audit record that should exist only if the deletion does.
+ *
+ * OAuth tokens are revoked after the transaction commits, so a deletion that
+ * fails leaves working connections behind rather than dead ones. A revoke that
+ * fails is logged and reported, not retried: the account is already gone.
+ */
+async function deleteAccount(userId, { inTransaction } = {}) {
+  const user = await prisma.user.findUnique({
+    where: { id: userId },
+    select: { id: true, oauth: { select: { provider: true, access_token: true } } },
+  });
+  if (!user) return null;
+
+  await prisma.$transaction(
+    async (tx) => {
+      if (inTransaction) await inTransaction(tx);
+      await deleteUserRows(tx, userId);
+    },
+    { timeout: TRANSACTION_TIMEOUT_MS },
+  );
+
+  const oauth = [];
+  for (const row of user.oauth) {
+    try {
+      oauth.push(await revokeOAuthToken(row));
+    } catch (err) {
+      console.error(`[accountDeletion] Failed to revoke ${row.provider} token:`, err.response?.status ?? err.message);
+      oauth.push({ provider: row.provider, revoked: false });
+    }
+  }
+  return { oauth };
+}
+
+module.exports = { deleteAccount };
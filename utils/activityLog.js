@@ -0,0 +1,21 @@
+const prisma = require("../prisma/client");
+
+// A wishlist's activity log: what happened to the bands on it, newest first on
+// the wishlist page. Only the latest ACTIVITY_LOG_LIMIT entries are kept.
+const ACTIVITY_LOG_LIMIT = 15;
+
+/** Add an entry to a wishlist's log and drop whatever falls off the end. */
+async function logActivity(wishlistId, type, data) {
+  await prisma.activityLog.create({ data: { wishlist_id: wishlistId, type, data: JSON.stringify(data) } });
+  const old = await prisma.activityLog.findMany({
+    where: { wishlist_id: wishlistId },
+    orderBy: { created_at: "desc" },
+    skip: ACTIVITY_LOG_LIMIT,
+    select: { id: true },
+  });
+  if (old.length > 0) {
+    await prisma.activityLog.deleteMany({ where: { id: { in: old.map((e) => e.id) } } });
+  }
+}
+
+module.exports = { ACTIVITY_LOG_LIMIT, logActivity };
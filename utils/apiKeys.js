@@ -0,0 +1,78 @@
+const crypto = require('crypto');
+
+/**
+ * API keys for the services that call this API on a schedule — the Python
+ * scraper, the weather sync, rss-watcher.
+ *
+ * A SYSTEM JWT can reach every SYSTEM route; a key reaches only the routes its
+ * scopes name. The weather job holds `weather:read` and `weather:write` and
+ * nothing that touches concerts, so a copy of its key leaked from a cron box
+ * can overwrite a forecast but not reconcile a band's concerts out of
+ * existence.
+ *
+ * Keys are stored as a SHA-256 hash. They are 256 random bits, so there is
+ * nothing for bcrypt's cost factor to protect, and a fast hash lets the lookup
+ * be a single indexed query on every request.
+ */
+
+// Every scope a key can hold, and what it opens. Creating a key with a scope
+// not listed here is refused, so a typo fails at creation rather than as a
+// mysterious 403 from the cron job a day later.
+const SCOPES = {
+  'concerts:bulk': 'POST /data/concerts/bulk — insert and update scraped concerts',
+  'concerts:sync': 'POST /data/concerts/bands/:id/sync-concerts',
+  'concerts:reconcile': 'POST /data/concerts/bands/:id/reconcile — may delete concerts',
+  'concerts:enrich': 'Bandsintown enrichment and lineup matching',
+  'setlists:read': 'GET /data/concerts/bands/setlist-pending',
+  'setlists:write': 'PATCH /data/concerts/bands/setlists/bulk',
+  'weather:read': 'The weather-pending lists for concerts and trips',
+  'weather:write': 'The weather bulk writes for concerts, cities and trips',
+  'cities:write': 'PATCH /data/cities/:id',
+  'wishlists:read': 'GET /data/concerts/wishlists/raw — every wishlist, for scoring',
+  'wishlists:notify': 'POST /data/concerts/wishlists/notify — Discord notifications',
+  'wishlist:keywords:read': 'GET /travel/wishlist/keywords — every user\'s keywords',
+};
+
+const KEY_PREFIX = 'tck_';
+
+// The key itself is shown once, at creation. `prefix` is kept so a list of
+// keys can show which is which without storing anything usable.
+function generateApiKey() {
+  const key = `${KEY_PREFIX}${crypto.randomBytes(32).toString('base64url')}`;
+  return { key, prefix: key.slice(0, KEY_PREFIX.length + 6), hash: hashApiKey(key) };
+}
+
+function hashApiKey(key) {
+  return crypto.createHash('sha256').update(key).digest('hex');
+}
+
+/**
+ * Whether `granted` covers `required`. A granted scope ending in `:*` covers
+ * everything under it (`concerts:*` covers `concerts:bulk`), and `*` covers
+ * everything. Matching is by whole segments, so `wishlist:*` does not cover
+ * `wishlists:read`.
+ */
+function hasScope(granted, required) {
+  return (granted ?? []).some((scope) => {
+    if (scope === '*' || scope === required) return true;
+    if (!scope.endsWith(':*')) return false;
+    return required.startsWith(scope.slice(0, -1));
+  });
+}
+
+// Requested scopes that are neither in SCOPES nor a wildcard over some of them.
+function unknownScopes(scopes) {
+  const known = Object.keys(SCOPES);
+  return scopes.filter((scope) => {
+    if (scope === '*' || SCOPES[scope]) return false;
+    return !(scope.endsWith(':*') && known.some((k) => hasScope([scope], k)));
+  });
+}
+
+module.exports = {
+  SCOPES,
+  generateApiKey,
+  hashApiKey,
+  hasScope,
+  unknownScopes,
+};
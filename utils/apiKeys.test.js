@@ -0,0 +1,57 @@
+import { describe, it, expect } from 'vitest';
+import { createRequire } from 'node:module';
+
+const require = createRequire(import.meta.url);
+const { generateApiKey, hashApiKey, hasScope, unknownScopes } = require('./apiKeys');
+
+describe('generateApiKey', () => {
+  it('returns the key, a displayable prefix of it, and its hash', () => {
+    const { key, prefix, hash } = generateApiKey();
+    expect(key).toMatch(/^tck_[A-Za-z0-9_-]{43}$/);
+    expect(key.startsWith(prefix)).toBe(true);
+    expect(prefix.length).toBeLessThan(key.length / 2);
+    expect(hash).toBe(hashApiKey(key));
+  });
+
+  it('never repeats itself', () => {
+    expect(generateApiKey().key).not.toBe(generateApiKey().key);
+  });
+});
+
+describe('hasScope', () => {
+  it('grants an exact scope', () => {
+    expect(hasScope(['weather:write'], 'weather:write')).toBe(true);
+  });
+
+  it('does not grant a scope the key lacks', () => {
+    expect(hasScope(['weather:read', 'weather:write'], 'concerts:reconcile')).toBe(false);
+  });
+
+  it('grants everything under a wildcard', () => {
+    expect(hasScope(['concerts:*'], 'concerts:bulk')).toBe(true);
+    expect(hasScope(['wishlist:*'], 'wishlist:keywords:read')).toBe(true);
+  });
+
+  it('matches wildcards by whole segment', () => {
+    expect(hasScope(['wishlist:*'], 'wishlists:read')).toBe(false);
+  });
+
+  it('grants everything to *', () => {
+    expect(hasScope(['*'], 'concerts:reconcile')).toBe(true);
+  });
+
+  it('grants nothing to a key with no scopes', () => {
+    expect(hasScope([], 'weather:read')).toBe(false);
+    expect(hasScope(undefined, 'weather:read')).toBe(false);
+  });
+});
+
+describe('unknownScopes', () => {
+  it('accepts listed scopes and wildcards that cover some of them', () => {
+    expect(unknownScopes(['concerts:bulk', 'weather:*', '*'])).toEqual([]);
+  });
+
+  it('returns typos and wildcards over nothing', () => {
+    expect(unknownScopes(['concert:bulk', 'weather:write', 'films:*'])).toEqual(['concert:bulk', 'films:*']);
+  });
+});
@@ -0,0 +1,71 @@
+const prisma = require('../prisma/client');
+
+// Dates, Decimals and the like as they will read back out of a Json column,
+// so comparing two values compares what would be stored.
+function plain(value) {
+  return value === undefined ? undefined : JSON.parse(JSON.stringify(value));
+}
+
+/**
+ * The fields that differ between two versions of a row, as
+ * { before, after } holding only those fields. Keys missing on one side count
+ * as null there. Values are compared as they would be stored, so a Date and
+ * its ISO string are the same value.
+ *
+ *   diffFields({ name: 'A', reachable: true }, { name: 'B', reachable: true })
+ *   // → { before: { name: 'A' }, after: { name: 'B' } }
+ */
+function diffFields(before, after) {
+  const a = plain(before) ?? {};
+  const b = plain(after) ?? {};
+  const diff = { before: {}, after: {} };
+  for (const key of new Set([...Object.keys(a), ...Object.keys(b)])) {
+    if (JSON.stringify(a[key] ?? null) !== JSON.stringify(b[key] ?? null)) {
+      diff.before[key] = a[key] ?? null;
+      diff.after[key] = b[key] ?? null;
+    }
+  }
+  return diff;
+}
+
+// "PATCH /data/cities/:id" — the route as declared, not the URL, so every
+// event from one route reads the same and can be filtered on.
+function routeOf(req) {
+  if (!req.method) return null;
+  return `${req.method} ${req.baseUrl ?? ''}${req.route?.path ?? ''}`;
+}
+
+/**
+ * Record a privileged or destructive action in AuditEvent. The actor, service
+ * name and route come from req.
+ *
+ * Give `before` and `after` as whole rows when updating; only the fields that
+ * differ are stored. Give only `before` for a delete, only `after` for a
+ * create. `targetIds` lists any other rows the action touched.
+ *
+ * Pass `db` to write inside the transaction that makes the change, so the
+ * change and its record stand or fall together.
+ *
+ *   await recordAudit(req, { action: 'city.update', targetType: 'City', targetId: id,
+ *     before: city, after: updated }, tx);
+ */
+async function recordAudit(req, { action, targetType, targetId = null, targetIds = [], before, after }, db = prisma) {
+  const changes = before != null && after != null ? diffFields(before, after) : { before: plain(before), after: plain(after) };
+  return db.auditEvent.create({
+    data: {
+      actor_id: req.user?.id ?? null,
+      actor_email: req.user?.email ?? null,
+      actor_role: req.user?.role ?? null,
+      service: req.user?.service ?? null,
+      route: routeOf(req),
+      action,
+      target_type: targetType,
+      target_id: targetId == null ? null : String(targetId),
+      target_ids: targetIds.map(String),
+      before: changes.before ?? undefined,
+      after: changes.after ?? undefined,
+    },
+  });
+}
+
+module.exports = { diffFields, recordAudit };
@@ -0,0 +1,91 @@
+import { describe, it, expect, vi } from 'vitest';
+import { createRequire } from 'node:module';
+
+// audit.js loads the Prisma client, which wants a URL to be constructed. It
+// never connects here: the writes go to a stand-in below.
+vi.hoisted(() => { process.env.DATABASE_URL ??= 'postgresql://test@localhost:5432/test'; });
+
+const require = createRequire(import.meta.url);
+const { diffFields, recordAudit } = require('./audit');
+
+describe('diffFields', () => {
+  it('keeps only the fields that changed', () => {
+    expect(diffFields({ id: 4, name: 'Oslo', reachable: true }, { id: 4, name: 'Oslo', reachable: false })).toEqual({
+      before: { reachable: true },
+      after: { reachable: false },
+    });
+  });
+
+  it('treats a field missing on one side as null there', () => {
+    expect(diffFields({ name: 'A' }, { name: 'A', airport_iata: 'OSL' })).toEqual({
+      before: { airport_iata: null },
+      after: { airport_iata: 'OSL' },
+    });
+  });
+
+  it('compares dates by value, as they will be stored', () => {
+    const when = '2026-06-01T18:00:00.000Z';
+    expect(diffFields({ at: new Date(when) }, { at: when })).toEqual({ before: {}, after: {} });
+  });
+
+  it('compares nested values as a whole', () => {
+    expect(diffFields({ scopes: ['a', 'b'] }, { scopes: ['a'] })).toEqual({
+      before: { scopes: ['a', 'b'] },
+      after: { scopes: ['a'] },
+    });
+  });
+});
+
+describe('recordAudit', () => {
+  const fakeDb = () => {
+    const db = { auditEvent: { create: vi.fn(async ({ data }) => data) } };
+    return db;
+  };
+  const req = {
+    method: 'PATCH',
+    baseUrl: '/data/cities',
+    route: { path: '/:id' },
+    user: { id: 'u1', email: 'admin@example.com', role: 'ADMIN' },
+  };
+
+  it('records the actor, the declared route and only what changed', async () => {
+    const db = fakeDb();
+    const event = await recordAudit(
+      req,
+      { action: 'city.update', targetType: 'City', targetId: 4, before: { id: 4, reachable: null }, after: { id: 4, reachable: true } },
+      db,
+    );
+    expect(event).toMatchObject({
+      actor_id: 'u1',
+      actor_email: 'admin@example.com',
+      actor_role: 'ADMIN',
+      service: null,
+      route: 'PATCH /data/cities/:id',
+      target_id: '4',
+      target_ids: [],
+      before: { reachable: null },
+      after: { reachable: true },
+    });
+  });
+
+  it('names the service for an API key caller', async () => {
+    const db = fakeDb();
+    const event = await recordAudit(
+      { ...req, user: { id: null, role: 'SYSTEM', service: 'scraper' } },
+      { action: 'concert.bulk', targetType: 'Concert', targetIds: [1, 2] },
+      db,
+    );
+    expect(event).toMatchObject({ actor_id: null, actor_role: 'SYSTEM', service: 'scraper', target_ids: ['1', '2'] });
+  });
+
+  it('keeps the whole row for a delete', async () => {
+    const db = fakeDb();
+    const event = await recordAudit(
+      req,
+      { action: 'concert.delete', targetType: 'Concert', targetId: 9, before: { id: 9, name: 'Wacken' } },
+      db,
+    );
+    expect(event.before).toEqual({ id: 9, name: 'Wacken' });
+    expect(event.after).toBeUndefined();
+  });
+});
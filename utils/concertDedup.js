@@ -1,3 +1,5 @@
+const { manualMergeTarget, blocksMerge } = require('./concertMergeRules');
+
 const SEVEN_DAYS_MS = 7 * 24 * 60 * 60 * 1000;
 
 // ─── Primitive helpers ────────────────────────────────────────────────────────
@@ -111,23 +113,44 @@ function deduplicateByCoords(concerts) {
 
 /**
  * Checks whether an incoming concert already exists in the DB and merges it if so.
- * Returns { isDuplicate, existingConcert }.
+ * Returns { isDuplicate, existingConcert, rule, mergeUpdate, linkedBands }:
+ * what was written to the existing row (null if nothing) and which bands were
+ * linked to it, for the concert's history. `rule` names the one that matched
+ * (null when none did):
+ *
+ * 1. 'band_schedule'    — same band, same city area, same calendar day
+ * 2. 'event_name'       — name similarity ≥ 80%, same area, within 3 days
+ * 3. 'venue_similarity' — venue similarity ≥ 70%, within date window
+ * 4. 'city_similarity'  — city similarity ≥ 70%, within date window
+ *
+ * A venue or city match between two multi-day/multi-band events is reported as
+ * 'festival_merge' instead: the looser windows that let it match are there for
+ * festivals.
  *
- * Duplicate detection rules:
- * 1. Band-schedule conflict — same band, same city area, same calendar day
- * 2. Named event match — name similarity ≥ 80%, same area, within 3 days
- * 3. Venue fuzzy match — venue similarity ≥ 70%, within date window
- * 4. City fuzzy match fallback — city similarity ≥ 70%, within date window
+ * `rules` are the admins' ConcertMergeRule rows (utils/concertMergeRules.js)
+ * and come first: a concert merged by hand goes where it was put, reported as
+ * 'manual_merge', and a split-out day is never matched back into the concert
+ * it was split from.
  */
-async function checkDuplicateConcert({ concert, bandIds, tx }) {
+async function checkDuplicateConcert({ concert, bandIds, tx, rules = [] }) {
   let existingConcert = null;
+  let rule = null;
+  let mergeUpdate = null;
+  let linkedBands = [];
+
+  const manualTarget = manualMergeTarget(rules, concert);
+  if (manualTarget != null) {
+    // A rule can outlive its concert; then the automatic rules decide.
+    existingConcert = await tx.concert.findUnique({ where: { id: manualTarget }, include: { bands: true } });
+    if (existingConcert) rule = 'manual_merge';
+  }
 
-  if (concert.concert_date) {
+  if (!existingConcert && concert.concert_date) {
     const dayStart = toUtcDay(concert.concert_date);
     const oneDayMs = 24 * 60 * 60 * 1000;
     const incomingIsMultiBand = concert.festival || bandIds.length >= 3;
 
-    const candidates = await tx.concert.findMany({
+    const candidates = (await tx.concert.findMany({
       where: {
         concert_date: {
           gte: new Date(dayStart.getTime() - 7 * oneDayMs),
@@ -135,7 +158,7 @@ async function checkDuplicateConcert({ concert, bandIds, tx }) {
         },
       },
       include: { bands: true },
-    });
+    })).filter((c) => !rules.some((r) => blocksMerge(r, concert, bandIds, c)));
 
     const diffDays = (c) => Math.abs(toUtcDay(c.concert_date).getTime() - dayStart.getTime()) / oneDayMs;
     const isMultiBand = (c) => c.festival || c.bands.length >= 3;
@@ -160,7 +183,7 @@ async function checkDuplicateConcert({ concert, bandIds, tx }) {
         if (!sharesABand(c)) continue;
         const inSameArea = sameArea(concert, c) ||
           (concert.city && c.city && stringSimilarity(concert.city, c.city) >= 0.7);
-        if (inSameArea) { existingConcert = c; break; }
+        if (inSameArea) { existingConcert = c; rule = 'band_schedule'; break; }
       }
     }
 
@@ -193,6 +216,7 @@ async function checkDuplicateConcert({ concert, bandIds, tx }) {
         })
         .sort((a, b) => b.bands.length - a.bands.length);
       existingConcert = nameCandidates[0] ?? null;
+      if (existingConcert) rule = 'event_name';
     }
 
     // 1. Venue fuzzy match
@@ -218,6 +242,9 @@ async function checkDuplicateConcert({ concert, bandIds, tx }) {
         .filter(({ c }) => diffDays(c) <= 7)
         .sort((a, b) => b.c.bands.length - a.c.bands.length || b.sim - a.sim);
       existingConcert = venueMatches[0]?.c ?? null;
+      if (existingConcert) {
+        rule = concert.festival && existingConcert.festival && diffDays(existingConcert) > 0 ? 'festival_merge' : 'venue_similarity';
+      }
     }
 
     // 2. City fuzzy match fallback
@@ -253,6 +280,9 @@ async function checkDuplicateConcert({ concert, bandIds, tx }) {
         })
         .sort((a, b) => b.bands.length - a.bands.length);
       existingConcert = cityMatches[0] ?? null;
+      if (existingConcert) {
+        rule = incomingIsMultiBand && isMultiBand(existingConcert) ? 'festival_merge' : 'city_similarity';
+      }
     }
   }
 
@@ -271,20 +301,18 @@ async function checkDuplicateConcert({ concert, bandIds, tx }) {
     const hasBetterName = bestName !== existingConcert.name;
 
     if (incomingWins || hasBetterName) {
-      await tx.concert.update({
-        where: { id: existingConcert.id },
-        data: {
-          name: bestName,
-          ...(incomingWins && {
-            concert_date: concert.concert_date ? new Date(concert.concert_date) : existingConcert.concert_date,
-            url: concert.url || existingConcert.url,
-            metadata: concert.metadata || existingConcert.metadata,
-            on_sale: concert.on_sale !== undefined ? concert.on_sale : existingConcert.on_sale,
-            ticket_sale_start: concert.ticket_sale_start ? new Date(concert.ticket_sale_start) : existingConcert.ticket_sale_start,
-            festival: concert.festival || existingConcert.festival,
-          }),
-        },
-      });
+      mergeUpdate = {
+        name: bestName,
+        ...(incomingWins && {
+          concert_date: concert.concert_date ? new Date(concert.concert_date) : existingConcert.concert_date,
+          url: concert.url || existingConcert.url,
+          metadata: concert.metadata || existingConcert.metadata,
+          on_sale: concert.on_sale !== undefined ? concert.on_sale : existingConcert.on_sale,
+          ticket_sale_start: concert.ticket_sale_start ? new Date(concert.ticket_sale_start) : existingConcert.ticket_sale_start,
+          festival: concert.festival || existingConcert.festival,
+        }),
+      };
+      await tx.concert.update({ where: { id: existingConcert.id }, data: mergeUpdate });
     }
 
     const existingRefs = await tx.concertBandReference.findMany({
@@ -292,15 +320,15 @@ async function checkDuplicateConcert({ concert, bandIds, tx }) {
       select: { band: true },
     });
     const linkedBandIds = new Set(existingRefs.map((r) => r.band));
-    const toLink = bandIds.filter((id) => !linkedBandIds.has(id));
-    if (toLink.length > 0) {
+    linkedBands = bandIds.filter((id) => !linkedBandIds.has(id));
+    if (linkedBands.length > 0) {
       await tx.concertBandReference.createMany({
-        data: toLink.map((band) => ({ concert: existingConcert.id, band })),
+        data: linkedBands.map((band) => ({ concert: existingConcert.id, band })),
       });
     }
   }
 
-  return { isDuplicate: !!existingConcert, existingConcert };
+  return { isDuplicate: !!existingConcert, existingConcert, rule, mergeUpdate, linkedBands };
 }
 
 // ─── Response-time deduplication (in-memory) ─────────────────────────────────
@@ -250,3 +250,91 @@ describe('checkDuplicateConcert and a second night at the same venue', () => {
     expect(isDuplicate).toBe(true);
   });
 });
+
+describe('checkDuplicateConcert reports the rule that matched', () => {
+  const txWith = (rows) => ({
+    concert: {
+      findMany: async () => rows,
+      findUnique: async ({ where }) => rows.find((r) => r.id === where.id) ?? null,
+      update: async () => ({}),
+    },
+    concertBandReference: { findMany: async () => [], createMany: async () => ({}) },
+  });
+
+  const row = (over = {}) => ({
+    id: 1,
+    venue: 'Annexet',
+    city: 'Stockholm',
+    latitude: '59.2906',
+    longitude: '18.0838',
+    concert_date: new Date('2026-05-02T19:00:00Z'),
+    name: null,
+    source: 'songkick',
+    festival: false,
+    bands: [{ band: 7 }],
+    ...over,
+  });
+
+  const concert = (over = {}) => ({
+    venue: 'Annexet',
+    city: 'Stockholm',
+    latitude: '59.2906',
+    longitude: '18.0838',
+    concert_date: '2026-05-02T20:00:00Z',
+    source: 'bandsintown',
+    festival: false,
+    ...over,
+  });
+
+  it('names the band-schedule rule for the same band on the same day', async () => {
+    const { rule } = await checkDuplicateConcert({ concert: concert(), bandIds: [7], tx: txWith([row()]) });
+    expect(rule).toBe('band_schedule');
+  });
+
+  it('names the event-name rule for a matching festival name', async () => {
+    const { rule } = await checkDuplicateConcert({
+      concert: concert({ name: 'Sweden Rock Festival 2026', venue: 'Norje' }),
+      bandIds: [8],
+      tx: txWith([row({ name: 'Sweden Rock Festival 2026', venue: 'Norje', bands: [{ band: 9 }] })]),
+    });
+    expect(rule).toBe('event_name');
+  });
+
+  it('names the festival merge for two festival days at one venue', async () => {
+    const { rule } = await checkDuplicateConcert({
+      concert: concert({ festival: true, concert_date: '2026-05-03T14:00:00Z' }),
+      bandIds: [8],
+      tx: txWith([row({ festival: true, bands: [{ band: 9 }] })]),
+    });
+    expect(rule).toBe('festival_merge');
+  });
+
+  it('names no rule when nothing matched', async () => {
+    const result = await checkDuplicateConcert({ concert: concert({ venue: 'Debaser', city: 'Malmö' }), bandIds: [8], tx: txWith([row()]) });
+    expect(result).toMatchObject({ isDuplicate: false, rule: null });
+  });
+
+  it('puts a concert an admin merged by hand where it was put', async () => {
+    const rules = [{ kind: 'MERGE', concert_id: 4, event_id: 'bit-991' }];
+    const result = await checkDuplicateConcert({
+      concert: concert({ event_id: 'bit-991', venue: 'Debaser', city: 'Malmö' }),
+      bandIds: [8],
+      tx: txWith([row(), row({ id: 4, venue: 'Debaser Strand', bands: [{ band: 9 }] })]),
+      rules,
+    });
+    expect(result).toMatchObject({ isDuplicate: true, rule: 'manual_merge' });
+    expect(result.existingConcert.id).toBe(4);
+  });
+
+  it('falls back to the automatic rules when the merge target is gone', async () => {
+    const rules = [{ kind: 'MERGE', concert_id: 4, event_id: 'bit-991' }];
+    const { rule } = await checkDuplicateConcert({ concert: concert({ event_id: 'bit-991' }), bandIds: [7], tx: txWith([row()]), rules });
+    expect(rule).toBe('band_schedule');
+  });
+
+  it('never matches a split-out day back into the concert it was split from', async () => {
+    const rules = [{ kind: 'SPLIT', concert_id: 1, concert_date: new Date('2026-05-02T00:00:00Z'), band_ids: [7] }];
+    const result = await checkDuplicateConcert({ concert: concert(), bandIds: [7], tx: txWith([row()]), rules });
+    expect(result).toMatchObject({ isDuplicate: false, rule: null });
+  });
+});
@@ -0,0 +1,99 @@
+// Concert change history: one ConcertRevision per write to a concert, saying
+// which source made it and what each field went from and to. Sources send
+// conflicting values for the same show — a price from Ticketmaster, another
+// from Songkick an hour later — and without this only the last one survives.
+
+// The fields whose changes are kept. weather is left out: it is recomputed
+// wholesale every night and would bury everything else.
+const TRACKED_FIELDS = [
+  'name',
+  'concert_date',
+  'venue',
+  'city',
+  'country',
+  'latitude',
+  'longitude',
+  'event_id',
+  'url',
+  'metadata',
+  'festival',
+  'on_sale',
+  'ticket_sale_start',
+  'sold_out',
+  'price_min',
+  'price_max',
+  'price_currency',
+];
+
+// Compared and stored as JSON would hold them, so a Date and its ISO string
+// are one value.
+const asStored = (value) => (value === undefined ? null : JSON.parse(JSON.stringify(value)));
+
+/**
+ * The tracked fields a write changes, as { field: { from, to } }. `update` is
+ * the data written; fields it does not mention are not changes. Pass null for
+ * `before` when the row is being created.
+ */
+function fieldChanges(before, update) {
+  const changes = {};
+  for (const field of TRACKED_FIELDS) {
+    if (update?.[field] === undefined) continue;
+    const from = asStored(before?.[field]);
+    const to = asStored(update[field]);
+    if (JSON.stringify(from) !== JSON.stringify(to)) changes[field] = { from, to };
+  }
+  return changes;
+}
+
+/**
+ * Which source last set each field, from a concert's revisions in any order:
+ * { field: { value, source, at, revision_id } }. A delete ends nothing here —
+ * the point is to see who set what before it went.
+ */
+function fieldProvenance(revisions) {
+  const provenance = {};
+  const oldestFirst = [...revisions].sort((a, b) => new Date(a.created_at) - new Date(b.created_at) || a.id - b.id);
+  for (const revision of oldestFirst) {
+    if (revision.action === 'delete') continue;
+    for (const [field, change] of Object.entries(revision.changes ?? {})) {
+      if (!change || !('to' in change)) continue;
+      provenance[field] = { value: change.to, source: revision.source, at: revision.created_at, revision_id: revision.id };
+    }
+  }
+  return provenance;
+}
+
+// A delete's changes: every tracked field the row had, going to null, so the
+// revision holds the row as it was.
+function deletionChanges(row) {
+  return fieldChanges(row, Object.fromEntries(TRACKED_FIELDS.map((field) => [field, null])));
+}
+
+// Who made a change, for the revision: a service by name, a person by email.
+function actorOf(req) {
+  return req?.user?.service ?? req?.user?.email ?? null;
+}
+
+/**
+ * Store a revision, inside the caller's transaction. Nothing is stored for an
+ * update that changed no tracked field and linked or unlinked no band.
+ *
+ *   await recordConcertRevision(tx, { concertId, action: 'update', source: concert.source,
+ *     changes: fieldChanges(existing, data), actor: actorOf(req) });
+ */
+async function recordConcertRevision(tx, { concertId, action, source = null, changes = {}, bandIds = [], rule = null, actor = null }) {
+  if (Object.keys(changes).length === 0 && bandIds.length === 0 && (action === 'update' || action === 'merge')) return null;
+  return tx.concertRevision.create({
+    data: {
+      concert_id: concertId,
+      action,
+      source: source ? String(source).slice(0, 50) : null,
+      rule,
+      changes,
+      band_ids: bandIds,
+      actor,
+    },
+  });
+}
+
+module.exports = { TRACKED_FIELDS, fieldChanges, fieldProvenance, deletionChanges, actorOf, recordConcertRevision };
@@ -0,0 +1,74 @@
+import { describe, it, expect } from 'vitest';
+import { createRequire } from 'node:module';
+
+const require = createRequire(import.meta.url);
+const { fieldChanges, fieldProvenance, deletionChanges, recordConcertRevision } = require('./concertHistory');
+
+describe('fieldChanges', () => {
+  it('lists each tracked field the write changes, from and to', () => {
+    expect(fieldChanges({ price_min: 45, on_sale: false, name: 'X' }, { price_min: 39.5, on_sale: false })).toEqual({
+      price_min: { from: 45, to: 39.5 },
+    });
+  });
+
+  it('ignores fields the write does not mention and fields that are not tracked', () => {
+    expect(fieldChanges({ price_min: 45 }, { weather: { rain: 0.2 }, created_at: new Date() })).toEqual({});
+  });
+
+  it('treats a date and its ISO string as the same value', () => {
+    const at = '2026-03-01T09:00:00.000Z';
+    expect(fieldChanges({ ticket_sale_start: new Date(at) }, { ticket_sale_start: at })).toEqual({});
+  });
+
+  it('records every set field as coming from null on a create', () => {
+    expect(fieldChanges(null, { name: 'Wacken Open Air', festival: true })).toEqual({
+      name: { from: null, to: 'Wacken Open Air' },
+      festival: { from: null, to: true },
+    });
+  });
+});
+
+describe('deletionChanges', () => {
+  it('keeps the row as it was', () => {
+    expect(deletionChanges({ id: 3, name: 'Gig', venue: 'Kafé 44', sold_out: false, price_min: null })).toEqual({
+      name: { from: 'Gig', to: null },
+      venue: { from: 'Kafé 44', to: null },
+      sold_out: { from: false, to: null },
+    });
+  });
+});
+
+describe('fieldProvenance', () => {
+  const rev = (id, created_at, source, changes, action = 'update') => ({ id, created_at: new Date(created_at), source, changes, action });
+
+  it('credits each field to the source that last set it', () => {
+    const provenance = fieldProvenance([
+      rev(3, '2026-02-03', 'songkick', { price_min: { from: 40, to: 42 } }),
+      rev(1, '2026-02-01', 'ticketmaster', { name: { from: null, to: 'Tour' }, price_min: { from: null, to: 39 } }, 'create'),
+      rev(2, '2026-02-02', 'ticketmaster', { price_min: { from: 39, to: 40 } }),
+    ]);
+    expect(provenance.name).toMatchObject({ value: 'Tour', source: 'ticketmaster', revision_id: 1 });
+    expect(provenance.price_min).toMatchObject({ value: 42, source: 'songkick', revision_id: 3 });
+  });
+
+  it('does not let a delete overwrite who set what', () => {
+    const provenance = fieldProvenance([
+      rev(1, '2026-02-01', 'bandsintown', { venue: { from: null, to: 'Slaktkyrkan' } }, 'create'),
+      rev(2, '2026-02-05', 'admin', { venue: { from: 'Slaktkyrkan', to: null } }, 'delete'),
+    ]);
+    expect(provenance.venue).toMatchObject({ value: 'Slaktkyrkan', source: 'bandsintown' });
+  });
+});
+
+describe('recordConcertRevision', () => {
+  const fakeTx = () => ({ concertRevision: { create: async ({ data }) => data } });
+
+  it('skips an update that changed nothing', async () => {
+    expect(await recordConcertRevision(fakeTx(), { concertId: 1, action: 'update', changes: {} })).toBeNull();
+  });
+
+  it('keeps a merge that only linked bands', async () => {
+    const revision = await recordConcertRevision(fakeTx(), { concertId: 1, action: 'merge', bandIds: [4], rule: 'festival_merge' });
+    expect(revision).toMatchObject({ concert_id: 1, band_ids: [4], rule: 'festival_merge' });
+  });
+});
@@ -0,0 +1,112 @@
+// Admin rulings on concerts the automatic dedup got wrong. Merging two
+// concerts by hand, or splitting a festival day back out, leaves a
+// ConcertMergeRule behind so the next /bulk run does not undo it:
+//
+//   MERGE — an incoming concert that is the one merged away (same event_id,
+//           or same source, day, name and venue) goes into concert_id.
+//   SPLIT — nothing dated concert_date with one of band_ids is merged into
+//           concert_id again; it belongs to split_concert_id. Nor are band_ids
+//           linked back to concert_id when its lineup comes in again.
+
+const flat = (s) => (s ?? '').normalize('NFD').replace(/[̀-ͯ]/g, '').toLowerCase().replace(/[^a-z0-9]/g, '');
+
+function utcDay(value) {
+  if (!value) return null;
+  const d = new Date(value);
+  if (Number.isNaN(d.getTime())) return null;
+  return d.toISOString().slice(0, 10);
+}
+
+/**
+ * Whether an incoming /bulk concert is the one a MERGE rule merged away.
+ * An event_id on both sides decides it; otherwise the source (when both name
+ * one), the day, the name and the venue must all agree.
+ */
+function matchesMergeRule(rule, concert) {
+  if (rule.kind !== 'MERGE') return false;
+  if (rule.event_id && concert.event_id) return rule.event_id === concert.event_id;
+  if (rule.source && concert.source && rule.source !== concert.source) return false;
+  const day = utcDay(concert.concert_date);
+  if (!day || day !== utcDay(rule.concert_date)) return false;
+  return !!flat(rule.name) && flat(rule.name) === flat(concert.name) &&
+    !!flat(rule.venue) && flat(rule.venue) === flat(concert.venue);
+}
+
+// The concert an incoming one was merged into by hand, if any rule says so.
+function manualMergeTarget(rules, concert) {
+  return rules.find((rule) => matchesMergeRule(rule, concert))?.concert_id ?? null;
+}
+
+/**
+ * Whether a SPLIT rule stops an incoming concert being merged into
+ * `candidate`: it is dated the split-out day and shares a band with the
+ * split-out lineup, or has no bands to tell by.
+ */
+function blocksMerge(rule, concert, bandIds, candidate) {
+  if (rule.kind !== 'SPLIT' || rule.concert_id !== candidate.id) return false;
+  const day = utcDay(concert.concert_date);
+  if (!day || day !== utcDay(rule.concert_date)) return false;
+  return bandIds.length === 0 || rule.band_ids.length === 0 || bandIds.some((id) => rule.band_ids.includes(id));
+}
+
+/**
+ * The bands SPLIT rules moved off a concert. A re-ingest of it by event_id,
+ * or an enriched lineup, still names them — it is the whole festival's
+ * lineup — and must not link them back.
+ */
+function splitOutBandIds(rules, concertId) {
+  return new Set(rules.filter((rule) => rule.kind === 'SPLIT' && rule.concert_id === concertId).flatMap((rule) => rule.band_ids));
+}
+
+const parseLineup = (metadata) => {
+  try {
+    const parsed = JSON.parse(metadata || '[]');
+    return Array.isArray(parsed) ? parsed : [];
+  } catch {
+    return [];
+  }
+};
+
+const isAtFormat = (s) => s.includes(' @ ') || / at /i.test(s);
+
+/**
+ * What to write to `keep` when `from` is merged into it: gaps filled from
+ * `from`, a real event name over a "Band @ Venue" fallback, the widest price
+ * range and both lineups. Fields `keep` already has a value for stay.
+ */
+function mergedFields(keep, from) {
+  const update = {};
+  for (const field of ['concert_date', 'url', 'event_id', 'latitude', 'longitude', 'ticket_sale_start', 'price_currency', 'city_id', 'source']) {
+    if (keep[field] == null && from[field] != null) update[field] = from[field];
+  }
+  if (from.name && (!keep.name || (isAtFormat(keep.name) && !isAtFormat(from.name)))) update.name = from.name;
+  if (!keep.on_sale && from.on_sale) update.on_sale = true;
+  if (!keep.festival && from.festival) update.festival = true;
+
+  const sameCurrency = !keep.price_currency || !from.price_currency || keep.price_currency === from.price_currency;
+  if (sameCurrency && from.price_min != null && (keep.price_min == null || from.price_min < keep.price_min)) {
+    update.price_min = from.price_min;
+  }
+  if (sameCurrency && from.price_max != null && (keep.price_max == null || from.price_max > keep.price_max)) {
+    update.price_max = from.price_max;
+  }
+
+  const keepLineup = parseLineup(keep.metadata);
+  const lineup = [...new Set([...keepLineup, ...parseLineup(from.metadata)])];
+  if (lineup.length > keepLineup.length) update.metadata = JSON.stringify(lineup);
+  return update;
+}
+
+/**
+ * Divide a concert's lineup (the metadata JSON) for a split: the names
+ * matching `movedNames` go with the split-out day, the rest stay.
+ * Returns { kept, moved } as metadata strings.
+ */
+function splitLineup(metadata, movedNames) {
+  const moving = new Set(movedNames.map(flat));
+  const lineup = parseLineup(metadata);
+  const kept = lineup.filter((name) => !moving.has(flat(name)));
+  return { kept: JSON.stringify(kept), moved: JSON.stringify(movedNames) };
+}
+
+module.exports = { matchesMergeRule, manualMergeTarget, blocksMerge, splitOutBandIds, mergedFields, splitLineup };
@@ -0,0 +1,115 @@
+import { describe, it, expect } from 'vitest';
+import { matchesMergeRule, manualMergeTarget, blocksMerge, splitOutBandIds, mergedFields, splitLineup } from './concertMergeRules.js';
+
+describe('matchesMergeRule', () => {
+  const rule = {
+    kind: 'MERGE',
+    concert_id: 10,
+    event_id: null,
+    source: 'songkick',
+    name: 'Hellfest 2026',
+    venue: 'Clisson',
+    concert_date: new Date('2026-06-19T00:00:00Z'),
+  };
+
+  it('matches on event_id when both sides have one', () => {
+    expect(matchesMergeRule({ ...rule, event_id: 'sk-1' }, { event_id: 'sk-1' })).toBe(true);
+    expect(matchesMergeRule({ ...rule, event_id: 'sk-1' }, { ...rule, event_id: 'sk-2' })).toBe(false);
+  });
+
+  it('otherwise needs the same day, name and venue', () => {
+    const incoming = { source: 'songkick', name: 'HELLFEST 2026', venue: 'Clisson', concert_date: '2026-06-19T16:00:00Z' };
+    expect(matchesMergeRule(rule, incoming)).toBe(true);
+    expect(matchesMergeRule(rule, { ...incoming, concert_date: '2026-06-20T16:00:00Z' })).toBe(false);
+    expect(matchesMergeRule(rule, { ...incoming, venue: 'Nantes' })).toBe(false);
+  });
+
+  it('does not match another source listing the same show', () => {
+    const incoming = { source: 'bandsintown', name: 'Hellfest 2026', venue: 'Clisson', concert_date: '2026-06-19T16:00:00Z' };
+    expect(matchesMergeRule(rule, incoming)).toBe(false);
+  });
+
+  it('ignores SPLIT rules', () => {
+    expect(matchesMergeRule({ ...rule, kind: 'SPLIT', event_id: 'sk-1' }, { event_id: 'sk-1' })).toBe(false);
+  });
+
+  it('finds the target concert', () => {
+    expect(manualMergeTarget([{ ...rule, event_id: 'sk-1' }], { event_id: 'sk-1' })).toBe(10);
+    expect(manualMergeTarget([], { event_id: 'sk-1' })).toBeNull();
+  });
+});
+
+describe('blocksMerge', () => {
+  const rule = { kind: 'SPLIT', concert_id: 10, concert_date: new Date('2026-06-20T00:00:00Z'), band_ids: [3, 4] };
+  const festival = { id: 10 };
+
+  it('blocks the split-out day from merging back into the festival', () => {
+    expect(blocksMerge(rule, { concert_date: '2026-06-20T18:00:00Z' }, [4], festival)).toBe(true);
+  });
+
+  it('blocks an incoming concert with no bands to tell by', () => {
+    expect(blocksMerge(rule, { concert_date: '2026-06-20T18:00:00Z' }, [], festival)).toBe(true);
+  });
+
+  it('leaves other days, other bands and other concerts alone', () => {
+    expect(blocksMerge(rule, { concert_date: '2026-06-19T18:00:00Z' }, [4], festival)).toBe(false);
+    expect(blocksMerge(rule, { concert_date: '2026-06-20T18:00:00Z' }, [5], festival)).toBe(false);
+    expect(blocksMerge(rule, { concert_date: '2026-06-20T18:00:00Z' }, [4], { id: 11 })).toBe(false);
+  });
+});
+
+describe('splitOutBandIds', () => {
+  const rules = [
+    { kind: 'SPLIT', concert_id: 10, concert_date: new Date('2026-06-20T00:00:00Z'), band_ids: [3, 4] },
+    { kind: 'MERGE', concert_id: 10, band_ids: [] },
+    { kind: 'SPLIT', concert_id: 11, concert_date: new Date('2026-06-20T00:00:00Z'), band_ids: [5] },
+  ];
+
+  it('keeps split-out bands off the festival when it is ingested again by event_id', () => {
+    // The festival's full scraped lineup, as /bulk resolves it
+    const lineup = [1, 3, 4, 5];
+    const splitOut = splitOutBandIds(rules, 10);
+    expect(lineup.filter((id) => !splitOut.has(id))).toEqual([1, 5]);
+  });
+
+  it('is empty for a concert nothing was split from', () => {
+    expect(splitOutBandIds(rules, 12).size).toBe(0);
+  });
+});
+
+describe('mergedFields', () => {
+  const keep = {
+    name: 'Gojira @ Zénith',
+    url: null,
+    event_id: 'tm-1',
+    on_sale: false,
+    festival: false,
+    price_min: 50,
+    price_max: 80,
+    price_currency: 'EUR',
+    metadata: '["Gojira"]',
+  };
+
+  it('fills gaps and prefers a real event name, leaving set fields alone', () => {
+    const update = mergedFields(keep, { name: 'Gojira – Fortitude Tour', url: 'https://x.test/1', event_id: 'sk-9', on_sale: true });
+    expect(update).toEqual({ name: 'Gojira – Fortitude Tour', url: 'https://x.test/1', on_sale: true });
+  });
+
+  it('keeps the widest price range in one currency', () => {
+    expect(mergedFields(keep, { price_min: 45, price_max: 70, price_currency: 'EUR' })).toEqual({ price_min: 45 });
+    expect(mergedFields(keep, { price_min: 20, price_max: 90, price_currency: 'GBP' })).toEqual({});
+  });
+
+  it('joins the lineups', () => {
+    expect(mergedFields(keep, { metadata: '["Gojira","Alien Weaponry"]' })).toEqual({ metadata: '["Gojira","Alien Weaponry"]' });
+  });
+});
+
+describe('splitLineup', () => {
+  it('moves the named bands out of the lineup', () => {
+    expect(splitLineup('["Gojira","Mastodon","Knocked Loose"]', ['mastodon'])).toEqual({
+      kept: '["Gojira","Knocked Loose"]',
+      moved: '["mastodon"]',
+    });
+  });
+});
@@ -1,91 +1,144 @@
 const prisma = require("../prisma/client");
 const { sendDigestEmail } = require("./mail");
+const { describeTicketAlert, digestTicketAlerts } = require("./ticketAlerts");
+const { digestSettings, isDigestDue, unsubscribeUrl } = require("./digestSchedule");
+const { concertWanted, bestTiers } = require("./subscriptionRules");
 
-// Which subscription kinds match a given concert:
-// - band + city both set  -> that band, playing that exact city
-// - band only             -> that band, any city
-// - city only              -> any band, that exact city
-function subscriptionMatches(sub, concert, bandIds) {
-  if (sub.band_id != null && sub.city_id != null) {
-    return bandIds.includes(sub.band_id) && concert.city_id === sub.city_id;
+// Sends the digest to every user whose schedule says it is due (see
+// utils/digestSchedule.js): the concerts created since their cursor that their
+// NotificationSubscription rules want (utils/subscriptionRules.js), and the
+// ticket alerts raised for them since then. Run every few minutes from
+// utils/cron.js.
+//
+// The alerts are read back from the user's inbox (utils/inbox.js), which keeps
+// them for weeks; a wishlist's activity log keeps only its last few entries
+// and can lose an alert before a weekly digest goes. One the user has deleted
+// from their inbox is not sent again.
+async function runNotificationDigest(now = new Date()) {
+  // Only confirmed addresses: an unconfirmed one may be a stranger's inbox
+  // that someone typed at registration.
+  const users = await prisma.user.findMany({
+    where: { email_verified_at: { not: null }, disabled_at: null },
+    select: { id: true, email: true, settings: true, created_at: true, digest_state: true },
+  });
+
+  // A user the digest has not seen yet starts from when they signed up
+  for (const user of users.filter((u) => !u.digest_state)) {
+    user.digest_state = await prisma.notificationDigestState.upsert({
+      where: { user_id: user.id },
+      create: { user_id: user.id, covered_until: user.created_at },
+      update: {},
+    });
   }
-  if (sub.band_id != null) return bandIds.includes(sub.band_id);
-  if (sub.city_id != null) return concert.city_id === sub.city_id;
-  return false;
-}
 
-// Scans concerts created since the last run, matches them against all
-// NotificationSubscription rows, and sends one digest email per affected user.
-async function runNotificationDigest() {
-  const now = new Date();
+  const due = users.filter((u) => isDigestDue(
+    digestSettings(u.settings),
+    u.digest_state.last_run_at ?? u.digest_state.created_at,
+    now,
+  ));
+  if (due.length === 0) return { due: 0, sent: 0, concerts: 0, alerts: 0 };
 
-  let run = await prisma.notificationDigestRun.findFirst();
-  if (!run) run = await prisma.notificationDigestRun.create({ data: { last_run_at: new Date(0) } });
-  const since = run.last_run_at;
+  const dueIds = due.map((u) => u.id);
+  const since = new Date(Math.min(...due.map((u) => new Date(u.digest_state.covered_until).getTime())));
 
-  const concerts = await prisma.concert.findMany({
-    where: { created_at: { gt: since, lte: now }, city_id: { not: null } },
-    select: {
-      id: true,
-      name: true,
-      venue: true,
-      city: true,
-      country: true,
-      concert_date: true,
-      url: true,
-      city_id: true,
-      bands: { select: { band_rel: { select: { id: true, name: true } } } },
-    },
-  });
+  const [concerts, subscriptions, alertItems] = await Promise.all([
+    prisma.concert.findMany({
+      where: { created_at: { gt: since, lte: now }, city_id: { not: null } },
+      select: {
+        id: true,
+        name: true,
+        venue: true,
+        city: true,
+        country: true,
+        concert_date: true,
+        url: true,
+        city_id: true,
+        created_at: true,
+        festival: true,
+        price_min: true,
+        price_currency: true,
+        city_rel: { select: { latitude: true, longitude: true } },
+        bands: { select: { band_rel: { select: { id: true, name: true } } } },
+      },
+    }),
+    prisma.notificationSubscription.findMany({
+      where: { user_id: { in: dueIds } },
+      include: { home_city_rel: { select: { latitude: true, longitude: true } } },
+    }),
+    // LOVE_TICKET_ALERT too, only to leave out what it already said
+    prisma.inboxItem.findMany({
+      where: { type: { in: ["TICKET_ALERT", "LOVE_TICKET_ALERT"] }, user_id: { in: dueIds }, created_at: { gt: since, lte: now } },
+      orderBy: { created_at: "asc" },
+      select: { user_id: true, type: true, data: true, created_at: true },
+    }),
+  ]);
 
-  if (concerts.length === 0) {
-    await prisma.notificationDigestRun.update({ where: { id: run.id }, data: { last_run_at: now } });
-    return { sent: 0, concerts: 0 };
+  const byUser = new Map(due.map((u) => [u.id, { user: u, items: new Map(), alerts: [], rules: [] }]));
+  const coveredFor = (userId) => new Date(byUser.get(userId).user.digest_state.covered_until);
+  for (const { home_city_rel, ...sub } of subscriptions) {
+    byUser.get(sub.user_id).rules.push({ ...sub, home: home_city_rel });
   }
 
-  const subscriptions = await prisma.notificationSubscription.findMany({
-    include: { user_rel: { select: { id: true, email: true } } },
+  // Tier rules need each user's wishlist bands
+  const withTierRules = [...byUser.values()].filter((b) => b.rules.some((r) => r.min_tier != null)).map((b) => b.user.id);
+  const tierRefs = concerts.length === 0 || withTierRules.length === 0 ? [] : await prisma.wishlistBandReference.findMany({
+    where: { wishlist_rel: { user_id: { in: withTierRules } } },
+    select: { band_id: true, tier: true, wishlist_rel: { select: { user_id: true } } },
   });
-
-  // user_id -> { email, items: Map(concertId -> concert summary) }
-  const userMatches = new Map();
+  const tiersFor = new Map(withTierRules.map((id) => [id, bestTiers(tierRefs.filter((r) => r.wishlist_rel.user_id === id))]));
 
   for (const concert of concerts) {
-    const bandIds = concert.bands.map((b) => b.band_rel.id);
-    const bandNames = concert.bands.map((b) => b.band_rel.name);
-    for (const sub of subscriptions) {
-      if (!subscriptionMatches(sub, concert, bandIds)) continue;
+    const facts = {
+      band_ids: concert.bands.map((b) => b.band_rel.id),
+      city_id: concert.city_id,
+      country: concert.country,
+      festival: concert.festival,
+      concert_date: concert.concert_date,
+      price_min: concert.price_min,
+      price_currency: concert.price_currency,
+      city_latitude: concert.city_rel?.latitude,
+      city_longitude: concert.city_rel?.longitude,
+    };
+    for (const bucket of byUser.values()) {
+      if (bucket.rules.length === 0 || concert.created_at <= coveredFor(bucket.user.id)) continue;
+      if (!concertWanted(bucket.rules, facts, { tierOf: tiersFor.get(bucket.user.id) })) continue;
 
-      const uid = sub.user_rel.id;
-      if (!userMatches.has(uid)) userMatches.set(uid, { email: sub.user_rel.email, items: new Map() });
-      const bucket = userMatches.get(uid);
-      if (!bucket.items.has(concert.id)) {
-        bucket.items.set(concert.id, {
-          name: concert.name,
-          bandNames,
-          venue: concert.venue,
-          city: concert.city,
-          country: concert.country,
-          date: concert.concert_date,
-          url: concert.url,
-        });
-      }
+      bucket.items.set(concert.id, {
+        name: concert.name,
+        bandNames: concert.bands.map((b) => b.band_rel.name),
+        venue: concert.venue,
+        city: concert.city,
+        country: concert.country,
+        date: concert.concert_date,
+        url: concert.url,
+      });
     }
   }
 
+  const newAlerts = alertItems.filter((item) => item.created_at > coveredFor(item.user_id));
+  for (const { user_id, data } of digestTicketAlerts(newAlerts)) {
+    byUser.get(user_id).alerts.push({ ...data, message: describeTicketAlert(data) });
+  }
+
   let sent = 0;
-  for (const [userId, { email, items }] of userMatches) {
-    if (items.size === 0) continue;
-    try {
-      await sendDigestEmail({ to: email, items: [...items.values()] });
-      sent++;
-    } catch (err) {
-      console.error(`[notifyDigest] Failed to send digest to user ${userId}:`, err.message);
+  for (const { user, items, alerts } of byUser.values()) {
+    if (items.size > 0 || alerts.length > 0) {
+      try {
+        await sendDigestEmail({ to: user.email, items: [...items.values()], alerts, unsubscribeUrl: unsubscribeUrl(user.id) });
+        sent++;
+      } catch (err) {
+        // The cursor stays put, so the next tick tries again with the same news
+        console.error(`[notifyDigest] Failed to send digest to user ${user.id}:`, err.message);
+        continue;
+      }
     }
+    await prisma.notificationDigestState.update({
+      where: { user_id: user.id },
+      data: { covered_until: now, last_run_at: now },
+    });
   }
 
-  await prisma.notificationDigestRun.update({ where: { id: run.id }, data: { last_run_at: now } });
-  return { sent, concerts: concerts.length };
+  return { due: due.length, sent, concerts: concerts.length, alerts: alertItems.length };
 }
 
 module.exports = { runNotificationDigest };
@@ -1,12 +1,19 @@
 const cron = require("node-cron");
 const { runNotificationDigest } = require("./concertNotifyDigest");
+const { runSaleReminders } = require("./ticketAlerts");
+const { retryDueDeliveries } = require("./notifications/dispatch");
+const { runTodoReminders } = require("./travel/todoReminders");
+const { runReviewPrompts } = require("./travel/reviewPrompts");
+const { pruneInbox } = require("./inbox");
 const prisma = require("../prisma/client");
 
-// Default: once a day at 08:00 server time.
-const NOTIFICATION_DIGEST_CRON = process.env.NOTIFICATION_DIGEST_CRON || "0 8 * * *";
+// How often the digest checks who is due. Each user's own schedule is in
+// their settings (utils/digestSchedule.js); this is only how finely it is kept
+// — and how soon an "instant" digest follows the news.
+const NOTIFICATION_DIGEST_CRON = process.env.NOTIFICATION_DIGEST_CRON || "*/15 * * * *";
 
 /**
- * Clean up expired email verification codes
+ * Clean up expired email codes — email change and password reset alike
  * Runs every hour
  */
 async function cleanupExpiredEmailVerifications() {
@@ -15,7 +22,7 @@ async function cleanupExpiredEmailVerifications() {
       where: { expires_at: { lt: new Date() } },
     });
     if (deleted.count > 0) {
-      console.log(`[cron] Cleaned up ${deleted.count} expired email verification code(s)`);
+      console.log(`[cron] Cleaned up ${deleted.count} expired email code(s)`);
     }
   } catch (err) {
     console.error("[cron] Email verification cleanup failed:", err);
@@ -27,12 +34,63 @@ function startCronJobs() {
   cron.schedule(NOTIFICATION_DIGEST_CRON, async () => {
     try {
       const result = await runNotificationDigest();
-      console.log(`[cron] Notification digest: sent to ${result.sent} user(s), ${result.concerts} new concert(s) scanned.`);
+      if (result.due > 0) {
+        console.log(`[cron] Notification digest: ${result.due} user(s) due, sent to ${result.sent}, ${result.concerts} new concert(s) and ${result.alerts} ticket alert(s) scanned.`);
+      }
     } catch (err) {
       console.error("[cron] Notification digest failed:", err);
     }
   });
 
+  // "Tickets go on sale within 24h" reminders - runs every hour
+  cron.schedule("30 * * * *", async () => {
+    try {
+      const result = await runSaleReminders();
+      if (result.reminded > 0) console.log(`[cron] Sale reminders: ${result.reminded} concert(s) go on sale within 24h.`);
+    } catch (err) {
+      console.error("[cron] Sale reminders failed:", err);
+    }
+  });
+
+  // Notification deliveries whose retry is due - runs every minute
+  cron.schedule("* * * * *", async () => {
+    try {
+      const result = await retryDueDeliveries();
+      if (result.retried > 0) console.log(`[cron] Notification retries: ${result.retried} delivery(ies) retried.`);
+    } catch (err) {
+      console.error("[cron] Notification retries failed:", err);
+    }
+  });
+
+  // Trip to-do reminders - runs every five minutes
+  cron.schedule("*/5 * * * *", async () => {
+    try {
+      const result = await runTodoReminders();
+      if (result.reminded > 0) console.log(`[cron] To-do reminders: ${result.reminded} sent.`);
+    } catch (err) {
+      console.error("[cron] To-do reminders failed:", err);
+    }
+  });
+
+  // "How was the trip?" prompts for trips that just ended - runs daily at 10:00
+  cron.schedule("0 10 * * *", async () => {
+    try {
+      await runReviewPrompts();
+    } catch (err) {
+      console.error("[cron] Review prompts failed:", err);
+    }
+  });
+
+  // Inbox retention, per type (see utils/inbox.js) - runs every hour
+  cron.schedule("15 * * * *", async () => {
+    try {
+      const result = await pruneInbox();
+      if (result.pruned > 0) console.log(`[cron] Inbox: pruned ${result.pruned} item(s).`);
+    } catch (err) {
+      console.error("[cron] Inbox pruning failed:", err);
+    }
+  });
+
   // Cleanup expired email verifications - runs every hour
   cron.schedule("0 * * * *", cleanupExpiredEmailVerifications);
 }
@@ -0,0 +1,208 @@
+const jwt = require("jsonwebtoken");
+
+// When each user's digest email goes out. The schedule lives in
+// User.settings.digest:
+//
+//   { frequency: "instant" | "daily" | "weekly" | "off",
+//     time: "HH:MM", timezone: "Europe/Stockholm", weekday: 0-6 (Sunday 0),
+//     quiet_hours: { start: "HH:MM", end: "HH:MM" } | null }
+//
+// all of it in the user's own time zone. The cron in utils/cron.js ticks every
+// few minutes and sends to whoever is due; "instant" is every tick. Nothing
+// goes out in quiet hours — it waits for the first tick after them.
+//
+// Settings are also written wholesale by PATCH /users/me/settings, so they are
+// read through digestSettings(), which falls back field by field to the
+// defaults rather than trusting what is stored.
+
+const DIGEST_FREQUENCIES = ["instant", "daily", "weekly", "off"];
+
+// What everyone had before schedules existed: daily at 08:00.
+const DEFAULT_DIGEST = { frequency: "daily", time: "08:00", timezone: "UTC", weekday: 1, quiet_hours: null };
+
+const TIME = /^([01]\d|2[0-3]):([0-5]\d)$/;
+const minutesOf = (time) => {
+  const [, h, m] = TIME.exec(time);
+  return Number(h) * 60 + Number(m);
+};
+
+function isTimeZone(value) {
+  if (typeof value !== "string" || !value) return false;
+  try {
+    new Intl.DateTimeFormat("en-US", { timeZone: value });
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+const isWeekday = (value) => Number.isInteger(value) && value >= 0 && value <= 6;
+const isQuietHours = (value) => value != null && TIME.test(value.start) && TIME.test(value.end);
+
+/** The user's schedule, every field valid: what is stored where it is, else the default. */
+function digestSettings(settings) {
+  const d = settings?.digest ?? {};
+  return {
+    frequency: DIGEST_FREQUENCIES.includes(d.frequency) ? d.frequency : DEFAULT_DIGEST.frequency,
+    time: TIME.test(d.time) ? d.time : DEFAULT_DIGEST.time,
+    timezone: isTimeZone(d.timezone) ? d.timezone : DEFAULT_DIGEST.timezone,
+    weekday: isWeekday(d.weekday) ? d.weekday : DEFAULT_DIGEST.weekday,
+    quiet_hours: isQuietHours(d.quiet_hours) ? { start: d.quiet_hours.start, end: d.quiet_hours.end } : null,
+  };
+}
+
+/**
+ * Check a schedule change from a request body. Returns { data } — only the
+ * fields given, to merge over the current schedule — or { error }.
+ */
+function normaliseDigestInput(body = {}) {
+  const data = {};
+  if (body.frequency !== undefined) {
+    if (!DIGEST_FREQUENCIES.includes(body.frequency)) return { error: `frequency must be one of ${DIGEST_FREQUENCIES.join(", ")}` };
+    data.frequency = body.frequency;
+  }
+  if (body.time !== undefined) {
+    if (!TIME.test(body.time)) return { error: "time must be HH:MM, 24-hour" };
+    data.time = body.time;
+  }
+  if (body.timezone !== undefined) {
+    if (!isTimeZone(body.timezone)) return { error: "timezone must be an IANA time zone, like Europe/Stockholm" };
+    data.timezone = body.timezone;
+  }
+  if (body.weekday !== undefined) {
+    if (!isWeekday(body.weekday)) return { error: "weekday must be 0 (Sunday) to 6 (Saturday)" };
+    data.weekday = body.weekday;
+  }
+  if (body.quiet_hours !== undefined) {
+    if (body.quiet_hours !== null && !isQuietHours(body.quiet_hours)) {
+      return { error: "quiet_hours must be { start: HH:MM, end: HH:MM } or null" };
+    }
+    data.quiet_hours = body.quiet_hours && { start: body.quiet_hours.start, end: body.quiet_hours.end };
+  }
+  return { data };
+}
+
+const WEEKDAYS = ["Sun", "Mon", "Tue", "Wed", "Thu", "Fri", "Sat"];
+
+// The wall clock in a time zone at an instant.
+function zonedParts(date, timeZone) {
+  const parts = Object.fromEntries(
+    new Intl.DateTimeFormat("en-US", {
+      timeZone,
+      hourCycle: "h23",
+      year: "numeric",
+      month: "numeric",
+      day: "numeric",
+      hour: "numeric",
+      minute: "numeric",
+      weekday: "short",
+    })
+      .formatToParts(date)
+      .map((p) => [p.type, p.value]),
+  );
+  return {
+    year: Number(parts.year),
+    month: Number(parts.month),
+    day: Number(parts.day),
+    hour: Number(parts.hour),
+    minute: Number(parts.minute),
+    weekday: WEEKDAYS.indexOf(parts.weekday),
+  };
+}
+
+// The instant a wall-clock time in a time zone happens. Across a DST change
+// the offset is taken again at the first guess, which lands a skipped time an
+// hour late rather than not at all.
+function zonedTime({ year, month, day, hour, minute }, timeZone) {
+  const asUtc = Date.UTC(year, month - 1, day, hour, minute);
+  const offsetAt = (ms) => {
+    const p = zonedParts(new Date(ms), timeZone);
+    return Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute) - Math.floor(ms / 60000) * 60000;
+  };
+  const first = asUtc - offsetAt(asUtc);
+  return new Date(asUtc - offsetAt(first));
+}
+
+/**
+ * The latest time at or before `now` that a daily or weekly digest was due —
+ * null for instant and off, which have no slots.
+ */
+function lastSlot(digest, now) {
+  if (digest.frequency !== "daily" && digest.frequency !== "weekly") return null;
+  const today = zonedParts(now, digest.timezone);
+  const minutes = minutesOf(digest.time);
+  for (let back = 0; back <= 7; back++) {
+    const date = new Date(Date.UTC(today.year, today.month - 1, today.day - back));
+    if (digest.frequency === "weekly" && date.getUTCDay() !== digest.weekday) continue;
+    const slot = zonedTime({
+      year: date.getUTCFullYear(),
+      month: date.getUTCMonth() + 1,
+      day: date.getUTCDate(),
+      hour: Math.floor(minutes / 60),
+      minute: minutes % 60,
+    }, digest.timezone);
+    if (slot <= now) return slot;
+  }
+  return null;
+}
+
+function inQuietHours(digest, now) {
+  if (!digest.quiet_hours) return false;
+  const start = minutesOf(digest.quiet_hours.start);
+  const end = minutesOf(digest.quiet_hours.end);
+  if (start === end) return false;
+  const { hour, minute } = zonedParts(now, digest.timezone);
+  const t = hour * 60 + minute;
+  // A window like 22:00-07:00 runs over midnight
+  return start < end ? t >= start && t < end : t >= start || t < end;
+}
+
+/**
+ * Whether a user's digest should go out on this tick. `lastRunAt` is when it
+ * last did — or was due with nothing in it — or, before the first, when the
+ * user's cursor was made.
+ */
+function isDigestDue(digest, lastRunAt, now) {
+  if (digest.frequency === "off" || inQuietHours(digest, now)) return false;
+  if (digest.frequency === "instant") return true;
+  const slot = lastSlot(digest, now);
+  return slot != null && (!lastRunAt || slot > new Date(lastRunAt));
+}
+
+// Unsubscribe links carry their own proof, like OAuth state (see
+// utils/oauthState.js), but do not expire: a link in an old email should
+// still work. The purpose claim keeps a session token from passing for one.
+const UNSUBSCRIBE_PURPOSE = "digest_unsubscribe";
+
+function signUnsubscribeToken(userId) {
+  return jwt.sign({ user: userId, purpose: UNSUBSCRIBE_PURPOSE }, process.env.JWT_SECRET);
+}
+
+// The user id an unsubscribe token was made for, or null.
+function verifyUnsubscribeToken(token) {
+  if (typeof token !== "string" || !token) return null;
+  try {
+    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    return decoded?.purpose === UNSUBSCRIBE_PURPOSE && decoded.user ? decoded.user : null;
+  } catch {
+    return null;
+  }
+}
+
+function unsubscribeUrl(userId) {
+  return `${process.env.CALLBACK_URL}/data/concerts/notifications/digest/unsubscribe?token=${signUnsubscribeToken(userId)}`;
+}
+
+module.exports = {
+  DIGEST_FREQUENCIES,
+  DEFAULT_DIGEST,
+  digestSettings,
+  normaliseDigestInput,
+  zonedParts,
+  lastSlot,
+  inQuietHours,
+  isDigestDue,
+  signUnsubscribeToken,
+  verifyUnsubscribeToken,
+  unsubscribeUrl,
+};
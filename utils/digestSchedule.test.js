@@ -0,0 +1,112 @@
+import { describe, it, expect, beforeAll } from 'vitest';
+import jwt from 'jsonwebtoken';
+import {
+  DEFAULT_DIGEST, digestSettings, normaliseDigestInput, lastSlot, inQuietHours, isDigestDue,
+  signUnsubscribeToken, verifyUnsubscribeToken,
+} from './digestSchedule.js';
+
+beforeAll(() => {
+  process.env.JWT_SECRET = 'test-secret';
+});
+
+const digest = (over = {}) => ({ ...DEFAULT_DIGEST, ...over });
+
+describe('digestSettings', () => {
+  it('is daily at 08:00 UTC for someone who never chose', () => {
+    expect(digestSettings(null)).toEqual(DEFAULT_DIGEST);
+  });
+
+  it('keeps what is valid and defaults the rest', () => {
+    expect(digestSettings({ digest: { frequency: 'weekly', time: '25:00', timezone: 'Mars/Olympus', weekday: 5 } }))
+      .toEqual({ ...DEFAULT_DIGEST, frequency: 'weekly', weekday: 5 });
+  });
+});
+
+describe('normaliseDigestInput', () => {
+  it('passes through only the fields given', () => {
+    expect(normaliseDigestInput({ frequency: 'instant', timezone: 'Europe/Stockholm' }))
+      .toEqual({ data: { frequency: 'instant', timezone: 'Europe/Stockholm' } });
+  });
+
+  it('rejects a bad frequency, time, zone, weekday or quiet window', () => {
+    expect(normaliseDigestInput({ frequency: 'hourly' }).error).toMatch(/frequency/);
+    expect(normaliseDigestInput({ time: '8:00' }).error).toMatch(/HH:MM/);
+    expect(normaliseDigestInput({ timezone: 'CEST+2' }).error).toMatch(/timezone/);
+    expect(normaliseDigestInput({ weekday: 7 }).error).toMatch(/weekday/);
+    expect(normaliseDigestInput({ quiet_hours: { start: '22:00' } }).error).toMatch(/quiet_hours/);
+  });
+
+  it('clears quiet hours with null', () => {
+    expect(normaliseDigestInput({ quiet_hours: null })).toEqual({ data: { quiet_hours: null } });
+  });
+});
+
+describe('lastSlot', () => {
+  it('is today at the local time once it has passed, in the user\'s zone', () => {
+    // 08:00 in Stockholm in October (UTC+2) is 06:00Z
+    const d = digest({ timezone: 'Europe/Stockholm' });
+    expect(lastSlot(d, new Date('2026-10-20T07:00:00Z'))).toEqual(new Date('2026-10-20T06:00:00Z'));
+    expect(lastSlot(d, new Date('2026-10-20T05:59:00Z'))).toEqual(new Date('2026-10-19T06:00:00Z'));
+  });
+
+  it('follows the clocks going back', () => {
+    // Winter time from 25 October: 08:00 Stockholm is 07:00Z
+    const d = digest({ timezone: 'Europe/Stockholm' });
+    expect(lastSlot(d, new Date('2026-10-26T12:00:00Z'))).toEqual(new Date('2026-10-26T07:00:00Z'));
+  });
+
+  it('goes back to the chosen weekday for a weekly digest', () => {
+    // 20 October 2026 is a Tuesday; the last Friday 18:30 in New York (UTC-4) was the 16th
+    const d = digest({ frequency: 'weekly', weekday: 5, time: '18:30', timezone: 'America/New_York' });
+    expect(lastSlot(d, new Date('2026-10-20T12:00:00Z'))).toEqual(new Date('2026-10-16T22:30:00Z'));
+  });
+
+  it('has no slots for instant or off', () => {
+    expect(lastSlot(digest({ frequency: 'instant' }), new Date())).toBeNull();
+  });
+});
+
+describe('inQuietHours', () => {
+  const d = digest({ timezone: 'Europe/Stockholm', quiet_hours: { start: '22:00', end: '07:00' } });
+
+  it('covers a window that runs over midnight', () => {
+    expect(inQuietHours(d, new Date('2026-10-20T21:30:00Z'))).toBe(true); // 23:30 local
+    expect(inQuietHours(d, new Date('2026-10-20T04:00:00Z'))).toBe(true); // 06:00 local
+    expect(inQuietHours(d, new Date('2026-10-20T05:00:00Z'))).toBe(false); // 07:00 local
+  });
+
+  it('is never quiet without a window', () => {
+    expect(inQuietHours(digest(), new Date('2026-10-20T02:00:00Z'))).toBe(false);
+  });
+});
+
+describe('isDigestDue', () => {
+  const now = new Date('2026-10-20T09:00:00Z');
+
+  it('is due once per slot', () => {
+    expect(isDigestDue(digest(), new Date('2026-10-19T08:00:00Z'), now)).toBe(true);
+    expect(isDigestDue(digest(), new Date('2026-10-20T08:00:00Z'), now)).toBe(false);
+  });
+
+  it('is always due when instant, and never when off', () => {
+    expect(isDigestDue(digest({ frequency: 'instant' }), now, now)).toBe(true);
+    expect(isDigestDue(digest({ frequency: 'off' }), null, now)).toBe(false);
+  });
+
+  it('waits out quiet hours', () => {
+    const quiet = digest({ frequency: 'instant', quiet_hours: { start: '08:30', end: '10:00' } });
+    expect(isDigestDue(quiet, null, now)).toBe(false);
+  });
+});
+
+describe('unsubscribe tokens', () => {
+  it('carry the user back', () => {
+    expect(verifyUnsubscribeToken(signUnsubscribeToken('user-1'))).toBe('user-1');
+  });
+
+  it('reject a session token and a tampered one', () => {
+    expect(verifyUnsubscribeToken(jwt.sign({ id: 'user-1' }, process.env.JWT_SECRET))).toBeNull();
+    expect(verifyUnsubscribeToken(`${signUnsubscribeToken('user-1')}x`)).toBeNull();
+    expect(verifyUnsubscribeToken(undefined)).toBeNull();
+  });
+});
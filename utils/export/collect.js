@@ -0,0 +1,141 @@
+/**
+ * Everything one user owns, gathered into a single archive.
+ *
+ * The shape is nested the way the app thinks about it — a trip with its items,
+ * todos, places and estimates; a loadout with its entries — and keeps every row's
+ * own id. The ids mean nothing in another database, but they are how rows in the
+ * archive refer to each other (an item's gear_item_id, an entry's bag_id, a
+ * review's trip_item_id), and an import has to be able to follow those links.
+ *
+ * Shared data is exported by what it is, not by id: a band by name and
+ * MusicBrainz id, a concert by its event_id and where and when it was. Another
+ * environment has its own ids for the same band.
+ *
+ * Never included: password hashes, OAuth tokens, verification codes, webhook
+ * URLs. An export is a file that gets emailed around and left in download
+ * folders.
+ */
+
+const prisma = require("../../prisma/client");
+const { EXPORT_FORMAT, EXPORT_VERSION } = require("./format");
+
+async function collectUserExport(userId) {
+  const [user, trips, gear, loadouts, itemReviews, templates, travelWishlist,
+         wishlists, subscriptions] = await Promise.all([
+    prisma.user.findUnique({
+      where: { id: userId },
+      select: { id: true, email: true, role: true, created_at: true, settings: true },
+    }),
+    prisma.trip.findMany({
+      where: { user_id: userId },
+      orderBy: [{ start_date: "asc" }, { created_at: "asc" }],
+      include: {
+        items: { orderBy: [{ sort_order: "asc" }, { created_at: "asc" }] },
+        todos: { orderBy: [{ sort_order: "asc" }, { created_at: "asc" }] },
+        places: { orderBy: [{ sort_order: "asc" }, { created_at: "asc" }] },
+        estimates: { orderBy: [{ sort_order: "asc" }, { created_at: "asc" }] },
+        trip_review: true,
+      },
+    }),
+    prisma.gearItem.findMany({ where: { user_id: userId }, orderBy: { id: "asc" } }),
+    prisma.loadout.findMany({
+      where: { user_id: userId },
+      orderBy: { id: "asc" },
+      include: { entries: { orderBy: { created_at: "asc" } } },
+    }),
+    prisma.itemReview.findMany({ where: { user_id: userId }, orderBy: { id: "asc" } }),
+    prisma.template.findMany({
+      where: { user_id: userId },
+      orderBy: { id: "asc" },
+      include: { items: { orderBy: [{ sort_order: "asc" }, { created_at: "asc" }] } },
+    }),
+    prisma.travelWishlistItem.findMany({ where: { user_id: userId }, orderBy: { id: "asc" } }),
+    prisma.wishlist.findMany({
+      where: { user_id: userId },
+      include: {
+        bands: {
+          include: { band_rel: { select: { name: true, MBID: true, ticketmaster_id: true } } },
+        },
+        attendance: {
+          orderBy: { created_at: "asc" },
+          include: {
+            concert_rel: {
+              select: {
+                event_id: true, name: true, venue: true, city: true, country: true,
+                concert_date: true, source: true, url: true, festival: true,
+                latitude: true, longitude: true,
+                bands: { select: { band_rel: { select: { name: true } } } },
+              },
+            },
+          },
+        },
+      },
+    }),
+    prisma.notificationSubscription.findMany({
+      where: { user_id: userId },
+      orderBy: { created_at: "asc" },
+      include: {
+        band_rel: { select: { name: true, MBID: true } },
+        city_rel: { select: { name: true, country: true } },
+        home_city_rel: { select: { name: true, country: true } },
+      },
+    }),
+  ]);
+
+  if (!user) return null;
+
+  return {
+    format: EXPORT_FORMAT,
+    version: EXPORT_VERSION,
+    exported_at: new Date().toISOString(),
+    user,
+    trips,
+    gear,
+    loadouts,
+    item_reviews: itemReviews,
+    templates,
+    travel_wishlist: travelWishlist,
+    concert_wishlists: wishlists.map((w) => ({
+      id: w.id,
+      name: w.name,
+      // The webhook URL is a credential; say only that there was one
+      has_discord_webhook: Boolean(w.discord_webhook),
+      bands: w.bands.map((ref) => ({
+        band_id: ref.band_id,
+        name: ref.band_rel.name,
+        mbid: ref.band_rel.MBID,
+        ticketmaster_id: ref.band_rel.ticketmaster_id,
+        tier: ref.tier,
+      })),
+    })),
+    attendance: wishlists.flatMap((w) =>
+      w.attendance.map((a) => ({
+        wishlist_id: w.id,
+        concert_id: a.concert_id,
+        created_at: a.created_at,
+        concert: {
+          ...a.concert_rel,
+          bands: a.concert_rel.bands.map((b) => b.band_rel.name),
+        },
+      }))
+    ),
+    notification_subscriptions: subscriptions.map((s) => ({
+      id: s.id,
+      band: s.band_rel ? { name: s.band_rel.name, mbid: s.band_rel.MBID } : null,
+      city: s.city_rel ? { name: s.city_rel.name, country: s.city_rel.country } : null,
+      country: s.country,
+      home_city: s.home_city_rel ? { name: s.home_city_rel.name, country: s.home_city_rel.country } : null,
+      radius_km: s.radius_km,
+      min_tier: s.min_tier,
+      festival_only: s.festival_only,
+      date_from: s.date_from,
+      date_to: s.date_to,
+      max_price: s.max_price,
+      price_currency: s.price_currency,
+      mute: s.mute,
+      created_at: s.created_at,
+    })),
+  };
+}
+
+module.exports = { collectUserExport };
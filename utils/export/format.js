@@ -0,0 +1,8 @@
+// What an export archive calls itself. Written by ./collect.js and checked by
+// ./restore.js before anything is read back in.
+const EXPORT_FORMAT = "thorcode-export";
+
+// Bumped when the shape changes in a way an importer has to know about.
+const EXPORT_VERSION = 1;
+
+module.exports = { EXPORT_FORMAT, EXPORT_VERSION };
@@ -0,0 +1,109 @@
+/**
+ * The export's trip report as a PDF: one section per trip with its dates and
+ * budget, the packing list by category, the todos, the places and the expense
+ * estimates. Built from the same archive as the JSON and CSV so the three
+ * downloads never disagree about what a trip contains.
+ *
+ * Writes into the stream it is given (the response) and ends the document;
+ * nothing is buffered.
+ */
+
+const PDFDocument = require("pdfkit");
+
+const STATUS_LABEL = {
+  NEED_TO_BUY: "to buy",
+  BOUGHT: "have",
+  PACKED: "packed",
+  NOT_PACKED: "not packed",
+};
+
+function day(date) {
+  return date ? new Date(date).toISOString().slice(0, 10) : null;
+}
+
+function dateRange(trip) {
+  const from = day(trip.start_date);
+  const to = day(trip.end_date);
+  if (from && to) return from === to ? from : `${from} – ${to}`;
+  return from ?? to ?? "No dates yet";
+}
+
+function heading(doc, text) {
+  doc.moveDown(0.6).font("Helvetica-Bold").fontSize(12).text(text).font("Helvetica").fontSize(10);
+}
+
+function tripSection(doc, trip) {
+  doc.font("Helvetica-Bold").fontSize(18).text(trip.name);
+  doc.font("Helvetica").fontSize(10).fillColor("#555555")
+    .text([trip.destination, dateRange(trip)].filter(Boolean).join(" · "))
+    .fillColor("#000000");
+
+  if (trip.money_budget != null) {
+    doc.moveDown(0.3).text(`Budget: ${trip.money_budget} ${trip.currency}`);
+  }
+  if (trip.notes) doc.moveDown(0.3).text(trip.notes);
+
+  if (trip.items?.length) {
+    heading(doc, "Packing list");
+    const byCategory = new Map();
+    for (const item of trip.items) {
+      const key = item.category || "Uncategorised";
+      if (!byCategory.has(key)) byCategory.set(key, []);
+      byCategory.get(key).push(item);
+    }
+    for (const [category, items] of byCategory) {
+      doc.font("Helvetica-Oblique").text(category).font("Helvetica");
+      for (const item of items) {
+        const flags = [STATUS_LABEL[item.status] ?? item.status, item.worn ? "worn" : null].filter(Boolean);
+        doc.text(`  • ${item.name} (${flags.join(", ")})`);
+      }
+    }
+  }
+
+  if (trip.todos?.length) {
+    heading(doc, "Todos");
+    for (const todo of trip.todos) doc.text(`  ${todo.done ? "[x]" : "[ ]"} ${todo.text}`);
+  }
+
+  if (trip.places?.length) {
+    heading(doc, "Places");
+    for (const place of trip.places) {
+      const extra = [place.kind?.toLowerCase(), day(place.pinned_day)].filter(Boolean).join(", ");
+      doc.text(`  • ${place.name}${extra ? ` (${extra})` : ""}`);
+      if (place.address) doc.fillColor("#555555").text(`    ${place.address}`).fillColor("#000000");
+    }
+  }
+
+  if (trip.estimates?.length) {
+    heading(doc, "Expense estimates");
+    for (const e of trip.estimates) {
+      const when = [day(e.date), day(e.end_date)].filter(Boolean).join(" – ");
+      doc.text(`  • ${e.category}: ${e.amount} ${e.currency}${when ? ` (${when})` : ""}${e.note ? ` — ${e.note}` : ""}`);
+    }
+  }
+}
+
+/**
+ * Render the trips in `archive` into `stream`. An archive with no trips still
+ * gets a page saying so rather than an empty file a PDF viewer rejects.
+ */
+function writeTripReport(archive, stream) {
+  const doc = new PDFDocument({ size: "A4", margin: 50, info: { Title: "Trip report" } });
+  doc.pipe(stream);
+
+  doc.fontSize(9).fillColor("#555555")
+    .text(`${archive.user.email} · exported ${day(archive.exported_at)}`)
+    .fillColor("#000000").moveDown();
+
+  if (archive.trips.length === 0) {
+    doc.fontSize(12).text("No trips to report.");
+  }
+  archive.trips.forEach((trip, i) => {
+    if (i > 0) doc.addPage();
+    tripSection(doc, trip);
+  });
+
+  doc.end();
+}
+
+module.exports = { writeTripReport };
@@ -0,0 +1,402 @@
+/**
+ * Read an export archive (./collect.js) back into an account.
+ *
+ * Every row is created fresh, so every id changes. The archive's own ids are
+ * kept only long enough to rewire the references between its rows: a gear
+ * item's replaced_by_id, a trip item's gear and bag, a loadout entry's bag, a
+ * review's trip and item. A reference to a row the archive does not contain is
+ * dropped rather than failing the import — the archive may have been trimmed
+ * by hand, and a trip item that loses its bag is still a trip item.
+ *
+ * Only what belongs to the user alone comes back: trips and everything on
+ * them, the gear closet, loadouts, reviews, templates and the travel wishlist.
+ * The concert side of the archive points at bands and concerts shared between
+ * accounts, which the target environment has its own rows (and ids) for.
+ *
+ * Everything here but restoreArchive is pure, so a dry run can say what an
+ * import would do without opening a transaction.
+ */
+
+const { EXPORT_FORMAT, EXPORT_VERSION } = require("./format");
+
+// The columns copied from an archive row, per model. Ids, owners and foreign
+// keys are absent on purpose — they are set from the remapping below, never
+// taken from the file. updated_at is left to Prisma.
+const FIELDS = {
+  gear: [
+    "name", "model", "brand", "category", "dimensions", "tags", "sort_order", "worn", "notes", "url",
+    "created_at", "review_status", "review_streak", "review_count", "last_review_at", "essential",
+    "retired", "photo", "retail_price", "bought_for", "currency", "fill_level", "price_irrelevant",
+  ],
+  trip: [
+    "name", "destination", "start_date", "end_date", "notes", "weight_budget", "money_budget",
+    "currency", "budget_flights", "budget_hotel", "budget_entertainment", "budget_food",
+    "weather_data", "weather_updated_at", "exchange_rates", "tags", "arrival_time",
+    "departure_time", "transfer_minutes", "created_at",
+  ],
+  place: [
+    "name", "kind", "lat", "lon", "address", "url", "duration", "priority", "outdoor", "hours",
+    "pinned_day", "arrive_after", "arrive_by", "ignore_hours", "blurb", "blurb_url",
+    "blurb_checked_at", "note", "sort_order", "created_at",
+  ],
+  item: ["name", "category", "status", "note", "url", "sort_order", "worn", "created_at"],
+  todo: ["text", "done", "sort_order", "remind_at", "created_at"],
+  estimate: ["category", "amount", "currency", "date", "end_date", "note", "sort_order", "created_at"],
+  tripReview: [
+    "culture_rating", "culture_note", "food_rating", "food_note", "fun_rating", "fun_note",
+    "missing_note", "comment", "created_at",
+  ],
+  loadout: ["name", "description", "weight_budget", "created_at"],
+  entry: ["worn", "created_at"],
+  itemReview: ["item_name", "usage", "rating", "verdict", "quantity", "note", "created_at"],
+  template: ["name", "description", "created_at"],
+  templateItem: ["name", "category", "note", "url", "sort_order", "created_at"],
+  wishlistItem: [
+    "name", "brand", "model", "category", "url", "notes", "price", "currency", "dimensions",
+    "keywords", "bought", "created_at",
+  ],
+};
+
+// Nulls are left out rather than copied: the column's default applies, and a
+// nullable Json column would reject a bare null anyway.
+function pick(row, fields) {
+  const data = {};
+  for (const field of fields) {
+    if (row[field] != null) data[field] = row[field];
+  }
+  return data;
+}
+
+function remap(ids, id) {
+  return id == null ? null : ids.get(id) ?? null;
+}
+
+const list = (value) => (Array.isArray(value) ? value : []);
+const day = (date) => (date instanceof Date ? date.toISOString() : String(date ?? "")).slice(0, 10);
+const lower = (text) => (text ?? "").trim().toLowerCase();
+
+/**
+ * The first thing wrong with an archive's shape, or null. Checks what the
+ * import relies on — the lists are lists, rows that others point at have ids,
+ * required columns are present — and leaves column types to the database.
+ */
+function validateArchive(archive) {
+  if (!archive || typeof archive !== "object" || Array.isArray(archive)) {
+    return "Send an export archive as the request body";
+  }
+  if (archive.format !== EXPORT_FORMAT) return "That is not a ThorCode export";
+  if (archive.version !== EXPORT_VERSION) return `Unsupported export version ${archive.version}`;
+
+  const checks = [
+    ["gear", archive.gear, ["name"], true],
+    ["trips", archive.trips, ["name"], true],
+    ["loadouts", archive.loadouts, ["name"], true],
+    ["item_reviews", archive.item_reviews, ["item_name", "verdict"], false],
+    ["templates", archive.templates, ["name"], true],
+    ["travel_wishlist", archive.travel_wishlist, ["name"], false],
+  ];
+  for (const trip of list(archive.trips)) {
+    checks.push(
+      ["trip places", trip?.places, ["name"], true],
+      ["trip items", trip?.items, ["name"], true],
+      ["trip todos", trip?.todos, ["text"], false],
+      ["trip estimates", trip?.estimates, ["category", "amount"], false],
+    );
+  }
+  for (const loadout of list(archive.loadouts)) checks.push(["loadout entries", loadout?.entries, [], false]);
+  for (const template of list(archive.templates)) checks.push(["template items", template?.items, ["name"], false]);
+
+  for (const [label, rows, required, needsId] of checks) {
+    if (rows === undefined) continue;
+    if (!Array.isArray(rows)) return `${label} must be an array`;
+    for (const row of rows) {
+      if (!row || typeof row !== "object") return `${label} must contain objects`;
+      if (needsId && !Number.isInteger(row.id)) return `Every row in ${label} needs its id`;
+      const missing = required.find((field) => row[field] == null || row[field] === "");
+      if (missing) return `A row in ${label} is missing ${missing}`;
+    }
+  }
+  return null;
+}
+
+/**
+ * Archive rows that look like rows the account already has: a trip with the
+ * same name and start date, gear with the same name, brand and model, a
+ * loadout or template with the same name. `existing` holds the account's
+ * current rows in those four lists.
+ */
+function findConflicts(archive, existing) {
+  const conflicts = [];
+  const check = (kind, rows, current, key) => {
+    const byKey = new Map(current.map((row) => [key(row), row.id]));
+    for (const row of list(rows)) {
+      const match = byKey.get(key(row));
+      if (match !== undefined) conflicts.push({ kind, archive_id: row.id ?? null, existing_id: match, name: row.name });
+    }
+  };
+  check("gear", archive.gear, existing.gear ?? [], (g) => `${lower(g.name)}|${lower(g.brand)}|${lower(g.model)}`);
+  check("trip", archive.trips, existing.trips ?? [], (t) => `${lower(t.name)}|${day(t.start_date)}`);
+  check("loadout", archive.loadouts, existing.loadouts ?? [], (l) => lower(l.name));
+  check("template", archive.templates, existing.templates ?? [], (t) => lower(t.name));
+  return conflicts;
+}
+
+/**
+ * What to leave out when conflicts are skipped. Conflicting gear is not left
+ * out so much as swapped: references to it point at the row already in the
+ * closet, so a restored trip still weighs what it did.
+ */
+function skipsFor(conflicts) {
+  const skips = { gear: new Map(), trip: new Set(), loadout: new Set(), template: new Set() };
+  for (const c of conflicts) {
+    if (c.kind === "gear") skips.gear.set(c.archive_id, c.existing_id);
+    else skips[c.kind].add(c.archive_id);
+  }
+  return skips;
+}
+
+function noSkips() {
+  return skipsFor([]);
+}
+
+/**
+ * References inside the archive that point at nothing in it. Not errors — the
+ * import drops them — but worth telling someone who is about to rely on the
+ * result.
+ */
+function danglingReferences(archive) {
+  const gear = new Set(list(archive.gear).map((g) => g.id));
+  const trips = new Set(list(archive.trips).map((t) => t.id));
+  const items = new Set(list(archive.trips).flatMap((t) => list(t.items).map((i) => i.id)));
+  const warnings = [];
+  const expect = (ids, id, what) => {
+    if (id != null && !ids.has(id)) warnings.push(what);
+  };
+
+  for (const g of list(archive.gear)) {
+    expect(gear, g.replaced_by_id, `Gear "${g.name}" was replaced by an item not in the archive`);
+  }
+  for (const trip of list(archive.trips)) {
+    const places = new Set(list(trip.places).map((p) => p.id));
+    expect(places, trip.arrival_place_id, `Trip "${trip.name}" arrives at a place not in the archive`);
+    expect(places, trip.departure_place_id, `Trip "${trip.name}" departs from a place not in the archive`);
+    for (const item of list(trip.items)) {
+      expect(gear, item.gear_item_id, `"${item.name}" on trip "${trip.name}" links to gear not in the archive`);
+      expect(gear, item.bag_id, `"${item.name}" on trip "${trip.name}" is packed in a bag not in the archive`);
+    }
+  }
+  for (const loadout of list(archive.loadouts)) {
+    for (const entry of list(loadout.entries)) {
+      if (!gear.has(entry.gear_item_id)) {
+        warnings.push(`An entry in loadout "${loadout.name}" is gear not in the archive and will be left out`);
+      } else {
+        expect(gear, entry.bag_id, `An entry in loadout "${loadout.name}" is in a bag not in the archive`);
+      }
+    }
+  }
+  for (const review of list(archive.item_reviews)) {
+    if (!trips.has(review.trip_id)) {
+      warnings.push(`The review of "${review.item_name}" is for a trip not in the archive and will be left out`);
+    } else {
+      expect(items, review.trip_item_id, `The review of "${review.item_name}" is for a trip item not in the archive`);
+    }
+  }
+  return warnings;
+}
+
+/**
+ * How many rows of each kind an import would create, given what it skips.
+ * Kept in step with restoreArchive, which returns the same shape.
+ */
+function plannedCounts(archive, skips = noSkips()) {
+  const gear = list(archive.gear);
+  const trips = list(archive.trips).filter((t) => !skips.trip.has(t.id));
+  const tripIds = new Set(trips.map((t) => t.id));
+  const gearIds = new Set(gear.map((g) => g.id));
+  const loadouts = list(archive.loadouts).filter((l) => !skips.loadout.has(l.id));
+  const templates = list(archive.templates).filter((t) => !skips.template.has(t.id));
+
+  return {
+    gear: gear.filter((g) => !skips.gear.has(g.id)).length,
+    trips: trips.length,
+    trip_places: trips.reduce((n, t) => n + list(t.places).length, 0),
+    trip_items: trips.reduce((n, t) => n + list(t.items).length, 0),
+    trip_todos: trips.reduce((n, t) => n + list(t.todos).length, 0),
+    trip_estimates: trips.reduce((n, t) => n + list(t.estimates).length, 0),
+    trip_reviews: trips.filter((t) => t.trip_review).length,
+    loadouts: loadouts.length,
+    loadout_entries: loadouts.reduce((n, l) => n + uniqueEntries(l, (id) => (gearIds.has(id) ? id : null)).length, 0),
+    item_reviews: list(archive.item_reviews).filter((r) => tripIds.has(r.trip_id)).length,
+    templates: templates.length,
+    template_items: templates.reduce((n, t) => n + list(t.items).length, 0),
+    travel_wishlist: list(archive.travel_wishlist).length,
+  };
+}
+
+// A loadout holds each piece of gear once (@@unique([loadout_id, gear_item_id])).
+// Entries whose gear did not come across are dropped, and so is a second entry
+// for gear that two archive rows were both mapped onto.
+function uniqueEntries(loadout, gearId) {
+  const seen = new Set();
+  const entries = [];
+  for (const entry of list(loadout.entries)) {
+    const id = gearId(entry.gear_item_id);
+    if (id == null || seen.has(id)) continue;
+    seen.add(id);
+    entries.push({ entry, gear_item_id: id });
+  }
+  return entries;
+}
+
+/**
+ * Create the archive's rows for `userId` through `tx`, an interactive
+ * transaction client. Returns the number of rows created per kind, the same
+ * shape plannedCounts predicts.
+ */
+async function restoreArchive(tx, userId, archive, skips = noSkips()) {
+  const created = Object.fromEntries(Object.keys(plannedCounts({})).map((key) => [key, 0]));
+
+  // Gear first: everything else points at it. replaced_by_id goes on in a
+  // second pass, once every item it could point at exists.
+  const gearIds = new Map(skips.gear);
+  const fresh = [];
+  for (const g of list(archive.gear)) {
+    if (gearIds.has(g.id)) continue;
+    const row = await tx.gearItem.create({ data: { ...pick(g, FIELDS.gear), user_id: userId }, select: { id: true } });
+    gearIds.set(g.id, row.id);
+    fresh.push(g);
+    created.gear++;
+  }
+  for (const g of fresh) {
+    const replacedBy = remap(gearIds, g.replaced_by_id);
+    if (replacedBy != null) {
+      await tx.gearItem.update({ where: { id: gearIds.get(g.id) }, data: { replaced_by_id: replacedBy } });
+    }
+  }
+
+  const tripIds = new Map();
+  const itemIds = new Map();
+  for (const trip of list(archive.trips)) {
+    if (skips.trip.has(trip.id)) continue;
+    const { id: tripId } = await tx.trip.create({
+      data: { ...pick(trip, FIELDS.trip), user_id: userId },
+      select: { id: true },
+    });
+    tripIds.set(trip.id, tripId);
+    created.trips++;
+
+    // Places before the trip's arrival and departure ids, which name them.
+    // plan_data is not carried over: it is a solver answer full of place ids
+    // from the old account, and asking again is one click.
+    const placeIds = new Map();
+    for (const place of list(trip.places)) {
+      const row = await tx.tripPlace.create({
+        data: { ...pick(place, FIELDS.place), trip_id: tripId },
+        select: { id: true },
+      });
+      placeIds.set(place.id, row.id);
+      created.trip_places++;
+    }
+    const arrival = remap(placeIds, trip.arrival_place_id);
+    const departure = remap(placeIds, trip.departure_place_id);
+    if (arrival != null || departure != null) {
+      await tx.trip.update({
+        where: { id: tripId },
+        data: { arrival_place_id: arrival, departure_place_id: departure },
+      });
+    }
+
+    for (const item of list(trip.items)) {
+      const row = await tx.tripItem.create({
+        data: {
+          ...pick(item, FIELDS.item),
+          trip_id: tripId,
+          gear_item_id: remap(gearIds, item.gear_item_id),
+          bag_id: remap(gearIds, item.bag_id),
+        },
+        select: { id: true },
+      });
+      itemIds.set(item.id, row.id);
+      created.trip_items++;
+    }
+
+    const todos = list(trip.todos).map((todo) => ({ ...pick(todo, FIELDS.todo), trip_id: tripId }));
+    if (todos.length) created.trip_todos += (await tx.tripTodo.createMany({ data: todos })).count;
+
+    const estimates = list(trip.estimates).map((e) => ({ ...pick(e, FIELDS.estimate), trip_id: tripId }));
+    if (estimates.length) created.trip_estimates += (await tx.expenseEstimate.createMany({ data: estimates })).count;
+
+    if (trip.trip_review) {
+      await tx.tripReview.create({
+        data: {
+          ...pick(trip.trip_review, FIELDS.tripReview),
+          user_id: userId,
+          trip_id: tripId,
+          missing_gear_item_ids: list(trip.trip_review.missing_gear_item_ids)
+            .map((id) => remap(gearIds, id))
+            .filter((id) => id != null),
+        },
+      });
+      created.trip_reviews++;
+    }
+  }
+
+  for (const loadout of list(archive.loadouts)) {
+    if (skips.loadout.has(loadout.id)) continue;
+    const entries = uniqueEntries(loadout, (id) => remap(gearIds, id));
+    await tx.loadout.create({
+      data: {
+        ...pick(loadout, FIELDS.loadout),
+        user_id: userId,
+        entries: {
+          create: entries.map(({ entry, gear_item_id }) => ({
+            ...pick(entry, FIELDS.entry),
+            gear_item_id,
+            bag_id: remap(gearIds, entry.bag_id),
+          })),
+        },
+      },
+    });
+    created.loadouts++;
+    created.loadout_entries += entries.length;
+  }
+
+  for (const review of list(archive.item_reviews)) {
+    const tripId = remap(tripIds, review.trip_id);
+    if (tripId == null) continue;
+    await tx.itemReview.create({
+      data: {
+        ...pick(review, FIELDS.itemReview),
+        user_id: userId,
+        trip_id: tripId,
+        trip_item_id: remap(itemIds, review.trip_item_id),
+        gear_item_id: remap(gearIds, review.gear_item_id),
+      },
+    });
+    created.item_reviews++;
+  }
+
+  for (const template of list(archive.templates)) {
+    if (skips.template.has(template.id)) continue;
+    const items = list(template.items).map((item) => pick(item, FIELDS.templateItem));
+    await tx.template.create({
+      data: { ...pick(template, FIELDS.template), user_id: userId, items: { create: items } },
+    });
+    created.templates++;
+    created.template_items += items.length;
+  }
+
+  const wishlist = list(archive.travel_wishlist).map((w) => ({ ...pick(w, FIELDS.wishlistItem), user_id: userId }));
+  if (wishlist.length) created.travel_wishlist += (await tx.travelWishlistItem.createMany({ data: wishlist })).count;
+
+  return created;
+}
+
+module.exports = {
+  validateArchive,
+  findConflicts,
+  skipsFor,
+  danglingReferences,
+  plannedCounts,
+  restoreArchive,
+};
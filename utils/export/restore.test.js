@@ -0,0 +1,207 @@
+import { describe, expect, it } from "vitest";
+import { createRequire } from "node:module";
+
+const require = createRequire(import.meta.url);
+const {
+  validateArchive,
+  findConflicts,
+  skipsFor,
+  danglingReferences,
+  plannedCounts,
+  restoreArchive,
+} = require("./restore");
+
+const archive = () => ({
+  format: "thorcode-export",
+  version: 1,
+  gear: [
+    { id: 1, name: "Old tent", brand: "MSR", model: null, replaced_by_id: 2 },
+    { id: 2, name: "New tent", brand: "MSR", model: "Hubba" },
+    { id: 3, name: "Backpack", brand: null, model: null },
+  ],
+  trips: [
+    {
+      id: 10,
+      name: "Oslo",
+      start_date: "2026-07-01T00:00:00.000Z",
+      arrival_place_id: 100,
+      plan_data: { days: [] },
+      places: [{ id: 100, name: "Airport" }, { id: 101, name: "Museum" }],
+      items: [{ id: 200, name: "New tent", gear_item_id: 2, bag_id: 3 }],
+      todos: [{ id: 300, text: "Book ferry" }],
+      estimates: [],
+      trip_review: { id: 400, comment: "Good", missing_gear_item_ids: [3, 99] },
+    },
+  ],
+  loadouts: [
+    { id: 20, name: "Hike", entries: [{ id: 500, gear_item_id: 2, bag_id: 3 }, { id: 501, gear_item_id: 99 }] },
+  ],
+  item_reviews: [{ id: 30, trip_id: 10, trip_item_id: 200, gear_item_id: 2, item_name: "New tent", verdict: "KEEP" }],
+  templates: [{ id: 40, name: "Summer", items: [{ id: 600, name: "Sunscreen" }] }],
+  travel_wishlist: [{ id: 50, name: "Stove" }],
+});
+
+// Records every write and hands out ids from 1000 up, so the test can see
+// which new id each reference was rewired to.
+function fakeTx() {
+  let next = 1000;
+  const writes = [];
+  const model = (name) => ({
+    create: async ({ data }) => {
+      const id = next++;
+      writes.push({ model: name, op: "create", id, data });
+      return { id };
+    },
+    createMany: async ({ data }) => {
+      writes.push({ model: name, op: "createMany", data });
+      return { count: data.length };
+    },
+    update: async ({ where, data }) => {
+      writes.push({ model: name, op: "update", id: where.id, data });
+      return { id: where.id };
+    },
+  });
+  const tx = {};
+  for (const name of ["gearItem", "trip", "tripPlace", "tripItem", "tripTodo", "expenseEstimate",
+    "tripReview", "loadout", "itemReview", "template", "travelWishlistItem"]) {
+    tx[name] = model(name);
+  }
+  return { tx, writes, find: (m, op = "create") => writes.filter((w) => w.model === m && w.op === op) };
+}
+
+describe("validateArchive", () => {
+  it("accepts an export", () => {
+    expect(validateArchive(archive())).toBeNull();
+  });
+
+  it.each([
+    [null, /export archive/],
+    [[], /export archive/],
+    [{ format: "other", version: 1 }, /not a ThorCode export/],
+    [{ format: "thorcode-export", version: 2 }, /Unsupported export version 2/],
+  ])("rejects %j", (body, message) => {
+    expect(validateArchive(body)).toMatch(message);
+  });
+
+  it("wants lists to be lists", () => {
+    expect(validateArchive({ ...archive(), gear: {} })).toBe("gear must be an array");
+  });
+
+  it("wants an id on rows other rows point at", () => {
+    const a = archive();
+    delete a.gear[0].id;
+    expect(validateArchive(a)).toBe("Every row in gear needs its id");
+  });
+
+  it("names a missing required column, nested ones included", () => {
+    const a = archive();
+    a.trips[0].todos[0].text = "";
+    expect(validateArchive(a)).toBe("A row in trip todos is missing text");
+  });
+});
+
+describe("findConflicts", () => {
+  const existing = {
+    gear: [{ id: 7, name: "old TENT ", brand: "msr", model: null }],
+    trips: [{ id: 8, name: "Oslo", start_date: new Date("2026-07-01T00:00:00Z") }],
+    loadouts: [{ id: 9, name: "hike" }],
+    templates: [],
+  };
+
+  it("matches case-insensitively on what makes a row the same row", () => {
+    expect(findConflicts(archive(), existing)).toEqual([
+      { kind: "gear", archive_id: 1, existing_id: 7, name: "Old tent" },
+      { kind: "trip", archive_id: 10, existing_id: 8, name: "Oslo" },
+      { kind: "loadout", archive_id: 20, existing_id: 9, name: "Hike" },
+    ]);
+  });
+
+  it("does not call a trip of the same name on another date a conflict", () => {
+    const later = { ...existing, trips: [{ id: 8, name: "Oslo", start_date: new Date("2027-07-01") }] };
+    expect(findConflicts(archive(), later).map((c) => c.kind)).not.toContain("trip");
+  });
+});
+
+describe("danglingReferences", () => {
+  it("reports references to rows the archive does not have", () => {
+    const a = archive();
+    a.trips[0].items[0].bag_id = 77;
+    a.item_reviews[0].trip_id = 11;
+    expect(danglingReferences(a)).toEqual([
+      '"New tent" on trip "Oslo" is packed in a bag not in the archive',
+      'An entry in loadout "Hike" is gear not in the archive and will be left out',
+      'The review of "New tent" is for a trip not in the archive and will be left out',
+    ]);
+  });
+
+  it("is empty for a consistent archive", () => {
+    const a = archive();
+    a.loadouts[0].entries.pop();
+    expect(danglingReferences(a)).toEqual([]);
+  });
+});
+
+describe("plannedCounts", () => {
+  it("counts what an import would create", () => {
+    expect(plannedCounts(archive())).toEqual({
+      gear: 3, trips: 1, trip_places: 2, trip_items: 1, trip_todos: 1, trip_estimates: 0,
+      trip_reviews: 1, loadouts: 1, loadout_entries: 1, item_reviews: 1, templates: 1,
+      template_items: 1, travel_wishlist: 1,
+    });
+  });
+
+  it("leaves out skipped rows and what hangs off them", () => {
+    const skips = skipsFor([
+      { kind: "trip", archive_id: 10, existing_id: 8 },
+      { kind: "gear", archive_id: 1, existing_id: 7 },
+    ]);
+    const counts = plannedCounts(archive(), skips);
+    expect(counts).toMatchObject({ gear: 2, trips: 0, trip_items: 0, trip_reviews: 0, item_reviews: 0 });
+  });
+});
+
+describe("restoreArchive", () => {
+  it("creates what plannedCounts said it would", async () => {
+    const { tx } = fakeTx();
+    expect(await restoreArchive(tx, "u1", archive())).toEqual(plannedCounts(archive()));
+  });
+
+  it("rewires references to the new ids", async () => {
+    const { tx, find } = fakeTx();
+    await restoreArchive(tx, "u1", archive());
+
+    const [oldTent, newTent, backpack] = find("gearItem").map((w) => w.id);
+    expect(find("gearItem", "update")).toEqual([
+      { model: "gearItem", op: "update", id: oldTent, data: { replaced_by_id: newTent } },
+    ]);
+
+    const [item] = find("tripItem");
+    expect(item.data).toMatchObject({ gear_item_id: newTent, bag_id: backpack });
+
+    const [airport] = find("tripPlace");
+    expect(find("trip", "update")[0].data).toEqual({ arrival_place_id: airport.id, departure_place_id: null });
+
+    expect(find("tripReview")[0].data.missing_gear_item_ids).toEqual([backpack]);
+    expect(find("itemReview")[0].data).toMatchObject({ trip_item_id: item.id, gear_item_id: newTent });
+    expect(find("loadout")[0].data.entries.create).toEqual([{ gear_item_id: newTent, bag_id: backpack }]);
+  });
+
+  it("never copies ids, owners or the stored plan from the file", async () => {
+    const { tx, find } = fakeTx();
+    await restoreArchive(tx, "u1", archive());
+    const [trip] = find("trip");
+    expect(trip.data).not.toHaveProperty("id");
+    expect(trip.data).not.toHaveProperty("plan_data");
+    expect(trip.data.user_id).toBe("u1");
+  });
+
+  it("points references at existing gear when a conflict is skipped", async () => {
+    const { tx, find } = fakeTx();
+    const skips = skipsFor([{ kind: "gear", archive_id: 2, existing_id: 7 }]);
+    await restoreArchive(tx, "u1", archive(), skips);
+
+    expect(find("gearItem").map((w) => w.data.name)).toEqual(["Old tent", "Backpack"]);
+    expect(find("tripItem")[0].data.gear_item_id).toBe(7);
+    expect(find("gearItem", "update")[0].data).toEqual({ replaced_by_id: 7 });
+  });
+});
@@ -0,0 +1,106 @@
+/**
+ * Flatten an export archive into tables, and tables into CSV.
+ *
+ * The archive itself is nested — a trip carries its items, a loadout its
+ * entries — because that is how it is read back and how a person reads it. A
+ * spreadsheet wants the opposite: one sheet per kind of row, each row naming its
+ * parent by id. Both shapes come from the same archive so they cannot disagree.
+ *
+ * Pure: archive in, strings out. The route does the collecting and the zipping.
+ */
+
+/**
+ * One CSV cell.
+ *
+ * Dates as ISO strings rather than whatever toString() gives, because a
+ * spreadsheet can parse the one and not the other. Decimals arrive as Prisma
+ * Decimal objects and print themselves correctly as strings. Anything still
+ * structured — opening hours, dimensions, tags — goes in as JSON, which at least
+ * survives the round trip.
+ */
+function cell(value) {
+  if (value == null) return "";
+  if (value instanceof Date) return value.toISOString();
+  if (typeof value === "object" && typeof value.toFixed === "function") return value.toString();
+  if (typeof value === "object") return JSON.stringify(value);
+  return String(value);
+}
+
+/**
+ * Quote a cell when it has to be, per RFC 4180: a comma, a quote or a line
+ * break anywhere in it. Notes fields are free text and have all three.
+ *
+ * A leading = + - or @ is prefixed with a quote mark: a spreadsheet would
+ * otherwise run a gear note that happens to start with "=" as a formula, and a
+ * file someone downloads from us should not be able to do that.
+ */
+function escape(value) {
+  let text = cell(value);
+  if (/^[=+\-@]/.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Rows to CSV. The header is the union of every row's keys in first-seen
+ * order, so a column that only some rows carry still gets one.
+ */
+function toCsv(rows) {
+  const columns = [];
+  const seen = new Set();
+  for (const row of rows) {
+    for (const key of Object.keys(row)) {
+      if (!seen.has(key)) { seen.add(key); columns.push(key); }
+    }
+  }
+  if (columns.length === 0) return "";
+
+  const lines = [columns.map(escape).join(",")];
+  for (const row of rows) lines.push(columns.map((c) => escape(row[c])).join(","));
+  return `${lines.join("\r\n")}\r\n`;
+}
+
+// Drop the nested arrays from a row: they become tables of their own.
+function without(row, ...keys) {
+  const copy = { ...row };
+  for (const key of keys) delete copy[key];
+  return copy;
+}
+
+/**
+ * The archive as named tables, ready for toCsv. Every table is present even
+ * when empty, so the set of files in a download does not depend on what the
+ * account happens to contain.
+ */
+function exportTables(archive) {
+  const trips = archive.trips ?? [];
+  const wishlists = archive.concert_wishlists ?? [];
+
+  return {
+    trips: trips.map((t) => without(t, "items", "todos", "places", "estimates", "trip_review")),
+    trip_items: trips.flatMap((t) => t.items ?? []),
+    trip_todos: trips.flatMap((t) => t.todos ?? []),
+    trip_places: trips.flatMap((t) => t.places ?? []),
+    trip_estimates: trips.flatMap((t) => t.estimates ?? []),
+    trip_reviews: trips.map((t) => t.trip_review).filter(Boolean),
+    gear: archive.gear ?? [],
+    loadouts: (archive.loadouts ?? []).map((l) => without(l, "entries")),
+    loadout_entries: (archive.loadouts ?? []).flatMap((l) => l.entries ?? []),
+    item_reviews: archive.item_reviews ?? [],
+    templates: (archive.templates ?? []).map((t) => without(t, "items")),
+    template_items: (archive.templates ?? []).flatMap((t) => t.items ?? []),
+    travel_wishlist: archive.travel_wishlist ?? [],
+    concert_wishlists: wishlists.map((w) => without(w, "bands")),
+    concert_wishlist_bands: wishlists.flatMap((w) =>
+      (w.bands ?? []).map((b) => ({ wishlist_id: w.id, ...b }))
+    ),
+    concert_attendance: (archive.attendance ?? []).map((a) => ({
+      wishlist_id: a.wishlist_id,
+      marked_at: a.created_at,
+      ...without(a.concert ?? {}, "bands"),
+      bands: (a.concert?.bands ?? []).join("; "),
+    })),
+    notification_subscriptions: archive.notification_subscriptions ?? [],
+  };
+}
+
+module.exports = { toCsv, exportTables, cell };
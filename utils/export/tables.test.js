@@ -0,0 +1,101 @@
+import { describe, expect, it } from "vitest";
+import { createRequire } from "node:module";
+
+const require = createRequire(import.meta.url);
+const { toCsv, exportTables, cell } = require("./tables");
+
+describe("a CSV cell", () => {
+  it("is empty for null and undefined", () => {
+    expect(cell(null)).toBe("");
+    expect(cell(undefined)).toBe("");
+  });
+
+  it("writes dates as ISO strings a spreadsheet can parse", () => {
+    expect(cell(new Date("2026-07-01T10:00:00Z"))).toBe("2026-07-01T10:00:00.000Z");
+  });
+
+  it("prints a Decimal by its own toString, not as an object", () => {
+    const decimal = { toFixed: () => "12.50", toString: () => "12.5" };
+    expect(cell(decimal)).toBe("12.5");
+  });
+
+  it("keeps structured values as JSON", () => {
+    expect(cell({ w: 10, h: 20 })).toBe('{"w":10,"h":20}');
+    expect(cell(["a", "b"])).toBe('["a","b"]');
+  });
+});
+
+describe("toCsv", () => {
+  it("writes a header and one line per row", () => {
+    expect(toCsv([{ a: 1, b: "x" }, { a: 2, b: "y" }])).toBe("a,b\r\n1,x\r\n2,y\r\n");
+  });
+
+  it("is empty for no rows", () => {
+    expect(toCsv([])).toBe("");
+  });
+
+  it("gives a column to a key only some rows carry", () => {
+    expect(toCsv([{ a: 1 }, { a: 2, b: 3 }])).toBe("a,b\r\n1,\r\n2,3\r\n");
+  });
+
+  it("quotes commas, quotes and line breaks", () => {
+    expect(toCsv([{ note: 'one, "two"\nthree' }])).toBe('note\r\n"one, ""two""\nthree"\r\n');
+  });
+
+  it.each(["=SUM(A1)", "+1", "-1", "@cmd"])("defuses %s so a spreadsheet won't run it", (value) => {
+    expect(toCsv([{ note: value }])).toBe(`note\r\n'${value}\r\n`);
+  });
+});
+
+describe("exportTables", () => {
+  const archive = {
+    trips: [
+      {
+        id: 1,
+        name: "Oslo",
+        items: [{ id: 10, trip_id: 1, name: "Tent" }],
+        todos: [{ id: 20, trip_id: 1, text: "Book ferry" }],
+        places: [],
+        estimates: [],
+        trip_review: { id: 30, trip_id: 1 },
+      },
+      { id: 2, name: "Bergen", items: [], todos: [], places: [], estimates: [], trip_review: null },
+    ],
+    loadouts: [{ id: 5, name: "Day hike", entries: [{ id: 50, loadout_id: 5 }] }],
+    concert_wishlists: [{ id: 7, name: "Mine", bands: [{ band_id: 3, name: "Opeth", tier: "LOVE" }] }],
+    attendance: [
+      {
+        wishlist_id: 7,
+        concert_id: 99,
+        created_at: "2026-01-01",
+        concert: { event_id: "e1", city: "Oslo", bands: ["Opeth", "Enslaved"] },
+      },
+    ],
+  };
+  const tables = exportTables(archive);
+
+  it("pulls nested rows out into tables of their own", () => {
+    expect(tables.trips).toEqual([{ id: 1, name: "Oslo" }, { id: 2, name: "Bergen" }]);
+    expect(tables.trip_items).toEqual([{ id: 10, trip_id: 1, name: "Tent" }]);
+    expect(tables.trip_todos).toHaveLength(1);
+    expect(tables.trip_reviews).toEqual([{ id: 30, trip_id: 1 }]);
+    expect(tables.loadouts).toEqual([{ id: 5, name: "Day hike" }]);
+    expect(tables.loadout_entries).toEqual([{ id: 50, loadout_id: 5 }]);
+  });
+
+  it("names a wishlist band's parent, since the band row has no wishlist id", () => {
+    expect(tables.concert_wishlist_bands).toEqual([{ wishlist_id: 7, band_id: 3, name: "Opeth", tier: "LOVE" }]);
+  });
+
+  it("flattens attendance onto the concert, lineup joined into one cell", () => {
+    expect(tables.concert_attendance).toEqual([
+      { wishlist_id: 7, marked_at: "2026-01-01", event_id: "e1", city: "Oslo", bands: "Opeth; Enslaved" },
+    ]);
+  });
+
+  it("has every table even when the account has nothing in it", () => {
+    const empty = exportTables({});
+    expect(Object.keys(empty)).toEqual(Object.keys(tables));
+    expect(Object.values(empty).every((rows) => rows.length === 0)).toBe(true);
+  });
+});
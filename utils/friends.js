@@ -0,0 +1,117 @@
+const prisma = require("../prisma/client");
+const { dispatch } = require("./notifications/dispatch");
+const { logActivity } = require("./activityLog");
+
+// Friends and who's going. A friend is someone you follow who follows you
+// back; concert attendance stays private to everyone else. Going is read off
+// ConcertAttendance on the wishlists a user owns — whoever marked it, on a
+// shared list it is the owner's plan.
+//
+// When a friend marks an upcoming concert as going, everyone who is friends
+// with them and has a band from that concert on a wishlist gets a FRIEND_GOING
+// activity log entry there — the same place ticket alerts land — and a
+// FRIEND_GOING notification on whichever of their channels take it.
+
+// The ids in both lists: people someone follows who follow them back.
+function mutualIds(followingIds, followerIds) {
+  const followers = new Set(followerIds);
+  return [...new Set(followingIds)].filter((id) => followers.has(id));
+}
+
+async function friendIdsOf(userId) {
+  const [following, followers] = await Promise.all([
+    prisma.follow.findMany({ where: { follower_id: userId }, select: { followee_id: true } }),
+    prisma.follow.findMany({ where: { followee_id: userId }, select: { follower_id: true } }),
+  ]);
+  return mutualIds(following.map((f) => f.followee_id), followers.map((f) => f.follower_id));
+}
+
+/**
+ * The FRIEND_GOING entries for one friend going to one concert: one per
+ * wishlist among `wishlists` that has a band playing it, naming those bands.
+ * `concert.bands` is [{ id, name }]; each wishlist is
+ * { id, user_id, bands: [{ band_id }] }. The goer's own wishlists are skipped.
+ */
+function friendGoingEntries({ goer, concert, wishlists }) {
+  const entries = [];
+  for (const wishlist of wishlists) {
+    if (wishlist.user_id === goer.id) continue;
+    const onList = new Set(wishlist.bands.map((b) => b.band_id));
+    const bandNames = concert.bands.filter((b) => onList.has(b.id)).map((b) => b.name);
+    if (bandNames.length === 0) continue;
+    entries.push({
+      wishlist_id: wishlist.id,
+      type: "FRIEND_GOING",
+      data: {
+        friend_id: goer.id,
+        friend_email: goer.email,
+        concert_id: concert.id,
+        concert_name: concert.name ?? null,
+        concert_date: concert.concert_date,
+        city: concert.city ?? null,
+        country: concert.country ?? null,
+        band_names: bandNames,
+      },
+    });
+  }
+  return entries;
+}
+
+/**
+ * Tell a user's friends they are going to a concert. Past concerts — an
+ * attended show added from setlist.fm history — are not news and are skipped.
+ */
+async function notifyFriendsGoing({ userId, concertId, now = new Date() }) {
+  const concert = await prisma.concert.findUnique({
+    where: { id: concertId },
+    select: {
+      id: true,
+      name: true,
+      concert_date: true,
+      city: true,
+      country: true,
+      bands: { select: { band_rel: { select: { id: true, name: true } } } },
+    },
+  });
+  if (!concert?.concert_date || new Date(concert.concert_date) < now) return { notified: 0 };
+
+  const friendIds = await friendIdsOf(userId);
+  if (friendIds.length === 0) return { notified: 0 };
+
+  const bands = concert.bands.map((b) => b.band_rel);
+  const [goer, wishlists] = await Promise.all([
+    prisma.user.findUnique({ where: { id: userId }, select: { id: true, email: true } }),
+    prisma.wishlist.findMany({
+      where: { user_id: { in: friendIds }, bands: { some: { band_id: { in: bands.map((b) => b.id) } } } },
+      select: { id: true, user_id: true, bands: { select: { band_id: true } } },
+    }),
+  ]);
+
+  const entries = friendGoingEntries({ goer, concert: { ...concert, bands }, wishlists });
+  for (const entry of entries) {
+    await logActivity(entry.wishlist_id, entry.type, entry.data);
+  }
+
+  // One notification per friend, however many of their lists the show is on
+  const ownerOf = new Map(wishlists.map((w) => [w.id, w.user_id]));
+  const bandsFor = new Map();
+  for (const entry of entries) {
+    const friendId = ownerOf.get(entry.wishlist_id);
+    bandsFor.set(friendId, new Set([...(bandsFor.get(friendId) ?? []), ...entry.data.band_names]));
+  }
+  for (const [friendId, bandNames] of bandsFor) {
+    const where = [concert.city, concert.country].filter(Boolean).join(", ");
+    await dispatch({
+      userId: friendId,
+      event: "FRIEND_GOING",
+      notification: {
+        title: `${goer.email} is going to ${concert.name ?? [...bandNames].join(", ")}`,
+        message: `${[...bandNames].join(", ")} — ${new Date(concert.concert_date).toDateString()}${where ? ` in ${where}` : ""}`,
+        data: { friend_id: goer.id, concert_id: concert.id, band_names: [...bandNames] },
+      },
+    }).catch((err) => console.error(`[friends] notifying ${friendId} failed:`, err.message));
+  }
+  return { notified: entries.length };
+}
+
+module.exports = { mutualIds, friendIdsOf, friendGoingEntries, notifyFriendsGoing };
@@ -0,0 +1,59 @@
+import { describe, it, expect, vi } from 'vitest';
+import { createRequire } from 'node:module';
+
+// friends.js loads the Prisma client, which wants a URL to be constructed.
+// Only the pure parts are tested here; nothing connects.
+vi.hoisted(() => { process.env.DATABASE_URL ??= 'postgresql://test@localhost:5432/test'; });
+
+const require = createRequire(import.meta.url);
+const { mutualIds, friendGoingEntries } = require('./friends');
+
+describe('mutualIds', () => {
+  it('keeps only the people who follow back', () => {
+    expect(mutualIds(['ann', 'bob', 'cat'], ['cat', 'dan', 'ann'])).toEqual(['ann', 'cat']);
+  });
+
+  it('has no friends without followers', () => {
+    expect(mutualIds(['ann'], [])).toEqual([]);
+  });
+});
+
+describe('friendGoingEntries', () => {
+  const goer = { id: 'ann', email: 'ann@example.com' };
+  const concert = {
+    id: 12,
+    name: null,
+    concert_date: new Date('2026-11-20T19:00:00Z'),
+    city: 'Stockholm',
+    country: 'Sweden',
+    bands: [{ id: 1, name: 'Gojira' }, { id: 2, name: 'Mastodon' }],
+  };
+
+  it('tells each wishlist with a band on the bill, naming the bands it follows', () => {
+    const entries = friendGoingEntries({
+      goer,
+      concert,
+      wishlists: [
+        { id: 5, user_id: 'bob', bands: [{ band_id: 2 }, { band_id: 9 }] },
+        { id: 6, user_id: 'cat', bands: [{ band_id: 1 }, { band_id: 2 }] },
+      ],
+    });
+    expect(entries.map((e) => [e.wishlist_id, e.data.band_names])).toEqual([
+      [5, ['Mastodon']],
+      [6, ['Gojira', 'Mastodon']],
+    ]);
+    expect(entries[0]).toMatchObject({ type: 'FRIEND_GOING', data: { friend_email: 'ann@example.com', concert_id: 12 } });
+  });
+
+  it('skips wishlists without a band from the show, and the goer\'s own', () => {
+    const entries = friendGoingEntries({
+      goer,
+      concert,
+      wishlists: [
+        { id: 5, user_id: 'bob', bands: [{ band_id: 9 }] },
+        { id: 7, user_id: 'ann', bands: [{ band_id: 1 }] },
+      ],
+    });
+    expect(entries).toEqual([]);
+  });
+});
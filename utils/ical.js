@@ -0,0 +1,188 @@
+// iCalendar (RFC 5545) for the private calendar feed: wishlist concerts,
+// concerts someone is going to, and trips with their planned stops. Pure —
+// the route gathers the rows, this turns them into text a calendar app reads.
+
+// How long a concert with a start time is assumed to last. Sources give a
+// door time at best, never an end.
+const CONCERT_HOURS = 3;
+
+// Commas, semicolons, backslashes and newlines are structure in iCalendar
+// text, so they are escaped in anything that came from a user or a scraper.
+function escapeText(value) {
+  return String(value ?? '')
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r?\n/g, '\\n');
+}
+
+// A URL property is a URI, not text, so it cannot be escaped: anything but a
+// well-formed http(s) URL — a scraped one with a line break in it would add
+// properties of its own — is left out.
+function eventUrl(value) {
+  if (typeof value !== 'string' || /[\s\u0000-\u001f\u007f]/.test(value)) return null;
+  try {
+    const url = new URL(value);
+    return url.protocol === 'http:' || url.protocol === 'https:' ? url.href : null;
+  } catch {
+    return null;
+  }
+}
+
+// Lines longer than 75 octets are folded: CRLF and a space, counted in bytes
+// so a run of "ö" does not push a line over.
+function foldLine(line) {
+  const parts = [];
+  let current = '';
+  let bytes = 0;
+  for (const ch of line) {
+    const size = Buffer.byteLength(ch);
+    if (bytes + size > (parts.length === 0 ? 75 : 74)) {
+      parts.push(current);
+      current = '';
+      bytes = 0;
+    }
+    current += ch;
+    bytes += size;
+  }
+  parts.push(current);
+  return parts.join('\r\n ');
+}
+
+const pad = (n) => String(n).padStart(2, '0');
+
+// 20261019
+function formatDate(date) {
+  const d = new Date(date);
+  return `${d.getUTCFullYear()}${pad(d.getUTCMonth() + 1)}${pad(d.getUTCDate())}`;
+}
+
+// 20261019T190000Z
+function formatUtc(date) {
+  const d = new Date(date);
+  return `${formatDate(d)}T${pad(d.getUTCHours())}${pad(d.getUTCMinutes())}${pad(d.getUTCSeconds())}Z`;
+}
+
+const addDays = (date, days) => new Date(new Date(date).getTime() + days * 24 * 60 * 60 * 1000);
+
+// A "floating" local time — no zone, so it reads as the same wall-clock time
+// wherever the calendar is. Right for a trip plan, whose minutes are local to
+// the destination, and for a concert, whose stored time is the venue's.
+// Minutes past midnight roll over into the next day.
+function formatFloating(date, minutes) {
+  const day = addDays(date, Math.floor(minutes / 1440));
+  const m = minutes % 1440;
+  return `${formatDate(day)}T${pad(Math.floor(m / 60))}${pad(m % 60)}00`;
+}
+
+// DTSTART/DTEND property for an event time: { date } for all-day,
+// { date, minutes } for a floating local time.
+function timeProperty(name, time) {
+  if (time.minutes != null) return `${name}:${formatFloating(time.date, time.minutes)}`;
+  return `${name};VALUE=DATE:${formatDate(time.date)}`;
+}
+
+/**
+ * The whole calendar as text. Each event is
+ * { uid, start, end, summary, location?, description?, url?, status? } with
+ * start and end as timeProperty takes them.
+ */
+function buildCalendar({ name, events, now = new Date() }) {
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    `PRODID:-//${escapeText(process.env.APP_NAME || 'Concerts')}//Calendar feed//EN`,
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    `X-WR-CALNAME:${escapeText(name)}`,
+  ];
+  for (const event of events) {
+    lines.push(
+      'BEGIN:VEVENT',
+      `UID:${event.uid}`,
+      `DTSTAMP:${formatUtc(now)}`,
+      timeProperty('DTSTART', event.start),
+      timeProperty('DTEND', event.end),
+      `SUMMARY:${escapeText(event.summary)}`,
+    );
+    if (event.location) lines.push(`LOCATION:${escapeText(event.location)}`);
+    if (event.description) lines.push(`DESCRIPTION:${escapeText(event.description)}`);
+    const url = eventUrl(event.url);
+    if (url) lines.push(`URL:${url}`);
+    if (event.status) lines.push(`STATUS:${event.status}`);
+    lines.push('END:VEVENT');
+  }
+  lines.push('END:VCALENDAR');
+  return lines.map(foldLine).join('\r\n') + '\r\n';
+}
+
+const uidHost = () => (process.env.APP_NAME || 'concerts').toLowerCase().replace(/[^a-z0-9.-]/g, '');
+
+/**
+ * A concert as an event. The sources send the venue's local start time and
+ * it is read off the stored UTC clock, as in utils/travel/concertPlace.js, so
+ * the event is floating. Midnight is a date with no known time and makes an
+ * all-day event; otherwise it runs CONCERT_HOURS. `going` marks one from the
+ * user's attendance.
+ */
+function concertEvent(concert, { going = false } = {}) {
+  const date = new Date(concert.concert_date);
+  const minutes = date.getUTCHours() * 60 + date.getUTCMinutes();
+  const timed = minutes !== 0;
+  const bands = concert.band_names?.length ? concert.band_names.join(', ') : null;
+  const title = concert.name || bands || 'Concert';
+  const details = [
+    bands && bands !== title ? `Bands: ${bands}` : null,
+    concert.sold_out ? 'Sold out' : null,
+    concert.price_min != null ? `From ${concert.price_min}${concert.price_currency ? ` ${concert.price_currency}` : ''}` : null,
+  ].filter(Boolean);
+  return {
+    uid: `concert-${concert.id}@${uidHost()}`,
+    start: timed ? { date, minutes } : { date },
+    end: timed ? { date, minutes: minutes + CONCERT_HOURS * 60 } : { date: addDays(date, 1) },
+    summary: going ? `Going: ${title}` : title,
+    location: [concert.venue, concert.city, concert.country].filter(Boolean).join(', '),
+    description: details.join('\n'),
+    url: concert.url || null,
+    status: going ? 'CONFIRMED' : 'TENTATIVE',
+  };
+}
+
+/**
+ * A trip as an all-day event over its dates, plus one event per planned stop
+ * from plan_data. The first and last stop of a day are where it starts and
+ * ends — the hotel, usually — and are left out; so are stops whose place no
+ * longer exists. `places` maps place id to name.
+ */
+function tripEvents(trip, places = new Map()) {
+  const events = [];
+  if (trip.start_date) {
+    events.push({
+      uid: `trip-${trip.id}@${uidHost()}`,
+      start: { date: trip.start_date },
+      end: { date: addDays(trip.end_date ?? trip.start_date, 1) },
+      summary: trip.name,
+      location: trip.destination || null,
+      description: trip.notes || null,
+    });
+  }
+  const days = Array.isArray(trip.plan_data?.days) ? trip.plan_data.days : [];
+  for (const day of days) {
+    const stops = Array.isArray(day.stops) ? day.stops : [];
+    stops.slice(1, -1).forEach((stop) => {
+      const name = places.get(stop.place_id);
+      if (!name || stop.arrive == null || stop.depart == null) return;
+      events.push({
+        uid: `trip-${trip.id}-${day.date}-${stop.place_id}@${uidHost()}`,
+        start: { date: new Date(`${day.date}T00:00:00Z`), minutes: stop.arrive },
+        end: { date: new Date(`${day.date}T00:00:00Z`), minutes: stop.depart },
+        summary: name,
+        location: trip.destination || null,
+        description: `${trip.name}${stop.fills ? ` — ${stop.fills}` : ''}`,
+      });
+    });
+  }
+  return events;
+}
+
+module.exports = { escapeText, eventUrl, foldLine, buildCalendar, concertEvent, tripEvents };
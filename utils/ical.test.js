@@ -0,0 +1,164 @@
+import { describe, it, expect } from 'vitest';
+import { escapeText, eventUrl, foldLine, buildCalendar, concertEvent, tripEvents } from './ical.js';
+
+const unfold = (text) => text.replace(/\r\n /g, '');
+
+describe('escapeText', () => {
+  it('escapes the characters that are structure in iCalendar', () => {
+    expect(escapeText('Rock; Metal, Punk\\Hardcore\nLine two')).toBe('Rock\\; Metal\\, Punk\\\\Hardcore\\nLine two');
+  });
+});
+
+describe('eventUrl', () => {
+  it('keeps an http(s) URL', () => {
+    expect(eventUrl('https://tickets.test/12?a=1')).toBe('https://tickets.test/12?a=1');
+  });
+
+  it('drops anything else, and any URL with a control character in it', () => {
+    expect(eventUrl('javascript:alert(1)')).toBeNull();
+    expect(eventUrl('not a url')).toBeNull();
+    expect(eventUrl('https://tickets.test/12\r\nBEGIN:VEVENT')).toBeNull();
+    expect(eventUrl(null)).toBeNull();
+  });
+});
+
+describe('foldLine', () => {
+  it('leaves short lines alone', () => {
+    expect(foldLine('SUMMARY:Gojira')).toBe('SUMMARY:Gojira');
+  });
+
+  it('folds at 75 octets, counting multi-byte characters', () => {
+    const folded = foldLine(`LOCATION:${'ö'.repeat(60)}`);
+    for (const line of folded.split('\r\n')) expect(Buffer.byteLength(line)).toBeLessThanOrEqual(75);
+    expect(unfold(folded)).toBe(`LOCATION:${'ö'.repeat(60)}`);
+  });
+});
+
+describe('concertEvent', () => {
+  const concert = {
+    id: 12,
+    name: null,
+    band_names: ['Gojira', 'Mastodon'],
+    venue: 'Avicii Arena',
+    city: 'Stockholm',
+    country: 'Sweden',
+    concert_date: new Date('2026-11-20T19:00:00Z'),
+    url: 'https://tickets.test/12',
+    sold_out: false,
+    price_min: 595,
+    price_currency: 'SEK',
+  };
+
+  it('gives a timed concert three hours from its start', () => {
+    const event = concertEvent(concert);
+    expect(event.start).toMatchObject({ minutes: 19 * 60 });
+    expect(event.end).toMatchObject({ minutes: 22 * 60 });
+    expect(event.summary).toBe('Gojira, Mastodon');
+    expect(event.status).toBe('TENTATIVE');
+  });
+
+  it('makes a concert with no known time all-day', () => {
+    const event = concertEvent({ ...concert, concert_date: new Date('2026-11-20T00:00:00Z') });
+    expect(event.start).toEqual({ date: new Date('2026-11-20T00:00:00Z') });
+    expect(event.end).toEqual({ date: new Date('2026-11-21T00:00:00Z') });
+  });
+
+  it('marks a concert the user is going to', () => {
+    const event = concertEvent({ ...concert, name: 'Fortitude Tour' }, { going: true });
+    expect(event.summary).toBe('Going: Fortitude Tour');
+    expect(event.status).toBe('CONFIRMED');
+    expect(event.description).toContain('Bands: Gojira, Mastodon');
+  });
+});
+
+describe('tripEvents', () => {
+  const trip = {
+    id: 3,
+    name: 'Paris',
+    destination: 'Paris, France',
+    start_date: new Date('2026-09-15T00:00:00Z'),
+    end_date: new Date('2026-09-17T00:00:00Z'),
+    plan_data: {
+      days: [
+        {
+          date: '2026-09-15',
+          stops: [
+            { place_id: 1, depart: 540 },
+            { place_id: 2, arrive: 570, depart: 690, fills: 'lunch' },
+            { place_id: 9, arrive: 720, depart: 780 },
+            { place_id: 1, arrive: 1080 },
+          ],
+        },
+      ],
+    },
+  };
+  const places = new Map([[1, 'Hotel'], [2, 'Louvre']]);
+
+  it('spans the trip dates as an all-day event', () => {
+    const [event] = tripEvents(trip, places);
+    expect(event.start).toEqual({ date: trip.start_date });
+    expect(event.end).toEqual({ date: new Date('2026-09-18T00:00:00Z') });
+  });
+
+  it('adds the planned stops but not the hotel, nor places that are gone', () => {
+    const stops = tripEvents(trip, places).slice(1);
+    expect(stops).toHaveLength(1);
+    expect(stops[0]).toMatchObject({ summary: 'Louvre', description: 'Paris — lunch' });
+    expect(stops[0].start.minutes).toBe(570);
+  });
+
+  it('copes with a trip that was never planned', () => {
+    expect(tripEvents({ ...trip, plan_data: null }, places)).toHaveLength(1);
+  });
+});
+
+describe('buildCalendar', () => {
+  const now = new Date('2026-10-19T12:00:00Z');
+
+  it('carries a late show past midnight into the next day', () => {
+    const text = buildCalendar({
+      name: 'Concerts',
+      events: [concertEvent({ id: 1, name: 'Late', concert_date: new Date('2026-11-20T22:30:00Z') })],
+      now,
+    });
+    expect(text).toContain('DTSTART:20261120T223000\r\nDTEND:20261121T013000');
+  });
+
+  it('writes a calendar with CRLF line endings', () => {
+    const text = buildCalendar({ name: 'Concerts', events: [], now });
+    expect(text.startsWith('BEGIN:VCALENDAR\r\nVERSION:2.0\r\n')).toBe(true);
+    expect(text.endsWith('END:VCALENDAR\r\n')).toBe(true);
+  });
+
+  it('writes each kind of time', () => {
+    const trip = {
+      id: 3,
+      name: 'Paris',
+      start_date: new Date('2026-09-15T00:00:00Z'),
+      end_date: new Date('2026-09-15T00:00:00Z'),
+      plan_data: { days: [{ date: '2026-09-15', stops: [{ place_id: 1 }, { place_id: 2, arrive: 570, depart: 690 }, { place_id: 1 }] }] },
+    };
+    const text = unfold(buildCalendar({
+      name: 'Concerts',
+      events: [
+        concertEvent({ id: 12, name: 'Gojira', concert_date: new Date('2026-11-20T19:00:00Z'), venue: 'Arena', city: 'Stockholm', country: 'Sweden' }),
+        ...tripEvents(trip, new Map([[2, 'Louvre']])),
+      ],
+      now,
+    }));
+    expect(text).toContain('DTSTART:20261120T190000\r\nDTEND:20261120T220000');
+    expect(text).toContain('DTSTART;VALUE=DATE:20260915\r\nDTEND;VALUE=DATE:20260916');
+    expect(text).toContain('DTSTART:20260915T093000\r\nDTEND:20260915T113000');
+    expect(text).toContain('LOCATION:Arena\\, Stockholm\\, Sweden');
+    expect(text).toContain('DTSTAMP:20261019T120000Z');
+  });
+  it('leaves out a scraped URL that would break the event', () => {
+    const text = buildCalendar({
+      name: 'Concerts',
+      events: [concertEvent({ id: 1, name: 'Gojira', concert_date: new Date('2026-11-20T19:00:00Z'), url: 'https://t.test/1\r\nBEGIN:VEVENT' })],
+      now,
+    });
+    expect(text).not.toContain('URL:');
+    expect(text.match(/BEGIN:VEVENT/g)).toHaveLength(1);
+  });
+});
@@ -0,0 +1,75 @@
+const prisma = require("../prisma/client");
+
+// The in-app inbox: one InboxItem per notification raised for a user, with
+// read state. Every event that goes through dispatch() in
+// utils/notifications/dispatch.js lands here, whatever channels the user has
+// and whether or not their email is confirmed — it is their own page, not
+// somewhere we send to.
+//
+// How long items are kept is set per type below; pruneInbox() applies it,
+// hourly from utils/cron.js. An item goes when it is older than `days`, or
+// when a user has more than `max` newer items of its type.
+
+const INBOX_RETENTION = {
+  NEW_CONCERTS: { days: 30, max: 100 },
+  SOLD_OUT: { days: 30, max: 50 },
+  TICKET_ALERT: { days: 30, max: 100 },
+  LOVE_TICKET_ALERT: { days: 90, max: 100 },
+  FRIEND_GOING: { days: 60, max: 100 },
+  TRIP_WEATHER: { days: 14, max: 50 },
+  TODO_REMINDER: { days: 60, max: 100 },
+  REVIEW_PROMPT: { days: 180, max: 20 },
+};
+// For a type not listed above.
+const DEFAULT_RETENTION = { days: 90, max: 100 };
+
+const retentionFor = (type) => INBOX_RETENTION[type] ?? DEFAULT_RETENTION;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * The row for a notification: its title and message, a link if it has one,
+ * and the machine-readable `data`. Renderings for other channels — Discord
+ * embeds, email HTML — are not kept. `dedupeKey` makes raising the same thing
+ * twice a no-op.
+ */
+function inboxItemFor({ userId, event, notification, dedupeKey = null }) {
+  return {
+    user_id: userId,
+    type: event,
+    title: String(notification.title).slice(0, 300),
+    body: notification.message ?? null,
+    url: notification.url ?? null,
+    data: notification.data ?? undefined,
+    dedupe_key: dedupeKey,
+  };
+}
+
+// Whether a new item was made: false when dedupeKey says it was already raised.
+async function addToInbox(args) {
+  const { count } = await prisma.inboxItem.createMany({ data: [inboxItemFor(args)], skipDuplicates: true });
+  return count > 0;
+}
+
+/** Apply INBOX_RETENTION: drop what is too old, then what is over the cap. */
+async function pruneInbox(now = new Date()) {
+  const types = (await prisma.inboxItem.findMany({ distinct: ["type"], select: { type: true } })).map((t) => t.type);
+  let pruned = 0;
+  for (const type of types) {
+    const { days, max } = retentionFor(type);
+    const old = await prisma.inboxItem.deleteMany({
+      where: { type, created_at: { lt: new Date(now.getTime() - days * DAY_MS) } },
+    });
+    const over = await prisma.$executeRaw`
+      DELETE FROM "InboxItem" WHERE "id" IN (
+        SELECT "id" FROM (
+          SELECT "id", row_number() OVER (PARTITION BY "user_id" ORDER BY "created_at" DESC, "id" DESC) AS "n"
+          FROM "InboxItem" WHERE "type" = ${type}
+        ) AS "ranked" WHERE "n" > ${max}
+      )`;
+    pruned += old.count + over;
+  }
+  return { pruned };
+}
+
+module.exports = { INBOX_RETENTION, DEFAULT_RETENTION, retentionFor, inboxItemFor, addToInbox, pruneInbox };
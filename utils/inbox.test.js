@@ -0,0 +1,56 @@
+import { describe, it, expect, vi } from 'vitest';
+import { createRequire } from 'node:module';
+
+// inbox.js loads the Prisma client, which wants a URL to be constructed.
+// Only the pure parts are tested here; nothing connects.
+vi.hoisted(() => { process.env.DATABASE_URL ??= 'postgresql://test@localhost:5432/test'; });
+
+const require = createRequire(import.meta.url);
+const { INBOX_RETENTION, DEFAULT_RETENTION, retentionFor, inboxItemFor } = require('./inbox');
+const { NOTIFICATION_EVENTS } = require('./notifications/channels');
+
+describe('retentionFor', () => {
+  it('has a setting for every event a producer can raise', () => {
+    for (const event of Object.keys(NOTIFICATION_EVENTS)) {
+      expect(INBOX_RETENTION[event], event).toBeDefined();
+    }
+  });
+
+  it('falls back for a type it does not know', () => {
+    expect(retentionFor('SOMETHING_NEW')).toEqual(DEFAULT_RETENTION);
+    expect(retentionFor('TRIP_WEATHER')).toEqual(INBOX_RETENTION.TRIP_WEATHER);
+  });
+});
+
+describe('inboxItemFor', () => {
+  it('keeps the text, the link and the data, not the renderings', () => {
+    const item = inboxItemFor({
+      userId: 'u1',
+      event: 'SOLD_OUT',
+      notification: {
+        title: 'Sold out: Gojira',
+        message: 'Gojira — Fri Nov 20 2026',
+        url: 'https://example.com/c/12',
+        embeds: [{ title: 'x' }],
+        html: '<p>x</p>',
+        data: { concert_id: 12 },
+      },
+    });
+    expect(item).toEqual({
+      user_id: 'u1',
+      type: 'SOLD_OUT',
+      title: 'Sold out: Gojira',
+      body: 'Gojira — Fri Nov 20 2026',
+      url: 'https://example.com/c/12',
+      data: { concert_id: 12 },
+      dedupe_key: null,
+    });
+  });
+
+  it('clips a long title and carries a dedupe key', () => {
+    const item = inboxItemFor({ userId: 'u1', event: 'REVIEW_PROMPT', notification: { title: 'x'.repeat(400), message: 'm' }, dedupeKey: 'review:3' });
+    expect(item.title).toHaveLength(300);
+    expect(item.dedupe_key).toBe('review:3');
+    expect(item.url).toBeNull();
+  });
+});
@@ -0,0 +1,87 @@
+const axios = require('axios');
+const prisma = require('../../prisma/client');
+const { findSourceUrls } = require('../sourceUrls');
+
+// The Python service's full syncs walk every band or city, so they are given
+// as long as the proxies that used to wait on them.
+const FULL_SYNC_TIMEOUT_MS = 5 * 60 * 1000;
+const BAND_SYNC_TIMEOUT_MS = 2 * 60 * 1000;
+
+function pythonServiceUrl() {
+  const url = process.env.PYTHON_SERVICE_URL;
+  if (!url) throw Object.assign(new Error('PYTHON_SERVICE_URL is not set'), { retryable: false });
+  return url;
+}
+
+async function loadBand(bandId) {
+  const band = await prisma.band.findUnique({
+    where: { id: bandId },
+    select: { id: true, name: true, MBID: true, ticketmaster_id: true, songkick_url: true, bandsintown_url: true },
+  });
+  if (!band) throw Object.assign(new Error(`Band ${bandId} no longer exists`), { retryable: false });
+  return band;
+}
+
+// Look a band's Songkick and Bandsintown pages up on MusicBrainz and store
+// whichever are found. Returns the band as it now stands.
+async function discoverUrls(band) {
+  const [songkickUrl, bandsintownUrl] = await findSourceUrls(band.name, band.MBID);
+  if (!songkickUrl)    console.warn(`[jobs] No Songkick URL found for "${band.name}" (MBID: ${band.MBID ?? 'none'})`);
+  if (!bandsintownUrl) console.warn(`[jobs] No Bandsintown URL found for "${band.name}" (MBID: ${band.MBID ?? 'none'})`);
+  if (!songkickUrl && !bandsintownUrl) return band;
+  return prisma.band.update({
+    where: { id: band.id },
+    data: {
+      ...(songkickUrl    && { songkick_url:    songkickUrl }),
+      ...(bandsintownUrl && { bandsintown_url: bandsintownUrl }),
+    },
+    select: { id: true, name: true, MBID: true, ticketmaster_id: true, songkick_url: true, bandsintown_url: true },
+  });
+}
+
+/**
+ * One function per job type. Each gets the job row and returns what goes into
+ * job.result; throwing fails the attempt (see isRetryable in ./queue).
+ */
+const handlers = {
+  // payload.discover_urls: look the source URLs up first, as a newly added
+  // band has none. Done inside the job so a retry after a failed sync does
+  // not send a band to the scraper without them.
+  'band.sync': async (job) => {
+    let band = await loadBand(job.band_id);
+    if (job.payload?.discover_urls) band = await discoverUrls(band);
+    const { data } = await axios.post(
+      `${pythonServiceUrl()}/sync/${band.id}`,
+      {
+        songkick_url: band.songkick_url ?? null,
+        bandsintown_url: band.bandsintown_url ?? null,
+        ticketmaster_id: band.ticketmaster_id ?? null,
+        band_name: band.name,
+      },
+      { timeout: BAND_SYNC_TIMEOUT_MS },
+    );
+    return data ?? null;
+  },
+
+  'band.refresh_urls': async (job) => {
+    const band = await discoverUrls(await loadBand(job.band_id));
+    return { songkick_url: band.songkick_url, bandsintown_url: band.bandsintown_url };
+  },
+
+  'concerts.sync_all': async () => {
+    const { data } = await axios.post(`${pythonServiceUrl()}/trigger`, {}, { timeout: FULL_SYNC_TIMEOUT_MS });
+    return data ?? null;
+  },
+
+  'weather.sync': async () => {
+    await axios.post(`${pythonServiceUrl()}/sync-weather`, {}, { timeout: FULL_SYNC_TIMEOUT_MS });
+    return null;
+  },
+
+  'setlists.sync': async () => {
+    await axios.post(`${pythonServiceUrl()}/sync-setlists`, {}, { timeout: FULL_SYNC_TIMEOUT_MS });
+    return null;
+  },
+};
+
+module.exports = { handlers };
@@ -0,0 +1,123 @@
+const { isDeepStrictEqual } = require('node:util');
+const prisma = require('../../prisma/client');
+
+// First retry after half a minute, doubling each time, never more than an hour
+// apart. With the default five attempts a job is given up on about eight
+// minutes after it first failed — long enough to ride out a Python service
+// restart or a scraper being rate-limited.
+const BACKOFF_BASE_MS = 30 * 1000;
+const BACKOFF_MAX_MS = 60 * 60 * 1000;
+
+// A job still RUNNING after this long belongs to a worker that died mid-job
+// (a deploy, a crash). The full syncs can run for five minutes, so well past that.
+const STALE_AFTER_MS = 15 * 60 * 1000;
+
+function backoffMs(attempts) {
+  return Math.min(BACKOFF_BASE_MS * 2 ** Math.max(attempts - 1, 0), BACKOFF_MAX_MS);
+}
+
+// Whether a failure is worth another attempt. Network errors, timeouts, 5xx
+// and 429 are the other side having a bad minute; any other 4xx will fail the
+// same way next time. A handler can decide for itself by setting err.retryable.
+function isRetryable(err) {
+  if (typeof err?.retryable === 'boolean') return err.retryable;
+  const status = err?.response?.status;
+  if (status === undefined) return true;
+  return status === 429 || status >= 500;
+}
+
+/**
+ * What a job becomes after a failed attempt: RETRYING at a later run_at, or
+ * FAILED once it is out of attempts or the error is not worth retrying.
+ * `job.attempts` already counts the attempt that failed.
+ */
+function afterFailure(job, err, now = new Date()) {
+  const last_error = String(err?.message ?? err).slice(0, 2000);
+  if (job.attempts >= job.max_attempts || !isRetryable(err)) {
+    return { status: 'FAILED', last_error, locked_at: null, finished_at: now };
+  }
+  return { status: 'RETRYING', last_error, locked_at: null, run_at: new Date(now.getTime() + backoffMs(job.attempts)) };
+}
+
+// Whether a waiting job is the one a caller is asking for: queued by the same
+// user — or by nobody, for both — and with the same payload.
+function matchesRequest(job, { requestedBy = null, payload } = {}) {
+  return (job.requested_by ?? null) === requestedBy && isDeepStrictEqual(job.payload ?? null, payload ?? null);
+}
+
+/**
+ * Queue a job. If the same job — same type, same band, same payload, asked for
+ * by the same user — is already waiting to run, that one is returned instead
+ * of adding a second; one that is already running does not count, since it
+ * may be working from data that has since changed. `requestedBy` is the user
+ * id to let follow the job.
+ */
+async function enqueueJob(type, { bandId = null, payload, maxAttempts, requestedBy = null } = {}) {
+  const waiting = await prisma.job.findMany({
+    where: { type, band_id: bandId, requested_by: requestedBy, status: { in: ['QUEUED', 'RETRYING'] } },
+    orderBy: { created_at: 'asc' },
+  });
+  const same = waiting.find((job) => matchesRequest(job, { requestedBy, payload }));
+  if (same) return same;
+  return prisma.job.create({
+    data: {
+      type,
+      band_id: bandId,
+      requested_by: requestedBy,
+      payload: payload ?? undefined,
+      ...(maxAttempts && { max_attempts: maxAttempts }),
+    },
+  });
+}
+
+// Take the next job that is due, marking it RUNNING and counting the attempt.
+// SKIP LOCKED lets two API processes share the table without both taking the
+// same job.
+async function claimNextJob() {
+  const [job] = await prisma.$queryRaw`
+    UPDATE "Job"
+    SET "status" = 'RUNNING', "attempts" = "attempts" + 1, "locked_at" = NOW(), "updated_at" = NOW()
+    WHERE "id" = (
+      SELECT "id" FROM "Job"
+      WHERE "status" IN ('QUEUED', 'RETRYING') AND "run_at" <= NOW()
+      ORDER BY "run_at", "id"
+      LIMIT 1
+      FOR UPDATE SKIP LOCKED
+    )
+    RETURNING *`;
+  return job ?? null;
+}
+
+async function completeJob(job, result) {
+  return prisma.job.update({
+    where: { id: job.id },
+    data: { status: 'SUCCEEDED', result: result ?? undefined, last_error: null, locked_at: null, finished_at: new Date() },
+  });
+}
+
+async function failJob(job, err) {
+  return prisma.job.update({ where: { id: job.id }, data: afterFailure(job, err) });
+}
+
+// Put jobs abandoned by a dead worker back in line, as a failed attempt.
+async function recoverStaleJobs() {
+  const stale = await prisma.job.findMany({
+    where: { status: 'RUNNING', locked_at: { lt: new Date(Date.now() - STALE_AFTER_MS) } },
+  });
+  for (const job of stale) {
+    await failJob(job, new Error('The worker stopped while this job was running'));
+  }
+  return stale.length;
+}
+
+module.exports = {
+  backoffMs,
+  isRetryable,
+  afterFailure,
+  matchesRequest,
+  enqueueJob,
+  claimNextJob,
+  completeJob,
+  failJob,
+  recoverStaleJobs,
+};
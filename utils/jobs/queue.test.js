@@ -0,0 +1,77 @@
+import { describe, it, expect, vi } from 'vitest';
+import { createRequire } from 'node:module';
+
+// queue.js loads the Prisma client, which wants a URL to be constructed. Only
+// the pure parts are tested here; nothing connects.
+vi.hoisted(() => { process.env.DATABASE_URL ??= 'postgresql://test@localhost:5432/test'; });
+
+const require = createRequire(import.meta.url);
+const { backoffMs, isRetryable, afterFailure, matchesRequest } = require('./queue');
+
+const httpError = (status) => Object.assign(new Error(`HTTP ${status}`), { response: { status } });
+
+describe('backoffMs', () => {
+  it('doubles from thirty seconds', () => {
+    expect([1, 2, 3, 4].map(backoffMs)).toEqual([30000, 60000, 120000, 240000]);
+  });
+
+  it('never waits more than an hour', () => {
+    expect(backoffMs(20)).toBe(60 * 60 * 1000);
+  });
+});
+
+describe('isRetryable', () => {
+  it('retries network errors, timeouts, 5xx and 429', () => {
+    expect(isRetryable(Object.assign(new Error('socket hang up'), { code: 'ECONNRESET' }))).toBe(true);
+    expect(isRetryable(httpError(502))).toBe(true);
+    expect(isRetryable(httpError(429))).toBe(true);
+  });
+
+  it('does not retry other client errors', () => {
+    expect(isRetryable(httpError(404))).toBe(false);
+    expect(isRetryable(httpError(400))).toBe(false);
+  });
+
+  it('lets the handler decide', () => {
+    expect(isRetryable(Object.assign(new Error('Band 4 no longer exists'), { retryable: false }))).toBe(false);
+    expect(isRetryable(Object.assign(httpError(404), { retryable: true }))).toBe(true);
+  });
+});
+
+describe('afterFailure', () => {
+  const now = new Date('2026-10-19T12:00:00Z');
+
+  it('schedules a retry after the backoff for the attempt that failed', () => {
+    const next = afterFailure({ attempts: 2, max_attempts: 5 }, httpError(503), now);
+    expect(next).toMatchObject({ status: 'RETRYING', last_error: 'HTTP 503', locked_at: null });
+    expect(next.run_at).toEqual(new Date('2026-10-19T12:01:00Z'));
+  });
+
+  it('gives up once the attempts are spent', () => {
+    const next = afterFailure({ attempts: 5, max_attempts: 5 }, httpError(503), now);
+    expect(next).toMatchObject({ status: 'FAILED', finished_at: now });
+    expect(next.run_at).toBeUndefined();
+  });
+
+  it('gives up at once on an error retrying cannot fix', () => {
+    expect(afterFailure({ attempts: 1, max_attempts: 5 }, httpError(404), now).status).toBe('FAILED');
+  });
+});
+
+describe('matchesRequest', () => {
+  const job = { requested_by: 'u1', payload: { discover_urls: true } };
+
+  it('matches the same user asking for the same thing', () => {
+    expect(matchesRequest(job, { requestedBy: 'u1', payload: { discover_urls: true } })).toBe(true);
+    expect(matchesRequest({ requested_by: null, payload: null }, {})).toBe(true);
+  });
+
+  it("does not hand one user's job to another", () => {
+    expect(matchesRequest(job, { requestedBy: 'u2', payload: { discover_urls: true } })).toBe(false);
+    expect(matchesRequest(job, { payload: { discover_urls: true } })).toBe(false);
+  });
+
+  it('does not let a job without URL discovery stand in for one that asked for it', () => {
+    expect(matchesRequest({ requested_by: 'u1', payload: null }, { requestedBy: 'u1', payload: { discover_urls: true } })).toBe(false);
+  });
+});
@@ -0,0 +1,59 @@
+const { claimNextJob, completeJob, failJob, recoverStaleJobs } = require('./queue');
+const { handlers } = require('./handlers');
+
+// How often an idle worker looks for due jobs. A queued job waits at most this
+// long; a busy worker goes straight on to the next one.
+const POLL_INTERVAL_MS = parseInt(process.env.JOB_POLL_INTERVAL_MS, 10) || 5000;
+
+let started = false;
+
+async function runJob(job) {
+  const handler = handlers[job.type];
+  if (!handler) {
+    await failJob(job, Object.assign(new Error(`No handler for job type ${job.type}`), { retryable: false }));
+    return;
+  }
+  try {
+    const result = await handler(job);
+    await completeJob(job, result);
+    console.log(`[jobs] ${job.type} #${job.id} succeeded on attempt ${job.attempts}`);
+  } catch (err) {
+    const failed = await failJob(job, err);
+    console.error(
+      `[jobs] ${job.type} #${job.id} attempt ${job.attempts}/${job.max_attempts} failed` +
+        (failed.status === 'RETRYING' ? `, retrying at ${failed.run_at.toISOString()}` : ', giving up') + ':',
+      err.message,
+    );
+  }
+}
+
+// Run every due job, one at a time, then come back after the poll interval.
+// One at a time is deliberate: the jobs are calls to one Python service that
+// scrapes rate-limited sites, and running them side by side only gets it
+// blocked sooner.
+async function tick() {
+  try {
+    await recoverStaleJobs();
+    let job;
+    while ((job = await claimNextJob())) {
+      await runJob(job);
+    }
+  } catch (err) {
+    console.error('[jobs] Worker poll failed:', err);
+  } finally {
+    setTimeout(tick, POLL_INTERVAL_MS).unref();
+  }
+}
+
+/**
+ * Start the job worker. Called once, from index.js, after the server is
+ * listening. Jobs left RUNNING by a previous process are picked up again on
+ * the first poll.
+ */
+function startJobWorker() {
+  if (started) return;
+  started = true;
+  setTimeout(tick, 0).unref();
+}
+
+module.exports = { startJobWorker };
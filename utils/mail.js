@@ -27,18 +27,67 @@ function buildDigestHtml(items) {
   return `<p>New concerts matching your subscriptions:</p><ul>${rows}</ul>`;
 }
 
-async function sendDigestEmail({ to, items }) {
-  const subject =
-    items.length === 1
-      ? `New concert: ${items[0].bandNames[0] || items[0].name}`
-      : `${items.length} new concerts matching your subscriptions`;
+// Ticket alerts as logged by utils/ticketAlerts.js, each with its one-line
+// `message` already written.
+function buildTicketAlertsHtml(alerts) {
+  const rows = alerts
+    .map((a) => {
+      const title = a.band_names.length ? a.band_names.join(", ") : a.concert_name || "Concert";
+      const link = a.url ? `<a href="${a.url}">${title}</a>` : title;
+      return `<li><strong>${link}</strong> — ${a.message}. ${fmtDate(a.concert_date)}, ${a.city}, ${a.country}</li>`;
+    })
+    .join("");
+  return `<p>Ticket news for concerts on your wishlist:</p><ul>${rows}</ul>`;
+}
 
-  await getResend().emails.send({
+// The digest's footer, and the headers that let a mail client offer its own
+// one-click unsubscribe (RFC 8058).
+function unsubscribeParts(url) {
+  if (!url) return { html: "", headers: undefined };
+  return {
+    html: `<p style="color:#888;font-size:12px">Too much? <a href="${url}">Unsubscribe from this digest</a>, or change how often it comes in your settings.</p>`,
+    headers: { "List-Unsubscribe": `<${url}>`, "List-Unsubscribe-Post": "List-Unsubscribe=One-Click" },
+  };
+}
+
+async function sendDigestEmail({ to, items, alerts = [], unsubscribeUrl = null }) {
+  let subject;
+  if (items.length === 1) subject = `New concert: ${items[0].bandNames[0] || items[0].name}`;
+  else if (items.length > 1) subject = `${items.length} new concerts matching your subscriptions`;
+  else if (alerts.length === 1) subject = `${alerts[0].band_names[0] || alerts[0].concert_name}: ${alerts[0].message}`;
+  else subject = `${alerts.length} ticket alerts for your wishlist`;
+
+  const unsubscribe = unsubscribeParts(unsubscribeUrl);
+  const result = await getResend().emails.send({
     from: process.env.NOTIFICATIONS_FROM_EMAIL,
     to,
     subject,
-    html: buildDigestHtml(items),
+    html: (items.length ? buildDigestHtml(items) : "") + (alerts.length ? buildTicketAlertsHtml(alerts) : "") + unsubscribe.html,
+    headers: unsubscribe.headers,
   });
+  if (result.error) {
+    throw new Error(`Email service error: ${result.error.message}`);
+  }
+}
+
+/**
+ * Send one notification from a user's EMAIL channel (utils/notifications)
+ * @param {string} to - Recipient email
+ * @param {string} subject
+ * @param {string} html - The body, already rendered
+ * @throws {Error} If email sending fails
+ */
+async function sendNotificationEmail({ to, subject, html }) {
+  const result = await getResend().emails.send({
+    from: process.env.NOTIFICATIONS_FROM_EMAIL,
+    to,
+    subject,
+    html,
+  });
+  if (result.error) {
+    throw new Error(`Email service error: ${result.error.message}`);
+  }
+  return result;
 }
 
 /**
@@ -77,4 +126,120 @@ async function sendEmailVerificationCode({ to, code }) {
   }
 }
 
-module.exports = { sendDigestEmail, sendEmailVerificationCode };
+/**
+ * Send a password reset code
+ * @param {string} to - Recipient email
+ * @param {string} code - Reset code to send
+ * @throws {Error} If email sending fails
+ */
+async function sendPasswordResetCode({ to, code }) {
+  if (!to || !code) {
+    throw new Error('Email and code are required');
+  }
+
+  const html = `
+    <p>Someone asked to reset the password for this account. Use the following code to choose a new one:</p>
+    <p style="font-size: 24px; font-weight: bold; letter-spacing: 2px; margin: 20px 0;">${code}</p>
+    <p>This code will expire in 15 minutes. If you did not ask for this, ignore this email — your password has not changed.</p>
+  `;
+
+  try {
+    const result = await getResend().emails.send({
+      from: process.env.NOTIFICATIONS_FROM_EMAIL,
+      to,
+      subject: "Reset your password",
+      html,
+    });
+
+    if (result.error) {
+      throw new Error(`Email service error: ${result.error.message}`);
+    }
+
+    return result;
+  } catch (error) {
+    console.error('Failed to send password reset code:', error);
+    throw error;
+  }
+}
+
+/**
+ * Send the code that confirms a new account's email address
+ * @param {string} to - Recipient email
+ * @param {string} code - Verification code to send
+ * @throws {Error} If email sending fails
+ */
+async function sendSignupVerificationCode({ to, code }) {
+  if (!to || !code) {
+    throw new Error('Email and code are required');
+  }
+
+  const html = `
+    <p>Welcome! Please confirm this is your address by entering the following code:</p>
+    <p style="font-size: 24px; font-weight: bold; letter-spacing: 2px; margin: 20px 0;">${code}</p>
+    <p>This code will expire in 24 hours. Until then we won't send you any notifications. If you did not sign up, ignore this email.</p>
+  `;
+
+  try {
+    const result = await getResend().emails.send({
+      from: process.env.NOTIFICATIONS_FROM_EMAIL,
+      to,
+      subject: "Confirm your email address",
+      html,
+    });
+
+    if (result.error) {
+      throw new Error(`Email service error: ${result.error.message}`);
+    }
+
+    return result;
+  } catch (error) {
+    console.error('Failed to send signup verification code:', error);
+    throw error;
+  }
+}
+
+/**
+ * Send the code that confirms an address for an email notification channel
+ * @param {string} to - The channel's address
+ * @param {string} code - 6-digit code
+ * @throws {Error} If email sending fails
+ */
+async function sendChannelVerificationCode({ to, code }) {
+  if (!to || !code) {
+    throw new Error('Email and code are required');
+  }
+
+  const html = `
+    <p>Someone asked for concert notifications to be sent to this address. If that was you, confirm it with this code:</p>
+    <p style="font-size: 24px; font-weight: bold; letter-spacing: 2px; margin: 20px 0;">${code}</p>
+    <p>This code will expire in 15 minutes. Until it is entered nothing else will be sent here. If this was not you, ignore this email.</p>
+  `;
+
+  try {
+    const result = await getResend().emails.send({
+      from: process.env.NOTIFICATIONS_FROM_EMAIL,
+      to,
+      subject: "Confirm this address for notifications",
+      html,
+    });
+
+    if (result.error) {
+      throw new Error(`Email service error: ${result.error.message}`);
+    }
+
+    return result;
+  } catch (error) {
+    console.error('Failed to send channel verification code:', error);
+    throw error;
+  }
+}
+
+module.exports = {
+  buildTicketAlertsHtml,
+  sendDigestEmail,
+  sendNotificationEmail,
+  sendEmailVerificationCode,
+  sendPasswordResetCode,
+  sendSignupVerificationCode,
+  sendChannelVerificationCode,
+};
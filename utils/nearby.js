@@ -0,0 +1,67 @@
+const { haversineKm } = require('./concertDedup');
+
+// "What's playing near here": concerts within a radius of a point, and the
+// point to search around for a trip.
+
+const MAX_RADIUS_KM = 500;
+
+/**
+ * The concerts within `radiusKm` of `center`, each with its `distance_km`,
+ * soonest first and nearest first on the same day. Coordinates are stored as
+ * strings on Concert; rows without usable ones are left out.
+ */
+function concertsWithin(concerts, center, radiusKm) {
+  return concerts
+    .map((concert) => {
+      const lat = parseFloat(concert.latitude);
+      const lng = parseFloat(concert.longitude);
+      if (Number.isNaN(lat) || Number.isNaN(lng)) return null;
+      const distance = haversineKm(center.lat, center.lng, lat, lng);
+      return distance <= radiusKm ? { ...concert, distance_km: Math.round(distance * 10) / 10 } : null;
+    })
+    .filter(Boolean)
+    .sort((a, b) => {
+      const dayA = new Date(a.concert_date).toISOString().slice(0, 10);
+      const dayB = new Date(b.concert_date).toISOString().slice(0, 10);
+      return dayA.localeCompare(dayB) || a.distance_km - b.distance_km;
+    });
+}
+
+/**
+ * Where a trip is, from its places: the middle of its hotels if it has any
+ * with coordinates, otherwise the middle of every place that has them.
+ * Null when no place has coordinates; the caller falls back to geocoding the
+ * destination.
+ */
+function tripCenter(places) {
+  const located = places.filter((p) => p.lat != null && p.lon != null);
+  const hotels = located.filter((p) => p.kind === 'HOTEL');
+  const points = hotels.length > 0 ? hotels : located;
+  if (points.length === 0) return null;
+  return {
+    lat: points.reduce((sum, p) => sum + p.lat, 0) / points.length,
+    lng: points.reduce((sum, p) => sum + p.lon, 0) / points.length,
+  };
+}
+
+const flat = (s) => (s ?? '').normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase();
+
+/**
+ * Whether a concert is in a trip's destination: within `radiusKm` of the
+ * trip's centre, or — for a trip with no located places, or a concert with no
+ * coordinates — in a city the destination text names ("Paris, France" names
+ * Paris; "Malmö" names Malmo).
+ */
+function inDestination(concert, { center = null, destination = null, radiusKm = 50 }) {
+  const lat = parseFloat(concert.latitude);
+  const lng = parseFloat(concert.longitude);
+  if (center && !Number.isNaN(lat) && !Number.isNaN(lng)) {
+    return haversineKm(center.lat, center.lng, lat, lng) <= radiusKm;
+  }
+  if (!destination || !concert.city) return false;
+  const words = flat(destination).split(/[^\p{L}\p{N}]+/u).filter(Boolean);
+  const city = flat(concert.city).split(/[^\p{L}\p{N}]+/u).filter(Boolean);
+  return city.length > 0 && words.some((_, i) => city.every((part, j) => words[i + j] === part));
+}
+
+module.exports = { MAX_RADIUS_KM, concertsWithin, tripCenter, inDestination };
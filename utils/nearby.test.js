@@ -0,0 +1,65 @@
+import { describe, it, expect } from 'vitest';
+import { concertsWithin, tripCenter, inDestination } from './nearby.js';
+
+describe('concertsWithin', () => {
+  const stockholm = { lat: 59.3293, lng: 18.0686 };
+  const concert = (id, latitude, longitude, date) => ({ id, latitude, longitude, concert_date: new Date(date) });
+
+  it('keeps the concerts inside the radius, with their distance', () => {
+    const found = concertsWithin([
+      concert(1, '59.3326', '18.0649', '2026-11-20T19:00:00Z'), // central Stockholm
+      concert(2, '59.8586', '17.6389', '2026-11-20T19:00:00Z'), // Uppsala, ~65 km
+      concert(3, '57.7089', '11.9746', '2026-11-20T19:00:00Z'), // Gothenburg, ~400 km
+    ], stockholm, 100);
+    expect(found.map((c) => c.id)).toEqual([1, 2]);
+    expect(found[1].distance_km).toBeGreaterThan(60);
+    expect(found[1].distance_km).toBeLessThan(70);
+  });
+
+  it('sorts by day, then by distance', () => {
+    const found = concertsWithin([
+      concert(1, '59.8586', '17.6389', '2026-11-21T19:00:00Z'),
+      concert(2, '59.8586', '17.6389', '2026-11-20T19:00:00Z'),
+      concert(3, '59.3326', '18.0649', '2026-11-20T21:00:00Z'),
+    ], stockholm, 100);
+    expect(found.map((c) => c.id)).toEqual([3, 2, 1]);
+  });
+
+  it('skips concerts without usable coordinates', () => {
+    expect(concertsWithin([concert(1, null, null, '2026-11-20'), concert(2, 'n/a', '18', '2026-11-20')], stockholm, 100)).toEqual([]);
+  });
+});
+
+describe('tripCenter', () => {
+  it('prefers the hotels', () => {
+    const center = tripCenter([
+      { kind: 'HOTEL', lat: 48.86, lon: 2.34 },
+      { kind: 'HOTEL', lat: 48.88, lon: 2.36 },
+      { kind: 'SIGHT', lat: 49.5, lon: 3.0 },
+    ]);
+    expect(center.lat).toBeCloseTo(48.87);
+    expect(center.lng).toBeCloseTo(2.35);
+  });
+
+  it('falls back to the other places, then to nothing', () => {
+    expect(tripCenter([{ kind: 'SIGHT', lat: 48.86, lon: 2.34 }, { kind: 'HOTEL', lat: null, lon: null }])).toEqual({ lat: 48.86, lng: 2.34 });
+    expect(tripCenter([{ kind: 'HOTEL', lat: null, lon: null }])).toBeNull();
+  });
+});
+
+describe('inDestination', () => {
+  const paris = { lat: 48.8566, lng: 2.3522 };
+
+  it('goes by distance when both sides are located', () => {
+    expect(inDestination({ latitude: '48.8938', longitude: '2.3933', city: 'Paris' }, { center: paris })).toBe(true);
+    expect(inDestination({ latitude: '50.6292', longitude: '3.0573', city: 'Paris' }, { center: paris })).toBe(false);
+  });
+
+  it('otherwise looks for the city in the destination text', () => {
+    expect(inDestination({ city: 'Paris' }, { destination: 'Paris, France' })).toBe(true);
+    expect(inDestination({ city: 'Malmö' }, { destination: 'Malmo' })).toBe(true);
+    expect(inDestination({ city: 'New York' }, { destination: 'New York City' })).toBe(true);
+    expect(inDestination({ city: 'York' }, { destination: 'Yorkshire' })).toBe(false);
+    expect(inDestination({ city: 'Paris' }, {})).toBe(false);
+  });
+});
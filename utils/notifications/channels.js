@@ -0,0 +1,176 @@
+// Where a user's notifications go. A NotificationChannel is one destination —
+// their inbox, a Discord or Slack webhook, a JSON webhook of their own, or a
+// push service like ntfy or Gotify — and the events routed to it. Everything
+// here is decidable without a network call; the sending is in ./dispatch.js.
+
+const { backoffMs, isRetryable } = require("../jobs/queue");
+const { NOT_PUBLIC, hasPublicHost } = require("./publicAddress");
+
+/** Event types a producer can raise, with the line the settings page shows. */
+const NOTIFICATION_EVENTS = {
+  NEW_CONCERTS: "New concerts for a band on a wishlist",
+  SOLD_OUT: "A wishlist concert sold out",
+  TICKET_ALERT: "Tickets on sale, a price drop, or a sale opening soon",
+  LOVE_TICKET_ALERT: "The same, for a LOVE-tier band",
+  FRIEND_GOING: "A friend is going to a show you follow",
+  TRIP_WEATHER: "The forecast for an upcoming trip changed",
+  TODO_REMINDER: "A trip to-do is due",
+  REVIEW_PROMPT: "A trip is over — how was it?",
+};
+
+const CHANNEL_KINDS = ["EMAIL", "DISCORD", "SLACK", "WEBHOOK", "PUSH"];
+const PUSH_FLAVORS = ["ntfy", "gotify"];
+
+// What a new channel gets when it does not say. Email is for what cannot wait
+// for the digest — the rest arrives there anyway; a chat or push channel was
+// set up to hear everything.
+const DEFAULT_EVENTS = {
+  EMAIL: ["LOVE_TICKET_ALERT", "TRIP_WEATHER", "TODO_REMINDER"],
+};
+const defaultEvents = (kind) => DEFAULT_EVENTS[kind] ?? Object.keys(NOTIFICATION_EVENTS);
+
+// A wishlist's own discord_webhook predates channels and still gets what it
+// always did: new concerts and ticket alerts for that wishlist.
+const WISHLIST_WEBHOOK_EVENTS = ["NEW_CONCERTS", "TICKET_ALERT", "LOVE_TICKET_ALERT"];
+
+const MAX_NAME = 100;
+const MAX_TARGET = 1000;
+
+const isHttpUrl = (value) => {
+  try {
+    return ["http:", "https:"].includes(new URL(value).protocol);
+  } catch {
+    return false;
+  }
+};
+const isEmail = (value) => /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(value);
+
+/**
+ * Check and tidy a channel from a request body. Returns { data } or { error }.
+ * With `existing`, a PATCH: only the fields given change, and the result is
+ * checked as a whole against the channel's kind.
+ *
+ * `target` is the URL posted to; for EMAIL an address, or empty for the
+ * account's own — `accountEmail`, which given again counts as empty. Any
+ * other address is the user's word only until they enter a code sent to it
+ * (see targetConfirmed): the channel is off, and cannot be turned on, before
+ * then. `secret` is a Gotify app token; a WEBHOOK's signing secret is made by
+ * the route, never chosen.
+ */
+function normaliseChannelInput(body = {}, existing = null, { accountEmail = null } = {}) {
+  const data = {};
+  const kind = existing ? existing.kind : body.kind;
+  if (!CHANNEL_KINDS.includes(kind)) return { error: `kind must be one of ${CHANNEL_KINDS.join(", ")}` };
+  if (!existing) data.kind = kind;
+
+  if (body.name !== undefined || !existing) {
+    const name = typeof body.name === "string" ? body.name.trim() : "";
+    if (!name) return { error: "Give the channel a name" };
+    if (name.length > MAX_NAME) return { error: `name must be at most ${MAX_NAME} characters` };
+    data.name = name;
+  }
+
+  if (body.target !== undefined || !existing) {
+    const target = typeof body.target === "string" ? body.target.trim() : "";
+    if (target.length > MAX_TARGET) return { error: `target must be at most ${MAX_TARGET} characters` };
+    if (kind === "EMAIL") {
+      if (target && !isEmail(target)) return { error: "target must be an email address, or empty for your account's" };
+      const own = accountEmail && target.toLowerCase() === accountEmail.toLowerCase();
+      data.target = own ? null : target || null;
+    } else {
+      if (!isHttpUrl(target)) return { error: "target must be an http(s) URL" };
+      if (!hasPublicHost(target)) return { error: "target must be an address on the public internet" };
+      data.target = target;
+    }
+  }
+
+  if (body.events !== undefined) {
+    if (!Array.isArray(body.events) || body.events.some((e) => !Object.hasOwn(NOTIFICATION_EVENTS, e))) {
+      return { error: `events must be a list of ${Object.keys(NOTIFICATION_EVENTS).join(", ")}` };
+    }
+    data.events = [...new Set(body.events)];
+  } else if (!existing) {
+    data.events = defaultEvents(kind);
+  }
+
+  if (body.enabled !== undefined) data.enabled = Boolean(body.enabled);
+
+  if (kind === "EMAIL") {
+    const retargeted = data.target !== undefined && data.target !== (existing?.target ?? null);
+    if (retargeted) data.target_confirmed_at = null;
+    const target = data.target !== undefined ? data.target : existing.target;
+    const confirmed = !target || (!retargeted && existing?.target_confirmed_at != null);
+    if (!confirmed) {
+      if (existing && !retargeted && data.enabled) {
+        return { error: "Enter the code sent to the channel's address before turning it on" };
+      }
+      if (!existing || retargeted || data.enabled !== undefined) data.enabled = false;
+    }
+  }
+
+  if (kind === "PUSH") {
+    if (body.config !== undefined || !existing) {
+      const flavor = body.config?.flavor ?? "ntfy";
+      if (!PUSH_FLAVORS.includes(flavor)) return { error: `config.flavor must be ${PUSH_FLAVORS.join(" or ")}` };
+      data.config = { flavor };
+    }
+    if (body.secret !== undefined) data.secret = body.secret ? String(body.secret).trim() : null;
+    const flavor = data.config?.flavor ?? existing?.config?.flavor;
+    const secret = data.secret !== undefined ? data.secret : existing?.secret;
+    if (flavor === "gotify" && !secret) return { error: "A Gotify channel needs its app token as secret" };
+  }
+
+  return { data };
+}
+
+// Whether a channel may be sent to at all: an EMAIL channel with an address
+// of its own only once a code sent there has been entered.
+function targetConfirmed(channel) {
+  return channel.kind !== "EMAIL" || !channel.target || channel.target_confirmed_at != null;
+}
+
+// Whether a channel takes an event.
+function routesEvent(channel, event) {
+  return Boolean(channel.enabled) && targetConfirmed(channel) && (channel.events ?? []).includes(event);
+}
+
+/**
+ * Why a delivery failed, as its owner is shown it. What the other side
+ * answered is theirs to see; how the request failed on the way — a refused
+ * connection, a name that did not resolve, an address that is not public — is
+ * our network's business, and becomes one line. Our own reasons pass through.
+ */
+function deliveryErrorMessage(err) {
+  if (err?.response) return `HTTP ${err.response.status}`;
+  if (err?.code === "ECONNABORTED" || err?.code === "ETIMEDOUT") return "The request timed out";
+  if (err?.isAxiosError || err?.code) return "Could not reach the address";
+  return String(err?.message ?? err);
+}
+
+/**
+ * What a delivery becomes after a failed attempt — the same rules as a job
+ * (see isRetryable and backoffMs in ../jobs/queue): RETRYING at a later time,
+ * or FAILED once out of attempts or when the other side said no for good, or
+ * is somewhere it may not be sent. `delivery.attempts` already counts the
+ * attempt that failed.
+ */
+function afterDeliveryFailure(delivery, err, now = new Date()) {
+  const last_error = deliveryErrorMessage(err).slice(0, 2000);
+  if (delivery.attempts >= delivery.max_attempts || err?.code === NOT_PUBLIC || !isRetryable(err)) {
+    return { status: "FAILED", last_error };
+  }
+  return { status: "RETRYING", last_error, next_attempt_at: new Date(now.getTime() + backoffMs(delivery.attempts)) };
+}
+
+module.exports = {
+  NOTIFICATION_EVENTS,
+  CHANNEL_KINDS,
+  PUSH_FLAVORS,
+  WISHLIST_WEBHOOK_EVENTS,
+  defaultEvents,
+  normaliseChannelInput,
+  targetConfirmed,
+  routesEvent,
+  deliveryErrorMessage,
+  afterDeliveryFailure,
+};
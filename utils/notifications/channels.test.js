@@ -0,0 +1,161 @@
+import { describe, it, expect, vi } from 'vitest';
+import { createRequire } from 'node:module';
+
+// channels.js takes its backoff from the job queue, which loads the Prisma
+// client. Nothing here connects.
+vi.hoisted(() => { process.env.DATABASE_URL ??= 'postgresql://test@localhost:5432/test'; });
+
+const require = createRequire(import.meta.url);
+const {
+  NOTIFICATION_EVENTS, defaultEvents, normaliseChannelInput, targetConfirmed, routesEvent, deliveryErrorMessage,
+  afterDeliveryFailure,
+} = require('./channels');
+const { backoffMs } = require('../jobs/queue');
+
+describe('defaultEvents', () => {
+  it('sends email only what cannot wait for the digest', () => {
+    expect(defaultEvents('EMAIL')).toEqual(['LOVE_TICKET_ALERT', 'TRIP_WEATHER', 'TODO_REMINDER']);
+  });
+
+  it('sends a chat or push channel everything', () => {
+    expect(defaultEvents('SLACK')).toEqual(Object.keys(NOTIFICATION_EVENTS));
+  });
+});
+
+describe('normaliseChannelInput', () => {
+  it('accepts a Slack channel and fills in its events', () => {
+    const { data, error } = normaliseChannelInput({ kind: 'SLACK', name: ' Band chat ', target: 'https://hooks.slack.com/services/x' });
+    expect(error).toBeUndefined();
+    expect(data).toEqual({
+      kind: 'SLACK',
+      name: 'Band chat',
+      target: 'https://hooks.slack.com/services/x',
+      events: Object.keys(NOTIFICATION_EVENTS),
+    });
+  });
+
+  it('rejects an unknown kind, a missing name and a non-http target', () => {
+    expect(normaliseChannelInput({ kind: 'SMS', name: 'x' }).error).toMatch(/kind/);
+    expect(normaliseChannelInput({ kind: 'DISCORD', target: 'https://discord.com/api/webhooks/1' }).error).toMatch(/name/);
+    expect(normaliseChannelInput({ kind: 'WEBHOOK', name: 'x', target: 'ftp://example.com' }).error).toMatch(/http/);
+  });
+
+  it('rejects a target that is not on the public internet', () => {
+    for (const target of ['http://localhost:5432', 'http://127.0.0.1/', 'http://169.254.169.254/latest/meta-data', 'http://[::1]:8080/']) {
+      expect(normaliseChannelInput({ kind: 'WEBHOOK', name: 'x', target }).error).toMatch(/public/);
+    }
+  });
+
+  it("lets an email channel go to the account's own address", () => {
+    expect(normaliseChannelInput({ kind: 'EMAIL', name: 'Inbox' }).data.target).toBeNull();
+    expect(normaliseChannelInput({ kind: 'EMAIL', name: 'Inbox', target: 'not-an-email' }).error).toMatch(/email/);
+  });
+
+  it("treats the account's own address given again as the account's", () => {
+    const { data } = normaliseChannelInput({ kind: 'EMAIL', name: 'Inbox', target: 'Me@Example.com' }, null, { accountEmail: 'me@example.com' });
+    expect(data.target).toBeNull();
+    expect(data.enabled).toBeUndefined();
+  });
+
+  it('keeps an email channel to any other address off until it is confirmed', () => {
+    const created = normaliseChannelInput({ kind: 'EMAIL', name: 'Work', target: 'work@example.com', enabled: true }, null, { accountEmail: 'me@example.com' });
+    expect(created.data).toMatchObject({ target: 'work@example.com', enabled: false });
+
+    const unconfirmed = { kind: 'EMAIL', name: 'Work', target: 'work@example.com', target_confirmed_at: null, enabled: false };
+    expect(normaliseChannelInput({ enabled: true }, unconfirmed).error).toMatch(/code/);
+    expect(normaliseChannelInput({ name: 'Office' }, unconfirmed).data).toEqual({ name: 'Office' });
+  });
+
+  it('takes a confirmation away with the address it was for', () => {
+    const confirmed = { kind: 'EMAIL', name: 'Work', target: 'work@example.com', target_confirmed_at: new Date(), enabled: true };
+    expect(normaliseChannelInput({ enabled: true }, confirmed).data).toEqual({ enabled: true });
+    expect(normaliseChannelInput({ target: 'someone@else.com' }, confirmed).data).toEqual({
+      target: 'someone@else.com', target_confirmed_at: null, enabled: false,
+    });
+  });
+
+  it('rejects events that do not exist and drops repeats', () => {
+    const base = { kind: 'DISCORD', name: 'x', target: 'https://discord.com/api/webhooks/1' };
+    expect(normaliseChannelInput({ ...base, events: ['NEW_CONCERTS', 'NOPE'] }).error).toMatch(/events/);
+    expect(normaliseChannelInput({ ...base, events: ['toString', 'constructor'] }).error).toMatch(/events/);
+    expect(normaliseChannelInput({ ...base, events: ['SOLD_OUT', 'SOLD_OUT'] }).data.events).toEqual(['SOLD_OUT']);
+  });
+
+  it('defaults push to ntfy and needs a token for Gotify', () => {
+    const push = { kind: 'PUSH', name: 'Phone', target: 'https://ntfy.sh/my-topic' };
+    expect(normaliseChannelInput(push).data.config).toEqual({ flavor: 'ntfy' });
+    expect(normaliseChannelInput({ ...push, config: { flavor: 'gotify' } }).error).toMatch(/Gotify/);
+    expect(normaliseChannelInput({ ...push, config: { flavor: 'gotify' }, secret: 'tok' }).data.secret).toBe('tok');
+  });
+
+  it('changes only what a PATCH names, checked against the kind it has', () => {
+    const existing = { kind: 'PUSH', name: 'Phone', target: 'https://gotify.example', config: { flavor: 'gotify' }, secret: 'tok' };
+    expect(normaliseChannelInput({ enabled: false }, existing).data).toEqual({ enabled: false });
+    expect(normaliseChannelInput({ kind: 'EMAIL', name: 'Renamed' }, existing).data).toEqual({ name: 'Renamed' });
+    expect(normaliseChannelInput({ secret: '' }, existing).error).toMatch(/Gotify/);
+  });
+});
+
+describe('routesEvent', () => {
+  it('takes only the events routed to an enabled channel', () => {
+    expect(routesEvent({ enabled: true, events: ['SOLD_OUT'] }, 'SOLD_OUT')).toBe(true);
+    expect(routesEvent({ enabled: true, events: ['SOLD_OUT'] }, 'NEW_CONCERTS')).toBe(false);
+    expect(routesEvent({ enabled: false, events: ['SOLD_OUT'] }, 'SOLD_OUT')).toBe(false);
+  });
+
+  it('sends nothing to an email address that was never confirmed', () => {
+    const channel = { kind: 'EMAIL', enabled: true, events: ['SOLD_OUT'], target: 'work@example.com', target_confirmed_at: null };
+    expect(targetConfirmed(channel)).toBe(false);
+    expect(routesEvent(channel, 'SOLD_OUT')).toBe(false);
+    expect(routesEvent({ ...channel, target: null }, 'SOLD_OUT')).toBe(true);
+    expect(routesEvent({ ...channel, target_confirmed_at: new Date() }, 'SOLD_OUT')).toBe(true);
+  });
+});
+
+describe('deliveryErrorMessage', () => {
+  it("says what the other side answered", () => {
+    expect(deliveryErrorMessage(Object.assign(new Error('Request failed'), { response: { status: 410 } }))).toBe('HTTP 410');
+  });
+
+  it('does not repeat how the network failed', () => {
+    const refused = Object.assign(new Error('connect ECONNREFUSED 127.0.0.1:5432'), { code: 'ECONNREFUSED', isAxiosError: true });
+    expect(deliveryErrorMessage(refused)).toBe('Could not reach the address');
+    const blocked = Object.assign(new Error('db.internal is not a public address'), { code: 'ERR_ADDRESS_NOT_PUBLIC' });
+    expect(deliveryErrorMessage(blocked)).toBe('Could not reach the address');
+    expect(deliveryErrorMessage(Object.assign(new Error('timeout of 10000ms exceeded'), { code: 'ECONNABORTED' }))).toBe('The request timed out');
+  });
+
+  it('passes our own reasons through', () => {
+    expect(deliveryErrorMessage(new Error('The channel was turned off'))).toBe('The channel was turned off');
+  });
+});
+
+describe('afterDeliveryFailure', () => {
+  const now = new Date('2026-10-20T12:00:00Z');
+
+  it('retries a server error on the job backoff', () => {
+    const err = Object.assign(new Error('HTTP 502'), { response: { status: 502 } });
+    expect(afterDeliveryFailure({ attempts: 2, max_attempts: 5 }, err, now)).toEqual({
+      status: 'RETRYING',
+      last_error: 'HTTP 502',
+      next_attempt_at: new Date(now.getTime() + backoffMs(2)),
+    });
+  });
+
+  it('gives up on a client error, and when out of attempts', () => {
+    const gone = Object.assign(new Error('HTTP 404'), { response: { status: 404 } });
+    expect(afterDeliveryFailure({ attempts: 1, max_attempts: 5 }, gone, now).status).toBe('FAILED');
+    expect(afterDeliveryFailure({ attempts: 5, max_attempts: 5 }, new Error('timeout'), now)).toEqual({
+      status: 'FAILED',
+      last_error: 'timeout',
+    });
+  });
+
+  it('gives up at once on an address that is not public', () => {
+    const blocked = Object.assign(new Error('localhost is not a public address'), { code: 'ERR_ADDRESS_NOT_PUBLIC', isAxiosError: true });
+    expect(afterDeliveryFailure({ attempts: 1, max_attempts: 5 }, blocked, now)).toEqual({
+      status: 'FAILED',
+      last_error: 'Could not reach the address',
+    });
+  });
+});
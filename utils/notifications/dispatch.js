@@ -0,0 +1,216 @@
+const axios = require("axios");
+const prisma = require("../../prisma/client");
+const { sendNotificationEmail } = require("../mail");
+const { addToInbox } = require("../inbox");
+const { assertPublicUrl, publicLookup } = require("./publicAddress");
+const { WISHLIST_WEBHOOK_EVENTS, routesEvent, targetConfirmed, afterDeliveryFailure } = require("./channels");
+const { discordMessages, slackBody, emailHtml, webhookRequest, pushRequest } = require("./formats");
+
+// The one way a notification leaves the building. A producer says who it is
+// for and what happened; dispatch() finds the user's channels routed for the
+// event — and, for wishlist events, the wishlist's own Discord webhook — and
+// writes one NotificationDelivery per destination before trying it. A failed
+// send is retried on the job queue's backoff by retryDueDeliveries(), which
+// utils/cron.js runs every minute; the delivery row is the log either way.
+//
+// Nothing is sent to an account that has not confirmed its email, as before;
+// the inbox gets everything.
+
+const SEND_TIMEOUT_MS = 10 * 1000;
+
+// The schema's default for max_attempts.
+const DEFAULT_MAX_ATTEMPTS = 5;
+
+// How many due retries one cron tick takes on. The rest wait a minute.
+const RETRY_BATCH = 50;
+
+// Every request to a URL a user gave: public addresses only (see
+// ./publicAddress.js), and no following a redirect to somewhere else.
+async function postTo(url, body, config = {}) {
+  assertPublicUrl(url);
+  return axios.post(url, body, { ...config, timeout: SEND_TIMEOUT_MS, maxRedirects: 0, lookup: publicLookup });
+}
+
+// A retry starts again from the first message; Discord has no way to tell
+// which of a batch already arrived.
+async function postToDiscord(url, n) {
+  let response;
+  for (const message of discordMessages(n)) {
+    response = await postTo(url, message);
+  }
+  return response;
+}
+
+async function sendToChannel(delivery, channel, user) {
+  const n = delivery.payload;
+  switch (channel.kind) {
+    case "EMAIL":
+      return sendNotificationEmail({ to: channel.target || user.email, subject: n.title, html: emailHtml(n) });
+    case "DISCORD":
+      return postToDiscord(channel.target, n);
+    case "SLACK":
+      return postTo(channel.target, slackBody(n));
+    case "WEBHOOK": {
+      const { body, headers } = webhookRequest({ id: delivery.id, event: delivery.event, notification: n, secret: channel.secret });
+      return postTo(channel.target, body, { headers });
+    }
+    case "PUSH": {
+      const { url, body, headers } = pushRequest({ target: channel.target, flavor: channel.config?.flavor, secret: channel.secret, notification: n });
+      return postTo(url, body, { headers });
+    }
+    default:
+      throw Object.assign(new Error(`Unknown channel kind ${channel.kind}`), { retryable: false });
+  }
+}
+
+/**
+ * Make one attempt at a delivery and record how it went. Never throws: a
+ * failure is written to the row, with a time to try again if it is worth it.
+ */
+async function attemptDelivery(deliveryId) {
+  const delivery = await prisma.notificationDelivery.update({
+    where: { id: deliveryId },
+    data: { attempts: { increment: 1 } },
+    include: {
+      channel_rel: true,
+      wishlist_rel: { select: { discord_webhook: true } },
+      user_rel: { select: { email: true } },
+    },
+  });
+  try {
+    let response;
+    if (delivery.channel_rel) {
+      if (!delivery.channel_rel.enabled) throw Object.assign(new Error("The channel was turned off"), { retryable: false });
+      if (!targetConfirmed(delivery.channel_rel)) {
+        throw Object.assign(new Error("The channel's address has not been confirmed"), { retryable: false });
+      }
+      response = await sendToChannel(delivery, delivery.channel_rel, delivery.user_rel);
+    } else {
+      const webhook = delivery.wishlist_rel?.discord_webhook;
+      if (!webhook) throw Object.assign(new Error("The wishlist no longer has a webhook"), { retryable: false });
+      response = await postToDiscord(webhook, delivery.payload);
+    }
+    return prisma.notificationDelivery.update({
+      where: { id: deliveryId },
+      data: {
+        status: "SENT",
+        sent_at: new Date(),
+        last_error: null,
+        next_attempt_at: null,
+        response_status: response?.status ?? null,
+      },
+    });
+  } catch (err) {
+    const next = afterDeliveryFailure(delivery, err);
+    // The whole error here: the row only says what the user may see
+    console.error(
+      `[notify] ${delivery.event} delivery #${delivery.id} attempt ${delivery.attempts}/${delivery.max_attempts} failed` +
+        (next.status === "RETRYING" ? `, retrying at ${next.next_attempt_at.toISOString()}` : ", giving up") + ":",
+      err.response ? `HTTP ${err.response.status}` : err.message,
+    );
+    return prisma.notificationDelivery.update({
+      where: { id: deliveryId },
+      data: { ...next, response_status: err.response?.status ?? null },
+    });
+  }
+}
+
+// Whether anything may be sent on a user's behalf: only once they have
+// confirmed their email. dispatch() checks it, and so does anything else that
+// sends on demand — a test event, a replay.
+async function accountConfirmed(userId) {
+  const user = await prisma.user.findUnique({ where: { id: userId }, select: { email_verified_at: true } });
+  return Boolean(user?.email_verified_at);
+}
+
+/**
+ * Send a notification to a user on every channel routed for `event`, after
+ * putting it in their inbox (utils/inbox.js). `wishlistIds` marks it as news
+ * about those of their wishlists, whose own webhooks also get it for the
+ * events that always went there. Returns the deliveries as they stand after
+ * the first attempt.
+ *
+ * @param {{ userId: string, event: string, notification: object, wishlistIds?: number[], dedupeKey?: string }} args
+ */
+async function dispatch({ userId, event, notification, wishlistIds = [], dedupeKey = null }) {
+  // Raised before: it has been sent wherever it was going
+  if (!(await addToInbox({ userId, event, notification, dedupeKey }))) return [];
+
+  if (!(await accountConfirmed(userId))) return [];
+
+  const channels = await prisma.notificationChannel.findMany({ where: { user_id: userId } });
+  const targets = channels
+    .filter((channel) => routesEvent(channel, event))
+    .map((channel) => ({ channel_id: channel.id }));
+  if (wishlistIds.length > 0 && WISHLIST_WEBHOOK_EVENTS.includes(event)) {
+    const wishlists = await prisma.wishlist.findMany({
+      where: { id: { in: wishlistIds }, discord_webhook: { not: null } },
+      select: { id: true },
+    });
+    targets.push(...wishlists.map((w) => ({ wishlist_id: w.id })));
+  }
+
+  const deliveries = [];
+  for (const target of targets) {
+    deliveries.push(await deliver({ userId, event, notification, ...target }));
+  }
+  return deliveries;
+}
+
+// Log one delivery to one destination — a channel_id or a wishlist_id — and
+// make the first attempt. dispatch() for routed events; the channel routes
+// for a test event, which goes to the channel it names whatever it routes.
+async function deliver({ userId, event, notification, channel_id = null, wishlist_id = null, max_attempts = DEFAULT_MAX_ATTEMPTS }) {
+  const delivery = await prisma.notificationDelivery.create({
+    data: { user_id: userId, event, payload: notification, channel_id, wishlist_id, max_attempts },
+    select: { id: true },
+  });
+  return attemptDelivery(delivery.id);
+}
+
+/**
+ * Send a delivery again now: one that gave up, or one waiting on its backoff.
+ * The row keeps its id — a JSON webhook's X-Notification-Id — so a receiver
+ * that did get an earlier attempt can tell, and its attempt count, with as
+ * many again allowed on top. Returns null for a delivery in any other state.
+ */
+async function replayDelivery(deliveryId) {
+  const delivery = await prisma.notificationDelivery.findUnique({
+    where: { id: deliveryId },
+    select: { attempts: true, status: true },
+  });
+  if (!delivery) return null;
+  const claimed = await prisma.notificationDelivery.updateMany({
+    where: { id: deliveryId, status: { in: ["FAILED", "RETRYING"] } },
+    data: { status: "PENDING", max_attempts: delivery.attempts + DEFAULT_MAX_ATTEMPTS },
+  });
+  if (claimed.count === 0) return null;
+  return attemptDelivery(deliveryId);
+}
+
+/**
+ * Try again every delivery whose retry is due. Each is claimed by moving it
+ * from RETRYING to PENDING first, so two processes running the cron do not
+ * both send it.
+ */
+async function retryDueDeliveries(now = new Date()) {
+  const due = await prisma.notificationDelivery.findMany({
+    where: { status: "RETRYING", next_attempt_at: { lte: now } },
+    orderBy: { next_attempt_at: "asc" },
+    take: RETRY_BATCH,
+    select: { id: true },
+  });
+  let retried = 0;
+  for (const { id } of due) {
+    const claimed = await prisma.notificationDelivery.updateMany({
+      where: { id, status: "RETRYING" },
+      data: { status: "PENDING" },
+    });
+    if (claimed.count === 0) continue;
+    await attemptDelivery(id);
+    retried += 1;
+  }
+  return { retried };
+}
+
+module.exports = { accountConfirmed, dispatch, deliver, attemptDelivery, replayDelivery, retryDueDeliveries };
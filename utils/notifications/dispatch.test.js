@@ -0,0 +1,184 @@
+import { describe, it, expect, vi, beforeEach, afterAll } from 'vitest';
+import { createRequire } from 'node:module';
+
+// prisma/client.js hands out global.prisma when there is one, so the delivery
+// rows live in memory here: enough of the client for a delivery to be claimed,
+// attempted and recorded. Sending goes no further than a spy on axios.post.
+const db = vi.hoisted(() => {
+  process.env.DATABASE_URL ??= 'postgresql://test@localhost:5432/test';
+  const db = { deliveries: new Map(), channels: new Map(), users: new Map() };
+
+  const matches = (row, where) => Object.entries(where).every(([key, want]) =>
+    want !== null && typeof want === 'object' && 'in' in want ? want.in.includes(row[key]) : row[key] === want);
+  const apply = (row, data) => {
+    for (const [key, value] of Object.entries(data)) {
+      row[key] = value !== null && typeof value === 'object' && 'increment' in value ? row[key] + value.increment : value;
+    }
+    return row;
+  };
+
+  global.prisma = {
+    user: {
+      findUnique: async ({ where }) => db.users.get(where.id) ?? null,
+    },
+    notificationChannel: {
+      findFirst: async ({ where }) => [...db.channels.values()].find((c) => matches(c, where)) ?? null,
+    },
+    notificationDelivery: {
+      findUnique: async ({ where }) => (db.deliveries.has(where.id) ? { ...db.deliveries.get(where.id) } : null),
+      findFirst: async ({ where }) => {
+        const row = [...db.deliveries.values()].find((d) => matches(d, where));
+        return row ? { ...row } : null;
+      },
+      updateMany: async ({ where, data }) => {
+        let count = 0;
+        for (const row of db.deliveries.values()) {
+          if (matches(row, where)) { apply(row, data); count += 1; }
+        }
+        return { count };
+      },
+      update: async ({ where, data, include }) => {
+        const row = apply(db.deliveries.get(where.id), data);
+        if (!include) return { ...row };
+        return { ...row, channel_rel: db.channels.get(row.channel_id) ?? null, wishlist_rel: null, user_rel: { email: 'me@example.com' } };
+      },
+    },
+  };
+  return db;
+});
+
+const require = createRequire(import.meta.url);
+const axios = require('axios');
+const { replayDelivery, attemptDelivery } = require('./dispatch');
+const router = require('../../routes/data/notificationChannels');
+
+afterAll(() => { delete global.prisma; });
+
+const slack = { id: 1, user_id: 'u1', kind: 'SLACK', target: 'https://hooks.slack.com/services/x', enabled: true, events: [] };
+const delivery = (fields) => ({
+  id: 7,
+  user_id: 'u1',
+  channel_id: 1,
+  wishlist_id: null,
+  event: 'NEW_CONCERTS',
+  payload: { title: 'New concerts', message: 'Gojira in Stockholm' },
+  status: 'FAILED',
+  attempts: 5,
+  max_attempts: 5,
+  next_attempt_at: null,
+  last_error: 'HTTP 503',
+  response_status: 503,
+  sent_at: null,
+  ...fields,
+});
+
+let post;
+beforeEach(() => {
+  db.deliveries.clear();
+  db.channels.clear();
+  db.users.clear();
+  db.channels.set(slack.id, { ...slack });
+  db.users.set('u1', { email_verified_at: new Date('2026-10-01T00:00:00Z') });
+  vi.restoreAllMocks();
+  vi.spyOn(console, 'error').mockImplementation(() => {});
+  post = vi.spyOn(axios, 'post').mockResolvedValue({ status: 200 });
+});
+
+describe('replayDelivery', () => {
+  it.each(['FAILED', 'RETRYING'])('claims a %s delivery and sends it again, with as many attempts again', async (status) => {
+    db.deliveries.set(7, delivery({ status }));
+    const replayed = await replayDelivery(7);
+    expect(post).toHaveBeenCalledTimes(1);
+    expect(replayed).toMatchObject({ id: 7, status: 'SENT', attempts: 6, max_attempts: 10, last_error: null, response_status: 200 });
+  });
+
+  it.each(['SENT', 'PENDING'])('leaves a %s delivery alone', async (status) => {
+    db.deliveries.set(7, delivery({ status, attempts: 1, max_attempts: 5 }));
+    expect(await replayDelivery(7)).toBeNull();
+    expect(post).not.toHaveBeenCalled();
+    expect(db.deliveries.get(7)).toMatchObject({ status, attempts: 1, max_attempts: 5 });
+  });
+
+  it('is null for a delivery that does not exist', async () => {
+    expect(await replayDelivery(99)).toBeNull();
+  });
+
+  it('gives a replay that fails again its own round of retries', async () => {
+    db.deliveries.set(7, delivery({ status: 'FAILED' }));
+    post.mockRejectedValue(Object.assign(new Error('Request failed'), { response: { status: 502 } }));
+    const replayed = await replayDelivery(7);
+    expect(replayed).toMatchObject({ status: 'RETRYING', attempts: 6, max_attempts: 10, last_error: 'HTTP 502', response_status: 502 });
+  });
+});
+
+describe('attemptDelivery', () => {
+  it('keeps the response code of a delivery that went through', async () => {
+    db.deliveries.set(7, delivery({ status: 'PENDING', attempts: 0 }));
+    post.mockResolvedValue({ status: 202 });
+    expect(await attemptDelivery(7)).toMatchObject({ status: 'SENT', response_status: 202, attempts: 1 });
+  });
+
+  it('keeps the response code of a delivery that was refused', async () => {
+    db.deliveries.set(7, delivery({ status: 'PENDING', attempts: 0, response_status: null }));
+    post.mockRejectedValue(Object.assign(new Error('Request failed'), { response: { status: 410 } }));
+    expect(await attemptDelivery(7)).toMatchObject({ status: 'FAILED', response_status: 410, last_error: 'HTTP 410' });
+  });
+
+  it('has no response code, and no network detail, when nothing answered', async () => {
+    db.deliveries.set(7, delivery({ status: 'PENDING', attempts: 0 }));
+    post.mockRejectedValue(Object.assign(new Error('connect ECONNREFUSED 10.0.0.5:443'), { code: 'ECONNREFUSED', isAxiosError: true }));
+    expect(await attemptDelivery(7)).toMatchObject({ status: 'RETRYING', response_status: null, last_error: 'Could not reach the address' });
+  });
+
+  it('does not send to a channel that was turned off', async () => {
+    db.channels.set(1, { ...slack, enabled: false });
+    db.deliveries.set(7, delivery({ status: 'PENDING', attempts: 0 }));
+    expect(await attemptDelivery(7)).toMatchObject({ status: 'FAILED', response_status: null });
+    expect(post).not.toHaveBeenCalled();
+  });
+});
+
+// The route handler itself, after its auth and validation middleware
+function handler(method, path) {
+  const layer = router.stack.find((l) => l.route?.path === path && l.route.methods[method]);
+  return layer.route.stack.at(-1).handle;
+}
+
+function mockRes() {
+  const res = {};
+  res.status = (code) => { res.statusCode = code; return res; };
+  res.json = (body) => { res.body = body; return res; };
+  return res;
+}
+
+describe('POST /notifications/deliveries/:id/replay', () => {
+  const replay = handler('post', '/notifications/deliveries/:id/replay');
+
+  it('answers 409 for a delivery that was sent', async () => {
+    db.deliveries.set(7, delivery({ status: 'SENT', sent_at: new Date() }));
+    const res = mockRes();
+    await replay({ params: { id: '7' }, user: { id: 'u1' } }, res);
+    expect(res.statusCode).toBe(409);
+    expect(res.body.error).toMatch(/SENT/);
+    expect(post).not.toHaveBeenCalled();
+  });
+
+  it("answers 404 for someone else's delivery", async () => {
+    db.deliveries.set(7, delivery({ user_id: 'u2' }));
+    const res = mockRes();
+    await replay({ params: { id: '7' }, user: { id: 'u1' } }, res);
+    expect(res.statusCode).toBe(404);
+  });
+});
+
+describe('POST /notifications/channels/:id/test', () => {
+  const test = handler('post', '/notifications/channels/:id/test');
+
+  it('answers 403 for an account that has not confirmed its email', async () => {
+    db.users.set('u1', { email_verified_at: null });
+    const res = mockRes();
+    await test({ params: { id: '1' }, user: { id: 'u1' } }, res);
+    expect(res.statusCode).toBe(403);
+    expect(post).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,104 @@
+const crypto = require("crypto");
+
+// One notification, written for each kind of channel. A producer hands the
+// dispatcher { title, message, url?, fields?, embeds?, html?, data? }:
+// `fields` are name/value lines, `embeds` a Discord rendering richer than the
+// default one, `html` an email body, `data` the machine-readable event for a
+// JSON webhook. Everything but title and message is optional.
+
+const DISCORD_COLOR = 0x5865f2;
+const clip = (text, max) => (text.length > max ? `${text.slice(0, max - 1)}…` : text);
+
+// The Discord messages to post, in order. Given `embeds`, one message each:
+// a message's embeds share Discord's 6000-character cap, and a full embed of
+// concert dates comes close to it alone.
+function discordMessages(n) {
+  if (Array.isArray(n.embeds) && n.embeds.length > 0) return n.embeds.map((embed) => ({ embeds: [embed] }));
+  return [{
+    embeds: [{
+      title: clip(n.title, 256),
+      description: clip(n.message, 4000),
+      url: n.url || undefined,
+      color: DISCORD_COLOR,
+      fields: (n.fields ?? []).slice(0, 25).map((f) => ({ name: clip(f.name, 256), value: clip(f.value, 1024), inline: false })),
+    }],
+  }];
+}
+
+// Slack's incoming webhooks, and the many chat tools that accept the same
+// { text } body, render mrkdwn: *bold*, <url|label>.
+function slackBody(n) {
+  const lines = [`*${n.title}*`, n.message, ...(n.fields ?? []).map((f) => `• ${f.name}: ${f.value}`)];
+  if (n.url) lines.push(`<${n.url}|Open>`);
+  return { text: lines.join("\n") };
+}
+
+function emailHtml(n) {
+  if (n.html) return n.html;
+  const escape = (s) => String(s).replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;");
+  const fields = (n.fields ?? []).map((f) => `<li><strong>${escape(f.name)}</strong> — ${escape(f.value)}</li>`).join("");
+  return `<p>${escape(n.message)}</p>${fields ? `<ul>${fields}</ul>` : ""}${n.url ? `<p><a href="${escape(n.url)}">Open</a></p>` : ""}`;
+}
+
+// The signature a receiver checks: HMAC-SHA256 over "<timestamp>.<body>"
+// with the channel's secret. The timestamp is in the signed string so a
+// captured request cannot be replayed later with a fresh header.
+function signPayload(secret, timestamp, body) {
+  return `sha256=${crypto.createHmac("sha256", secret).update(`${timestamp}.${body}`).digest("hex")}`;
+}
+
+/**
+ * A JSON webhook request: the body as the exact string that was signed, and
+ * the headers. `id` is the delivery's, so a receiver can drop a repeat.
+ */
+function webhookRequest({ id, event, notification: n, secret, now = new Date() }) {
+  const timestamp = String(Math.floor(now.getTime() / 1000));
+  const body = JSON.stringify({
+    id,
+    event,
+    created_at: now.toISOString(),
+    title: n.title,
+    message: n.message,
+    url: n.url ?? null,
+    data: n.data ?? null,
+  });
+  return {
+    body,
+    headers: {
+      "Content-Type": "application/json",
+      "X-Notification-Id": String(id),
+      "X-Notification-Event": event,
+      "X-Notification-Timestamp": timestamp,
+      "X-Notification-Signature": signPayload(secret, timestamp, body),
+    },
+  };
+}
+
+/**
+ * A push request. ntfy takes the message as the body of a POST to the topic
+ * URL, with the rest in headers — which must be plain ASCII, so a title that
+ * is not goes into the message instead. Gotify takes JSON at /message on the
+ * server, with the app token in a header.
+ */
+function pushRequest({ target, flavor = "ntfy", secret, notification: n }) {
+  if (flavor === "gotify") {
+    return {
+      url: `${target.replace(/\/+$/, "")}/message`,
+      body: {
+        title: n.title,
+        message: n.message,
+        priority: 5,
+        ...(n.url && { extras: { "client::notification": { click: { url: n.url } } } }),
+      },
+      headers: { "X-Gotify-Key": secret },
+    };
+  }
+  const asciiTitle = /^[\x20-\x7e]*$/.test(n.title);
+  const headers = { "Content-Type": "text/plain; charset=utf-8" };
+  if (asciiTitle) headers.Title = n.title;
+  if (n.url) headers.Click = n.url;
+  if (secret) headers.Authorization = `Bearer ${secret}`;
+  return { url: target, body: asciiTitle ? n.message : `${n.title}\n${n.message}`, headers };
+}
+
+module.exports = { discordMessages, slackBody, emailHtml, signPayload, webhookRequest, pushRequest };
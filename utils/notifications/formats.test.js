@@ -0,0 +1,84 @@
+import { describe, it, expect } from 'vitest';
+import crypto from 'node:crypto';
+import { discordMessages, slackBody, emailHtml, signPayload, webhookRequest, pushRequest } from './formats';
+
+const n = {
+  title: 'Sold out: Gojira',
+  message: 'Gojira — Fri Nov 20 2026 in Stockholm',
+  url: 'https://example.com/c/12',
+  fields: [{ name: 'Venue', value: 'Avicii Arena' }],
+};
+
+describe('discordMessages', () => {
+  it('renders one embed from the plain notification', () => {
+    const [message, ...rest] = discordMessages(n);
+    expect(rest).toEqual([]);
+    expect(message.embeds[0]).toMatchObject({ title: n.title, description: n.message, url: n.url });
+    expect(message.embeds[0].fields).toEqual([{ name: 'Venue', value: 'Avicii Arena', inline: false }]);
+  });
+
+  it('posts ready-made embeds one message each', () => {
+    expect(discordMessages({ ...n, embeds: [{ title: 'a' }, { title: 'b' }] })).toEqual([
+      { embeds: [{ title: 'a' }] },
+      { embeds: [{ title: 'b' }] },
+    ]);
+  });
+});
+
+describe('slackBody', () => {
+  it('writes mrkdwn with the fields and a link', () => {
+    expect(slackBody(n).text).toBe(
+      '*Sold out: Gojira*\nGojira — Fri Nov 20 2026 in Stockholm\n• Venue: Avicii Arena\n<https://example.com/c/12|Open>',
+    );
+  });
+});
+
+describe('emailHtml', () => {
+  it('escapes the text it is given', () => {
+    expect(emailHtml({ title: 't', message: '<b>&' })).toBe('<p>&lt;b&gt;&amp;</p>');
+  });
+
+  it('uses html a producer rendered itself', () => {
+    expect(emailHtml({ ...n, html: '<p>ready</p>' })).toBe('<p>ready</p>');
+  });
+});
+
+describe('webhookRequest', () => {
+  it('signs the exact body with the timestamp', () => {
+    const now = new Date('2026-10-20T12:00:00Z');
+    const { body, headers } = webhookRequest({ id: 7, event: 'SOLD_OUT', notification: n, secret: 'whsec_x', now });
+    expect(JSON.parse(body)).toMatchObject({ id: 7, event: 'SOLD_OUT', title: n.title, url: n.url, data: null });
+    expect(headers['X-Notification-Timestamp']).toBe('1792497600');
+    const expected = crypto.createHmac('sha256', 'whsec_x').update(`1792497600.${body}`).digest('hex');
+    expect(headers['X-Notification-Signature']).toBe(`sha256=${expected}`);
+    expect(signPayload('whsec_x', '1792497600', body)).toBe(headers['X-Notification-Signature']);
+  });
+});
+
+describe('pushRequest', () => {
+  it('posts ntfy a text body with the rest in headers', () => {
+    expect(pushRequest({ target: 'https://ntfy.sh/t', notification: n, secret: 'tk' })).toEqual({
+      url: 'https://ntfy.sh/t',
+      body: n.message,
+      headers: {
+        'Content-Type': 'text/plain; charset=utf-8',
+        Title: n.title,
+        Click: n.url,
+        Authorization: 'Bearer tk',
+      },
+    });
+  });
+
+  it('moves a title that is not ASCII into the body', () => {
+    const req = pushRequest({ target: 'https://ntfy.sh/t', notification: { title: 'Sigur Rós', message: 'On sale' } });
+    expect(req.headers.Title).toBeUndefined();
+    expect(req.body).toBe('Sigur Rós\nOn sale');
+  });
+
+  it('posts Gotify JSON at /message with the app token', () => {
+    const req = pushRequest({ target: 'https://gotify.example/', flavor: 'gotify', secret: 'tok', notification: n });
+    expect(req.url).toBe('https://gotify.example/message');
+    expect(req.headers).toEqual({ 'X-Gotify-Key': 'tok' });
+    expect(req.body).toMatchObject({ title: n.title, message: n.message });
+  });
+});
@@ -0,0 +1,77 @@
+const dns = require("dns");
+const net = require("net");
+
+// Channels post to whatever URL a user gives, from inside our network. Only
+// addresses on the public internet may be reached that way: not loopback, not
+// the private ranges, not link-local — where cloud metadata answers, at
+// 169.254.169.254 — nor anything else that is not publicly routed. A name is
+// checked as it resolves for the request itself, through publicLookup, so it
+// cannot resolve to one address for a check and another for the send.
+
+const NOT_PUBLIC = "ERR_ADDRESS_NOT_PUBLIC";
+
+const blocked = new net.BlockList();
+for (const [prefix, bits] of [
+  ["0.0.0.0", 8], // "this network"
+  ["10.0.0.0", 8],
+  ["100.64.0.0", 10], // carrier-grade NAT
+  ["127.0.0.0", 8],
+  ["169.254.0.0", 16],
+  ["172.16.0.0", 12],
+  ["192.0.0.0", 24],
+  ["192.0.2.0", 24], // documentation
+  ["192.168.0.0", 16],
+  ["198.18.0.0", 15], // benchmarking
+  ["198.51.100.0", 24], // documentation
+  ["203.0.113.0", 24], // documentation
+  ["224.0.0.0", 4], // multicast
+  ["240.0.0.0", 4], // reserved, and broadcast
+]) {
+  blocked.addSubnet(prefix, bits, "ipv4");
+}
+for (const [prefix, bits] of [
+  ["::", 128],
+  ["::1", 128],
+  ["64:ff9b::", 96], // NAT64, which reaches IPv4 addresses behind it
+  ["2001:db8::", 32], // documentation
+  ["fc00::", 7], // unique local
+  ["fe80::", 10], // link-local
+  ["ff00::", 8], // multicast
+]) {
+  blocked.addSubnet(prefix, bits, "ipv6");
+}
+
+// Whether an IP address is publicly routed. IPv4-mapped IPv6 addresses are
+// judged by the IPv4 address in them.
+function isPublicAddress(address) {
+  const family = net.isIP(address);
+  if (family === 0) return false;
+  return !blocked.check(address, family === 6 ? "ipv6" : "ipv4");
+}
+
+const notPublic = (host) => Object.assign(new Error(`${host} is not a public address`), { code: NOT_PUBLIC, retryable: false });
+
+/**
+ * Whether a URL's host may be public. An IP address is decided here; a name
+ * cannot be until it is looked up, which publicLookup does at send time.
+ */
+function hasPublicHost(url) {
+  const host = new URL(url).hostname.replace(/^\[|\]$/g, "");
+  if (net.isIP(host)) return isPublicAddress(host);
+  return host !== "localhost" && !host.endsWith(".localhost");
+}
+
+// A dns.lookup for axios's `lookup` option: every address the name resolves
+// to must be public, or the request does not go.
+async function publicLookup(hostname, options = {}) {
+  const addresses = await dns.promises.lookup(hostname, { ...options, all: true });
+  if (addresses.length === 0 || addresses.some(({ address }) => !isPublicAddress(address))) throw notPublic(hostname);
+  return addresses;
+}
+
+/** Throw unless a URL's host may be public; see hasPublicHost. */
+function assertPublicUrl(url) {
+  if (!hasPublicHost(url)) throw notPublic(new URL(url).hostname);
+}
+
+module.exports = { NOT_PUBLIC, isPublicAddress, hasPublicHost, publicLookup, assertPublicUrl };
@@ -0,0 +1,57 @@
+import { describe, it, expect } from 'vitest';
+import { createRequire } from 'node:module';
+
+const require = createRequire(import.meta.url);
+const { isPublicAddress, hasPublicHost, publicLookup, assertPublicUrl } = require('./publicAddress');
+
+describe('isPublicAddress', () => {
+  it('refuses loopback, private, link-local and other unrouted addresses', () => {
+    for (const address of ['127.0.0.1', '10.0.0.5', '172.16.4.1', '192.168.1.1', '169.254.169.254', '100.64.0.1', '0.0.0.0', '::1', '::', 'fd00::1', 'fe80::1']) {
+      expect(isPublicAddress(address)).toBe(false);
+    }
+  });
+
+  it('judges an IPv4-mapped address by its IPv4 part', () => {
+    expect(isPublicAddress('::ffff:127.0.0.1')).toBe(false);
+    expect(isPublicAddress('::ffff:8.8.8.8')).toBe(true);
+  });
+
+  it('allows public addresses', () => {
+    expect(isPublicAddress('8.8.8.8')).toBe(true);
+    expect(isPublicAddress('172.32.0.1')).toBe(true);
+    expect(isPublicAddress('2606:4700:4700::1111')).toBe(true);
+  });
+
+  it('is false for anything that is not an address', () => {
+    expect(isPublicAddress('example.com')).toBe(false);
+  });
+});
+
+describe('hasPublicHost', () => {
+  it('decides IP addresses, however they are written', () => {
+    expect(hasPublicHost('http://127.1:5432/')).toBe(false);
+    expect(hasPublicHost('http://2130706433/')).toBe(false);
+    expect(hasPublicHost('http://[::1]/')).toBe(false);
+    expect(hasPublicHost('https://8.8.8.8/hook')).toBe(true);
+  });
+
+  it('refuses localhost and leaves other names to the lookup', () => {
+    expect(hasPublicHost('http://localhost/')).toBe(false);
+    expect(hasPublicHost('http://api.localhost/')).toBe(false);
+    expect(hasPublicHost('https://discord.com/api/webhooks/1')).toBe(true);
+  });
+});
+
+describe('assertPublicUrl', () => {
+  it('throws a non-retryable error for a private host', () => {
+    expect(() => assertPublicUrl('http://169.254.169.254/latest/meta-data')).toThrow(
+      expect.objectContaining({ code: 'ERR_ADDRESS_NOT_PUBLIC', retryable: false }),
+    );
+  });
+});
+
+describe('publicLookup', () => {
+  it('refuses a name that resolves to a private address', async () => {
+    await expect(publicLookup('localhost')).rejects.toMatchObject({ code: 'ERR_ADDRESS_NOT_PUBLIC' });
+  });
+});
@@ -10,7 +10,7 @@ import { PrismaClient } from '@prisma/client';
 // Constructing the client does not connect, so this needs no database. It pins
 // the accessors the code actually uses; rename a model and this fails here
 // rather than in a route.
-const ACCESSORS = ['oAuth', 'concert', 'band', 'concertBandReference', 'wishlist', 'user'];
+const ACCESSORS = ['oAuth', 'concert', 'band', 'concertBandReference', 'wishlist', 'wishlistMember', 'wishlistInvite', 'notificationChannel', 'notificationDelivery', 'inboxItem', 'user'];
 
 describe('the Prisma client exposes the models the routes reach for', () => {
   const client = new PrismaClient();
@@ -0,0 +1,59 @@
+const axios = require('axios');
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+const MB_HEADERS = {
+  'User-Agent': `${process.env.APP_NAME || 'ConcertMap'}/1.0 (${process.env.APP_CONTACT || 'contact@example.com'})`,
+  'Accept': 'application/json',
+};
+
+// Fetch Songkick + Bandsintown URLs from MusicBrainz URL relationships.
+// Uses MBID directly if known; otherwise searches by artist name first.
+async function findSourceUrls(bandName, mbid = null) {
+  let resolvedMbid = mbid;
+
+  if (!resolvedMbid) {
+    try {
+      const searchRes = await axios.get('https://musicbrainz.org/ws/2/artist/', {
+        params: { query: `artist:"${bandName}"`, limit: 1, fmt: 'json' },
+        headers: MB_HEADERS,
+        timeout: 10000,
+      });
+      resolvedMbid = searchRes.data?.artists?.[0]?.id ?? null;
+      if (resolvedMbid) {
+        console.log(`[findSourceUrls] MusicBrainz resolved "${bandName}" → ${resolvedMbid}`);
+      } else {
+        console.log(`[findSourceUrls] MusicBrainz found no artist for "${bandName}"`);
+        return [null, null];
+      }
+    } catch (e) {
+      console.error(`[findSourceUrls] MusicBrainz search failed for "${bandName}":`, e.message);
+      return [null, null];
+    }
+    await sleep(1100); // MusicBrainz rate limit: 1 req/sec
+  }
+
+  try {
+    const relRes = await axios.get(`https://musicbrainz.org/ws/2/artist/${resolvedMbid}`, {
+      params: { inc: 'url-rels', fmt: 'json' },
+      headers: MB_HEADERS,
+      timeout: 10000,
+    });
+    const relations = relRes.data?.relations ?? [];
+    let songkickUrl = null;
+    let bandsintownUrl = null;
+    for (const rel of relations) {
+      const url = rel.url?.resource;
+      if (!url) continue;
+      if (!songkickUrl && url.includes('songkick.com')) songkickUrl = url.split('?')[0].replace(/\/$/, '');
+      if (!bandsintownUrl && url.includes('bandsintown.com')) bandsintownUrl = url.split('?')[0].replace(/\/$/, '');
+    }
+    console.log(`[findSourceUrls] ${bandName} → songkick: ${songkickUrl}, bandsintown: ${bandsintownUrl}`);
+    return [songkickUrl, bandsintownUrl];
+  } catch (e) {
+    console.error(`[findSourceUrls] MusicBrainz URL relations failed for "${bandName}" (${resolvedMbid}):`, e.message);
+    return [null, null];
+  }
+}
+
+module.exports = { findSourceUrls };
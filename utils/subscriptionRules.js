@@ -0,0 +1,157 @@
+const { haversineKm } = require("./concertDedup");
+
+// Which new concerts a user's NotificationSubscription rules ask to hear
+// about, for the digest in utils/concertNotifyDigest.js. Pure: the digest
+// loads the rows and hands them in.
+//
+// A rule is a set of conditions that must all hold. Some say what to watch —
+// a band, a city, a country, anywhere within radius_km of a home city, any
+// band on the user's wishlists at min_tier or above, or festivals — and a rule
+// needs at least one of those. The rest only narrow it: a concert date window
+// and a price ceiling.
+//
+// A mute rule (mute: true) takes the same conditions and drops the concerts
+// it matches. Muting a band drops its shows that came in through a broad rule
+// — a city, a radius — but not a show with another band on the bill that a
+// rule names: you still hear that your favourite is opening for it. Muting
+// anything else drops the concert outright.
+
+const TIER_RANK = { FOLLOW: 1, LIKE: 2, LOVE: 3 };
+const MAX_RADIUS_KM = 2000;
+
+/**
+ * Check and tidy a rule from a request body. Returns { data } or { error }.
+ * Whether band_id, city_id and home_city_id exist is the route's to check.
+ */
+function normaliseSubscriptionInput(body = {}) {
+  const data = {};
+  const intOrNull = (value) => (value == null || value === "" ? null : Number(value));
+
+  for (const field of ["band_id", "city_id", "home_city_id"]) {
+    const value = intOrNull(body[field]);
+    if (value !== null && !Number.isInteger(value)) return { error: `${field} must be an integer` };
+    data[field] = value;
+  }
+
+  const country = typeof body.country === "string" ? body.country.trim() : "";
+  if (country.length > 100) return { error: "country must be at most 100 characters" };
+  data.country = country || null;
+
+  const radius = intOrNull(body.radius_km);
+  if (radius !== null && !(Number.isInteger(radius) && radius > 0 && radius <= MAX_RADIUS_KM)) {
+    return { error: `radius_km must be a whole number from 1 to ${MAX_RADIUS_KM}` };
+  }
+  if ((radius === null) !== (data.home_city_id === null)) {
+    return { error: "home_city_id and radius_km go together" };
+  }
+  data.radius_km = radius;
+
+  if (body.min_tier != null && !Object.hasOwn(TIER_RANK, body.min_tier)) return { error: "min_tier must be LOVE, LIKE or FOLLOW" };
+  data.min_tier = body.min_tier ?? null;
+
+  data.festival_only = Boolean(body.festival_only);
+  data.mute = Boolean(body.mute);
+
+  for (const field of ["date_from", "date_to"]) {
+    if (body[field] == null || body[field] === "") {
+      data[field] = null;
+      continue;
+    }
+    const date = new Date(body[field]);
+    if (typeof body[field] !== "string" || Number.isNaN(date.getTime())) return { error: `${field} must be a date` };
+    data[field] = date;
+  }
+  if (data.date_from && data.date_to && data.date_from > data.date_to) {
+    return { error: "date_from must not be after date_to" };
+  }
+
+  const maxPrice = body.max_price == null || body.max_price === "" ? null : Number(body.max_price);
+  if (maxPrice !== null && !(Number.isFinite(maxPrice) && maxPrice >= 0)) return { error: "max_price must be a number, 0 or more" };
+  data.max_price = maxPrice;
+  const currency = typeof body.price_currency === "string" ? body.price_currency.trim().toUpperCase() : "";
+  if (currency && !/^[A-Z]{3}$/.test(currency)) return { error: "price_currency must be a three-letter code" };
+  data.price_currency = currency || null;
+
+  const watches = data.band_id !== null || data.city_id !== null || data.country !== null ||
+    data.home_city_id !== null || data.min_tier !== null || data.festival_only;
+  if (!watches) {
+    return { error: "Say what to watch: a band, a city, a country, a radius, a tier, or festivals" };
+  }
+  return { data };
+}
+
+const dayOf = (value) => new Date(value).toISOString().slice(0, 10);
+
+/**
+ * Whether one rule's conditions all hold for a concert.
+ *
+ * `concert`: { band_ids, city_id, country, festival, concert_date, price_min,
+ * price_currency, city_latitude, city_longitude }. `rule.home` is the home
+ * city's { latitude, longitude }. `tierOf` maps band id to the best tier the
+ * band has on any of the user's wishlists.
+ */
+function ruleMatches(rule, concert, { tierOf = new Map() } = {}) {
+  const watches = rule.band_id != null || rule.city_id != null || rule.country != null ||
+    rule.home_city_id != null || rule.min_tier != null || rule.festival_only;
+  if (!watches) return false;
+
+  const bandIds = concert.band_ids ?? [];
+  if (rule.band_id != null && !bandIds.includes(rule.band_id)) return false;
+  if (rule.city_id != null && concert.city_id !== rule.city_id) return false;
+  if (rule.country != null && rule.country.toLowerCase() !== (concert.country ?? "").toLowerCase()) return false;
+
+  if (rule.home_city_id != null) {
+    const from = rule.home;
+    if (from?.latitude == null || from?.longitude == null) return false;
+    if (concert.city_latitude == null || concert.city_longitude == null) return false;
+    const km = haversineKm(from.latitude, from.longitude, concert.city_latitude, concert.city_longitude);
+    if (km > rule.radius_km) return false;
+  }
+
+  if (rule.min_tier != null) {
+    const need = TIER_RANK[rule.min_tier];
+    if (!bandIds.some((id) => (TIER_RANK[tierOf.get(id)] ?? 0) >= need)) return false;
+  }
+
+  if (rule.festival_only && concert.festival !== true) return false;
+
+  if (rule.date_from != null || rule.date_to != null) {
+    if (!concert.concert_date) return false;
+    const day = dayOf(concert.concert_date);
+    if (rule.date_from != null && day < dayOf(rule.date_from)) return false;
+    if (rule.date_to != null && day > dayOf(rule.date_to)) return false;
+  }
+
+  // A price that is not known, or is in another currency, cannot be over the
+  // ceiling as far as anyone can tell; the concert is let through.
+  if (rule.max_price != null && concert.price_min != null) {
+    const comparable = rule.price_currency == null || rule.price_currency === concert.price_currency;
+    if (comparable && concert.price_min > rule.max_price) return false;
+  }
+
+  return true;
+}
+
+/** Whether a user's rules, mutes included, want a concert. */
+function concertWanted(rules, concert, context) {
+  const watching = rules.filter((rule) => !rule.mute && ruleMatches(rule, concert, context));
+  if (watching.length === 0) return false;
+
+  const muting = rules.filter((rule) => rule.mute && ruleMatches(rule, concert, context));
+  if (muting.length === 0) return true;
+  if (muting.some((rule) => rule.band_id == null)) return false;
+
+  const muted = new Set(muting.map((rule) => rule.band_id));
+  return watching.some((rule) => rule.band_id != null && !muted.has(rule.band_id));
+}
+
+// The best tier each band has across a user's wishlist entries.
+function bestTiers(refs) {
+  const tierOf = new Map();
+  for (const { band_id, tier } of refs) {
+    if ((TIER_RANK[tier] ?? 0) > (TIER_RANK[tierOf.get(band_id)] ?? 0)) tierOf.set(band_id, tier);
+  }
+  return tierOf;
+}
+
+module.exports = { TIER_RANK, normaliseSubscriptionInput, ruleMatches, concertWanted, bestTiers };
@@ -0,0 +1,125 @@
+import { describe, it, expect } from 'vitest';
+import { normaliseSubscriptionInput, ruleMatches, concertWanted, bestTiers } from './subscriptionRules.js';
+
+// Stockholm, with Uppsala about 65 km north and Gothenburg about 400 km west
+const STOCKHOLM = { latitude: 59.3293, longitude: 18.0686 };
+const concert = (over = {}) => ({
+  band_ids: [1, 2],
+  city_id: 10,
+  country: 'Sweden',
+  festival: false,
+  concert_date: new Date('2026-12-05T19:00:00Z'),
+  price_min: 450,
+  price_currency: 'SEK',
+  city_latitude: 59.8586,
+  city_longitude: 17.6389,
+  ...over,
+});
+const rule = (over = {}) => ({
+  band_id: null, city_id: null, country: null, home_city_id: null, radius_km: null, min_tier: null,
+  festival_only: false, date_from: null, date_to: null, max_price: null, price_currency: null, mute: false,
+  ...over,
+});
+
+describe('ruleMatches', () => {
+  it('matches the band, city and band-in-city rules there always were', () => {
+    expect(ruleMatches(rule({ band_id: 2 }), concert())).toBe(true);
+    expect(ruleMatches(rule({ city_id: 10 }), concert())).toBe(true);
+    expect(ruleMatches(rule({ band_id: 2, city_id: 11 }), concert())).toBe(false);
+  });
+
+  it('matches a country whatever its case', () => {
+    expect(ruleMatches(rule({ country: 'sweden' }), concert())).toBe(true);
+    expect(ruleMatches(rule({ country: 'Norway' }), concert())).toBe(false);
+  });
+
+  it('measures a radius from the home city', () => {
+    const near = rule({ home_city_id: 5, radius_km: 100, home: STOCKHOLM });
+    expect(ruleMatches(near, concert())).toBe(true);
+    expect(ruleMatches(near, concert({ city_latitude: 57.7089, city_longitude: 11.9746 }))).toBe(false);
+    expect(ruleMatches(near, concert({ city_latitude: null }))).toBe(false);
+  });
+
+  it('takes a band at the tier asked for or better', () => {
+    const tierOf = new Map([[2, 'LIKE']]);
+    expect(ruleMatches(rule({ min_tier: 'LIKE' }), concert(), { tierOf })).toBe(true);
+    expect(ruleMatches(rule({ min_tier: 'FOLLOW' }), concert(), { tierOf })).toBe(true);
+    expect(ruleMatches(rule({ min_tier: 'LOVE' }), concert(), { tierOf })).toBe(false);
+  });
+
+  it('narrows by festival, date window and price', () => {
+    expect(ruleMatches(rule({ country: 'Sweden', festival_only: true }), concert())).toBe(false);
+    expect(ruleMatches(rule({ festival_only: true }), concert({ festival: true }))).toBe(true);
+    expect(ruleMatches(rule({ country: 'Sweden', date_from: new Date('2026-12-05') }), concert())).toBe(true);
+    expect(ruleMatches(rule({ country: 'Sweden', date_to: new Date('2026-12-04') }), concert())).toBe(false);
+    expect(ruleMatches(rule({ country: 'Sweden', date_to: new Date('2026-12-31') }), concert({ concert_date: null }))).toBe(false);
+    expect(ruleMatches(rule({ country: 'Sweden', max_price: 400 }), concert())).toBe(false);
+  });
+
+  it('lets through a price it cannot compare', () => {
+    expect(ruleMatches(rule({ country: 'Sweden', max_price: 40, price_currency: 'EUR' }), concert())).toBe(true);
+    expect(ruleMatches(rule({ country: 'Sweden', max_price: 40 }), concert({ price_min: null }))).toBe(true);
+  });
+
+  it('matches nothing with nothing to watch', () => {
+    expect(ruleMatches(rule({ max_price: 1000 }), concert())).toBe(false);
+  });
+});
+
+describe('concertWanted', () => {
+  it('drops a muted band that came in through a broad rule', () => {
+    const rules = [rule({ city_id: 10 }), rule({ band_id: 1, mute: true })];
+    expect(concertWanted(rules, concert())).toBe(false);
+  });
+
+  it('keeps the show when a rule names another band on the bill', () => {
+    const rules = [rule({ city_id: 10 }), rule({ band_id: 2 }), rule({ band_id: 1, mute: true })];
+    expect(concertWanted(rules, concert())).toBe(true);
+  });
+
+  it('drops the concert outright for a mute that is not a band', () => {
+    const rules = [rule({ band_id: 2 }), rule({ city_id: 10, mute: true })];
+    expect(concertWanted(rules, concert())).toBe(false);
+  });
+
+  it('wants nothing without a watching rule', () => {
+    expect(concertWanted([rule({ band_id: 3, mute: true })], concert())).toBe(false);
+  });
+});
+
+describe('normaliseSubscriptionInput', () => {
+  it('fills in every field for a simple band rule', () => {
+    expect(normaliseSubscriptionInput({ band_id: '7' })).toEqual({ data: rule({ band_id: 7 }) });
+  });
+
+  it('tidies a country, a currency and the dates', () => {
+    const { data } = normaliseSubscriptionInput({
+      country: ' Sweden ', max_price: '500', price_currency: 'sek', date_from: '2026-11-01', date_to: '2026-12-31',
+    });
+    expect(data).toMatchObject({ country: 'Sweden', max_price: 500, price_currency: 'SEK' });
+    expect(data.date_from).toEqual(new Date('2026-11-01'));
+  });
+
+  it('rejects a rule with nothing to watch', () => {
+    expect(normaliseSubscriptionInput({ max_price: 100 }).error).toMatch(/what to watch/);
+  });
+
+  it('wants a radius and a home city together', () => {
+    expect(normaliseSubscriptionInput({ radius_km: 50 }).error).toMatch(/go together/);
+    expect(normaliseSubscriptionInput({ home_city_id: 5, radius_km: 0 }).error).toMatch(/radius_km/);
+  });
+
+  it('rejects a bad tier, a backwards window and a bad price', () => {
+    expect(normaliseSubscriptionInput({ min_tier: 'ADORE' }).error).toMatch(/min_tier/);
+    expect(normaliseSubscriptionInput({ min_tier: 'constructor' }).error).toMatch(/min_tier/);
+    expect(normaliseSubscriptionInput({ country: 'Sweden', date_from: '2026-12-01', date_to: '2026-11-01' }).error).toMatch(/date_from/);
+    expect(normaliseSubscriptionInput({ country: 'Sweden', max_price: -1 }).error).toMatch(/max_price/);
+  });
+});
+
+describe('bestTiers', () => {
+  it('keeps the best tier across wishlists', () => {
+    const tiers = bestTiers([{ band_id: 1, tier: 'FOLLOW' }, { band_id: 1, tier: 'LOVE' }, { band_id: 2, tier: 'LIKE' }]);
+    expect(tiers).toEqual(new Map([[1, 'LOVE'], [2, 'LIKE']]));
+  });
+});
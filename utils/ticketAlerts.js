@@ -0,0 +1,237 @@
+const prisma = require("../prisma/client");
+const { buildTicketAlertsHtml } = require("./mail");
+const { dispatch } = require("./notifications/dispatch");
+const { logActivity } = require("./activityLog");
+
+// Ticket alerts for wishlist concerts: tickets going on sale, the cheapest
+// price dropping, and a reminder the day before a sale opens. Each one is an
+// ActivityLog row on every wishlist with a band at the concert, and a
+// notification to the owner straight away: LOVE_TICKET_ALERT when a band on
+// one of their lists is LOVE tier, otherwise TICKET_ALERT. Email channels
+// take only the LOVE kind by default — the rest is in the next digest, which
+// reads it from the inbox, but a presale for a LOVE band can sell out before
+// the digest goes.
+const TICKET_ALERT_TYPES = ["ON_SALE", "PRICE_DROP", "SALE_SOON"];
+
+// How far ahead a SALE_SOON reminder looks.
+const SALE_SOON_WINDOW_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * The alerts a write to an existing concert raises, from the row as it was and
+ * the data written. Fields the write does not mention are unchanged. A price
+ * only counts as dropped against a known earlier price in the same currency.
+ */
+function ticketAlertsFor(before, update) {
+  const alerts = [];
+  if (update.on_sale === true && !before.on_sale) {
+    alerts.push({ type: "ON_SALE" });
+  }
+  const currency = update.price_currency ?? before.price_currency ?? null;
+  if (
+    update.price_min != null &&
+    before.price_min != null &&
+    update.price_min < before.price_min &&
+    currency === (before.price_currency ?? null)
+  ) {
+    alerts.push({ type: "PRICE_DROP", price_from: before.price_min, price_to: update.price_min, currency });
+  }
+  return alerts;
+}
+
+// Whether a concert's ticket sale opens within the reminder window and the
+// reminder has not gone out for that sale date yet. A moved sale date gets
+// its own reminder.
+function dueForSaleReminder(concert, now = new Date()) {
+  if (concert.on_sale || concert.sold_out || !concert.ticket_sale_start) return false;
+  const start = new Date(concert.ticket_sale_start).getTime();
+  if (start <= now.getTime() || start > now.getTime() + SALE_SOON_WINDOW_MS) return false;
+  return !concert.sale_reminder_for || new Date(concert.sale_reminder_for).getTime() !== start;
+}
+
+function fmtPrice(amount, currency) {
+  return currency ? `${amount} ${currency}` : String(amount);
+}
+
+// One line saying what happened, for Discord and email.
+function describeTicketAlert(alert) {
+  switch (alert.type) {
+    case "ON_SALE":
+      return "Tickets are on sale now";
+    case "PRICE_DROP":
+      return `Price dropped from ${fmtPrice(alert.price_from, alert.currency)} to ${fmtPrice(alert.price_to, alert.currency)}`;
+    case "SALE_SOON":
+      return `Tickets go on sale ${new Date(alert.ticket_sale_start).toUTCString()}`;
+    default:
+      return alert.type;
+  }
+}
+
+/**
+ * The ticket alerts for a digest, from a user's inbox items of both kinds,
+ * oldest first: one per user, alert type and concert — the latest, should it
+ * have been raised twice — and none where any of them was LOVE_TICKET_ALERT,
+ * which the user's channels had already.
+ */
+function digestTicketAlerts(items) {
+  const groups = new Map();
+  for (const { user_id, type, data } of items) {
+    if (!data) continue;
+    const key = `${user_id}:${data.type}:${data.concert_id}`;
+    const love = type === "LOVE_TICKET_ALERT" || Boolean(data.love) || Boolean(groups.get(key)?.love);
+    groups.set(key, { user_id, data, love });
+  }
+  return [...groups.values()].filter((group) => !group.love).map(({ user_id, data }) => ({ user_id, data }));
+}
+
+function buildAlertEmbed(alert) {
+  const title = `${alert.band_names.join(", ") || alert.concert_name}: ${describeTicketAlert(alert)}`;
+  const date = alert.concert_date
+    ? new Date(alert.concert_date).toLocaleDateString("en-GB", { day: "2-digit", month: "short", year: "numeric" })
+    : "TBA";
+  return {
+    title: title.length > 256 ? title.slice(0, 255) + "…" : title,
+    url: alert.url || undefined,
+    color: alert.love ? 0xed4245 : 0x5865f2,
+    description: `${alert.concert_name || "Concert"} — ${date}, ${[alert.city, alert.country].filter(Boolean).join(", ")}`,
+  };
+}
+
+/**
+ * Log and deliver alerts. Each alert is { type, concertId, ...details };
+ * the concert and its bands are looked up here. Delivery failures are logged
+ * and do not stop the rest.
+ */
+async function deliverTicketAlerts(alerts) {
+  for (const alert of alerts) {
+    try {
+      const concert = await prisma.concert.findUnique({
+        where: { id: alert.concertId },
+        select: {
+          name: true,
+          city: true,
+          country: true,
+          concert_date: true,
+          url: true,
+          bands: {
+            select: {
+              band_rel: {
+                select: {
+                  name: true,
+                  wishlists: {
+                    select: {
+                      tier: true,
+                      wishlist_rel: {
+                        select: {
+                          id: true,
+                          user_id: true,
+                        },
+                      },
+                    },
+                  },
+                },
+              },
+            },
+          },
+        },
+      });
+      if (!concert) continue;
+
+      // wishlist_id -> { wishlist, bandNames, love }
+      const wishlists = new Map();
+      for (const { band_rel: band } of concert.bands) {
+        for (const ref of band.wishlists) {
+          const id = ref.wishlist_rel.id;
+          if (!wishlists.has(id)) wishlists.set(id, { wishlist: ref.wishlist_rel, bandNames: new Set(), love: false });
+          const entry = wishlists.get(id);
+          entry.bandNames.add(band.name);
+          if (ref.tier === "LOVE") entry.love = true;
+        }
+      }
+
+      const { type, concertId, ...details } = alert;
+      const alertData = (bandNames, love) => ({
+        concert_id: concertId,
+        concert_name: concert.name,
+        city: concert.city,
+        country: concert.country,
+        concert_date: concert.concert_date,
+        url: concert.url,
+        band_names: [...bandNames],
+        love,
+        ...details,
+      });
+      // One notification per owner, however many of their lists have a band
+      const owners = new Map(); // user_id -> { wishlistIds, bandNames, love }
+      for (const { wishlist, bandNames, love } of wishlists.values()) {
+        const data = alertData(bandNames, love);
+        await logActivity(wishlist.id, type, data);
+
+        if (!owners.has(wishlist.user_id)) owners.set(wishlist.user_id, { wishlistIds: [], bandNames: new Set(), love: false });
+        const owner = owners.get(wishlist.user_id);
+        owner.wishlistIds.push(wishlist.id);
+        bandNames.forEach((name) => owner.bandNames.add(name));
+        if (love) owner.love = true;
+      }
+
+      for (const [userId, { wishlistIds, bandNames, love }] of owners) {
+        const data = alertData(bandNames, love);
+        const message = describeTicketAlert({ type, ...data });
+        try {
+          await dispatch({
+            userId,
+            event: love ? "LOVE_TICKET_ALERT" : "TICKET_ALERT",
+            wishlistIds,
+            notification: {
+              title: `${data.band_names[0] || data.concert_name}: ${message}`,
+              message,
+              url: concert.url || undefined,
+              embeds: [buildAlertEmbed({ type, ...data })],
+              html: buildTicketAlertsHtml([{ ...data, message }]),
+              data: { type, ...data },
+            },
+          });
+        } catch (e) {
+          console.error(`[TicketAlert] Notifying user ${userId} failed:`, e.message);
+        }
+      }
+    } catch (e) {
+      console.error(`[TicketAlert] Failed to deliver ${alert.type} for concert ${alert.concertId}:`, e.message);
+    }
+  }
+}
+
+/**
+ * Raise SALE_SOON for every concert whose ticket sale opens in the next 24
+ * hours. Run hourly from utils/cron.js; sale_reminder_for keeps a sale from
+ * being announced twice.
+ */
+async function runSaleReminders(now = new Date()) {
+  const candidates = await prisma.concert.findMany({
+    where: {
+      on_sale: false,
+      ticket_sale_start: { gt: now, lte: new Date(now.getTime() + SALE_SOON_WINDOW_MS) },
+    },
+    select: { id: true, on_sale: true, sold_out: true, ticket_sale_start: true, sale_reminder_for: true },
+  });
+  const due = candidates.filter((concert) => dueForSaleReminder(concert, now));
+
+  for (const concert of due) {
+    await prisma.concert.update({ where: { id: concert.id }, data: { sale_reminder_for: concert.ticket_sale_start } });
+  }
+  await deliverTicketAlerts(due.map((concert) => ({
+    type: "SALE_SOON",
+    concertId: concert.id,
+    ticket_sale_start: concert.ticket_sale_start,
+  })));
+  return { reminded: due.length };
+}
+
+module.exports = {
+  TICKET_ALERT_TYPES,
+  ticketAlertsFor,
+  dueForSaleReminder,
+  describeTicketAlert,
+  digestTicketAlerts,
+  deliverTicketAlerts,
+  runSaleReminders,
+};
@@ -0,0 +1,146 @@
+import { describe, it, expect, vi } from 'vitest';
+import { createRequire } from 'node:module';
+
+// ticketAlerts.js loads the Prisma client, which wants a URL to be
+// constructed. Only the pure parts are tested here; nothing connects.
+vi.hoisted(() => { process.env.DATABASE_URL ??= 'postgresql://test@localhost:5432/test'; });
+
+const require = createRequire(import.meta.url);
+const { ticketAlertsFor, dueForSaleReminder, describeTicketAlert, digestTicketAlerts } = require('./ticketAlerts');
+const { checkDuplicateConcert } = require('./concertDedup');
+
+describe('ticketAlertsFor', () => {
+  const before = { on_sale: false, price_min: 45, price_currency: 'EUR' };
+
+  it('raises ON_SALE when tickets go on sale', () => {
+    expect(ticketAlertsFor(before, { on_sale: true })).toEqual([{ type: 'ON_SALE' }]);
+  });
+
+  it('says nothing when tickets were already on sale', () => {
+    expect(ticketAlertsFor({ ...before, on_sale: true }, { on_sale: true })).toEqual([]);
+  });
+
+  it('raises PRICE_DROP when the cheapest ticket gets cheaper', () => {
+    expect(ticketAlertsFor(before, { price_min: 35 })).toEqual([
+      { type: 'PRICE_DROP', price_from: 45, price_to: 35, currency: 'EUR' },
+    ]);
+  });
+
+  it('ignores price rises and unchanged prices', () => {
+    expect(ticketAlertsFor(before, { price_min: 50 })).toEqual([]);
+    expect(ticketAlertsFor(before, { price_min: 45 })).toEqual([]);
+  });
+
+  it('does not compare prices across currencies', () => {
+    expect(ticketAlertsFor(before, { price_min: 30, price_currency: 'GBP' })).toEqual([]);
+  });
+
+  it('needs an earlier price to call it a drop', () => {
+    expect(ticketAlertsFor({ ...before, price_min: null }, { price_min: 30 })).toEqual([]);
+  });
+
+  it('raises both when a sale opens cheaper than announced', () => {
+    expect(ticketAlertsFor(before, { on_sale: true, price_min: 40 }).map((a) => a.type)).toEqual(['ON_SALE', 'PRICE_DROP']);
+  });
+});
+
+describe('ticketAlertsFor on a fuzzy merge', () => {
+  const existing = {
+    id: 1, venue: 'Annexet', city: 'Stockholm', latitude: '59.2906', longitude: '18.0838',
+    concert_date: new Date('2026-05-02T19:00:00Z'), name: null, source: 'songkick', festival: false,
+    on_sale: false, price_min: null, price_currency: null, bands: [{ band: 7 }],
+  };
+  const tx = {
+    concert: { findMany: async () => [existing], update: async () => ({}) },
+    concertBandReference: { findMany: async () => [], createMany: async () => ({}) },
+  };
+  const incoming = {
+    venue: 'Annexet', city: 'Stockholm', latitude: '59.2906', longitude: '18.0838',
+    concert_date: '2026-05-02T20:00:00Z', source: 'bandsintown', festival: false,
+  };
+
+  it('raises ON_SALE when the merge puts the concert on sale', async () => {
+    const { existingConcert, mergeUpdate } = await checkDuplicateConcert({ concert: { ...incoming, on_sale: true }, bandIds: [7, 8], tx });
+    expect(ticketAlertsFor(existingConcert, mergeUpdate)).toEqual([{ type: 'ON_SALE' }]);
+  });
+
+  it('says nothing when the merge leaves the sale as it was', async () => {
+    const { existingConcert, mergeUpdate } = await checkDuplicateConcert({ concert: incoming, bandIds: [7, 8], tx });
+    expect(ticketAlertsFor(existingConcert, mergeUpdate)).toEqual([]);
+  });
+});
+
+describe('dueForSaleReminder', () => {
+  const now = new Date('2026-10-19T12:00:00Z');
+  const concert = { on_sale: false, sold_out: false, ticket_sale_start: new Date('2026-10-20T10:00:00Z'), sale_reminder_for: null };
+
+  it('is due when the sale opens within 24 hours', () => {
+    expect(dueForSaleReminder(concert, now)).toBe(true);
+  });
+
+  it('is not due for a sale further out, or one already open', () => {
+    expect(dueForSaleReminder({ ...concert, ticket_sale_start: new Date('2026-10-21T10:00:00Z') }, now)).toBe(false);
+    expect(dueForSaleReminder({ ...concert, ticket_sale_start: new Date('2026-10-19T11:00:00Z') }, now)).toBe(false);
+    expect(dueForSaleReminder({ ...concert, on_sale: true }, now)).toBe(false);
+    expect(dueForSaleReminder({ ...concert, sold_out: true }, now)).toBe(false);
+  });
+
+  it('reminds once per sale date', () => {
+    expect(dueForSaleReminder({ ...concert, sale_reminder_for: concert.ticket_sale_start }, now)).toBe(false);
+    expect(dueForSaleReminder({ ...concert, sale_reminder_for: new Date('2026-10-18T10:00:00Z') }, now)).toBe(true);
+  });
+});
+
+describe('describeTicketAlert', () => {
+  it('writes one line per alert type', () => {
+    expect(describeTicketAlert({ type: 'ON_SALE' })).toBe('Tickets are on sale now');
+    expect(describeTicketAlert({ type: 'PRICE_DROP', price_from: 45, price_to: 35, currency: 'EUR' }))
+      .toBe('Price dropped from 45 EUR to 35 EUR');
+    expect(describeTicketAlert({ type: 'SALE_SOON', ticket_sale_start: '2026-10-20T10:00:00Z' }))
+      .toBe('Tickets go on sale Tue, 20 Oct 2026 10:00:00 GMT');
+  });
+});
+
+describe('digestTicketAlerts', () => {
+  const alert = (user_id, type, data) => ({ user_id, type, data: { type: 'ON_SALE', concert_id: 3, love: false, ...data } });
+
+  it('keeps one alert per user, type and concert', () => {
+    const alerts = digestTicketAlerts([
+      alert('u1', 'TICKET_ALERT', { band_names: ['Gojira'] }),
+      alert('u1', 'TICKET_ALERT', { band_names: ['Gojira'] }),
+      alert('u2', 'TICKET_ALERT', {}),
+      alert('u1', 'TICKET_ALERT', { concert_id: 4 }),
+      alert('u1', 'TICKET_ALERT', { type: 'SALE_SOON' }),
+    ]);
+    expect(alerts.map((a) => [a.user_id, a.data.type, a.data.concert_id])).toEqual([
+      ['u1', 'ON_SALE', 3],
+      ['u2', 'ON_SALE', 3],
+      ['u1', 'ON_SALE', 4],
+      ['u1', 'SALE_SOON', 3],
+    ]);
+  });
+
+  it('takes the latest of two price drops', () => {
+    const alerts = digestTicketAlerts([
+      alert('u1', 'TICKET_ALERT', { type: 'PRICE_DROP', price_to: 40 }),
+      alert('u1', 'TICKET_ALERT', { type: 'PRICE_DROP', price_to: 35 }),
+    ]);
+    expect(alerts).toHaveLength(1);
+    expect(alerts[0].data.price_to).toBe(35);
+  });
+
+  it('leaves out what a LOVE alert already said, whichever came first', () => {
+    expect(digestTicketAlerts([
+      alert('u1', 'LOVE_TICKET_ALERT', { love: true }),
+      alert('u1', 'TICKET_ALERT', {}),
+    ])).toEqual([]);
+    expect(digestTicketAlerts([
+      alert('u1', 'TICKET_ALERT', {}),
+      alert('u1', 'TICKET_ALERT', { love: true }),
+    ])).toEqual([]);
+  });
+
+  it('skips items without data', () => {
+    expect(digestTicketAlerts([{ user_id: 'u1', type: 'TICKET_ALERT', data: null }])).toEqual([]);
+  });
+});
@@ -0,0 +1,59 @@
+/**
+ * Turn a concert into a trip place, so the planner fits the rest of the day
+ * around the gig.
+ *
+ * The concert side stores a start time in `concert_date`; the travel side wants
+ * a pinned day and a window to turn up in, as minutes since midnight. Concert
+ * has no time zone for its venue, and the sources send the local start time,
+ * so the time of day is read off the UTC clock as stored — the venue's wall
+ * clock, the same local minutes the planner works in.
+ */
+
+// How long a gig is assumed to take, doors to encore. The planner's default
+// for a place is museum-sized and would schedule dinner over the headliner.
+const CONCERT_DURATION_MIN = 180;
+// How early to be there before the start: queueing, the bar, a good spot.
+const EARLY_ARRIVAL_MIN = 60;
+// Above every ordinary place, so a crowded day drops a museum before the gig.
+const CONCERT_PRIORITY = 5;
+
+// A concert_date at exactly midnight is a day with no known time.
+function showMinutes(concertDate) {
+  const d = new Date(concertDate);
+  const minutes = d.getUTCHours() * 60 + d.getUTCMinutes();
+  return minutes === 0 ? null : minutes;
+}
+
+/**
+ * The TripPlace columns for a concert. `bandNames` go into the note and, for
+ * a concert with no name of its own, the name.
+ *
+ * `ignore_hours` is set because a venue's listed opening hours are its box
+ * office's; the show is what counts, and that is the arrive window. With no
+ * known start time the place is only pinned to the day.
+ */
+function concertToPlace(concert, bandNames = []) {
+  const lat = parseFloat(concert.latitude);
+  const lon = parseFloat(concert.longitude);
+  const start = concert.concert_date ? showMinutes(concert.concert_date) : null;
+  const name = concert.name || [bandNames.join(", ") || "Concert", concert.venue].filter(Boolean).join(" @ ");
+
+  return {
+    name: name.slice(0, 200),
+    kind: "SIGHT",
+    lat: Number.isNaN(lat) ? null : lat,
+    lon: Number.isNaN(lon) ? null : lon,
+    address: [concert.venue, concert.city, concert.country].filter(Boolean).join(", ").slice(0, 500) || null,
+    url: concert.url ? concert.url.slice(0, 1000) : null,
+    duration: CONCERT_DURATION_MIN,
+    priority: CONCERT_PRIORITY,
+    pinned_day: concert.concert_date ? new Date(`${new Date(concert.concert_date).toISOString().slice(0, 10)}T00:00:00Z`) : null,
+    arrive_after: start == null ? null : Math.max(0, start - EARLY_ARRIVAL_MIN),
+    arrive_by: start,
+    ignore_hours: true,
+    note: bandNames.length ? `Playing: ${bandNames.join(", ")}` : null,
+    concert_id: concert.id,
+  };
+}
+
+module.exports = { concertToPlace, CONCERT_DURATION_MIN };
@@ -0,0 +1,47 @@
+import { describe, it, expect } from "vitest";
+import { concertToPlace, CONCERT_DURATION_MIN } from "./concertPlace.js";
+
+const concert = (over = {}) => ({
+  id: 41,
+  name: null,
+  venue: "Bataclan",
+  city: "Paris",
+  country: "France",
+  concert_date: new Date("2026-09-16T20:00:00Z"),
+  latitude: "48.8631",
+  longitude: "2.3708",
+  url: "https://tickets.test/41",
+  ...over,
+});
+
+describe("turning a concert into a trip place", () => {
+  it("pins it to the day and opens the arrival window an hour before the show", () => {
+    const place = concertToPlace(concert(), ["Gojira"]);
+    expect(place.pinned_day).toEqual(new Date("2026-09-16T00:00:00Z"));
+    expect(place).toMatchObject({ arrive_after: 19 * 60, arrive_by: 20 * 60, ignore_hours: true });
+  });
+
+  it("takes the evening, not a museum visit", () => {
+    expect(concertToPlace(concert()).duration).toBe(CONCERT_DURATION_MIN);
+  });
+
+  it("names it after the bands when the concert has no name", () => {
+    expect(concertToPlace(concert(), ["Gojira", "Mastodon"]).name).toBe("Gojira, Mastodon @ Bataclan");
+    expect(concertToPlace(concert({ name: "Fortitude Tour" }), ["Gojira"]).name).toBe("Fortitude Tour");
+  });
+
+  it("carries the venue's coordinates over as numbers", () => {
+    expect(concertToPlace(concert())).toMatchObject({ lat: 48.8631, lon: 2.3708 });
+    expect(concertToPlace(concert({ latitude: null, longitude: null }))).toMatchObject({ lat: null, lon: null });
+  });
+
+  it("only pins the day when the start time is unknown", () => {
+    const place = concertToPlace(concert({ concert_date: new Date("2026-09-16T00:00:00Z") }));
+    expect(place.pinned_day).toEqual(new Date("2026-09-16T00:00:00Z"));
+    expect(place).toMatchObject({ arrive_after: null, arrive_by: null });
+  });
+
+  it("remembers which concert it came from", () => {
+    expect(concertToPlace(concert()).concert_id).toBe(41);
+  });
+});
@@ -0,0 +1,42 @@
+const prisma = require("../../prisma/client");
+const { dispatch } = require("../notifications/dispatch");
+const { dateOnly } = require("./planRequest");
+
+// A REVIEW_PROMPT once a trip is over and has no review yet: how was the
+// culture, the food, what gear was missing. Run daily from utils/cron.js; the
+// inbox's dedupe key keeps it to one prompt per trip, and a trip that ended
+// more than PROMPT_WINDOW_DAYS ago — before this existed, say — is left alone.
+
+const PROMPT_WINDOW_DAYS = 7;
+
+async function runReviewPrompts(now = new Date()) {
+  const today = new Date(`${dateOnly(now)}T00:00:00Z`);
+  const trips = await prisma.trip.findMany({
+    where: {
+      end_date: { lt: today, gte: new Date(today.getTime() - PROMPT_WINDOW_DAYS * 24 * 60 * 60 * 1000) },
+      trip_review: { is: null },
+    },
+    select: { id: true, name: true, user_id: true, destination: true },
+  });
+
+  for (const trip of trips) {
+    try {
+      await dispatch({
+        userId: trip.user_id,
+        event: "REVIEW_PROMPT",
+        dedupeKey: `review:${trip.id}`,
+        notification: {
+          title: `How was ${trip.name}?`,
+          message: `Rate the culture, the food and the fun${trip.destination ? ` in ${trip.destination}` : ""}, and note any gear you were missing.`,
+          data: { trip_id: trip.id },
+        },
+      });
+    } catch (err) {
+      console.error(`[review-prompts] Trip ${trip.id} failed:`, err.message);
+    }
+  }
+  // Trips prompted before are among these; dispatch() skips them
+  return { checked: trips.length };
+}
+
+module.exports = { runReviewPrompts };
@@ -0,0 +1,54 @@
+const prisma = require("../../prisma/client");
+const { dispatch } = require("../notifications/dispatch");
+
+// TODO_REMINDER for trip to-dos whose remind_at has passed. Run every few
+// minutes from utils/cron.js; reminded_at keeps a to-do from being sent
+// twice, and the todo routes clear it when remind_at moves. A to-do ticked off
+// before its time is not reminded at all.
+
+// Reminders older than this when the cron first sees them — the server was
+// down, say — are marked done without sending: a reminder a week late is noise.
+const STALE_AFTER_MS = 24 * 60 * 60 * 1000;
+
+async function runTodoReminders(now = new Date()) {
+  const due = await prisma.tripTodo.findMany({
+    where: { done: false, reminded_at: null, remind_at: { lte: now } },
+    orderBy: { remind_at: "asc" },
+    take: 200,
+    select: {
+      id: true,
+      text: true,
+      remind_at: true,
+      trip_rel: { select: { id: true, name: true, user_id: true } },
+    },
+  });
+
+  let reminded = 0;
+  for (const todo of due) {
+    // Claim it first, so a slow send is not picked up again by the next run
+    const claimed = await prisma.tripTodo.updateMany({
+      where: { id: todo.id, reminded_at: null },
+      data: { reminded_at: now },
+    });
+    if (claimed.count === 0) continue;
+    if (now.getTime() - new Date(todo.remind_at).getTime() > STALE_AFTER_MS) continue;
+
+    try {
+      await dispatch({
+        userId: todo.trip_rel.user_id,
+        event: "TODO_REMINDER",
+        notification: {
+          title: `Reminder for ${todo.trip_rel.name}`,
+          message: todo.text,
+          data: { trip_id: todo.trip_rel.id, todo_id: todo.id },
+        },
+      });
+      reminded += 1;
+    } catch (err) {
+      console.error(`[todo-reminders] Todo ${todo.id} failed:`, err.message);
+    }
+  }
+  return { reminded };
+}
+
+module.exports = { runTodoReminders };
@@ -0,0 +1,54 @@
+/**
+ * Whether a new forecast for a trip is worth telling its owner about.
+ *
+ * The Python cron refreshes every upcoming trip's forecast daily, and most
+ * refreshes move a degree here and a millimetre there. Only two things are
+ * news: a day that was dry turning wet (the same rule the day planner uses,
+ * see wetDates), and a day's high moving by TEMP_SHIFT_C or more — the
+ * difference between packing a jumper and not. A trip's first forecast is
+ * not a change, and neither is a day only one of the forecasts covers.
+ */
+const { dateOnly, wetDates } = require("./planRequest");
+
+const TEMP_SHIFT_C = 5;
+
+/**
+ * @returns {{ newly_wet: string[], temp_shifts: { date: string, from: number, to: number }[] }}
+ *   dates as YYYY-MM-DD, in date order
+ */
+function weatherChange(before, after) {
+  const change = { newly_wet: [], temp_shifts: [] };
+  const beforeDays = new Map((before?.days ?? []).map((d) => [dateOnly(d?.date), d]).filter(([date]) => date));
+  if (beforeDays.size === 0 || !Array.isArray(after?.days)) return change;
+
+  const wasWet = wetDates(before);
+  const isWet = wetDates(after);
+  const days = after.days
+    .map((d) => [dateOnly(d?.date), d])
+    .filter(([date]) => date && beforeDays.has(date))
+    .sort(([a], [b]) => a.localeCompare(b));
+
+  for (const [date, day] of days) {
+    if (isWet.has(date) && !wasWet.has(date)) change.newly_wet.push(date);
+    const from = beforeDays.get(date).temp_max_avg;
+    const to = day.temp_max_avg;
+    if (from != null && to != null && Math.abs(to - from) >= TEMP_SHIFT_C) {
+      change.temp_shifts.push({ date, from, to });
+    }
+  }
+  return change;
+}
+
+const hasChanged = (change) => change.newly_wet.length > 0 || change.temp_shifts.length > 0;
+
+// One line per change, for the notification.
+function describeWeatherChange(change) {
+  const lines = [];
+  if (change.newly_wet.length > 0) lines.push(`Rain now forecast on ${change.newly_wet.join(", ")}`);
+  for (const { date, from, to } of change.temp_shifts) {
+    lines.push(`${date}: high of ${Math.round(to)}°C, was ${Math.round(from)}°C`);
+  }
+  return lines;
+}
+
+module.exports = { weatherChange, hasChanged, describeWeatherChange, TEMP_SHIFT_C };
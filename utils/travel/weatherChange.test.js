@@ -0,0 +1,42 @@
+import { describe, it, expect } from 'vitest';
+import { weatherChange, hasChanged, describeWeatherChange } from './weatherChange.js';
+
+const day = (date, over = {}) => ({
+  date, weather_code: 1, temp_min_avg: 10, temp_max_avg: 20, precip_avg: 0, wind_avg: 5, ...over,
+});
+
+describe('weatherChange', () => {
+  it('finds a dry day turned wet and a high that moved five degrees', () => {
+    const before = { days: [day('2026-11-02'), day('2026-11-01')] };
+    const after = { days: [day('2026-11-01', { precip_avg: 4 }), day('2026-11-02', { temp_max_avg: 14 })] };
+    expect(weatherChange(before, after)).toEqual({
+      newly_wet: ['2026-11-01'],
+      temp_shifts: [{ date: '2026-11-02', from: 20, to: 14 }],
+    });
+  });
+
+  it('ignores the usual daily wobble', () => {
+    const before = { days: [day('2026-11-01', { precip_avg: 3 })] };
+    const after = { days: [day('2026-11-01', { precip_avg: 5, temp_max_avg: 24 })] };
+    expect(hasChanged(weatherChange(before, after))).toBe(false);
+  });
+
+  it('does not count a first forecast, or a day only the new one covers', () => {
+    expect(hasChanged(weatherChange(null, { days: [day('2026-11-01', { weather_code: 63 })] }))).toBe(false);
+    const before = { days: [day('2026-11-01')] };
+    const after = { days: [day('2026-11-01'), day('2026-11-02', { weather_code: 95 })] };
+    expect(hasChanged(weatherChange(before, after))).toBe(false);
+  });
+});
+
+describe('describeWeatherChange', () => {
+  it('writes a line per change', () => {
+    expect(describeWeatherChange({
+      newly_wet: ['2026-11-01', '2026-11-03'],
+      temp_shifts: [{ date: '2026-11-02', from: 20, to: 13.6 }],
+    })).toEqual([
+      'Rain now forecast on 2026-11-01, 2026-11-03',
+      '2026-11-02: high of 14°C, was 20°C',
+    ]);
+  });
+});
@@ -0,0 +1,42 @@
+const crypto = require('crypto');
+const prisma = require('../prisma/client');
+
+// Six-digit codes emailed to prove something: who is resetting a password,
+// that a new account's address is its owner's, that a notification channel's
+// address belongs to the user who set it up. They live in EmailVerification.
+//
+// Codes are stored hashed: a reset code is entered by someone who is not
+// signed in, and the others prove who owns an address. The user id goes into
+// the hash so two users holding the same six digits do not collide on the
+// unique index.
+
+// A code gives up after this many wrong guesses. With the email rate limiter
+// in front, that is a handful of tries at a one-in-900,000 code.
+const CODE_MAX_ATTEMPTS = 5;
+
+function newCode() {
+  return crypto.randomInt(100000, 1000000).toString();
+}
+
+function codeHash(userId, code) {
+  return crypto.createHash('sha256').update(`${userId}:${code}`).digest('hex');
+}
+
+// Whether `code` is the one a verification row was made for. A wrong guess
+// counts against the row, and the last one allowed deletes it: a new code has
+// to be asked for.
+async function codeMatches(verification, code) {
+  const presented = Buffer.from(codeHash(verification.user_id, String(code).trim()));
+  if (crypto.timingSafeEqual(presented, Buffer.from(verification.code))) return true;
+  if (verification.attempts + 1 >= CODE_MAX_ATTEMPTS) {
+    await prisma.emailVerification.delete({ where: { id: verification.id } });
+  } else {
+    await prisma.emailVerification.update({
+      where: { id: verification.id },
+      data: { attempts: { increment: 1 } },
+    });
+  }
+  return false;
+}
+
+module.exports = { CODE_MAX_ATTEMPTS, newCode, codeHash, codeMatches };
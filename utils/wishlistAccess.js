@@ -0,0 +1,32 @@
+// Who may do what with a wishlist. The owner may do anything; someone it has
+// been shared with is a VIEWER, who sees it, or an EDITOR, who also changes
+// its bands, tiers and attendance. Renaming, the webhook, sharing and
+// deleting stay with the owner.
+
+const WISHLIST_ROLES = ['VIEWER', 'EDITOR'];
+
+const RANK = { VIEWER: 1, EDITOR: 2, OWNER: 3 };
+
+/**
+ * The caller's access to a wishlist: 'OWNER', 'EDITOR', 'VIEWER' or null.
+ * `wishlist.members` need only hold the caller's own membership, if any.
+ */
+function accessLevel(wishlist, userId) {
+  if (!wishlist || !userId) return null;
+  if (wishlist.user_id === userId) return 'OWNER';
+  const member = (wishlist.members ?? []).find((m) => m.user_id === userId);
+  return member && WISHLIST_ROLES.includes(member.role) ? member.role : null;
+}
+
+// Whether `level` is enough for something that needs `need`.
+function atLeast(level, need) {
+  return Boolean(level) && RANK[level] >= RANK[need];
+}
+
+// An invite link works for anyone who has it until it expires. Revoking one
+// deletes the row.
+function inviteUsable(invite, now = new Date()) {
+  return Boolean(invite) && (!invite.expires_at || new Date(invite.expires_at) > now);
+}
+
+module.exports = { WISHLIST_ROLES, accessLevel, atLeast, inviteUsable };
@@ -0,0 +1,56 @@
+import { describe, it, expect } from 'vitest';
+import { accessLevel, atLeast, inviteUsable } from './wishlistAccess.js';
+
+const wishlist = {
+  id: 7,
+  user_id: 'owner',
+  members: [
+    { user_id: 'friend', role: 'VIEWER' },
+    { user_id: 'partner', role: 'EDITOR' },
+  ],
+};
+
+describe('accessLevel', () => {
+  it('makes the owner the owner', () => {
+    expect(accessLevel(wishlist, 'owner')).toBe('OWNER');
+  });
+
+  it('gives a member their role', () => {
+    expect(accessLevel(wishlist, 'friend')).toBe('VIEWER');
+    expect(accessLevel(wishlist, 'partner')).toBe('EDITOR');
+  });
+
+  it('gives anyone else nothing', () => {
+    expect(accessLevel(wishlist, 'stranger')).toBeNull();
+    expect(accessLevel({ ...wishlist, members: undefined }, 'friend')).toBeNull();
+    expect(accessLevel(null, 'owner')).toBeNull();
+    expect(accessLevel(wishlist, undefined)).toBeNull();
+  });
+});
+
+describe('atLeast', () => {
+  it('ranks viewer below editor below owner', () => {
+    expect(atLeast('OWNER', 'EDITOR')).toBe(true);
+    expect(atLeast('EDITOR', 'EDITOR')).toBe(true);
+    expect(atLeast('VIEWER', 'EDITOR')).toBe(false);
+    expect(atLeast('EDITOR', 'OWNER')).toBe(false);
+  });
+
+  it('refuses no access at all', () => {
+    expect(atLeast(null, 'VIEWER')).toBe(false);
+  });
+});
+
+describe('inviteUsable', () => {
+  const now = new Date('2026-10-20T12:00:00Z');
+
+  it('works until it expires', () => {
+    expect(inviteUsable({ expires_at: new Date('2026-10-21T00:00:00Z') }, now)).toBe(true);
+    expect(inviteUsable({ expires_at: new Date('2026-10-20T11:59:59Z') }, now)).toBe(false);
+  });
+
+  it('works forever without an expiry, and not at all without an invite', () => {
+    expect(inviteUsable({ expires_at: null }, now)).toBe(true);
+    expect(inviteUsable(null, now)).toBe(false);
+  });
+});